@@ -1,34 +1,245 @@
 /**
  * innovation.js — PERFORMANCE-OPTIMIZED
  * Interactive & animated features for the 24CC website.
- * 
+ *
  * Perf fixes applied:
  *  - All scroll/mousemove listeners are passive
  *  - Cursor trail uses transform instead of top/left (GPU compositing)
- *  - Particle count reduced; O(n²) loop uses squared distance (no sqrt)
- *  - Gradient creation removed from particle draw loop
+ *  - Particles run in a worker on an OffscreenCanvas where supported, find
+ *    their neighbours through a spatial grid and scale with a frame-time
+ *    governor (js/particles.js)
  *  - Card glow: caches querySelectorAll, uses throttled RAF
  *  - Filmstrip auto-scroll pauses when offscreen (IntersectionObserver)
- *  - Mobile: disables cursor, particles, tilt, parallax entirely
+ *  - Mobile: disables cursor, tilt, parallax entirely; particles run a
+ *    reduced profile
  *  - All interval/RAF loops properly cleaned up or gated
+ *  - Content effects mount on #main and are torn down when js/router.js
+ *    swaps pages; the loader plays once per session
+ *
+ * Every effect is a registered module with init(root)/destroy(), driven by
+ * `window.CC.effects`:
+ *
+ *   CC.effects.list()              → [{ name, global, enabled, running }]
+ *   CC.effects.disable('cursor')   → stops it and releases its listeners
+ *   CC.effects.enable('cursor')    → starts it again if the page allows it
+ *   CC.effects.init(root)          → (re)mounts content effects on `root`
+ *   CC.effects.refresh(['tilt'])   → re-binds these to content added since init
+ *   CC.effects.destroy()           → releases every effect
+ *
+ * Pages opt in or out on <body>:
+ *   data-effects="reveal counters"   only these run
+ *   data-effects-off="cursor tilt"   everything except these
+ *
+ * Visitor settings from js/preferences.js (reduced motion, cursor, background
+ * effects) take precedence over the media queries and apply without a reload.
  */
 (() => {
     'use strict';
 
-    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
     const isMobile = window.innerWidth <= 768 || ('ontouchstart' in window);
 
+    /** Visitor settings from js/preferences.js win over the media-query defaults. */
+    const preference = (key, fallback) => {
+        const prefs = window.CC && window.CC.preferences;
+        return prefs ? prefs.get()[key] : fallback;
+    };
+    const prefersReducedMotion = () => preference('reducedMotion', motionQuery.matches);
+
+    const motionOK = () => !prefersReducedMotion();
+    const desktopMotion = () => !prefersReducedMotion() && !isMobile;
+    const backgroundMotion = () => motionOK() && preference('background', true);
+    const backgroundOK = () => backgroundMotion() && !isMobile;
+
+    /* ============================
+       Effect registry
+       ============================ */
+
+    /**
+     * Collects what an effect sets up so destroy() can release all of it.
+     * Frames and timers scheduled through the scope are cancelled on dispose.
+     */
+    const createScope = () => {
+        const cleanups = [];
+        const frames = new Set();
+        const timers = new Set();
+        let alive = true;
+        return {
+            get alive() { return alive; },
+            on(target, type, fn, options) {
+                target.addEventListener(type, fn, options);
+                cleanups.push(() => target.removeEventListener(type, fn, options));
+            },
+            observer(obs) {
+                cleanups.push(() => obs.disconnect());
+                return obs;
+            },
+            frame(fn) {
+                const id = requestAnimationFrame((time) => {
+                    frames.delete(id);
+                    if (alive) fn(time);
+                });
+                frames.add(id);
+                return id;
+            },
+            timeout(fn, ms) {
+                const id = setTimeout(() => {
+                    timers.delete(id);
+                    if (alive) fn();
+                }, ms);
+                timers.add(id);
+                return id;
+            },
+            interval(fn, ms) {
+                const id = setInterval(fn, ms);
+                cleanups.push(() => clearInterval(id));
+                return id;
+            },
+            add(fn) {
+                cleanups.push(fn);
+            },
+            dispose() {
+                alive = false;
+                frames.forEach(id => cancelAnimationFrame(id));
+                timers.forEach(id => clearTimeout(id));
+                frames.clear();
+                timers.clear();
+                cleanups.splice(0).reverse().forEach(fn => fn());
+            }
+        };
+    };
+
+    /**
+     * @typedef {object} Effect
+     * @property {string} name
+     * @property {boolean} global  runs once per document rather than per page content
+     * @property {() => boolean} when  device/motion conditions
+     * @property {(root: ParentNode) => void} init
+     * @property {() => void} destroy
+     * @property {boolean} running
+     */
+
+    /** @type {Map<string, Effect>} */
+    const registry = new Map();
+    const disabled = new Set();
+    let contentRoot = null;
+
+    /**
+     * @param {string} name
+     * @param {{ global?: boolean, when?: () => boolean }} options
+     * @param {(root: ParentNode, scope: ReturnType<typeof createScope>) => void} setup
+     */
+    const register = (name, { global = false, when = () => true }, setup) => {
+        let scope = null;
+        /** @type {Effect} */
+        const effect = {
+            name,
+            global,
+            when,
+            get running() { return scope !== null; },
+            init(root) {
+                effect.destroy();
+                scope = createScope();
+                setup(root, scope);
+            },
+            destroy() {
+                if (!scope) return;
+                scope.dispose();
+                scope = null;
+            }
+        };
+        registry.set(name, effect);
+        return effect;
+    };
+
+    const bodyList = (attr) => (document.body.getAttribute(attr) || '').split(/[\s,]+/).filter(Boolean);
+
+    const allowed = (effect) => {
+        if (disabled.has(effect.name)) return false;
+        const only = bodyList('data-effects');
+        if (only.length && !only.includes(effect.name)) return false;
+        if (bodyList('data-effects-off').includes(effect.name)) return false;
+        return effect.when();
+    };
+
+    /** Starts what is allowed but idle; stops what is running but no longer allowed. */
+    const sync = () => {
+        registry.forEach((effect) => {
+            if (!allowed(effect)) {
+                effect.destroy();
+            } else if (!effect.running) {
+                if (effect.global) effect.init(document);
+                else if (contentRoot) effect.init(contentRoot);
+            }
+        });
+    };
+
+    /** Releases the effects bound to the current page content. */
+    const unmount = () => {
+        registry.forEach((effect) => {
+            if (!effect.global) effect.destroy();
+        });
+        contentRoot = null;
+    };
+
+    /** @param {ParentNode} [root] */
+    const init = (root = document.getElementById('main') || document) => {
+        unmount();
+        contentRoot = root;
+        sync();
+    };
+
+    /**
+     * Re-runs the named content effects so they pick up elements rendered
+     * after init (a catalog filled in by fetch); the others keep running.
+     * @param {string[]} names
+     * @param {ParentNode} [root]  defaults to the content they mounted on
+     */
+    const refresh = (names, root = contentRoot) => {
+        if (!root) return;
+        names.forEach((name) => {
+            const effect = registry.get(name);
+            if (effect && !effect.global && allowed(effect)) effect.init(root);
+        });
+    };
+
+    const destroy = () => {
+        unmount();
+        registry.forEach(effect => effect.destroy());
+    };
+
     /* ============================
        -1. Cinematic Loading Screen
+       Plays once per session
        ============================ */
-    const loaderEl = document.getElementById('cinema-loader');
-    const countdownEl = document.getElementById('loader-countdown');
-    const barFill = document.getElementById('loader-bar-fill');
+    const LOADER_KEY = 'cc:loader-played';
+
+    const removeLoader = () => {
+        const loaderEl = document.getElementById('cinema-loader');
+        if (loaderEl) loaderEl.remove();
+    };
+
+    register('loader', { global: true }, (root, scope) => {
+        const loaderEl = document.getElementById('cinema-loader');
+        const countdownEl = document.getElementById('loader-countdown');
+        const barFill = document.getElementById('loader-bar-fill');
+
+        let loaderPlayed = false;
+        try {
+            loaderPlayed = sessionStorage.getItem(LOADER_KEY) === '1';
+            sessionStorage.setItem(LOADER_KEY, '1');
+        } catch {
+            // Storage can be unavailable (private mode); play the loader as before.
+        }
+
+        if (!loaderEl || prefersReducedMotion() || loaderPlayed) {
+            removeLoader();
+            return;
+        }
 
-    if (loaderEl && !prefersReducedMotion) {
         const nums = ['5', '4', '3', '2', '1'];
         let step = 0;
-        const interval = setInterval(() => {
+        const interval = scope.interval(() => {
             step++;
             if (step < nums.length) {
                 if (countdownEl) countdownEl.textContent = nums[step];
@@ -37,18 +248,17 @@
             if (step >= nums.length) {
                 clearInterval(interval);
                 loaderEl.classList.add('loaded');
-                setTimeout(() => loaderEl.remove(), 900);
+                scope.timeout(() => loaderEl.remove(), 900);
             }
         }, 350);
         if (barFill) barFill.style.width = '20%';
-    } else if (loaderEl) {
-        loaderEl.remove();
-    }
+        scope.add(removeLoader);
+    });
 
     /* ============================
        0. Scroll Progress Bar
        ============================ */
-    if (!prefersReducedMotion) {
+    register('progress', { global: true, when: motionOK }, (root, scope) => {
         const progressBar = document.createElement('div');
         progressBar.style.cssText = `
             position: fixed; top: 0; left: 0; height: 3px; z-index: 9999;
@@ -62,11 +272,15 @@
         style.textContent = `@keyframes progress-gradient { 0%,100%{background-position:0% 50%} 50%{background-position:100% 50%} }`;
         document.head.appendChild(style);
         document.body.appendChild(progressBar);
+        scope.add(() => {
+            progressBar.remove();
+            style.remove();
+        });
 
         let progressTicking = false;
-        window.addEventListener('scroll', () => {
+        scope.on(window, 'scroll', () => {
             if (!progressTicking) {
-                requestAnimationFrame(() => {
+                scope.frame(() => {
                     const scrollTop = window.scrollY;
                     const docHeight = document.documentElement.scrollHeight - window.innerHeight;
                     progressBar.style.width = (docHeight > 0 ? (scrollTop / docHeight) * 100 : 0) + '%';
@@ -75,17 +289,19 @@
                 progressTicking = true;
             }
         }, { passive: true });
-    }
+    });
 
     /* ============================
        0b. Cinema Projector Cursor
        DISABLED on mobile/touch devices
        ============================ */
-    if (!prefersReducedMotion && !isMobile && window.innerWidth > 768) {
+    register('cursor', { global: true, when: () => desktopMotion() && window.innerWidth > 768 && preference('cursor', true) }, (root, scope) => {
         const cursorWrap = document.createElement('div');
         cursorWrap.className = 'cc-cursor';
         cursorWrap.innerHTML = '<div class="cc-cursor__ring"></div><div class="cc-cursor__dot"></div>';
         document.body.appendChild(cursorWrap);
+        // style.css only hides the native cursor while this one is drawn.
+        document.documentElement.classList.add('has-cc-cursor');
 
         // Reduced trail count from 8 to 5
         const TRAIL_COUNT = 5;
@@ -97,6 +313,13 @@
             trailDots.push({ el: dot, x: 0, y: 0 });
         }
 
+        scope.add(() => {
+            document.documentElement.classList.remove('has-cc-cursor');
+            cursorWrap.remove();
+            trailDots.forEach(d => d.el.remove());
+            document.querySelectorAll('.cc-click-ripple').forEach(el => el.remove());
+        });
+
         let mx = -100, my = -100;
         // Simpler trail: just lerp to cursor, no history array
         const trailPositions = [];
@@ -104,7 +327,7 @@
             trailPositions.push({ x: -100, y: -100 });
         }
 
-        document.addEventListener('mousemove', (e) => {
+        scope.on(document, 'mousemove', (e) => {
             mx = e.clientX;
             my = e.clientY;
         }, { passive: true });
@@ -112,15 +335,15 @@
         // Hover detection
         const INTERACTIVE = 'a, button, .card, .film-frame, .stat, .pill-list li, .craft-group, .roadmap-item, .step-card, .tool-card, input, textarea, select, .nav-link, .button, .badge-3d, .brand';
 
-        document.addEventListener('mouseover', (e) => {
+        scope.on(document, 'mouseover', (e) => {
             if (e.target.closest(INTERACTIVE)) cursorWrap.classList.add('is-hovering');
         }, { passive: true });
-        document.addEventListener('mouseout', (e) => {
+        scope.on(document, 'mouseout', (e) => {
             if (e.target.closest(INTERACTIVE)) cursorWrap.classList.remove('is-hovering');
         }, { passive: true });
 
         // Click ripple
-        document.addEventListener('mousedown', () => {
+        scope.on(document, 'mousedown', () => {
             cursorWrap.classList.add('is-clicking');
             const ripple = document.createElement('div');
             ripple.className = 'cc-click-ripple';
@@ -129,7 +352,7 @@
             document.body.appendChild(ripple);
             ripple.addEventListener('animationend', () => ripple.remove());
         });
-        document.addEventListener('mouseup', () => {
+        scope.on(document, 'mouseup', () => {
             cursorWrap.classList.remove('is-clicking');
         });
 
@@ -150,227 +373,160 @@
                 dot.el.style.opacity = life * 0.45;
             }
 
-            requestAnimationFrame(animateCursor);
+            scope.frame(animateCursor);
         }
-        requestAnimationFrame(animateCursor);
+        scope.frame(animateCursor);
 
-        document.addEventListener('mouseleave', () => {
+        scope.on(document, 'mouseleave', () => {
             cursorWrap.style.opacity = '0';
             trailDots.forEach(d => d.el.style.opacity = '0');
         }, { passive: true });
-        document.addEventListener('mouseenter', () => {
+        scope.on(document, 'mouseenter', () => {
             cursorWrap.style.opacity = '1';
         }, { passive: true });
-    }
+    });
 
     /* ============================
        1. Particle Constellation
-       DISABLED on mobile
+       Simulated and drawn in a worker (js/particles-worker.js) when the
+       browser has OffscreenCanvas, on this thread otherwise; reduced
+       profile on mobile. See js/particles.js.
        ============================ */
-    const canvas = document.getElementById('particle-canvas');
-    if (canvas && !prefersReducedMotion && !isMobile) {
-        const ctx = canvas.getContext('2d');
-        let w, h, particles = [];
-        // Reduced from 70 to 40 particles
-        const PARTICLE_COUNT = 40;
-        const CONNECT_DIST = 120;
-        const CONNECT_DIST_SQ = CONNECT_DIST * CONNECT_DIST; // avoid sqrt in loop
-        const SPEED = 0.3;
-        let mouseCanvasX = -999, mouseCanvasY = -999;
-
-        const resize = () => {
-            const rect = canvas.parentElement.getBoundingClientRect();
-            w = canvas.width = rect.width;
-            h = canvas.height = rect.height;
+    const PARTICLE_WORKER = 'js/particles-worker.js';
+    /** ms of each frame the main-thread fallback may spend, leaving the rest to the page. */
+    const PARTICLE_BUDGET_MS = 4;
+
+    const canUseWorker = (canvas) => /^https?:$/.test(window.location.protocol)
+        && typeof Worker === 'function'
+        && typeof canvas.transferControlToOffscreen === 'function';
+
+    register('particles', { when: backgroundMotion }, (root, scope) => {
+        let canvas = root.querySelector('#particle-canvas');
+        const particles = window.CC && window.CC.particles;
+        if (!canvas || !particles) return;
+        const host = canvas.parentElement;
+        const profile = isMobile ? 'mobile' : 'desktop';
+
+        const size = () => {
+            const rect = host.getBoundingClientRect();
+            return { width: rect.width, height: rect.height };
         };
 
-        const createParticles = () => {
-            particles = [];
-            for (let i = 0; i < PARTICLE_COUNT; i++) {
-                particles.push({
-                    x: Math.random() * w,
-                    y: Math.random() * h,
-                    vx: (Math.random() - 0.5) * SPEED,
-                    vy: (Math.random() - 0.5) * SPEED,
-                    r: Math.random() * 2 + 0.8,
-                    alpha: Math.random() * 0.5 + 0.3,
-                    pulseOffset: Math.random() * Math.PI * 2,
-                    hueShift: Math.random() > 0.7
-                });
-            }
-        };
+        /** Delivers a message to the running scene, wherever it runs. */
+        let send = () => {};
 
-        canvas.parentElement.addEventListener('mousemove', (e) => {
-            const rect = canvas.parentElement.getBoundingClientRect();
-            mouseCanvasX = e.clientX - rect.left;
-            mouseCanvasY = e.clientY - rect.top;
-        }, { passive: true });
-        canvas.parentElement.addEventListener('mouseleave', () => {
-            mouseCanvasX = -999;
-            mouseCanvasY = -999;
-        }, { passive: true });
-
-        // Pre-compute color prefixes to avoid string creation in draw loop
-        const goldColor = 'rgba(240,192,64,';
-        const cyanColor = 'rgba(125,249,255,';
-
-        const draw = (time) => {
-            ctx.clearRect(0, 0, w, h);
-            const len = particles.length;
-
-            // Lines — use squared distance, simple strokeStyle (no gradient per line)
-            ctx.lineWidth = 0.6;
-            for (let i = 0; i < len; i++) {
-                const pi = particles[i];
-                for (let j = i + 1; j < len; j++) {
-                    const pj = particles[j];
-                    const dx = pi.x - pj.x;
-                    const dy = pi.y - pj.y;
-                    const distSq = dx * dx + dy * dy;
-                    if (distSq < CONNECT_DIST_SQ) {
-                        const alpha = (1 - distSq / CONNECT_DIST_SQ) * 0.18;
-                        ctx.strokeStyle = goldColor + alpha + ')';
-                        ctx.beginPath();
-                        ctx.moveTo(pi.x, pi.y);
-                        ctx.lineTo(pj.x, pj.y);
-                        ctx.stroke();
-                    }
-                }
-            }
-
-            // Mouse connections
-            if (mouseCanvasX > 0) {
-                const MOUSE_DIST = 160;
-                const MOUSE_DIST_SQ = MOUSE_DIST * MOUSE_DIST;
-                ctx.lineWidth = 0.8;
-                for (let i = 0; i < len; i++) {
-                    const p = particles[i];
-                    const dx = p.x - mouseCanvasX;
-                    const dy = p.y - mouseCanvasY;
-                    const distSq = dx * dx + dy * dy;
-                    if (distSq < MOUSE_DIST_SQ) {
-                        const alpha = (1 - distSq / MOUSE_DIST_SQ) * 0.3;
-                        ctx.strokeStyle = cyanColor + alpha + ')';
-                        ctx.beginPath();
-                        ctx.moveTo(mouseCanvasX, mouseCanvasY);
-                        ctx.lineTo(p.x, p.y);
-                        ctx.stroke();
-                    }
-                }
-            }
-
-            // Dots
-            const timeFactor = time * 0.002;
-            for (let i = 0; i < len; i++) {
-                const p = particles[i];
-                const pulse = Math.sin(timeFactor + p.pulseOffset) * 0.3 + 0.7;
-                const r = p.r * pulse;
-                ctx.beginPath();
-                ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
-                ctx.fillStyle = p.hueShift
-                    ? cyanColor + (p.alpha * pulse) + ')'
-                    : goldColor + (p.alpha * pulse) + ')';
-                ctx.fill();
-            }
+        // A canvas handed to a worker can't be drawn on again, so a fresh copy
+        // takes its place when the worker goes.
+        const replaceCanvas = () => {
+            const fresh = canvas.cloneNode(false);
+            canvas.replaceWith(fresh);
+            canvas = fresh;
         };
 
-        const update = () => {
-            for (let i = 0; i < particles.length; i++) {
-                const p = particles[i];
-                if (mouseCanvasX > 0) {
-                    const dx = p.x - mouseCanvasX;
-                    const dy = p.y - mouseCanvasY;
-                    const distSq = dx * dx + dy * dy;
-                    if (distSq < 14400 && distSq > 0) { // 120²
-                        const dist = Math.sqrt(distSq);
-                        const force = (120 - dist) / 120 * 0.8;
-                        p.vx += (dx / dist) * force * 0.05;
-                        p.vy += (dy / dist) * force * 0.05;
-                    }
-                }
-                p.vx *= 0.998;
-                p.vy *= 0.998;
-                const speedSq = p.vx * p.vx + p.vy * p.vy;
-                if (speedSq > 2.25) { // 1.5²
-                    const speed = Math.sqrt(speedSq);
-                    p.vx = (p.vx / speed) * 1.5;
-                    p.vy = (p.vy / speed) * 1.5;
-                }
-                p.x += p.vx;
-                p.y += p.vy;
-                if (p.x < 0 || p.x > w) p.vx *= -1;
-                if (p.y < 0 || p.y > h) p.vy *= -1;
-                p.x = Math.max(0, Math.min(w, p.x));
-                p.y = Math.max(0, Math.min(h, p.y));
-            }
+        const runHere = () => {
+            const ctx = canvas.getContext('2d');
+            if (!ctx) return;
+            const scene = particles.createScene({ context: ctx, ...size(), profile, budget: PARTICLE_BUDGET_MS });
+            send = (message) => scene.receive(message);
+            const loop = (time) => {
+                scene.frame(time);
+                scope.frame(loop);
+            };
+            scope.frame(loop);
+            scope.add(() => scene.clear());
         };
 
-        // Only run animation when canvas is visible
-        let canvasVisible = true;
-        const canvasObserver = new IntersectionObserver((entries) => {
-            canvasVisible = entries[0].isIntersecting;
-        }, { threshold: 0 });
-        canvasObserver.observe(canvas);
-
-        const loop = (time) => {
-            if (canvasVisible) {
-                update();
-                draw(time);
+        const runInWorker = () => {
+            let worker;
+            try {
+                worker = new Worker(PARTICLE_WORKER);
+            } catch {
+                return false;
             }
-            requestAnimationFrame(loop);
+            const offscreen = canvas.transferControlToOffscreen();
+            worker.postMessage({ type: 'start', canvas: offscreen, ...size(), profile }, [offscreen]);
+            send = (message) => worker.postMessage(message);
+
+            let running = true;
+            const stop = () => {
+                if (!running) return;
+                running = false;
+                worker.terminate();
+                replaceCanvas();
+            };
+            // The script failed to load or run: draw here instead.
+            worker.addEventListener('error', () => {
+                stop();
+                if (scope.alive) runHere();
+            });
+            scope.add(stop);
+            return true;
         };
 
-        resize();
-        createParticles();
-        requestAnimationFrame(loop);
+        if (!(canUseWorker(canvas) && runInWorker())) runHere();
+
+        scope.on(host, 'mousemove', (e) => {
+            const rect = host.getBoundingClientRect();
+            send({ type: 'mouse', x: e.clientX - rect.left, y: e.clientY - rect.top });
+        }, { passive: true });
+        scope.on(host, 'mouseleave', () => send({ type: 'mouse', x: -999, y: -999 }), { passive: true });
+
+        // Only animate while the canvas is on screen.
+        const canvasObserver = scope.observer(new IntersectionObserver((entries) => {
+            send({ type: 'visible', visible: entries[0].isIntersecting });
+        }, { threshold: 0 }));
+        canvasObserver.observe(host);
 
         // Debounced resize
         let resizeTimer;
-        window.addEventListener('resize', () => {
+        scope.on(window, 'resize', () => {
             clearTimeout(resizeTimer);
-            resizeTimer = setTimeout(() => {
-                resize();
-                createParticles();
-            }, 200);
+            resizeTimer = scope.timeout(() => send({ type: 'resize', ...size() }), 200);
         }, { passive: true });
-    }
+    });
 
     /* ============================
        2. Typewriter Effect
        ============================ */
-    const twEl = document.querySelector('.typewriter[data-typewriter]');
-    if (twEl) {
+    register('typewriter', {}, (root, scope) => {
+        const twEl = root.querySelector('.typewriter[data-typewriter]');
+        if (!twEl) return;
         const text = twEl.getAttribute('data-typewriter') || '';
         let i = 0;
         const type = () => {
             if (i <= text.length) {
                 twEl.textContent = text.slice(0, i);
                 i++;
-                setTimeout(type, 60 + Math.random() * 40);
+                scope.timeout(type, 60 + Math.random() * 40);
             } else {
-                setTimeout(() => twEl.classList.add('done'), 2000);
+                scope.timeout(() => twEl.classList.add('done'), 2000);
             }
         };
-        if (prefersReducedMotion) {
+        // However the effect ends, the heading is left complete.
+        scope.add(() => {
+            twEl.textContent = text;
+            twEl.classList.add('done');
+        });
+        if (prefersReducedMotion()) {
             twEl.textContent = text;
             twEl.classList.add('done');
         } else {
             type();
         }
-    }
+    });
 
     /* ============================
        3. Scroll Reveal
        ============================ */
-    const revealSections = () => {
-        document.querySelectorAll('.section').forEach(sec => {
+    register('reveal', { when: motionOK }, (root, scope) => {
+        root.querySelectorAll('.section').forEach(sec => {
             if (!sec.classList.contains('reveal')) sec.classList.add('reveal');
         });
-        document.querySelectorAll('.grid-4, .grid-3, .grid-2, .stats-row, .stack').forEach(el => {
+        root.querySelectorAll('.grid-4, .grid-3, .grid-2, .stats-row, .stack').forEach(el => {
             el.classList.add('reveal-stagger');
         });
 
-        const observer = new IntersectionObserver((entries) => {
+        const observer = scope.observer(new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     entry.target.classList.add('is-visible');
@@ -379,20 +535,28 @@
                     }
                 }
             });
-        }, { threshold: 0.08, rootMargin: '0px 0px -30px 0px' });
+        }, { threshold: 0.08, rootMargin: '0px 0px -30px 0px' }));
 
-        document.querySelectorAll('.reveal, .reveal-stagger').forEach(el => observer.observe(el));
-    };
-
-    if (!prefersReducedMotion) {
-        revealSections();
-    }
+        const revealEls = root.querySelectorAll('.reveal, .reveal-stagger');
+        revealEls.forEach(el => observer.observe(el));
+        // Nothing will reveal these once the observer is gone.
+        scope.add(() => revealEls.forEach(el => el.classList.add('is-visible')));
+    });
 
     /* ============================
        4. Animated Stat Counters
        ============================ */
-    const statEls = document.querySelectorAll('.stat-number[data-count]');
-    if (statEls.length && !prefersReducedMotion) {
+    const showFinalCount = (el) => {
+        el.textContent = (el.getAttribute('data-count') || '0') + (el.getAttribute('data-suffix') || '');
+    };
+
+    register('counters', {}, (root, scope) => {
+        const statEls = root.querySelectorAll('.stat-number[data-count]');
+        if (!statEls.length) return;
+        if (prefersReducedMotion()) {
+            statEls.forEach(showFinalCount);
+            return;
+        }
         const animateCount = (el) => {
             const target = parseInt(el.getAttribute('data-count'), 10);
             const suffix = el.getAttribute('data-suffix') || '';
@@ -403,41 +567,38 @@
                 const progress = Math.min(elapsed / duration, 1);
                 const eased = 1 - Math.pow(1 - progress, 3);
                 el.textContent = Math.round(eased * target) + suffix;
-                if (progress < 1) requestAnimationFrame(tick);
+                if (progress < 1) scope.frame(tick);
                 else el.classList.add('counted');
             };
-            requestAnimationFrame(tick);
+            scope.frame(tick);
         };
 
-        const statObserver = new IntersectionObserver((entries) => {
+        const statObserver = scope.observer(new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     animateCount(entry.target);
                     statObserver.unobserve(entry.target);
                 }
             });
-        }, { threshold: 0.5 });
+        }, { threshold: 0.5 }));
 
         statEls.forEach(el => statObserver.observe(el));
-    } else {
-        statEls.forEach(el => {
-            el.textContent = (el.getAttribute('data-count') || '0') + (el.getAttribute('data-suffix') || '');
-        });
-    }
+        scope.add(() => statEls.forEach(showFinalCount));
+    });
 
     /* ============================
        5. Card Mouse-Glow + 3D Tilt
        DISABLED on mobile
        ============================ */
-    if (!prefersReducedMotion && !isMobile) {
-        const tiltEls = document.querySelectorAll('.card, .stat, .step-card, .roadmap-item, .craft-group');
+    register('tilt', { when: desktopMotion }, (root, scope) => {
+        const tiltEls = root.querySelectorAll('.card, .stat, .step-card, .roadmap-item, .craft-group');
 
         tiltEls.forEach(el => {
-            el.addEventListener('mouseenter', () => {
+            scope.on(el, 'mouseenter', () => {
                 el.style.transition = 'transform 0.1s ease-out, border-color 0.3s, background 0.3s, box-shadow 0.3s';
             }, { passive: true });
 
-            el.addEventListener('mousemove', (e) => {
+            scope.on(el, 'mousemove', (e) => {
                 const rect = el.getBoundingClientRect();
                 const x = e.clientX - rect.left;
                 const y = e.clientY - rect.top;
@@ -451,22 +612,27 @@
                 el.style.transform = `perspective(800px) rotateX(${rotateX}deg) rotateY(${rotateY}deg) translateZ(12px)`;
             }, { passive: true });
 
-            el.addEventListener('mouseleave', () => {
+            scope.on(el, 'mouseleave', () => {
                 el.style.transition = 'transform 0.5s cubic-bezier(0.16, 1, 0.3, 1), border-color 0.3s, background 0.3s, box-shadow 0.3s';
                 el.style.transform = '';
             }, { passive: true });
         });
 
+        scope.add(() => tiltEls.forEach(el => {
+            el.style.transition = '';
+            el.style.transform = '';
+        }));
+
         // Card glow tracking — CACHED querySelectorAll + throttled via RAF
-        const allCards = document.querySelectorAll('.card');
+        const allCards = root.querySelectorAll('.card');
         let cardGlowTicking = false;
         let lastCardMouseX = 0, lastCardMouseY = 0;
 
-        document.addEventListener('mousemove', (e) => {
+        scope.on(document, 'mousemove', (e) => {
             lastCardMouseX = e.clientX;
             lastCardMouseY = e.clientY;
             if (!cardGlowTicking) {
-                requestAnimationFrame(() => {
+                scope.frame(() => {
                     const vh = window.innerHeight;
                     allCards.forEach(card => {
                         const rect = card.getBoundingClientRect();
@@ -481,19 +647,20 @@
                 cardGlowTicking = true;
             }
         }, { passive: true });
-    }
+    });
 
     /* ============================
        6. 3D Parallax on Scroll
        DISABLED on mobile
        ============================ */
-    if (!prefersReducedMotion && !isMobile) {
-        const scenes = document.querySelectorAll('.scene-3d');
+    register('parallax', { when: desktopMotion }, (root, scope) => {
+        const scenes = root.querySelectorAll('.scene-3d');
+        if (!scenes.length) return;
         let parallaxTicking = false;
 
-        window.addEventListener('scroll', () => {
+        scope.on(window, 'scroll', () => {
             if (!parallaxTicking) {
-                requestAnimationFrame(() => {
+                scope.frame(() => {
                     const viewH = window.innerHeight;
                     scenes.forEach(scene => {
                         const rect = scene.getBoundingClientRect();
@@ -509,74 +676,79 @@
                 parallaxTicking = true;
             }
         }, { passive: true });
-    }
+        scope.add(() => scenes.forEach(scene => scene.style.transform = ''));
+    });
 
     /* ============================
        7. Filmstrip Auto-Scroll
        PAUSES when offscreen (IntersectionObserver)
        ============================ */
-    const filmstrips = document.querySelectorAll('.filmstrip');
-    filmstrips.forEach(strip => {
-        let scrollAmount = 0;
-        const speed = 0.5;
-        let paused = false;
-        let visible = false;
-        let rafId = null;
-
-        strip.addEventListener('mouseenter', () => paused = true, { passive: true });
-        strip.addEventListener('mouseleave', () => paused = false, { passive: true });
-
-        // Only run RAF when strip is visible
-        const obs = new IntersectionObserver((entries) => {
-            visible = entries[0].isIntersecting;
-            if (visible && rafId === null) startScroll();
-        }, { threshold: 0 });
-        obs.observe(strip);
-
-        function startScroll() {
-            function tick() {
-                if (!visible) {
-                    rafId = null;
-                    return;
-                }
-                if (!paused && strip.scrollWidth > strip.clientWidth) {
-                    scrollAmount += speed;
-                    if (scrollAmount >= strip.scrollWidth - strip.clientWidth) {
-                        scrollAmount = 0;
+    register('filmstrip', { when: motionOK }, (root, scope) => {
+        const filmstrips = root.querySelectorAll('.filmstrip');
+        filmstrips.forEach(strip => {
+            let scrollAmount = 0;
+            const speed = 0.5;
+            let paused = false;
+            let visible = false;
+            let rafId = null;
+
+            scope.on(strip, 'mouseenter', () => paused = true, { passive: true });
+            scope.on(strip, 'mouseleave', () => paused = false, { passive: true });
+
+            // Only run RAF when strip is visible
+            const obs = scope.observer(new IntersectionObserver((entries) => {
+                visible = entries[0].isIntersecting;
+                if (visible && rafId === null) startScroll();
+            }, { threshold: 0 }));
+            obs.observe(strip);
+
+            function startScroll() {
+                function tick() {
+                    if (!visible) {
+                        rafId = null;
+                        return;
                     }
-                    strip.scrollLeft = scrollAmount;
+                    if (!paused && strip.scrollWidth > strip.clientWidth) {
+                        scrollAmount += speed;
+                        if (scrollAmount >= strip.scrollWidth - strip.clientWidth) {
+                            scrollAmount = 0;
+                        }
+                        strip.scrollLeft = scrollAmount;
+                    }
+                    rafId = scope.frame(tick);
                 }
-                rafId = requestAnimationFrame(tick);
+                rafId = scope.frame(tick);
             }
-            rafId = requestAnimationFrame(tick);
-        }
+        });
     });
 
     /* ============================
        8. Magnetic Button Effect
        DISABLED on mobile
        ============================ */
-    if (!prefersReducedMotion && !isMobile) {
-        document.querySelectorAll('.button').forEach(btn => {
-            btn.addEventListener('mousemove', (e) => {
+    register('magnetic', { when: desktopMotion }, (root, scope) => {
+        const buttons = root.querySelectorAll('.button');
+        buttons.forEach(btn => {
+            scope.on(btn, 'mousemove', (e) => {
                 const rect = btn.getBoundingClientRect();
                 const x = e.clientX - rect.left - rect.width / 2;
                 const y = e.clientY - rect.top - rect.height / 2;
                 btn.style.transform = `translate(${x * 0.12}px, ${y * 0.12}px)`;
             }, { passive: true });
-            btn.addEventListener('mouseleave', () => {
+            scope.on(btn, 'mouseleave', () => {
                 btn.style.transform = '';
             }, { passive: true });
         });
-    }
+        scope.add(() => buttons.forEach(btn => btn.style.transform = ''));
+    });
 
     /* ============================
        9. Smooth Reveal for Text
        ============================ */
-    if (!prefersReducedMotion) {
-        const textEls = document.querySelectorAll('.text-3d');
+    register('text-reveal', { when: motionOK }, (root, scope) => {
+        const textEls = root.querySelectorAll('.text-3d');
         textEls.forEach(el => {
-            const observer = new IntersectionObserver((entries) => {
+            const observer = scope.observer(new IntersectionObserver((entries) => {
                 entries.forEach(entry => {
                     if (entry.isIntersecting) {
                         el.style.opacity = '1';
@@ -584,106 +756,90 @@
                         observer.unobserve(el);
                     }
                 });
-            }, { threshold: 0.3 });
+            }, { threshold: 0.3 }));
             observer.observe(el);
         });
-    }
+    });
 
     /* ============================
        10. Sprocket Animation (skip on mobile)
        ============================ */
-    if (!prefersReducedMotion && !isMobile) {
-        const holes = document.querySelectorAll('.sprocket-hole');
-        if (holes.length) {
-            const sprocketStyle = document.createElement('style');
-            sprocketStyle.textContent = `
-                @keyframes sprocket-glow {
-                    0% { border-color: rgba(240,192,64,0.15); box-shadow: none; }
-                    100% { border-color: rgba(240,192,64,0.5); box-shadow: 0 0 8px rgba(240,192,64,0.2); }
-                }
-            `;
-            document.head.appendChild(sprocketStyle);
-            holes.forEach((hole, i) => {
-                hole.style.animation = `sprocket-glow 2s ease-in-out ${i * 0.12}s infinite alternate`;
-            });
-        }
-    }
+    register('sprocket', { when: desktopMotion }, (root, scope) => {
+        const holes = root.querySelectorAll('.sprocket-hole');
+        if (!holes.length) return;
+        const sprocketStyle = document.createElement('style');
+        sprocketStyle.textContent = `
+            @keyframes sprocket-glow {
+                0% { border-color: rgba(240,192,64,0.15); box-shadow: none; }
+                100% { border-color: rgba(240,192,64,0.5); box-shadow: 0 0 8px rgba(240,192,64,0.2); }
+            }
+        `;
+        document.head.appendChild(sprocketStyle);
+        holes.forEach((hole, i) => {
+            hole.style.animation = `sprocket-glow 2s ease-in-out ${i * 0.12}s infinite alternate`;
+        });
+        scope.add(() => {
+            holes.forEach(hole => hole.style.animation = '');
+            sprocketStyle.remove();
+        });
+    });
 
     /* ============================
        11. Smooth Page Load
        ============================ */
-    if (!prefersReducedMotion) {
+    register('page-fade', { global: true, when: motionOK }, (root, scope) => {
+        if (document.readyState === 'complete') return;
         document.body.style.opacity = '0';
         document.body.style.transition = 'opacity 0.5s ease';
-        window.addEventListener('load', () => {
-            requestAnimationFrame(() => {
+        scope.on(window, 'load', () => {
+            scope.frame(() => {
                 document.body.style.opacity = '1';
             });
         });
-        if (document.readyState === 'complete') {
+        scope.add(() => {
             document.body.style.opacity = '1';
-        }
-    }
+        });
+    });
 
     /* ============================
        12. Card Spotlight Tracking
        DISABLED on mobile
        ============================ */
-    if (!prefersReducedMotion && !isMobile) {
-        const spotlightCards = document.querySelectorAll('.card-spotlight');
-        if (spotlightCards.length) {
-            let spotTicking = false;
-            let spotMx = 0, spotMy = 0;
-            document.addEventListener('mousemove', (e) => {
-                spotMx = e.clientX;
-                spotMy = e.clientY;
-                if (!spotTicking) {
-                    requestAnimationFrame(() => {
-                        const vh = window.innerHeight;
-                        spotlightCards.forEach(card => {
-                            const rect = card.getBoundingClientRect();
-                            if (rect.bottom > 0 && rect.top < vh) {
-                                card.style.setProperty('--spotlight-x', (spotMx - rect.left) + 'px');
-                                card.style.setProperty('--spotlight-y', (spotMy - rect.top) + 'px');
-                            }
-                        });
-                        spotTicking = false;
+    register('spotlight', { when: desktopMotion }, (root, scope) => {
+        const spotlightCards = root.querySelectorAll('.card-spotlight');
+        if (!spotlightCards.length) return;
+        let spotTicking = false;
+        let spotMx = 0, spotMy = 0;
+        scope.on(document, 'mousemove', (e) => {
+            spotMx = e.clientX;
+            spotMy = e.clientY;
+            if (!spotTicking) {
+                scope.frame(() => {
+                    const vh = window.innerHeight;
+                    spotlightCards.forEach(card => {
+                        const rect = card.getBoundingClientRect();
+                        if (rect.bottom > 0 && rect.top < vh) {
+                            card.style.setProperty('--spotlight-x', (spotMx - rect.left) + 'px');
+                            card.style.setProperty('--spotlight-y', (spotMy - rect.top) + 'px');
+                        }
                     });
-                    spotTicking = true;
-                }
-            }, { passive: true });
-        }
-    }
-
-    /* ============================
-       13. Smooth Page Transitions
-       ============================ */
-    if (!prefersReducedMotion) {
-        document.querySelectorAll('a[href]').forEach(link => {
-            const href = link.getAttribute('href');
-            if (href && href.endsWith('.html') && !href.startsWith('http') && !href.startsWith('mailto')) {
-                link.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    document.body.style.opacity = '0';
-                    document.body.style.transition = 'opacity 0.25s ease';
-                    setTimeout(() => {
-                        window.location.href = href;
-                    }, 250);
+                    spotTicking = false;
                 });
+                spotTicking = true;
             }
-        });
-    }
+        }, { passive: true });
+    });
 
     /* ============================
        14. Parallax Background Blobs
        DISABLED on mobile — uses throttled RAF
        ============================ */
-    if (!prefersReducedMotion && !isMobile) {
+    register('blobs', { global: true, when: backgroundOK }, (root, scope) => {
         let lastScrollY = 0;
         let blobTicking = false;
-        window.addEventListener('scroll', () => {
+        scope.on(window, 'scroll', () => {
             if (!blobTicking) {
-                requestAnimationFrame(() => {
+                scope.frame(() => {
                     const scrollY = window.scrollY;
                     if (Math.abs(scrollY - lastScrollY) > 3) {
                         document.body.style.setProperty('--parallax-shift', (scrollY * 0.02) + 'px');
@@ -694,35 +850,88 @@
                 blobTicking = true;
             }
         }, { passive: true });
-    }
+        scope.add(() => document.body.style.removeProperty('--parallax-shift'));
+    });
 
     /* ============================
        15. Auto-animate Numbers
        ============================ */
-    document.querySelectorAll('.highlight-number[data-value]').forEach(el => {
-        const target = parseInt(el.getAttribute('data-value'), 10);
-        const suffix = el.getAttribute('data-suffix') || '';
-        if (prefersReducedMotion) {
-            el.textContent = target + suffix;
-            return;
+    register('numbers', {}, (root, scope) => {
+        root.querySelectorAll('.highlight-number[data-value]').forEach(el => {
+            const target = parseInt(el.getAttribute('data-value'), 10);
+            const suffix = el.getAttribute('data-suffix') || '';
+            if (prefersReducedMotion()) {
+                el.textContent = target + suffix;
+                return;
+            }
+            const obs = scope.observer(new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        const dur = 1200;
+                        const start = performance.now();
+                        const tick = (now) => {
+                            const p = Math.min((now - start) / dur, 1);
+                            const eased = 1 - Math.pow(1 - p, 3);
+                            el.textContent = Math.round(eased * target) + suffix;
+                            if (p < 1) scope.frame(tick);
+                        };
+                        scope.frame(tick);
+                        obs.unobserve(el);
+                    }
+                });
+            }, { threshold: 0.5 }));
+            obs.observe(el);
+            scope.add(() => el.textContent = target + suffix);
+        });
+    });
+
+    /* ============================
+       Public API
+       ============================ */
+    const toInfo = (effect) => ({
+        name: effect.name,
+        global: effect.global,
+        enabled: !disabled.has(effect.name),
+        running: effect.running
+    });
+
+    window.CC = window.CC || {};
+    window.CC.effects = {
+        list: () => Array.from(registry.values(), toInfo),
+        get: (name) => registry.get(name) || null,
+        enable(name) {
+            disabled.delete(name);
+            sync();
+        },
+        disable(name) {
+            disabled.add(name);
+            sync();
+        },
+        isEnabled: (name) => !disabled.has(name),
+        init,
+        refresh,
+        unmount,
+        destroy
+    };
+
+    // The router swaps #main; content effects follow it.
+    document.addEventListener('cc:beforeswap', unmount);
+    document.addEventListener('cc:afterswap', (e) => init(e.detail.root));
+
+    // Settings panel changes apply live. Effects that run in both modes
+    // (typewriter, counters) pick their mode at init, so motion restarts all.
+    document.addEventListener('cc:preferences', (e) => {
+        if (e.detail.changed.includes('reducedMotion')) {
+            const root = contentRoot;
+            destroy();
+            init(root || undefined);
+        } else {
+            sync();
         }
-        const obs = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const dur = 1200;
-                    const start = performance.now();
-                    const tick = (now) => {
-                        const p = Math.min((now - start) / dur, 1);
-                        const eased = 1 - Math.pow(1 - p, 3);
-                        el.textContent = Math.round(eased * target) + suffix;
-                        if (p < 1) requestAnimationFrame(tick);
-                    };
-                    requestAnimationFrame(tick);
-                    obs.unobserve(el);
-                }
-            });
-        }, { threshold: 0.5 });
-        obs.observe(el);
     });
 
+    init();
+    // A page that opts out of the loader must not stay covered by it.
+    if (!registry.get('loader').running) removeLoader();
+
 })();
@@ -0,0 +1,583 @@
+/**
+ * admin.js — the early access admin console at /admin (server/admin.js).
+ *
+ * Lists the signups with sorting and filters (country, role, language,
+ * signup date and a name/email search), charts the filtered rows per
+ * country, role, language and week, and exports them to CSV. A row opens an
+ * edit dialog that saves corrections or erases the signup; both ask for a
+ * reason, which the server keeps in the audit log shown below the table.
+ *
+ *   CC.admin.filter(signups, { country: 'IN', from: '2026-09-01' })
+ *   CC.admin.stats(rows)   → { countries, roles, languages, weeks }
+ *
+ * Dates are compared and grouped in UTC, as the server stores them. The pure
+ * helpers load as a CommonJS module in Node; in the browser the console
+ * mounts itself on `[data-admin]`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./csv'), require('./util'), require('./validation'), require('./countries'), require('./languages'));
+    } else {
+        root.CC = root.CC || {};
+        root.CC.admin = factory(root.CC.csv, root.CC.util, root.CC.validation, root.CC.countries || [], root.CC.languages || []);
+    }
+})(typeof self !== 'undefined' ? self : this, (csv, util, validation, countries, languages) => {
+    'use strict';
+
+    const API = '/api/admin/';
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    /** Bars shown per category chart; the rest are summed into “Other”. */
+    const TOP = 8;
+
+    /** Filterable fields → lookup; the select's value is the signup's `<field>Code`. */
+    const CATEGORIES = {
+        country: validation.findCountry,
+        role: validation.findRole,
+        language: validation.findLanguage
+    };
+
+    /** @typedef {{ search: string, country: string, role: string, language: string, from: string, to: string }} AdminFilters */
+
+    /** @returns {AdminFilters} */
+    const emptyFilters = () => ({ search: '', country: '', role: '', language: '', from: '', to: '' });
+
+    // Signups stored before codes were added only have the label.
+    const codeOf = (signup, field) => {
+        if (signup[`${field}Code`]) return signup[`${field}Code`];
+        const entry = CATEGORIES[field](signup[field]);
+        return entry ? entry.code : String(signup[field] || '');
+    };
+
+    const dayOf = (iso) => String(iso || '').slice(0, 10);
+
+    /**
+     * @param {object[]} signups
+     * @param {Partial<AdminFilters>} filters  `from` and `to` are inclusive YYYY-MM-DD dates
+     */
+    const filter = (signups, filters) => {
+        const search = validation.fold(filters.search);
+        return signups.filter((signup) => {
+            if (Object.keys(CATEGORIES).some((field) => filters[field] && codeOf(signup, field) !== filters[field])) return false;
+            const day = dayOf(signup.createdAt);
+            if (filters.from && day < filters.from) return false;
+            if (filters.to && day > filters.to) return false;
+            return !search || validation.fold(`${signup.name} ${signup.email}`).includes(search);
+        });
+    };
+
+    /**
+     * @param {object[]} signups
+     * @param {{ key: string, direction: 'ascending' | 'descending' }} order
+     * @returns {object[]}  a sorted copy
+     */
+    const sort = (signups, { key, direction }) => {
+        const sign = direction === 'descending' ? -1 : 1;
+        return signups.slice().sort((a, b) => sign * (key === 'createdAt'
+            ? String(a.createdAt).localeCompare(String(b.createdAt))
+            : String(a[key] || '').localeCompare(String(b[key] || ''), undefined, { sensitivity: 'base' })));
+    };
+
+    /** The Monday (UTC) starting the week of an ISO time, as YYYY-MM-DD. */
+    const weekOf = (iso) => {
+        const date = new Date(`${dayOf(iso)}T00:00:00Z`);
+        return new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS).toISOString().slice(0, 10);
+    };
+
+    /** @returns {Array<{ key: string, label: string, count: number }>}  most frequent first */
+    const tally = (signups, field) => {
+        const counts = new Map();
+        signups.forEach((signup) => {
+            const key = codeOf(signup, field);
+            const entry = counts.get(key) || { key, label: signup[field] || key, count: 0 };
+            entry.count += 1;
+            counts.set(key, entry);
+        });
+        return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    };
+
+    /**
+     * @param {object[]} signups
+     * @returns {{ countries: ReturnType<typeof tally>, roles: ReturnType<typeof tally>,
+     *             languages: ReturnType<typeof tally>, weeks: Array<{ week: string, count: number }> }}
+     *          `weeks` runs from the first signup's week to the last's, empty weeks included
+     */
+    const stats = (signups) => {
+        const perWeek = new Map();
+        signups.forEach((signup) => {
+            const week = weekOf(signup.createdAt);
+            perWeek.set(week, (perWeek.get(week) || 0) + 1);
+        });
+        const keys = Array.from(perWeek.keys()).sort();
+        const weeks = [];
+        if (keys.length) {
+            const last = Date.parse(keys[keys.length - 1]);
+            for (let time = Date.parse(keys[0]); time <= last; time += 7 * DAY_MS) {
+                const week = new Date(time).toISOString().slice(0, 10);
+                weeks.push({ week, count: perWeek.get(week) || 0 });
+            }
+        }
+        return {
+            countries: tally(signups, 'country'),
+            roles: tally(signups, 'role'),
+            languages: tally(signups, 'language'),
+            weeks
+        };
+    };
+
+    const COLUMNS = [
+        ['Signed up', (s) => s.createdAt],
+        ['Name', (s) => s.name],
+        ['Email', (s) => s.email],
+        ['Country', (s) => s.country],
+        ['Country code', (s) => s.countryCode],
+        ['Role', (s) => s.role],
+        ['Role code', (s) => s.roleCode],
+        ['Language', (s) => s.language],
+        ['Language code', (s) => s.languageCode],
+        ['Updated', (s) => s.updatedAt]
+    ];
+
+    /** @returns {string}  CSV with a header row */
+    const toCsv = (signups) => csv.stringify([
+        COLUMNS.map(([label]) => label),
+        ...signups.map((signup) => COLUMNS.map(([, value]) => value(signup) || ''))
+    ]);
+
+    /* ============================
+       Charts (SVG)
+       ============================ */
+
+    const SVG = 'http://www.w3.org/2000/svg';
+
+    const element = (tag, className, text) => {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text !== undefined) el.textContent = text;
+        return el;
+    };
+
+    const svgElement = (tag, attributes, text) => {
+        const el = document.createElementNS(SVG, tag);
+        Object.entries(attributes || {}).forEach(([name, value]) => el.setAttribute(name, String(value)));
+        if (text !== undefined) el.textContent = text;
+        return el;
+    };
+
+    const figure = (caption, svg, summary) => {
+        const fig = element('figure', 'admin-chart');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', summary || 'No signups');
+        fig.append(element('figcaption', '', caption), svg);
+        return fig;
+    };
+
+    /** Horizontal bars, one row per category. */
+    const barChart = (caption, rows) => {
+        const shown = rows.slice(0, TOP);
+        const rest = rows.slice(TOP).reduce((n, row) => n + row.count, 0);
+        if (rest) shown.push({ key: '', label: 'Other', count: rest });
+
+        const ROW = 22;
+        const LABEL = 130;
+        const WIDTH = 360;
+        const max = Math.max(1, ...shown.map((row) => row.count));
+        const svg = svgElement('svg', { viewBox: `0 0 ${WIDTH} ${Math.max(1, shown.length) * ROW}`, class: 'admin-chart__svg' });
+        shown.forEach((row, i) => {
+            const y = i * ROW;
+            const width = Math.max(2, ((WIDTH - LABEL - 40) * row.count) / max);
+            const label = row.label.length > 18 ? `${row.label.slice(0, 17)}…` : row.label;
+            svg.append(
+                svgElement('text', { x: LABEL - 8, y: y + 15, 'text-anchor': 'end', class: 'admin-chart__label' }, label),
+                svgElement('rect', { x: LABEL, y: y + 5, width, height: 12, rx: 3, class: 'admin-chart__bar' }),
+                svgElement('text', { x: LABEL + width + 6, y: y + 15, class: 'admin-chart__value' }, row.count)
+            );
+        });
+        return figure(caption, svg, shown.map((row) => `${row.label}: ${row.count}`).join(', '));
+    };
+
+    /** Vertical bars, one per week. */
+    const weekChart = (caption, weeks) => {
+        const HEIGHT = 120;
+        const BAR = 14;
+        const width = Math.max(360, weeks.length * BAR);
+        const max = Math.max(1, ...weeks.map((week) => week.count));
+        const svg = svgElement('svg', { viewBox: `0 0 ${width} ${HEIGHT + 20}`, class: 'admin-chart__svg' });
+        weeks.forEach(({ week, count }, i) => {
+            const height = (HEIGHT - 14) * (count / max);
+            const bar = svgElement('rect', { x: i * BAR + 2, y: HEIGHT - height, width: BAR - 4, height, rx: 2, class: 'admin-chart__bar' });
+            bar.appendChild(svgElement('title', {}, `Week of ${week}: ${count}`));
+            svg.appendChild(bar);
+        });
+        if (weeks.length) {
+            svg.append(
+                svgElement('text', { x: 2, y: HEIGHT + 16, class: 'admin-chart__label' }, weeks[0].week),
+                svgElement('text', { x: weeks.length * BAR, y: HEIGHT + 16, 'text-anchor': 'end', class: 'admin-chart__label' }, weeks[weeks.length - 1].week)
+            );
+        }
+        const peak = weeks.reduce((best, week) => (week.count > best.count ? week : best), { count: 0 });
+        return figure(caption, svg, weeks.length
+            ? `${weeks.length} weeks from ${weeks[0].week}; busiest the week of ${peak.week} with ${peak.count}`
+            : '');
+    };
+
+    /* ============================
+       Console
+       ============================ */
+
+    const formatTime = (iso) => {
+        const date = new Date(iso);
+        return Number.isNaN(date.getTime()) ? '' : new Intl.DateTimeFormat(undefined, { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+    };
+
+    const request = async (path, { method = 'GET', body } = {}) => {
+        const headers = { Accept: 'application/json' };
+        if (body) headers['Content-Type'] = 'application/json';
+        const response = await fetch(API + path, { method, headers, credentials: 'same-origin', body: body && JSON.stringify(body) });
+        const data = await response.json().catch(() => ({}));
+        return { status: response.status, data };
+    };
+
+    /** @param {ParentNode} scope */
+    const mount = (scope) => {
+        const panel = scope.querySelector('[data-admin]');
+        if (!panel || panel.dataset.mounted) return;
+        panel.dataset.mounted = 'true';
+
+        const loginForm = panel.querySelector('[data-admin-login]');
+        const loginStatus = panel.querySelector('[data-admin-login-status]');
+        const consoleEl = panel.querySelector('[data-admin-console]');
+        const filtersForm = panel.querySelector('[data-admin-filters]');
+        const countEl = panel.querySelector('[data-admin-count]');
+        const charts = panel.querySelector('[data-admin-charts]');
+        const rowsEl = panel.querySelector('[data-admin-rows]');
+        const emptyEl = panel.querySelector('[data-admin-empty]');
+        const auditEl = panel.querySelector('[data-admin-audit]');
+        const dialog = panel.querySelector('[data-admin-dialog]');
+        const editForm = panel.querySelector('[data-admin-edit]');
+        const editStatus = panel.querySelector('[data-admin-edit-status]');
+        if (!loginForm || !consoleEl) return;
+
+        const EDIT_FIELDS = Object.keys(validation.schemas.earlyAccess);
+        const schema = { ...validation.schemas.earlyAccess, ...validation.schemas.adminChange };
+        const validator = validation.bindForm(editForm, schema, { status: editStatus });
+
+        let signups = [];
+        let filters = emptyFilters();
+        let order = { key: 'createdAt', direction: 'descending' };
+        let editing = null;
+
+        const showLogin = (message) => {
+            consoleEl.hidden = true;
+            loginForm.hidden = false;
+            loginStatus.textContent = message || '';
+            loginForm.elements.namedItem('password').focus();
+        };
+
+        /** Like `request`, but a lapsed session goes back to the sign-in form. */
+        const call = async (path, options) => {
+            const result = await request(path, options);
+            if (result.status === 401) {
+                if (dialog.open) dialog.close();
+                showLogin('Your session has ended. Please sign in again.');
+            }
+            return result;
+        };
+
+        /* ---------- Table, charts and filters ---------- */
+
+        const current = () => sort(filter(signups, filters), order);
+
+        const renderRow = (signup) => {
+            const row = document.createElement('tr');
+            const edit = element('button', 'chip', 'Edit');
+            edit.type = 'button';
+            edit.dataset.adminEditId = signup.id;
+            edit.setAttribute('aria-label', `Edit ${signup.name}`);
+            const cells = [formatTime(signup.createdAt), signup.email, signup.country, signup.role, signup.language]
+                .map((text) => element('td', '', text));
+            const name = element('th', '', signup.name);
+            name.scope = 'row';
+            cells.splice(1, 0, name);
+            const actions = document.createElement('td');
+            actions.appendChild(edit);
+            row.append(...cells, actions);
+            return row;
+        };
+
+        const update = () => {
+            const rows = current();
+            rowsEl.replaceChildren(...rows.map(renderRow));
+            emptyEl.hidden = rows.length > 0;
+            countEl.textContent = rows.length === signups.length
+                ? `${signups.length} signups`
+                : `${rows.length} of ${signups.length} signups`;
+
+            const summary = stats(rows);
+            charts.replaceChildren(
+                barChart('Per country', summary.countries),
+                barChart('Per craft role', summary.roles),
+                barChart('Per language', summary.languages),
+                weekChart('Per week', summary.weeks)
+            );
+
+            panel.querySelectorAll('[data-admin-sort]').forEach((button) => {
+                button.closest('th').setAttribute('aria-sort', button.dataset.adminSort === order.key ? order.direction : 'none');
+            });
+        };
+
+        /** Fills each filter's options from the signups, keeping the current choice. */
+        const renderFilters = () => {
+            const summary = stats(signups);
+            [['country', summary.countries, 'All countries'], ['role', summary.roles, 'All roles'], ['language', summary.languages, 'All languages']]
+                .forEach(([field, rows, all]) => {
+                    const select = filtersForm.elements.namedItem(field);
+                    select.replaceChildren(new Option(all, ''), ...rows
+                        .slice().sort((a, b) => a.label.localeCompare(b.label))
+                        .map((row) => new Option(`${row.label} (${row.count})`, row.key)));
+                    if (!rows.some((row) => row.key === filters[field])) filters[field] = '';
+                    select.value = filters[field];
+                });
+        };
+
+        const renderAudit = (entries) => {
+            if (!entries.length) {
+                auditEl.replaceChildren(element('p', 'small', 'No edits, deletions or exports yet.'));
+                return;
+            }
+            const table = element('table', 'report-table admin-table');
+            const head = document.createElement('tr');
+            ['Time', 'Action', 'Signup', 'Details', 'Reason'].forEach((label) => {
+                const th = element('th', '', label);
+                th.scope = 'col';
+                head.appendChild(th);
+            });
+            table.appendChild(element('thead')).appendChild(head);
+            const body = table.appendChild(element('tbody'));
+            entries.forEach((entry) => {
+                const details = entry.action === 'export'
+                    ? `${entry.count} rows${Object.keys(entry.filters || {}).length ? ` · ${Object.entries(entry.filters).map(([k, v]) => `${k}: ${v}`).join(', ')}` : ''}`
+                    : (entry.fields || []).join(', ');
+                const row = document.createElement('tr');
+                [formatTime(entry.at), entry.action, entry.id || '', details, entry.reason || ''].forEach((text) => row.appendChild(element('td', '', text)));
+                body.appendChild(row);
+            });
+            auditEl.replaceChildren(table);
+        };
+
+        const load = async () => {
+            countEl.textContent = 'Loading signups…';
+            const [list, audit] = await Promise.all([call('signups'), call('audit')]);
+            if (list.status !== 200) {
+                if (list.status !== 401) countEl.textContent = 'The signups could not be loaded. Please refresh the page to try again.';
+                return;
+            }
+            signups = list.data.signups;
+            renderFilters();
+            update();
+            if (audit.status === 200) renderAudit(audit.data.entries);
+        };
+
+        const refreshAudit = async () => {
+            const audit = await call('audit');
+            if (audit.status === 200) renderAudit(audit.data.entries);
+        };
+
+        const showConsole = () => {
+            loginForm.hidden = true;
+            consoleEl.hidden = false;
+            load().catch(() => {
+                countEl.textContent = 'The server could not be reached.';
+            });
+        };
+
+        /* ---------- Sign in / out ---------- */
+
+        const LOGIN_ERRORS = {
+            wrong_password: 'That password is not right.',
+            too_many_attempts: 'Too many attempts. Wait 15 minutes and try again.',
+            admin_disabled: 'The admin console is switched off on this server.'
+        };
+
+        loginForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const password = loginForm.elements.namedItem('password');
+            loginStatus.textContent = 'Signing in…';
+            try {
+                const { status, data } = await request('login', { method: 'POST', body: { password: password.value } });
+                password.value = '';
+                if (status === 200) showConsole();
+                else loginStatus.textContent = LOGIN_ERRORS[data.code] || 'Signing in failed. Please try again.';
+            } catch {
+                loginStatus.textContent = 'The server could not be reached.';
+            }
+        });
+
+        panel.querySelector('[data-admin-logout]').addEventListener('click', async () => {
+            await request('logout', { method: 'POST' }).catch(() => {});
+            signups = [];
+            rowsEl.replaceChildren();
+            charts.replaceChildren();
+            auditEl.replaceChildren();
+            showLogin('Signed out.');
+        });
+
+        /* ---------- Filters, sorting and export ---------- */
+
+        const readFilters = () => {
+            const next = emptyFilters();
+            Object.keys(next).forEach((name) => {
+                next[name] = filtersForm.elements.namedItem(name).value.trim();
+            });
+            return next;
+        };
+
+        filtersForm.addEventListener('input', () => {
+            filters = readFilters();
+            update();
+        });
+        filtersForm.addEventListener('submit', (e) => e.preventDefault());
+        // `reset` fires before the fields are cleared.
+        filtersForm.addEventListener('reset', () => setTimeout(() => {
+            filters = readFilters();
+            update();
+        }));
+
+        panel.querySelector('thead').addEventListener('click', (e) => {
+            const button = e.target instanceof Element ? e.target.closest('[data-admin-sort]') : null;
+            if (!button) return;
+            const key = button.dataset.adminSort;
+            const direction = order.key === key
+                ? (order.direction === 'ascending' ? 'descending' : 'ascending')
+                : (key === 'createdAt' ? 'descending' : 'ascending');
+            order = { key, direction };
+            update();
+        });
+
+        panel.querySelector('[data-admin-export]').addEventListener('click', async () => {
+            const rows = current();
+            util.download(`signups-${new Date().toISOString().slice(0, 10)}.csv`, toCsv(rows));
+            const { search, ...kept } = filters;
+            await call('exports', { method: 'POST', body: { count: rows.length, filters: kept } }).catch(() => {});
+            refreshAudit().catch(() => {});
+        });
+
+        /* ---------- Edit dialog ---------- */
+
+        const fillList = (id, names) => {
+            const list = panel.querySelector(`#${id}`);
+            if (list && !list.childElementCount) list.append(...names.map((name) => new Option(name)));
+        };
+        fillList('admin-countries', countries.map((country) => country.name));
+        fillList('admin-roles', validation.roles.map((role) => role.name));
+        fillList('admin-languages', languages.map((language) => language.name));
+
+        const openEditor = (signup) => {
+            editing = signup;
+            editForm.reset();
+            validator.reset();
+            EDIT_FIELDS.forEach((field) => {
+                editForm.elements.namedItem(field).value = signup[field] || '';
+            });
+            panel.querySelector('[data-admin-edit-meta]').textContent = `Signed up ${formatTime(signup.createdAt)}${signup.updatedAt ? ` · last edited ${formatTime(signup.updatedAt)}` : ''} · ${signup.id}`;
+            editStatus.textContent = '';
+            if (typeof dialog.showModal === 'function') {
+                if (!dialog.open) dialog.showModal();
+            } else {
+                dialog.setAttribute('open', '');
+            }
+            editForm.elements.namedItem('name').focus();
+        };
+
+        const closeEditor = () => {
+            editing = null;
+            if (typeof dialog.close === 'function') dialog.close();
+            else dialog.removeAttribute('open');
+        };
+
+        rowsEl.addEventListener('click', (e) => {
+            const button = e.target instanceof Element ? e.target.closest('[data-admin-edit-id]') : null;
+            const signup = button && signups.find((s) => s.id === button.dataset.adminEditId);
+            if (signup) openEditor(signup);
+        });
+        panel.querySelector('[data-admin-cancel]').addEventListener('click', closeEditor);
+        dialog.addEventListener('close', () => {
+            editing = null;
+        });
+
+        const reasonOf = () => editForm.elements.namedItem('reason').value.trim();
+
+        editForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!editing || !validator.validate()) return;
+            const signup = {};
+            EDIT_FIELDS.forEach((field) => {
+                signup[field] = editForm.elements.namedItem(field).value.trim();
+            });
+            editStatus.textContent = 'Saving…';
+            try {
+                const { status, data } = await call(`signups/${encodeURIComponent(editing.id)}`, { method: 'PATCH', body: { signup, reason: reasonOf() } });
+                if (status === 200) {
+                    signups = signups.map((s) => (s.id === data.signup.id ? data.signup : s));
+                    closeEditor();
+                    renderFilters();
+                    update();
+                    countEl.textContent += data.fields.length ? ` · Saved: ${data.fields.join(', ')} changed.` : ' · Nothing had changed.';
+                    refreshAudit().catch(() => {});
+                } else if (status === 409) {
+                    editStatus.textContent = 'Another signup already uses that email.';
+                } else if (status === 422) {
+                    validator.showErrors(data.errors);
+                } else if (status === 404) {
+                    editStatus.textContent = 'This signup no longer exists.';
+                } else if (status !== 401) {
+                    editStatus.textContent = 'Saving failed. Please try again.';
+                }
+            } catch {
+                editStatus.textContent = 'The server could not be reached.';
+            }
+        });
+
+        panel.querySelector('[data-admin-delete]').addEventListener('click', async () => {
+            if (!editing) return;
+            const error = validation.validateField(reasonOf(), validation.schemas.adminChange.reason);
+            if (error) {
+                validator.showErrors({ reason: error.code });
+                return;
+            }
+            if (!window.confirm(`Delete the signup for ${editing.name}? It is erased from the server and can’t be restored.`)) return;
+            const id = editing.id;
+            editStatus.textContent = 'Deleting…';
+            try {
+                const { status } = await call(`signups/${encodeURIComponent(id)}`, { method: 'DELETE', body: { reason: reasonOf() } });
+                if (status === 200 || status === 404) {
+                    signups = signups.filter((s) => s.id !== id);
+                    closeEditor();
+                    renderFilters();
+                    update();
+                    countEl.textContent += ' · Signup deleted.';
+                    refreshAudit().catch(() => {});
+                } else if (status !== 401) {
+                    editStatus.textContent = 'Deleting failed. Please try again.';
+                }
+            } catch {
+                editStatus.textContent = 'The server could not be reached.';
+            }
+        });
+
+        request('session')
+            .then(({ status, data }) => {
+                if (status === 200 && data.authenticated) showConsole();
+                else if (status === 503) showLogin(LOGIN_ERRORS.admin_disabled);
+                else showLogin();
+            })
+            .catch(() => showLogin('The server could not be reached.'));
+    };
+
+    if (typeof document !== 'undefined') {
+        const start = () => mount(document);
+        if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+        else start();
+    }
+
+    return { emptyFilters, filter, sort, weekOf, stats, toCsv, mount };
+});
@@ -0,0 +1,166 @@
+/**
+ * analytics.js — first-party, cookieless analytics for the 24CC site.
+ *
+ * Records page views (including the router's), clicks on `a.button` calls to
+ * action, tool cards scrolled into view and each `form[data-analytics-form]`
+ * from view to start, completed fields and submission. Events are batched
+ * and sent to the local server's /api/collect (server/analytics.js) with
+ * navigator.sendBeacon, so leaving the page doesn't lose them.
+ *
+ * Nothing is stored in the browser. Each page view gets a random id held in
+ * memory, which is all that ties a form's steps together. With Do Not Track
+ * or Global Privacy Control on, or the site opened from disk, nothing is
+ * recorded or sent.
+ *
+ *   CC.analytics.track('form_result', { form: 'early-access', result: 'accepted' })
+ *   CC.analytics.observe(root)   → watch tool cards (`[data-tool]`) added to `root`
+ */
+(() => {
+    'use strict';
+
+    const ENDPOINT = '/api/collect';
+    const FLUSH_DELAY_MS = 5000;
+    const MAX_BATCH = 20;
+    /** Share of a tool card that must be on screen to count as seen. */
+    const TOOL_THRESHOLD = 0.6;
+
+    const optedOut = navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+    const enabled = /^https?:$/.test(window.location.protocol) && !optedOut;
+
+    const newViewId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+    let view = newViewId();
+    let path = window.location.pathname;
+    let queue = [];
+    let timer = null;
+
+    const flush = () => {
+        clearTimeout(timer);
+        timer = null;
+        if (!queue.length) return;
+        const body = JSON.stringify({ events: queue.splice(0, MAX_BATCH) });
+        const blob = new Blob([body], { type: 'application/json' });
+        if (!(navigator.sendBeacon && navigator.sendBeacon(ENDPOINT, blob))) {
+            fetch(ENDPOINT, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true }).catch(() => {});
+        }
+        if (queue.length) flush();
+    };
+
+    /**
+     * @param {string} type  one of the event types server/analytics.js accepts
+     * @param {Record<string, string>} [props]
+     */
+    const track = (type, props = {}) => {
+        if (!enabled) return;
+        queue.push({ ...props, type, path, view });
+        if (queue.length >= MAX_BATCH) flush();
+        else if (!timer) timer = setTimeout(flush, FLUSH_DELAY_MS);
+    };
+
+    /** The previous page: a path on this site, or another site's host name. */
+    const referrer = () => {
+        if (!document.referrer) return '';
+        try {
+            const url = new URL(document.referrer);
+            return url.origin === window.location.origin ? url.pathname : url.hostname;
+        } catch {
+            return '';
+        }
+    };
+
+    /* ============================
+       Tool cards in view
+       ============================ */
+    let seenTools = new Set();
+    const toolObserver = enabled && 'IntersectionObserver' in window
+        ? new IntersectionObserver((entries) => {
+            entries.forEach((entry) => {
+                if (!entry.isIntersecting) return;
+                const tool = entry.target.dataset.tool;
+                toolObserver.unobserve(entry.target);
+                if (seenTools.has(tool)) return;
+                seenTools.add(tool);
+                track('tool_view', { tool });
+            });
+        }, { threshold: TOOL_THRESHOLD })
+        : null;
+
+    /** @param {ParentNode} root */
+    const observe = (root) => {
+        if (!toolObserver) return;
+        root.querySelectorAll('[data-tool]').forEach((card) => toolObserver.observe(card));
+    };
+
+    /* ============================
+       Form funnel
+       ============================ */
+    const trackedForms = new WeakSet();
+
+    /** @param {ParentNode} root */
+    const watchForms = (root) => {
+        root.querySelectorAll('form[data-analytics-form]').forEach((form) => {
+            if (trackedForms.has(form)) return;
+            trackedForms.add(form);
+            const name = form.dataset.analyticsForm;
+            let started = false;
+            const completed = new Set();
+
+            track('form_view', { form: name, fields: String(form.querySelectorAll('[name][required]').length) });
+            form.addEventListener('focusin', () => {
+                if (started) return;
+                started = true;
+                track('form_start', { form: name });
+            });
+            // After the field's own blur handler has validated it (js/validation.js).
+            form.addEventListener('focusout', (e) => {
+                const field = e.target;
+                if (!(field instanceof HTMLInputElement || field instanceof HTMLSelectElement || field instanceof HTMLTextAreaElement)) return;
+                if (!field.name || completed.has(field.name) || !field.value.trim()) return;
+                if (field.getAttribute('aria-invalid') === 'true') return;
+                completed.add(field.name);
+                track('form_field', { form: name, field: field.name });
+            });
+            form.addEventListener('submit', () => track('form_submit', { form: name }));
+        });
+    };
+
+    /* ============================
+       Page views and calls to action
+       ============================ */
+    const pageView = (root, from) => {
+        track('pageview', { from });
+        observe(root);
+        watchForms(root);
+    };
+
+    if (enabled) {
+        document.addEventListener('click', (e) => {
+            const button = e.target instanceof Element ? e.target.closest('a.button') : null;
+            if (!button) return;
+            // The message key stays the same in every language.
+            const label = button.dataset.i18n || button.textContent.replace(/\s+/g, ' ').trim();
+            track('cta', { label, href: button.getAttribute('href') || '' });
+        });
+
+        document.addEventListener('cc:afterswap', (e) => {
+            const from = path;
+            flush();
+            view = newViewId();
+            path = window.location.pathname;
+            seenTools = new Set();
+            pageView(e.detail.root, from);
+        });
+
+        window.addEventListener('pagehide', flush);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') flush();
+        });
+
+        const start = () => pageView(document, referrer());
+        if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+        else start();
+    }
+
+    window.CC = window.CC || {};
+    window.CC.analytics = { enabled, track, observe, flush };
+})();
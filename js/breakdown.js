@@ -0,0 +1,204 @@
+/**
+ * breakdown.js — script breakdown: one sheet per scene, with the elements
+ * each department needs.
+ *
+ *   const sheets = CC.breakdown.analyze(fountainText);   // or a CC.fountain.parse() result
+ *   sheets[0] → {
+ *       number: '1', heading: 'EXT. GANDHI TALKIES - NIGHT',
+ *       intExt: 'EXT', location: 'GANDHI TALKIES', time: 'NIGHT', dayNight: 'night',
+ *       eighths: 2, length: '2/8', page: 1, synopsis: 'Rain hammers a single-screen cinema.',
+ *       elements: { cast: ['RAVI'], props: ['reel'], wardrobe: [], vfx: ['rain'] }
+ *   }
+ *
+ * Cast comes from dialogue cues, plus speaking parts named in the action
+ * (as "RAVI" or "Ravi"). Props, wardrobe and VFX are found by
+ * matching the scene's action lines against keyword dictionaries; pass
+ * `{ dictionaries: { props: [...] } }` to replace any of the defaults.
+ * Plain text works too, as long as scenes start with INT./EXT. headings.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./fountain'), require('./csv'));
+    } else {
+        root.CC = root.CC || {};
+        root.CC.breakdown = factory(root.CC.fountain, root.CC.csv);
+    }
+})(typeof self !== 'undefined' ? self : this, (fountain, csv) => {
+    'use strict';
+
+    /**
+     * Element categories in sheet order, with the industry colour code each
+     * one is underlined with on a paper breakdown.
+     */
+    const CATEGORIES = [
+        { key: 'cast', label: 'Cast', color: '#e53935' },
+        { key: 'props', label: 'Props', color: '#8e44ad' },
+        { key: 'wardrobe', label: 'Wardrobe', color: '#f39c12' },
+        { key: 'vfx', label: 'Visual effects', color: '#1e88e5' }
+    ];
+
+    /** Default keyword dictionaries; plurals ("reels") match automatically. */
+    const DICTIONARIES = {
+        props: [
+            'bag', 'book', 'bottle', 'briefcase', 'camera', 'candle', 'cash', 'cigarette', 'cup',
+            'diary', 'film can', 'flashlight', 'glass', 'gun', 'key', 'knife', 'lantern', 'laptop',
+            'letter', 'lighter', 'map', 'money', 'newspaper', 'phone', 'photograph', 'pistol',
+            'projector', 'radio', 'reel', 'ring', 'rifle', 'suitcase', 'sword', 'ticket', 'torch',
+            'umbrella', 'wallet', 'watch'
+        ],
+        wardrobe: [
+            'apron', 'boots', 'cap', 'coat', 'costume', 'dhoti', 'dress', 'dupatta', 'gloves', 'hat',
+            'helmet', 'jacket', 'jeans', 'kurta', 'lungi', 'raincoat', 'saree', 'sari', 'scarf',
+            'shawl', 'shirt', 'shoes', 'sunglasses', 'suit', 'tie', 'turban', 'uniform', 'veil'
+        ],
+        vfx: [
+            'blood', 'cgi', 'crowd', 'digital', 'explosion', 'fire', 'ghost', 'green screen',
+            'hologram', 'lightning', 'monster', 'muzzle flash', 'portal', 'rain', 'screen replacement',
+            'smoke', 'spaceship', 'storm', 'transformation'
+        ]
+    };
+
+    const HEADING_RE = /^(INT\.?\/EXT|EXT\.?\/INT|I\/E|INT|EXT|EST)\.?\s+(.*)$/i;
+    const TIMES = ['DAY', 'NIGHT', 'DAWN', 'DUSK', 'MORNING', 'AFTERNOON', 'EVENING', 'SUNRISE', 'SUNSET',
+        'MIDNIGHT', 'CONTINUOUS', 'LATER', 'MOMENTS LATER', 'SAME', 'SAME TIME'];
+    const NIGHT_TIMES = ['NIGHT', 'DUSK', 'EVENING', 'SUNSET', 'MIDNIGHT'];
+
+    /**
+     * "INT. HOUSE - KITCHEN - NIGHT" → { intExt: 'INT', location: 'HOUSE - KITCHEN', time: 'NIGHT' }
+     * @returns {{ intExt: string, location: string, time: string }}
+     */
+    const parseHeading = (heading) => {
+        const match = HEADING_RE.exec(heading.trim());
+        let intExt = '';
+        let rest = heading.trim();
+        if (match) {
+            intExt = match[1].toUpperCase().replace(/\./g, '');
+            if (intExt === 'I/E' || intExt === 'EXT/INT') intExt = 'INT/EXT';
+            rest = match[2];
+        }
+        const parts = rest.split(/\s+-+\s+/);
+        const last = parts[parts.length - 1].trim().toUpperCase();
+        const time = parts.length > 1 && TIMES.includes(last) ? last : '';
+        if (time) parts.pop();
+        return { intExt, location: parts.join(' - ').trim().toUpperCase(), time };
+    };
+
+    const escapeRE = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    /** One case-insensitive, whole-word pattern per term, allowing plurals. */
+    const compile = (terms) => terms
+        .map((term) => String(term).trim())
+        .filter(Boolean)
+        .map((term) => ({
+            term,
+            re: new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRE(term).replace(/\s+/g, '\\s+')}(?:e?s)?(?![\\p{L}\\p{N}])`, 'iu')
+        }));
+
+    const firstSentence = (text) => {
+        const plain = text.replace(/\s+/g, ' ').trim();
+        const match = /^.*?[.!?](?=\s|$)/.exec(plain);
+        const sentence = match ? match[0] : plain;
+        return sentence.length > 90 ? `${sentence.slice(0, 87).trimEnd()}…` : sentence;
+    };
+
+    /**
+     * @param {string | { tokens: object[] }} input  Fountain / plain text, or a parsed script
+     * @param {{ dictionaries?: Record<string, string[]> }} [options]
+     * @returns {object[]} one breakdown sheet per scene
+     */
+    const analyze = (input, options = {}) => {
+        const script = typeof input === 'string' ? fountain.parse(input) : input;
+        const dictionaries = { ...DICTIONARIES, ...(options.dictionaries || {}) };
+        const matchers = Object.fromEntries(Object.entries(dictionaries).map(([key, terms]) => [key, compile(terms)]));
+        const stats = fountain.stats(script);
+        // Speaking parts anywhere in the script; a scene that only names one
+        // in its action ("RAVI enters", "Ravi waits") still needs the actor.
+        const castNames = Array.from(new Set(script.tokens
+            .filter((token) => token.type === 'character')
+            .map((token) => token.name)))
+            .map((name) => {
+                const titled = name.toLowerCase().replace(/(^|[\s'-])\p{L}/gu, (m) => m.toUpperCase());
+                const names = `(?:${escapeRE(name)}|${escapeRE(titled)})`;
+                return { name, re: new RegExp(`(^|[^\\p{L}\\p{N}])${names}(?![\\p{L}\\p{N}])`, 'u') };
+            });
+
+        const sheets = [];
+        let sheet = null;
+        let text = [];
+        let previousDayNight = 'day';
+
+        const close = () => {
+            if (!sheet) return;
+            const body = text.join('\n');
+            castNames.forEach(({ name, re }) => {
+                if (!sheet.elements.cast.includes(name) && re.test(body)) sheet.elements.cast.push(name);
+            });
+            Object.entries(matchers).forEach(([key, list]) => {
+                sheet.elements[key] = list.filter(({ re }) => re.test(body)).map(({ term }) => term);
+            });
+            if (!sheet.synopsis && sheet.firstAction) sheet.synopsis = firstSentence(sheet.firstAction);
+            delete sheet.firstAction;
+            sheets.push(sheet);
+        };
+
+        script.tokens.forEach((token) => {
+            if (token.type === 'scene_heading') {
+                close();
+                const scene = stats.scenes[sheets.length] || {};
+                const heading = parseHeading(token.text);
+                // CONTINUOUS, LATER and friends keep the light of the scene before.
+                const dayNight = NIGHT_TIMES.includes(heading.time)
+                    ? 'night'
+                    : (['DAY', 'DAWN', 'MORNING', 'AFTERNOON', 'SUNRISE'].includes(heading.time) ? 'day' : previousDayNight);
+                previousDayNight = dayNight;
+                sheet = {
+                    number: scene.number || String(sheets.length + 1),
+                    heading: token.text,
+                    ...heading,
+                    dayNight,
+                    eighths: scene.eighths || 0,
+                    length: scene.length || '',
+                    page: scene.page || 1,
+                    synopsis: '',
+                    elements: { cast: [] },
+                    firstAction: ''
+                };
+                text = [];
+                return;
+            }
+            if (!sheet) return;
+
+            if (token.type === 'character' && !sheet.elements.cast.includes(token.name)) sheet.elements.cast.push(token.name);
+            if (token.type === 'synopsis' && !sheet.synopsis) sheet.synopsis = token.text;
+            if (token.type === 'action' || token.type === 'parenthetical' || token.type === 'centered') {
+                text.push(token.text);
+                if (token.type === 'action' && !sheet.firstAction) sheet.firstAction = token.text;
+            }
+        });
+        close();
+        return sheets;
+    };
+
+    const categoriesOf = (sheets) => {
+        const keys = new Set(CATEGORIES.map(({ key }) => key));
+        sheets.forEach((sheet) => Object.keys(sheet.elements).forEach((key) => keys.add(key)));
+        return Array.from(keys, (key) => CATEGORIES.find((c) => c.key === key) || { key, label: key, color: '#757575' });
+    };
+
+    /** @returns {string} one row per scene; element lists are "; "-separated */
+    const toCSV = (sheets) => {
+        const categories = categoriesOf(sheets);
+        const header = ['Scene', 'Heading', 'Int/Ext', 'Location', 'Time', 'Day/Night', 'Pages', 'Synopsis', ...categories.map((c) => c.label)];
+        const rows = sheets.map((sheet) => [
+            sheet.number, sheet.heading, sheet.intExt, sheet.location, sheet.time, sheet.dayNight,
+            sheet.length, sheet.synopsis,
+            ...categories.map(({ key }) => sheet.elements[key] || [])
+        ]);
+        return csv.stringify([header, ...rows]);
+    };
+
+    /** @returns {string} the sheets plus category colours, for department tools */
+    const toJSON = (sheets) => JSON.stringify({ version: 1, categories: categoriesOf(sheets), scenes: sheets }, null, 2);
+
+    return { CATEGORIES, DICTIONARIES, parseHeading, analyze, toCSV, toJSON };
+});
@@ -0,0 +1,290 @@
+/**
+ * budget-tracker.js — the Budget Tracker demo on tools.html.
+ *
+ * Line items are edited in a table, exchange rates in a "USD = 83.25"
+ * textarea; the top sheet and burn-rate forecast from `CC.budget` update as
+ * you type. The whole budget is kept in localStorage so the rate table and
+ * actuals survive a reload. Imports and exports are CSV.
+ */
+(() => {
+    'use strict';
+
+    const { language } = window.CC;
+
+    const STORAGE_KEY = 'cc:budget';
+    const RENDER_DELAY_MS = 200;
+    const FIELDS = ['account', 'description', 'currency', 'estimate', 'actual'];
+
+    /** Column names, for the line-item inputs' labels. */
+    const FIELD_LABELS = {
+        account: () => language.t('tools.budget.account', 'Account'),
+        description: () => language.t('tools.demo.description', 'Description'),
+        currency: () => language.t('tools.budget.currencyColumn', 'Currency'),
+        estimate: () => language.t('tools.demo.estimate', 'Estimate'),
+        actual: () => language.t('tools.demo.actual', 'Actual')
+    };
+
+    /** Subtotal rows; the labels js/budget.js gives the sections stay English in exported CSV. */
+    const SECTION_LABELS = {
+        production: () => language.t('tools.budget.production', 'Below the line — production'),
+        post: () => language.t('tools.budget.post', 'Below the line — post'),
+        other: () => language.t('tools.budget.other', 'Below the line — other')
+    };
+
+    const SAMPLE = {
+        base: 'INR',
+        rates: 'USD = 83.25\nEUR = 90.10\nGBP = 105.40',
+        start: '2026-11-02',
+        end: '2026-12-18',
+        asOf: '2026-11-20',
+        lines: [
+            { account: '1110', description: 'Remake rights', currency: 'USD', estimate: '40,000.00', actual: '40,000.00' },
+            { account: '1300', description: 'Director', currency: 'INR', estimate: '25,00,000.00', actual: '12,50,000.00' },
+            { account: '1410', description: 'Lead cast', currency: 'INR', estimate: '60,00,000.00', actual: '30,00,000.00' },
+            { account: '2400', description: 'Camera package (Berlin rental)', currency: 'EUR', estimate: '18,000.50', actual: '9,000.25' },
+            { account: '2500', description: 'Lighting & grip', currency: 'INR', estimate: '9,00,000.00', actual: '5,20,000.00' },
+            { account: '2910', description: 'Crew hotels', currency: 'INR', estimate: '8,00,000.00', actual: '5,12,345.67' },
+            { account: '3400', description: 'VFX vendor (LA)', currency: 'USD', estimate: '45,000.00', actual: '' },
+            { account: '3500', description: 'DI & mastering (London)', currency: 'GBP', estimate: '12,000.00', actual: '' },
+            { account: '4900', description: 'Contingency', currency: 'INR', estimate: '10,00,000.00', actual: '' }
+        ]
+    };
+
+    const readStored = () => window.CC.util.readStored(STORAGE_KEY, { accept: (value) => Array.isArray(value.lines) });
+
+    const cell = (tag, text, className) => {
+        const element = document.createElement(tag);
+        if (text !== undefined) element.textContent = text;
+        if (className) element.className = className;
+        return element;
+    };
+
+    /** @param {ParentNode} root */
+    const mount = (root) => {
+        const demo = root.querySelector('[data-budget]');
+        if (!demo || demo.dataset.mounted || !(window.CC && window.CC.budget)) return;
+        demo.dataset.mounted = 'true';
+
+        const { budget, util } = window.CC;
+        const settings = Array.from(demo.querySelectorAll('[data-budget-field]'));
+        const ratesInput = demo.querySelector('[data-budget-rates]');
+        const linesBody = demo.querySelector('[data-budget-lines]');
+        const issuesList = demo.querySelector('[data-budget-issues]');
+        const topSheetBody = demo.querySelector('[data-budget-topsheet]');
+        const forecastOutput = demo.querySelector('[data-budget-forecast]');
+        const status = demo.querySelector('[data-budget-status]');
+
+        let state = readStored() || JSON.parse(JSON.stringify(SAMPLE));
+
+        const table = () => ({ base: state.base, rates: budget.parseRates(state.rates).rates });
+        const money = (minor) => budget.formatMoney(minor, state.base, document.documentElement.lang || undefined);
+
+        /* ---- Line items ---- */
+
+        const renderLines = () => {
+            linesBody.replaceChildren(...state.lines.map((line, index) => {
+                const row = document.createElement('tr');
+                FIELDS.forEach((field) => {
+                    const td = document.createElement('td');
+                    const input = document.createElement('input');
+                    input.value = line[field] || '';
+                    input.dataset.line = String(index);
+                    input.dataset.field = field;
+                    input.setAttribute('aria-label', language.t('tools.budget.lineField', 'Line {number} {field}', { number: index + 1, field: FIELD_LABELS[field]() }));
+                    input.spellcheck = false;
+                    if (field === 'estimate' || field === 'actual') input.inputMode = 'decimal';
+                    if (field === 'currency') {
+                        input.maxLength = 3;
+                        input.placeholder = state.base;
+                    }
+                    td.appendChild(input);
+                    row.appendChild(td);
+                });
+                const td = document.createElement('td');
+                const remove = cell('button', '×', 'budget-lines__remove');
+                remove.type = 'button';
+                remove.dataset.removeLine = String(index);
+                remove.setAttribute('aria-label', language.t('tools.budget.removeLine', 'Remove line {number}', { number: index + 1 }));
+                td.appendChild(remove);
+                row.appendChild(td);
+                return row;
+            }));
+        };
+
+        /* ---- Top sheet and forecast ---- */
+
+        const renderTopSheet = (sheet) => {
+            const rows = [];
+            const totalRow = (label, totals, className) => {
+                const row = cell('tr', undefined, className);
+                row.append(cell('td'), cell('th', label), cell('td', money(totals.estimate)),
+                    cell('td', money(totals.actual)),
+                    cell('td', money(totals.variance), totals.variance < 0n ? 'budget-over' : ''));
+                row.querySelector('th').scope = 'row';
+                rows.push(row);
+            };
+            sheet.sections.forEach((section) => {
+                section.accounts.forEach((account) => {
+                    const row = document.createElement('tr');
+                    row.append(cell('td', account.code), cell('th', account.name), cell('td', money(account.estimate)),
+                        cell('td', money(account.actual)),
+                        cell('td', money(account.variance), account.variance < 0n ? 'budget-over' : ''));
+                    row.querySelector('th').scope = 'row';
+                    rows.push(row);
+                });
+                if (section.key === 'atl') totalRow(language.t('tools.budget.totalAbove', 'Total above the line'), sheet.aboveTheLine, 'budget-topsheet__total');
+                else if (section.accounts.length) totalRow(SECTION_LABELS[section.key] ? SECTION_LABELS[section.key]() : section.label, section, 'budget-topsheet__subtotal');
+            });
+            totalRow(language.t('tools.budget.totalBelow', 'Total below the line'), sheet.belowTheLine, 'budget-topsheet__total');
+            totalRow(language.t('tools.budget.grandTotal', 'Grand total'), sheet.total, 'budget-topsheet__grand');
+            topSheetBody.replaceChildren(...rows);
+        };
+
+        const STATUS_TEXT = {
+            'on-track': () => language.t('tools.budget.onTrack', 'On track'),
+            watch: () => language.t('tools.budget.watch', 'Watch — within 5% of budget'),
+            over: () => language.t('tools.budget.over', 'Projected over budget')
+        };
+
+        const renderForecast = (result) => {
+            forecastOutput.replaceChildren();
+            if (!result) {
+                forecastOutput.appendChild(cell('p', language.t('tools.budget.noForecast', 'Set the shoot start, end and as-of dates to see a forecast.'), 'small'));
+                return;
+            }
+            const badge = cell('p', STATUS_TEXT[result.status](), `budget-forecast__status budget-forecast__status--${result.status}`);
+            const list = cell('dl', undefined, 'budget-forecast__figures');
+            [
+                [language.t('tools.budget.spent', 'Spent to date'), money(result.spent)],
+                [language.t('tools.budget.elapsed', 'Days elapsed'), language.t('tools.budget.elapsedValue', '{elapsed} of {total}', { elapsed: result.elapsedDays, total: result.totalDays })],
+                [language.t('tools.budget.dailyBurn', 'Daily burn'), money(result.dailyBurn)],
+                [language.t('tools.budget.projected', 'Projected at wrap'), money(result.projected)],
+                [language.t('tools.budget.budget', 'Budget'), money(result.estimate)],
+                [
+                    result.variance < 0n ? language.t('tools.budget.overrun', 'Projected overrun') : language.t('tools.budget.under', 'Projected under'),
+                    money(result.variance < 0n ? -result.variance : result.variance)
+                ]
+            ].forEach(([term, value]) => list.append(cell('dt', term), cell('dd', value)));
+            forecastOutput.append(badge, list);
+            if (result.overrunDate) {
+                forecastOutput.appendChild(cell('p', language.t('tools.budget.overrunDate', 'At this rate spend passes the budget on {date}.', { date: result.overrunDate }), 'small'));
+            }
+        };
+
+        const update = () => {
+            util.writeStored(STORAGE_KEY, state);
+            const rates = budget.parseRates(state.rates);
+            const current = { base: state.base, rates: rates.rates };
+            const sheet = budget.topSheet(state.lines, current);
+            renderTopSheet(sheet);
+            renderForecast(budget.forecast(state.lines, current, state));
+
+            const messages = [...rates.errors.map((error) => language.t('tools.budget.ratesError', 'Rates {message}', { message: error.message })), ...sheet.issues.map((issue) => issue.message)];
+            issuesList.replaceChildren(...messages.map((message) => cell('li', message)));
+            issuesList.hidden = !messages.length;
+            linesBody.querySelectorAll('input').forEach((input) => {
+                const invalid = sheet.issues.some((issue) => String(issue.line) === input.dataset.line && issue.field === input.dataset.field);
+                if (invalid) input.setAttribute('aria-invalid', 'true');
+                else input.removeAttribute('aria-invalid');
+            });
+        };
+
+        let timer;
+        const schedule = () => {
+            clearTimeout(timer);
+            timer = setTimeout(update, RENDER_DELAY_MS);
+        };
+
+        const renderAll = () => {
+            settings.forEach((input) => {
+                input.value = state[input.dataset.budgetField] || '';
+            });
+            ratesInput.value = state.rates;
+            renderLines();
+            update();
+        };
+
+        /* ---- Events ---- */
+
+        settings.forEach((input) => input.addEventListener('input', () => {
+            const key = input.dataset.budgetField;
+            state[key] = key === 'base' ? input.value.trim().toUpperCase() : input.value;
+            schedule();
+        }));
+        ratesInput.addEventListener('input', () => {
+            state.rates = ratesInput.value;
+            schedule();
+        });
+        linesBody.addEventListener('input', (e) => {
+            const input = e.target.closest('input[data-line]');
+            if (!input) return;
+            state.lines[Number(input.dataset.line)][input.dataset.field] = input.value;
+            schedule();
+        });
+        linesBody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-line]');
+            if (!button) return;
+            state.lines.splice(Number(button.dataset.removeLine), 1);
+            renderLines();
+            update();
+        });
+
+        demo.querySelector('[data-budget-add]').addEventListener('click', () => {
+            state.lines.push({ account: '', description: '', currency: state.base, estimate: '', actual: '' });
+            renderLines();
+            update();
+            const inputs = linesBody.querySelectorAll('input[data-field="account"]');
+            inputs[inputs.length - 1].focus();
+        });
+
+        demo.querySelector('[data-budget-reset]').addEventListener('click', () => {
+            state = JSON.parse(JSON.stringify(SAMPLE));
+            renderAll();
+            status.textContent = language.t('tools.budget.restored', 'Sample budget restored.');
+        });
+
+        const importInput = demo.querySelector('[data-budget-import]');
+        importInput.addEventListener('change', () => {
+            const file = importInput.files && importInput.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                const result = budget.fromCSV(String(reader.result));
+                importInput.value = '';
+                if (result.errors.length) {
+                    status.textContent = language.t('tools.budget.importFailed', 'Import failed: {errors}', { errors: result.errors.join(' ') });
+                    return;
+                }
+                state.lines = result.lines;
+                renderAll();
+                status.textContent = language.t('tools.budget.imported', 'Imported {count, plural, one {# line item} other {# line items}} from {file}.', {
+                    count: result.lines.length,
+                    file: file.name
+                });
+            };
+            reader.readAsText(file);
+        });
+
+        demo.querySelectorAll('[data-budget-export]').forEach((button) => {
+            button.addEventListener('click', () => {
+                clearTimeout(timer);
+                update();
+                if (button.dataset.budgetExport === 'topsheet') {
+                    util.download('top-sheet.csv', budget.topSheetToCSV(budget.topSheet(state.lines, table())));
+                } else {
+                    util.download('budget.csv', budget.toCSV(state.lines, table()));
+                }
+            });
+        });
+
+        renderAll();
+        language.watch(demo, () => {
+            renderLines();
+            update();
+        });
+    };
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => mount(document));
+    else mount(document);
+    document.addEventListener('cc:afterswap', (e) => mount(e.detail.root));
+})();
@@ -0,0 +1,434 @@
+/**
+ * budget.js — production budgets: account-coded line items, a rolled-up top
+ * sheet in one reporting currency, and a burn-rate forecast.
+ *
+ *   const rates = { base: 'INR', rates: { USD: '83.25', EUR: '90.10' } };   // base units per 1 unit
+ *   const { lines } = CC.budget.fromCSV(text);
+ *   CC.budget.topSheet(lines, rates);                                        // ATL / BTL roll-up
+ *   CC.budget.forecast(lines, rates, { start: '2026-11-02', end: '2026-12-18', asOf: '2026-11-20' });
+ *
+ * Money never touches floating point: amounts are BigInt minor units
+ * (1/100 of the currency) and exchange rates BigInt millionths. Each line is
+ * converted to the base currency on its own and rounded half away from zero
+ * before it is added, so a top sheet always equals the sum of its lines.
+ *
+ * Accounts follow the usual four-digit chart: 1xxx above the line, 2xxx
+ * production, 3xxx post, 4xxx other. The top sheet rolls line items up to
+ * their hundred (1410 → 1400).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./csv'));
+    } else {
+        root.CC = root.CC || {};
+        root.CC.budget = factory(root.CC.csv);
+    }
+})(typeof self !== 'undefined' ? self : this, (csv) => {
+    'use strict';
+
+    const AMOUNT_SCALE = 2;
+    const RATE_SCALE = 6;
+    const RATE_UNIT = 10n ** BigInt(RATE_SCALE);
+    const DAY_MS = 86400000;
+
+    /** Projected spend at or above this share of the estimate is flagged 'watch'. */
+    const WATCH_RATIO = { numerator: 95n, denominator: 100n };
+
+    const SECTIONS = [
+        { key: 'atl', digit: '1', label: 'Above the line' },
+        { key: 'production', digit: '2', label: 'Below the line — production' },
+        { key: 'post', digit: '3', label: 'Below the line — post' },
+        { key: 'other', digit: '4', label: 'Below the line — other' }
+    ];
+
+    const ACCOUNTS = {
+        1100: 'Story & rights',
+        1200: 'Producers',
+        1300: 'Director',
+        1400: 'Cast',
+        2100: 'Production staff',
+        2200: 'Art department',
+        2300: 'Set construction',
+        2400: 'Camera',
+        2500: 'Lighting & grip',
+        2600: 'Production sound',
+        2700: 'Wardrobe',
+        2800: 'Hair & make-up',
+        2900: 'Locations & travel',
+        3100: 'Editorial',
+        3200: 'Music',
+        3300: 'Post sound',
+        3400: 'Visual effects',
+        3500: 'Colour & finishing',
+        4100: 'Insurance',
+        4200: 'Legal & accounting',
+        4300: 'Publicity',
+        4900: 'Contingency'
+    };
+
+    /* ---------------------------------------------------------------
+       Decimal arithmetic on BigInt
+       --------------------------------------------------------------- */
+
+    const DECIMAL_RE = /^([+-]?)(\d*)(?:\.(\d*))?$/;
+
+    /**
+     * "12,345.678" at scale 2 → 1234568n. Accepts thousands separators
+     * (commas, spaces, underscores, apostrophes) and accounting negatives
+     * "(1,200.00)"; digits past `scale` are rounded half away from zero.
+     * @returns {bigint | null} null when the text is not a number
+     */
+    const parseDecimal = (text, scale = AMOUNT_SCALE) => {
+        let cleaned = String(text === null || text === undefined ? '' : text).trim().replace(/[\s,_']/g, '');
+        let negative = false;
+        const accounting = /^\((.*)\)$/.exec(cleaned);
+        if (accounting) {
+            cleaned = accounting[1];
+            negative = true;
+        }
+        const match = DECIMAL_RE.exec(cleaned);
+        if (!match || !(match[2] || match[3])) return null;
+        if (match[1] === '-') negative = !negative;
+
+        const fraction = match[3] || '';
+        let value = BigInt((match[2] || '0') + fraction.slice(0, scale).padEnd(scale, '0'));
+        if (Number(fraction[scale] || 0) >= 5) value += 1n;
+        return negative && value ? -value : value;
+    };
+
+    /** 1234568n at scale 2 → "12345.68" */
+    const formatDecimal = (value, scale = AMOUNT_SCALE) => {
+        const negative = value < 0n;
+        const digits = (negative ? -value : value).toString().padStart(scale + 1, '0');
+        const whole = digits.slice(0, digits.length - scale);
+        const fraction = scale ? `.${digits.slice(-scale)}` : '';
+        return `${negative ? '-' : ''}${whole}${fraction}`;
+    };
+
+    /** a ÷ b, rounded half away from zero. */
+    const divideRounded = (a, b) => {
+        const quotient = a / b;
+        const remainder = a % b;
+        const abs = (n) => (n < 0n ? -n : n);
+        if (2n * abs(remainder) < abs(b)) return quotient;
+        return (a < 0n) === (b < 0n) ? quotient + 1n : quotient - 1n;
+    };
+
+    /** Accepts minor units as BigInt or a decimal string from a form or CSV. */
+    const toMinor = (value) => (typeof value === 'bigint' ? value : parseDecimal(value));
+
+    /**
+     * 1234568n, 'INR' → "₹12,345.68" in the visitor's locale. Intl formats the
+     * decimal string exactly, so large totals don't lose their paise.
+     */
+    const formatMoney = (minor, currency, locale) => {
+        const text = formatDecimal(minor);
+        try {
+            return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(text);
+        } catch {
+            return `${currency} ${text}`;
+        }
+    };
+
+    /* ---------------------------------------------------------------
+       Exchange rates
+       --------------------------------------------------------------- */
+
+    const CURRENCY_RE = /^[A-Z]{3}$/;
+
+    /**
+     * @typedef {{ base: string, rates: Record<string, string | bigint> }} RateTable
+     *   `rates[code]` is how many units of `base` one unit of `code` buys
+     */
+
+    /**
+     * "USD = 83.25\nEUR 90.10" → { USD: '83.25', EUR: '90.10' }; the format of
+     * the rate table the user keeps in the tools page.
+     * @returns {{ rates: Record<string, string>, errors: { line: number, message: string }[] }}
+     */
+    const parseRates = (text) => {
+        const rates = {};
+        const errors = [];
+        String(text || '').split('\n').forEach((raw, index) => {
+            const line = raw.replace(/#.*/, '').trim();
+            if (!line) return;
+            const match = /^([A-Za-z]{3})\s*[=:\s]\s*(\S+)$/.exec(line);
+            const rate = match && parseDecimal(match[2], RATE_SCALE);
+            if (!match || rate === null || rate <= 0n) {
+                errors.push({ line: index + 1, message: `Line ${index + 1}: expected "CODE = rate", e.g. "USD = 83.25".` });
+                return;
+            }
+            rates[match[1].toUpperCase()] = match[2];
+        });
+        return { rates, errors };
+    };
+
+    /**
+     * Converts minor units of `currency` into minor units of `table.base`.
+     * @param {RateTable} table
+     * @returns {bigint | null} null when there is no rate for `currency`
+     */
+    const convert = (minor, currency, table) => {
+        if (currency === table.base) return minor;
+        const raw = table.rates[currency];
+        if (raw === undefined) return null;
+        const rate = typeof raw === 'bigint' ? raw : parseDecimal(raw, RATE_SCALE);
+        if (rate === null || rate <= 0n) return null;
+        return divideRounded(minor * rate, RATE_UNIT);
+    };
+
+    /* ---------------------------------------------------------------
+       Line items and the top sheet
+       --------------------------------------------------------------- */
+
+    /**
+     * @typedef {{ account: string, description: string, currency: string,
+     *             estimate: string | bigint, actual: string | bigint }} LineItem
+     *   amounts as decimal strings ("1,250.00") or BigInt minor units
+     */
+
+    const sectionFor = (account) => SECTIONS.find((section) => section.digit === String(account)[0]) || SECTIONS[3];
+
+    /** '1410' → '1400'; codes that aren't four digits roll up as they are. */
+    const rollUpCode = (account) => (/^\d{4}$/.test(account) ? `${account.slice(0, 2)}00` : account);
+
+    const accountName = (code) => ACCOUNTS[code] || `Account ${code}`;
+
+    /**
+     * Checks and converts each line once; the top sheet and forecast build on this.
+     * Lines with an unreadable amount or an unknown currency count as zero and are
+     * reported in `issues` (`line` is 0-based).
+     */
+    const evaluate = (lines, table) => {
+        const issues = [];
+        const rows = lines.map((line, index) => {
+            const account = String(line.account || '').trim();
+            const currency = String(line.currency || table.base).trim().toUpperCase();
+            const label = `Line ${index + 1}${account ? ` (${account})` : ''}`;
+            const amount = (field) => {
+                const raw = line[field];
+                if (raw === '' || raw === null || raw === undefined) return 0n;
+                const minor = toMinor(raw);
+                if (minor === null) issues.push({ line: index, field, message: `${label}: "${raw}" is not an amount.` });
+                return minor || 0n;
+            };
+            const estimate = amount('estimate');
+            const actual = amount('actual');
+
+            if (!account && (estimate || actual)) issues.push({ line: index, field: 'account', message: `${label}: missing account code.` });
+            if (!CURRENCY_RE.test(currency)) {
+                issues.push({ line: index, field: 'currency', message: `${label}: "${currency}" is not a currency code.` });
+            }
+            let baseEstimate = convert(estimate, currency, table);
+            let baseActual = convert(actual, currency, table);
+            if (baseEstimate === null || baseActual === null) {
+                if (CURRENCY_RE.test(currency)) {
+                    issues.push({ line: index, field: 'currency', message: `${label}: no exchange rate for ${currency}.` });
+                }
+                baseEstimate = 0n;
+                baseActual = 0n;
+            }
+            return {
+                account,
+                description: String(line.description || '').trim(),
+                currency,
+                estimate,
+                actual,
+                baseEstimate,
+                baseActual
+            };
+        });
+        return { rows, issues };
+    };
+
+    /**
+     * @param {LineItem[]} lines
+     * @param {RateTable} table
+     * @returns {{ base: string,
+     *             sections: { key: string, label: string, estimate: bigint, actual: bigint, variance: bigint,
+     *                         accounts: { code: string, name: string, lines: number,
+     *                                     estimate: bigint, actual: bigint, variance: bigint }[] }[],
+     *             aboveTheLine: { estimate: bigint, actual: bigint, variance: bigint },
+     *             belowTheLine: { estimate: bigint, actual: bigint, variance: bigint },
+     *             total: { estimate: bigint, actual: bigint, variance: bigint },
+     *             issues: { line: number, field: string, message: string }[] }}
+     *   amounts are minor units of `base`; variance is estimate − actual (negative = over)
+     */
+    const topSheet = (lines, table) => {
+        const { rows, issues } = evaluate(lines, table);
+        const totals = () => ({ estimate: 0n, actual: 0n, variance: 0n });
+        const add = (target, row) => {
+            target.estimate += row.baseEstimate;
+            target.actual += row.baseActual;
+            target.variance = target.estimate - target.actual;
+        };
+
+        const sections = SECTIONS.map(({ key, label }) => ({ key, label, ...totals(), accounts: [] }));
+        const aboveTheLine = totals();
+        const belowTheLine = totals();
+        const total = totals();
+
+        rows.filter((row) => row.account).forEach((row) => {
+            const section = sections.find(({ key }) => key === sectionFor(row.account).key);
+            const code = rollUpCode(row.account);
+            let account = section.accounts.find((entry) => entry.code === code);
+            if (!account) {
+                account = { code, name: accountName(code), lines: 0, ...totals() };
+                section.accounts.push(account);
+            }
+            account.lines++;
+            add(account, row);
+            add(section, row);
+            add(section.key === 'atl' ? aboveTheLine : belowTheLine, row);
+            add(total, row);
+        });
+        sections.forEach((section) => section.accounts.sort((a, b) => a.code.localeCompare(b.code)));
+
+        return { base: table.base, sections, aboveTheLine, belowTheLine, total, issues };
+    };
+
+    /* ---------------------------------------------------------------
+       Forecast
+       --------------------------------------------------------------- */
+
+    const dayNumber = (iso) => Math.floor(Date.parse(`${iso}T00:00:00Z`) / DAY_MS);
+
+    /**
+     * Straight-line burn: spend to date divided by the days elapsed, carried
+     * to the last day. Crude for fees paid up front, but it is the number a
+     * line producer checks first.
+     * @param {{ start: string, end: string, asOf: string }} period  inclusive YYYY-MM-DD dates
+     * @returns {{ base: string, totalDays: number, elapsedDays: number, remainingDays: number,
+     *             estimate: bigint, spent: bigint, dailyBurn: bigint, projected: bigint, variance: bigint,
+     *             overrunDate: string | null, status: 'on-track' | 'watch' | 'over' } | null}
+     *   null when the dates are missing or `end` is before `start`
+     */
+    const forecast = (lines, table, { start, end, asOf } = {}) => {
+        if (!start || !end || !asOf) return null;
+        const first = dayNumber(start);
+        const last = dayNumber(end);
+        if (Number.isNaN(first) || Number.isNaN(last) || Number.isNaN(dayNumber(asOf)) || last < first) return null;
+
+        const totalDays = last - first + 1;
+        const elapsedDays = Math.min(Math.max(dayNumber(asOf) - first + 1, 0), totalDays);
+        const { total } = topSheet(lines, table);
+        const spent = total.actual;
+        const estimate = total.estimate;
+
+        const projected = elapsedDays ? divideRounded(spent * BigInt(totalDays), BigInt(elapsedDays)) : spent;
+        const dailyBurn = elapsedDays ? divideRounded(spent, BigInt(elapsedDays)) : 0n;
+
+        // The day cumulative spend passes the estimate at this burn rate.
+        let overrunDate = null;
+        if (projected > estimate && spent > 0n && elapsedDays) {
+            const day = spent >= estimate
+                ? elapsedDays
+                : Number((estimate * BigInt(elapsedDays) + spent - 1n) / spent);
+            overrunDate = new Date((first + day - 1) * DAY_MS).toISOString().slice(0, 10);
+        }
+
+        let status = 'on-track';
+        if (projected > estimate) status = 'over';
+        else if (projected * WATCH_RATIO.denominator >= estimate * WATCH_RATIO.numerator) status = 'watch';
+
+        return {
+            base: table.base,
+            totalDays,
+            elapsedDays,
+            remainingDays: totalDays - elapsedDays,
+            estimate,
+            spent,
+            dailyBurn,
+            projected,
+            variance: estimate - projected,
+            overrunDate,
+            status
+        };
+    };
+
+    /* ---------------------------------------------------------------
+       CSV
+       --------------------------------------------------------------- */
+
+    const COLUMNS = ['Account', 'Description', 'Currency', 'Estimate', 'Actual'];
+
+    /**
+     * Reads line items from CSV with (at least) the COLUMNS headers, in any
+     * order and case. Our own exports carry extra base-currency columns; those
+     * are ignored because they are recomputed from the rate table.
+     * @returns {{ lines: LineItem[], errors: string[] }}
+     */
+    const fromCSV = (text) => {
+        const [header, ...rows] = csv.parse(text);
+        if (!header) return { lines: [], errors: ['The file is empty.'] };
+        const index = {};
+        header.forEach((name, i) => {
+            const key = name.trim().toLowerCase();
+            if (!(key in index)) index[key] = i;
+        });
+        const missing = COLUMNS.filter((name) => !(name.toLowerCase() in index) && name !== 'Description');
+        if (missing.length) return { lines: [], errors: [`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}.`] };
+
+        const cellOf = (row, name) => {
+            const i = index[name.toLowerCase()];
+            return i === undefined ? '' : String(row[i] || '').trim();
+        };
+        const lines = rows
+            .filter((row) => row.some((value) => value.trim()))
+            .map((row) => ({
+                account: cellOf(row, 'Account'),
+                description: cellOf(row, 'Description'),
+                currency: cellOf(row, 'Currency').toUpperCase(),
+                estimate: cellOf(row, 'Estimate'),
+                actual: cellOf(row, 'Actual')
+            }));
+        return { lines, errors: [] };
+    };
+
+    /** Line items as CSV, with each amount also in the base currency. */
+    const toCSV = (lines, table) => {
+        const { rows } = evaluate(lines, table);
+        return csv.stringify([
+            [...COLUMNS, `Estimate (${table.base})`, `Actual (${table.base})`, `Variance (${table.base})`],
+            ...rows.map((row) => [
+                row.account,
+                row.description,
+                row.currency,
+                formatDecimal(row.estimate),
+                formatDecimal(row.actual),
+                formatDecimal(row.baseEstimate),
+                formatDecimal(row.baseActual),
+                formatDecimal(row.baseEstimate - row.baseActual)
+            ])
+        ]);
+    };
+
+    /** The top sheet as CSV, laid out like the printed one: accounts, subtotals, ATL, BTL, grand total. */
+    const topSheetToCSV = (sheet) => {
+        const money = (totals) => [formatDecimal(totals.estimate), formatDecimal(totals.actual), formatDecimal(totals.variance)];
+        const rows = [['Account', 'Description', `Estimate (${sheet.base})`, `Actual (${sheet.base})`, `Variance (${sheet.base})`]];
+        sheet.sections.forEach((section) => {
+            section.accounts.forEach((account) => rows.push([account.code, account.name, ...money(account)]));
+            if (section.key === 'atl') rows.push(['', 'Total above the line', ...money(sheet.aboveTheLine)]);
+            else if (section.accounts.length) rows.push(['', `Subtotal ${section.label.replace(/^.*— /, '')}`, ...money(section)]);
+        });
+        rows.push(['', 'Total below the line', ...money(sheet.belowTheLine)]);
+        rows.push(['', 'Grand total', ...money(sheet.total)]);
+        return csv.stringify(rows);
+    };
+
+    return {
+        SECTIONS,
+        ACCOUNTS,
+        parseDecimal,
+        formatDecimal,
+        formatMoney,
+        parseRates,
+        convert,
+        topSheet,
+        forecast,
+        fromCSV,
+        toCSV,
+        topSheetToCSV
+    };
+});
@@ -0,0 +1,158 @@
+/**
+ * call-sheet-generator.js — the Call Sheet Generator demo on tools.html.
+ *
+ * Reads the `[data-callsheet]` form, previews the sheet from
+ * `CC.callsheet.toHTML()` in an iframe (so it prints with its own
+ * stylesheet) and offers HTML and plain-text downloads.
+ *
+ * Scenes, cast and crew are one per line with `|` between columns:
+ *   scenes  2 | INT. PROJECTION BOOTH | N | 3/8 | 1, 2
+ *   cast    1 | RAVI | R. Kumar | 06:30
+ *   crew    Camera | DOP | Priya Menon | 06:30
+ */
+(() => {
+    'use strict';
+
+    const { language } = window.CC;
+
+    const RENDER_DELAY_MS = 250;
+
+    const rows = (text) => String(text || '')
+        .split('\n')
+        .map((line) => line.split('|').map((cell) => cell.trim()))
+        .filter((cells) => cells.some(Boolean));
+
+    const DAY_NIGHT = { d: 'day', day: 'day', n: 'night', night: 'night' };
+
+    /** @param {HTMLFormElement} form */
+    const readForm = (form) => {
+        const value = (name) => {
+            const field = form.elements.namedItem(name);
+            return field ? field.value.trim() : '';
+        };
+        return {
+            production: value('production'),
+            date: value('date'),
+            day: Number(value('day')) || null,
+            totalDays: Number(value('totalDays')) || null,
+            crewCall: value('crewCall'),
+            shootingCall: value('shootingCall'),
+            location: {
+                name: value('locationName'),
+                address: value('locationAddress'),
+                lat: value('lat'),
+                lon: value('lon'),
+                timeZone: value('timeZone') || 'UTC'
+            },
+            hospital: {
+                name: value('hospitalName'),
+                address: value('hospitalAddress'),
+                phone: value('hospitalPhone')
+            },
+            scenes: rows(value('scenes')).map(([number, heading, dayNight, pages, cast]) => ({
+                number,
+                heading,
+                dayNight: DAY_NIGHT[String(dayNight || '').toLowerCase()] || dayNight || '',
+                pages,
+                cast: String(cast || '').split(/[,\s]+/).filter(Boolean)
+            })),
+            cast: rows(value('cast')).map(([id, character, actor, call]) => ({ id, character, actor, call })),
+            crew: rows(value('crew')).map(([department, role, name, call]) => ({ department, role, name, call })),
+            notes: value('notes')
+        };
+    };
+
+    const fileName = (sheet, extension) => {
+        const slug = String(sheet.production || 'call-sheet').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `${slug || 'call-sheet'}-${sheet.date || 'undated'}.${extension}`;
+    };
+
+    /** @param {ParentNode} root */
+    const mount = (root) => {
+        const form = root.querySelector('[data-callsheet]');
+        if (!form || form.dataset.mounted || !(window.CC && window.CC.callsheet)) return;
+        form.dataset.mounted = 'true';
+
+        const { callsheet, util } = window.CC;
+        const preview = root.querySelector('[data-callsheet-preview]');
+        const status = root.querySelector('[data-callsheet-status]');
+        let sheet = null;
+
+        // Default the time zone to the visitor's, and offer the full list.
+        const zone = form.elements.namedItem('timeZone');
+        if (zone && !zone.value) zone.value = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        const zones = root.querySelector('#callsheet-zones');
+        if (zones && !zones.children.length && typeof Intl.supportedValuesOf === 'function') {
+            Intl.supportedValuesOf('timeZone').forEach((name) => {
+                const option = document.createElement('option');
+                option.value = name;
+                zones.appendChild(option);
+            });
+        }
+        const date = form.elements.namedItem('date');
+        if (date && !date.value) {
+            const today = new Date();
+            date.value = [today.getFullYear(), today.getMonth() + 1, today.getDate()]
+                .map((part) => String(part).padStart(2, '0')).join('-');
+        }
+
+        const update = () => {
+            sheet = callsheet.build(readForm(form));
+            if (preview) preview.srcdoc = callsheet.toHTML(sheet);
+            if (status) {
+                status.textContent = sheet.sun
+                    ? language.t('tools.callSheet.sun', 'Sunrise {sunrise}, sunset {sunset} ({timeZone}).', {
+                        sunrise: sheet.sun.sunrise,
+                        sunset: sheet.sun.sunset,
+                        timeZone: sheet.location.timeZone
+                    })
+                    : language.t('tools.callSheet.noSun', 'Add latitude and longitude to calculate sunrise and sunset.');
+            }
+        };
+
+        let timer;
+        form.addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(update, RENDER_DELAY_MS);
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            update();
+        });
+
+        const actions = {
+            print: () => {
+                if (preview && preview.contentWindow) preview.contentWindow.print();
+            },
+            html: () => util.download(fileName(sheet, 'html'), callsheet.toHTML(sheet), 'text/html;charset=utf-8'),
+            text: () => util.download(fileName(sheet, 'txt'), callsheet.toText(sheet), 'text/plain;charset=utf-8'),
+            copy: () => {
+                if (!navigator.clipboard) return;
+                navigator.clipboard.writeText(callsheet.toText(sheet)).then(() => {
+                    if (status) status.textContent = language.t('tools.callSheet.copied', 'Plain-text call sheet copied — paste it into an email or message.');
+                }, () => {
+                    if (status) {
+                        status.textContent = language.t('tools.callSheet.copyFailed', 'Copy failed. Use “{button}” instead.', {
+                            button: language.t('tools.callSheet.downloadText', 'Download text')
+                        });
+                    }
+                });
+            }
+        };
+        root.querySelectorAll('[data-callsheet-action]').forEach((button) => {
+            if (button.dataset.callsheetAction === 'copy' && !navigator.clipboard) button.hidden = true;
+            button.addEventListener('click', () => {
+                clearTimeout(timer);
+                update();
+                actions[button.dataset.callsheetAction]();
+            });
+        });
+
+        update();
+        language.watch(form, update);
+    };
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => mount(document));
+    else mount(document);
+    document.addEventListener('cc:afterswap', (e) => mount(e.detail.root));
+})();
@@ -0,0 +1,237 @@
+/**
+ * callsheet.js — one-page call sheets as standalone HTML and plain text.
+ *
+ *   const sheet = CC.callsheet.build({
+ *       production: 'The Last Reel', date: '2026-11-02', day: 3, totalDays: 18,
+ *       crewCall: '07:00', shootingCall: '08:00',
+ *       location: { name, address, lat, lon, timeZone: 'Asia/Kolkata' },
+ *       hospital: { name, address, phone },
+ *       scenes: [{ number, heading, dayNight, pages, cast: ['1', '2'] }],
+ *       cast: [{ id, character, actor, call }],
+ *       crew: [{ department, role, name, call }],
+ *       notes: 'Closed set after lunch.'
+ *   });
+ *   CC.callsheet.toHTML(sheet)   // printable page with its own stylesheet
+ *   CC.callsheet.toText(sheet)   // for email / messaging
+ *
+ * Sunrise, sunset and civil twilight come from the location's coordinates
+ * (js/sun.js) and are shown in the location's time zone.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sun'), require('./util'));
+    } else {
+        root.CC = root.CC || {};
+        root.CC.callsheet = factory(root.CC.sun, root.CC.util);
+    }
+})(typeof self !== 'undefined' ? self : this, (sun, util) => {
+    'use strict';
+
+    const { escapeHTML } = util;
+
+    const clockIn = (date, timeZone) => {
+        if (!date) return '—';
+        try {
+            return new Intl.DateTimeFormat('en-GB', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone }).format(date);
+        } catch {
+            // Unknown time zone: fall back to UTC rather than guessing.
+            return `${new Intl.DateTimeFormat('en-GB', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: 'UTC' }).format(date)} UTC`;
+        }
+    };
+
+    const longDate = (iso) => new Date(`${iso}T00:00:00Z`)
+        .toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+    const hasCoordinates = (location) => location
+        && Number.isFinite(Number(location.lat)) && Number.isFinite(Number(location.lon))
+        && String(location.lat).trim() !== '' && String(location.lon).trim() !== '';
+
+    /**
+     * Fills in defaults and the sun times.
+     * @returns {object} the input plus `sun: { dawn, sunrise, sunset, dusk, polar } | null` as "HH:MM" strings
+     */
+    const build = (input) => {
+        const location = { name: '', address: '', timeZone: 'UTC', ...(input.location || {}) };
+        let sunTimes = null;
+        if (input.date && hasCoordinates(location)) {
+            const t = sun.times(input.date, Number(location.lat), Number(location.lon));
+            sunTimes = {
+                dawn: clockIn(t.dawn, location.timeZone),
+                sunrise: clockIn(t.sunrise, location.timeZone),
+                sunset: clockIn(t.sunset, location.timeZone),
+                dusk: clockIn(t.dusk, location.timeZone),
+                polar: t.polar
+            };
+        }
+        return {
+            production: '',
+            day: null,
+            totalDays: null,
+            crewCall: '',
+            shootingCall: '',
+            notes: '',
+            ...input,
+            location,
+            hospital: { name: '', address: '', phone: '', ...(input.hospital || {}) },
+            scenes: input.scenes || [],
+            cast: input.cast || [],
+            crew: input.crew || [],
+            sun: sunTimes
+        };
+    };
+
+    const dayLabel = (sheet) => {
+        if (!sheet.day) return '';
+        return sheet.totalDays ? `Day ${sheet.day} of ${sheet.totalDays}` : `Day ${sheet.day}`;
+    };
+
+    const sunLine = (s) => {
+        if (!s) return '';
+        if (s.polar === 'day') return 'Sun up all day';
+        if (s.polar === 'night') return 'Sun below the horizon all day';
+        return `Sunrise ${s.sunrise} · Sunset ${s.sunset} · Civil twilight ${s.dawn}–${s.dusk}`;
+    };
+
+    /** Crew grouped by department, in first-seen order. */
+    const departments = (crew) => {
+        const groups = new Map();
+        crew.forEach((member) => {
+            const key = member.department || 'Crew';
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(member);
+        });
+        return Array.from(groups, ([name, members]) => ({ name, members }));
+    };
+
+    const pagesTotal = (scenes) => scenes.map((scene) => scene.pages).filter(Boolean).join(' + ');
+
+    /* ============================
+       HTML
+       ============================ */
+
+    /** Paper styles shared by the preview and the downloaded file. */
+    const STYLES = `
+*, *::before, *::after { box-sizing: border-box; }
+body { margin: 0; background: #e9e7e1; color: #15171c; font: 10.5pt/1.35 "Helvetica Neue", Arial, sans-serif; }
+.call-sheet { max-width: 8.5in; margin: 0.25in auto; padding: 0.45in; background: #fff; box-shadow: 0 2px 12px rgba(0,0,0,.15); }
+.cs-header { display: grid; grid-template-columns: 1fr auto 1fr; gap: 12pt; align-items: start; padding-bottom: 8pt; border-bottom: 2pt solid #15171c; }
+.cs-header h1 { margin: 0; font-size: 16pt; text-transform: uppercase; letter-spacing: .04em; }
+.cs-callbox { padding: 6pt 14pt; border: 2pt solid #15171c; text-align: center; }
+.cs-callbox strong { display: block; font-size: 20pt; }
+.cs-right { text-align: right; }
+.cs-label { display: block; font-size: 7.5pt; font-weight: 700; letter-spacing: .08em; text-transform: uppercase; color: #5b5f69; }
+.cs-grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 10pt; padding: 8pt 0; border-bottom: 1pt solid #c8c6bf; }
+.cs-grid p { margin: 0; white-space: pre-line; }
+h2 { margin: 10pt 0 4pt; font-size: 9pt; letter-spacing: .1em; text-transform: uppercase; }
+table { width: 100%; border-collapse: collapse; font-size: 9.5pt; }
+th, td { padding: 3pt 5pt; border: 0.75pt solid #c8c6bf; text-align: left; vertical-align: top; }
+th { background: #f1efe9; font-size: 7.5pt; letter-spacing: .06em; text-transform: uppercase; }
+.cs-crew { columns: 3; column-gap: 12pt; font-size: 9pt; }
+.cs-dept { break-inside: avoid; margin-bottom: 6pt; }
+.cs-dept h3 { margin: 0 0 2pt; font-size: 8pt; text-transform: uppercase; }
+.cs-dept p { margin: 0; }
+.cs-notes { white-space: pre-line; }
+.cs-footer { margin-top: 10pt; font-size: 8pt; color: #5b5f69; }
+@page { size: auto; margin: 0.4in; }
+@media print {
+    body { background: #fff; }
+    .call-sheet { max-width: none; margin: 0; padding: 0; box-shadow: none; }
+}`;
+
+    const row = (cells, tag = 'td') => `<tr>${cells.map((cell) => `<${tag}>${escapeHTML(cell)}</${tag}>`).join('')}</tr>`;
+
+    /** @returns {string} the call sheet `<article>` */
+    const render = (sheet) => {
+        const sceneRows = sheet.scenes.map((scene) => row([
+            scene.number,
+            scene.heading,
+            scene.dayNight ? scene.dayNight.toUpperCase() : '',
+            scene.pages || '',
+            (scene.cast || []).join(', ')
+        ])).join('');
+        const castRows = sheet.cast.map((member) => row([member.id, member.character, member.actor, member.call])).join('');
+        const crew = departments(sheet.crew).map((dept) => `<div class="cs-dept"><h3>${escapeHTML(dept.name)}</h3>${dept.members
+            .map((m) => `<p>${escapeHTML([m.role, m.name].filter(Boolean).join(' — '))}${m.call ? ` · ${escapeHTML(m.call)}` : ''}</p>`)
+            .join('')}</div>`).join('');
+
+        return `<article class="call-sheet">
+<header class="cs-header">
+<div><span class="cs-label">Production</span><h1>${escapeHTML(sheet.production)}</h1><p>${escapeHTML(dayLabel(sheet))}</p></div>
+<div class="cs-callbox"><span class="cs-label">Crew call</span><strong>${escapeHTML(sheet.crewCall || '—')}</strong>${sheet.shootingCall ? `<span>Shooting call ${escapeHTML(sheet.shootingCall)}</span>` : ''}</div>
+<div class="cs-right"><span class="cs-label">Date</span><p>${escapeHTML(sheet.date ? longDate(sheet.date) : '')}</p><p>${escapeHTML(sunLine(sheet.sun))}</p></div>
+</header>
+<section class="cs-grid">
+<div><span class="cs-label">Location</span><p>${escapeHTML([sheet.location.name, sheet.location.address].filter(Boolean).join('\n'))}</p></div>
+<div><span class="cs-label">Nearest hospital</span><p>${escapeHTML([sheet.hospital.name, sheet.hospital.address, sheet.hospital.phone].filter(Boolean).join('\n'))}</p></div>
+<div><span class="cs-label">Times (${escapeHTML(sheet.location.timeZone)})</span><p>${escapeHTML(sheet.sun ? `Dawn ${sheet.sun.dawn}\nSunrise ${sheet.sun.sunrise}\nSunset ${sheet.sun.sunset}\nDusk ${sheet.sun.dusk}` : 'Add coordinates for sun times')}</p></div>
+</section>
+<h2>Scenes${sheet.scenes.length ? ` · ${escapeHTML(pagesTotal(sheet.scenes))} pages` : ''}</h2>
+<table><thead>${row(['Sc', 'Set / description', 'D/N', 'Pages', 'Cast'], 'th')}</thead><tbody>${sceneRows}</tbody></table>
+<h2>Cast</h2>
+<table><thead>${row(['#', 'Character', 'Artist', 'Call'], 'th')}</thead><tbody>${castRows}</tbody></table>
+<h2>Crew</h2>
+<div class="cs-crew">${crew}</div>
+${sheet.notes ? `<h2>Notes</h2><p class="cs-notes">${escapeHTML(sheet.notes)}</p>` : ''}
+<p class="cs-footer">No forced calls without approval from the production office. Safety first — report hazards to the 1st AD.</p>
+</article>`;
+    };
+
+    /** @returns {string} a complete HTML document that prints on one page */
+    const toHTML = (sheet) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(`Call sheet — ${sheet.production} — ${dayLabel(sheet) || sheet.date || ''}`)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${render(sheet)}
+</body>
+</html>
+`;
+
+    /* ============================
+       Plain text
+       ============================ */
+    const pad = (text, width) => String(text == null ? '' : text).padEnd(width);
+
+    /** @returns {string} an email-friendly version with fixed-width columns */
+    const toText = (sheet) => {
+        const lines = [];
+        const rule = '='.repeat(60);
+        lines.push(rule, `CALL SHEET — ${String(sheet.production).toUpperCase()}`);
+        if (dayLabel(sheet)) lines.push(dayLabel(sheet));
+        if (sheet.date) lines.push(longDate(sheet.date));
+        lines.push(rule, '');
+        lines.push(`Crew call:     ${sheet.crewCall || '—'}`);
+        if (sheet.shootingCall) lines.push(`Shooting call: ${sheet.shootingCall}`);
+        if (sheet.sun) lines.push(sunLine(sheet.sun) + ` (${sheet.location.timeZone})`);
+        lines.push('');
+        lines.push('LOCATION', ...[sheet.location.name, sheet.location.address].filter(Boolean), '');
+        lines.push('NEAREST HOSPITAL', ...[sheet.hospital.name, sheet.hospital.address, sheet.hospital.phone].filter(Boolean), '');
+
+        lines.push('SCENES');
+        sheet.scenes.forEach((scene) => {
+            lines.push(`  ${pad(scene.number, 5)}${pad(scene.heading, 38)}${pad((scene.dayNight || '').toUpperCase(), 7)}${pad(scene.pages, 6)}${(scene.cast || []).join(', ')}`);
+        });
+        lines.push('');
+
+        lines.push('CAST');
+        sheet.cast.forEach((member) => {
+            lines.push(`  ${pad(member.id, 4)}${pad(member.character, 18)}${pad(member.actor, 22)}${member.call || ''}`);
+        });
+        lines.push('');
+
+        lines.push('CREW');
+        departments(sheet.crew).forEach((dept) => {
+            lines.push(`  ${dept.name}`);
+            dept.members.forEach((m) => lines.push(`    ${[m.role, m.name].filter(Boolean).join(' — ')}${m.call ? ` · ${m.call}` : ''}`));
+        });
+
+        if (sheet.notes) lines.push('', 'NOTES', sheet.notes);
+        return `${lines.join('\n')}\n`;
+    };
+
+    return { build, render, toHTML, toText, STYLES };
+});
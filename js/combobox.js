@@ -0,0 +1,250 @@
+/**
+ * combobox.js — accessible autocomplete combobox (WAI-ARIA 1.2 "list" pattern).
+ *
+ *   CC.combobox.create(input, { options, codeInput })
+ *
+ * The text input keeps the human label; the selected option's canonical code is
+ * written to `codeInput` (usually a hidden input) so forms submit both.
+ *
+ * Keys: ↓/↑ open and move · Alt+↓ open · Alt+↑ / Esc close · PageDown/PageUp
+ * jump · Enter choose · Esc on a closed list clears the field.
+ */
+(() => {
+    'use strict';
+
+    const fuzzy = window.CC && window.CC.fuzzy;
+    let uid = 0;
+
+    /**
+     * @typedef {{ value: string, label: string, hint?: string, keywords?: string[] }} ComboOption
+     */
+
+    /**
+     * @param {HTMLInputElement} input
+     * @param {{ options: ComboOption[], codeInput?: HTMLInputElement | null, limit?: number, emptyText?: string }} config
+     */
+    const create = (input, config) => {
+        const options = config.options;
+        const codeInput = config.codeInput || null;
+        const limit = config.limit || 8;
+        const id = input.id || `cc-combobox-${++uid}`;
+        input.id = id;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'combobox';
+        input.parentNode.insertBefore(wrapper, input);
+        wrapper.appendChild(input);
+
+        const listbox = document.createElement('ul');
+        listbox.className = 'combobox-list';
+        listbox.id = `${id}-listbox`;
+        listbox.setAttribute('role', 'listbox');
+        const label = input.labels && input.labels[0];
+        if (label) {
+            label.id = label.id || `${id}-label`;
+            listbox.setAttribute('aria-labelledby', label.id);
+        }
+        listbox.hidden = true;
+        wrapper.appendChild(listbox);
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('aria-controls', listbox.id);
+        input.setAttribute('autocomplete', 'off');
+        input.setAttribute('spellcheck', 'false');
+
+        /** @type {ComboOption[]} */
+        let results = [];
+        let active = -1;
+        let choosing = false;
+
+        const keysOf = (option) => [option.label, option.value, option.hint, ...(option.keywords || [])];
+
+        const match = (query) => (fuzzy
+            ? fuzzy.search(query, options, { keys: keysOf, limit }).map((r) => r.item)
+            : options.filter((o) => o.label.toLowerCase().includes(query.trim().toLowerCase())).slice(0, limit));
+
+        /** Exact (case/diacritic-insensitive) match on label, code or keyword. */
+        const findExact = (text) => {
+            if (!fuzzy) return options.find((o) => o.label.toLowerCase() === text.trim().toLowerCase()) || null;
+            const top = fuzzy.search(text, options, { keys: keysOf, limit: 1 })[0];
+            return top && top.score >= 1000 ? top.item : null;
+        };
+
+        const setActive = (index) => {
+            const items = listbox.children;
+            if (active >= 0 && items[active]) items[active].setAttribute('aria-selected', 'false');
+            active = index;
+            if (active >= 0 && items[active]) {
+                items[active].setAttribute('aria-selected', 'true');
+                input.setAttribute('aria-activedescendant', items[active].id);
+                items[active].scrollIntoView({ block: 'nearest' });
+            } else {
+                input.removeAttribute('aria-activedescendant');
+            }
+        };
+
+        const close = () => {
+            listbox.hidden = true;
+            input.setAttribute('aria-expanded', 'false');
+            setActive(-1);
+        };
+
+        const render = () => {
+            listbox.textContent = '';
+            active = -1;
+            results.forEach((option, i) => {
+                const item = document.createElement('li');
+                item.id = `${id}-option-${i}`;
+                item.className = 'combobox-option';
+                item.setAttribute('role', 'option');
+                item.setAttribute('aria-selected', 'false');
+                item.dataset.index = String(i);
+
+                const text = document.createElement('span');
+                text.textContent = option.label;
+                item.appendChild(text);
+                if (option.hint && option.hint !== option.label) {
+                    const hint = document.createElement('span');
+                    hint.className = 'combobox-hint';
+                    hint.textContent = option.hint;
+                    item.appendChild(hint);
+                }
+                listbox.appendChild(item);
+            });
+
+            if (!results.length && config.emptyText) {
+                const empty = document.createElement('li');
+                empty.className = 'combobox-empty';
+                empty.setAttribute('aria-disabled', 'true');
+                empty.textContent = config.emptyText;
+                listbox.appendChild(empty);
+            }
+        };
+
+        const open = () => {
+            results = match(input.value);
+            render();
+            const hasItems = listbox.children.length > 0;
+            listbox.hidden = !hasItems;
+            input.setAttribute('aria-expanded', String(hasItems));
+        };
+
+        const setCode = (value) => {
+            if (codeInput) codeInput.value = value;
+        };
+
+        const choose = (option) => {
+            input.value = option.label;
+            setCode(option.value);
+            close();
+            // Let other listeners (e.g. validation) see the new value.
+            choosing = true;
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+            choosing = false;
+        };
+
+        const move = (delta) => {
+            if (listbox.hidden) open();
+            if (!results.length) return;
+            const next = active === -1
+                ? (delta > 0 ? 0 : results.length - 1)
+                : Math.max(0, Math.min(results.length - 1, active + delta));
+            setActive(next);
+        };
+
+        input.addEventListener('input', () => {
+            if (choosing) return;
+            const exact = findExact(input.value);
+            setCode(exact ? exact.value : '');
+            open();
+        });
+
+        input.addEventListener('keydown', (e) => {
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    if (e.altKey) open();
+                    else move(1);
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    if (e.altKey) close();
+                    else move(-1);
+                    break;
+                case 'PageDown':
+                    if (!listbox.hidden) { e.preventDefault(); move(5); }
+                    break;
+                case 'PageUp':
+                    if (!listbox.hidden) { e.preventDefault(); move(-5); }
+                    break;
+                case 'Enter':
+                    if (!listbox.hidden && active >= 0) {
+                        e.preventDefault();
+                        choose(results[active]);
+                    }
+                    break;
+                case 'Escape':
+                    if (!listbox.hidden) {
+                        e.preventDefault();
+                        close();
+                    } else if (input.value) {
+                        e.preventDefault();
+                        input.value = '';
+                        input.dispatchEvent(new Event('input', { bubbles: true }));
+                        close();
+                    }
+                    break;
+                case 'Tab':
+                    close();
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        // mousedown (not click) so the input keeps focus while choosing.
+        listbox.addEventListener('mousedown', (e) => {
+            const item = e.target instanceof Element ? e.target.closest('[role="option"]') : null;
+            e.preventDefault();
+            if (item) choose(results[Number(item.dataset.index)]);
+        });
+
+        listbox.addEventListener('mousemove', (e) => {
+            const item = e.target instanceof Element ? e.target.closest('[role="option"]') : null;
+            if (item && Number(item.dataset.index) !== active) setActive(Number(item.dataset.index));
+        });
+
+        input.addEventListener('blur', () => {
+            close();
+            // Canonicalise typed values such as "india " or "IN" to the option label.
+            const exact = findExact(input.value);
+            if (exact) {
+                if (input.value !== exact.label) input.value = exact.label;
+                setCode(exact.value);
+            } else {
+                setCode('');
+            }
+        });
+
+        input.form && input.form.addEventListener('reset', () => {
+            setCode('');
+            close();
+        });
+
+        return {
+            open,
+            close,
+            /** Sets the field from a canonical code. */
+            select(value) {
+                const option = options.find((o) => o.value === value);
+                if (option) choose(option);
+            }
+        };
+    };
+
+    window.CC = window.CC || {};
+    window.CC.combobox = { create };
+})();
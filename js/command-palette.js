@@ -0,0 +1,484 @@
+/**
+ * command-palette.js — Ctrl/Cmd+K search across the site, and single-key
+ * shortcuts between pages.
+ *
+ *   Ctrl+K / ⌘K   open the palette (also the header “Search” button)
+ *   ↑ ↓ Enter     move through the results and open one; Esc closes
+ *   H P C T R E   Home, Platform, Crafts, Tools, Roadmap, Early Access
+ *   /             open the palette
+ *   ?             list the shortcuts
+ *
+ * Single keys can be turned off in the settings panel (js/preferences.js),
+ * and are ignored while typing or when focus is on a widget with keys of its
+ * own (stripboard strips, shot rows, listboxes).
+ *
+ * Results come from search-index.json (pages, sections, tools and crafts,
+ * written by scripts/build.js) ranked with CC.fuzzy; the last few picks are
+ * kept in localStorage and shown first. Without the index (opened from disk)
+ * the palette still offers the pages in the nav and this page's sections.
+ *
+ * The input is an ARIA combobox driving a listbox; focus stays in the input
+ * and `aria-activedescendant` follows the highlighted option.
+ */
+(() => {
+    'use strict';
+
+    const { language } = window.CC;
+
+    const STORAGE_KEY = 'cc:recent';
+    const INDEX_URL = 'search-index.json';
+    const MAX_RECENT = 6;
+    const MAX_RESULTS = 40;
+
+    /** Single-key shortcuts; `href` matches the nav link it stands for, `label()` is its text. */
+    const SHORTCUTS = [
+        { key: 'h', href: 'index.html', label: () => language.t('nav.home', 'Home') },
+        { key: 'p', href: 'platform.html', label: () => language.t('nav.platform', 'Platform') },
+        { key: 'c', href: 'crafts.html', label: () => language.t('nav.crafts', '24 Crafts') },
+        { key: 't', href: 'tools.html', label: () => language.t('nav.tools', 'Tools') },
+        { key: 'r', href: 'roadmap.html', label: () => language.t('nav.roadmap', 'Roadmap') },
+        { key: 'e', href: 'early-access.html', label: () => language.t('nav.earlyAccess', 'Early Access') }
+    ];
+
+    const TYPE_LABELS = {
+        page: () => language.t('palette.page', 'Page'),
+        section: () => language.t('palette.section', 'Section'),
+        tool: () => language.t('palette.tool', 'Tool'),
+        craft: () => language.t('palette.craft', 'Craft')
+    };
+
+    const isMac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+    const readStored = () => window.CC.util.readStored(STORAGE_KEY, { accept: Array.isArray, fallback: [] })
+        .filter((entry) => entry && entry.url && entry.title);
+
+    let recent = readStored();
+
+    const remember = (entry) => {
+        const { type, title, url, context } = entry;
+        recent = [{ type, title, url, context }, ...recent.filter((item) => item.url !== url)].slice(0, MAX_RECENT);
+        window.CC.util.writeStored(STORAGE_KEY, recent);
+    };
+
+    /* ============================
+       Index
+       ============================ */
+    let index = null;
+
+    /** The nav and the sections of the page on screen, for when search-index.json can't be loaded. */
+    const pageIndex = () => {
+        const pages = Array.from(document.querySelectorAll('#site-nav a.nav-link'), (link) => ({
+            type: 'page',
+            title: link.textContent.trim(),
+            url: link.getAttribute('href'),
+            context: '24Craft Cinema',
+            keywords: []
+        }));
+        const here = document.querySelector('#site-nav a.nav-link.is-active');
+        const page = here ? here.getAttribute('href') : '';
+        const sections = Array.from(document.querySelectorAll('#main section[id][aria-label]'), (section) => ({
+            type: 'section',
+            title: section.getAttribute('aria-label'),
+            url: `${page}#${section.id}`,
+            context: here ? here.textContent.trim() : '',
+            keywords: []
+        }));
+        return pages.concat(sections);
+    };
+
+    const loadIndex = () => {
+        if (!index) {
+            index = Promise.resolve()
+                .then(() => fetch(INDEX_URL, { headers: { Accept: 'application/json' } }))
+                .then((response) => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .catch(() => {
+                    // Try again next time the palette opens.
+                    index = null;
+                    return pageIndex();
+                });
+        }
+        return index;
+    };
+
+    /**
+     * @param {string} query
+     * @param {object[]} entries
+     * @returns {Array<{ heading?: string, entry?: object }>}  rows for the listbox
+     */
+    const results = (query, entries) => {
+        if (!query.trim()) {
+            const rows = [];
+            if (recent.length) {
+                rows.push({ heading: language.t('palette.recent', 'Recent') });
+                recent.forEach((entry) => rows.push({ entry }));
+            }
+            rows.push({ heading: language.t('palette.pages', 'Pages') });
+            entries.filter((entry) => entry.type === 'page').forEach((entry) => rows.push({ entry }));
+            return rows;
+        }
+        const recentUrls = new Set(recent.map((entry) => entry.url));
+        return window.CC.fuzzy.search(query, entries, {
+            keys: (entry) => [entry.title, entry.context, ...(entry.keywords || [])]
+        })
+            // Something picked before edges out an equally good match.
+            .map(({ item, score }, order) => ({ item, score: score + (recentUrls.has(item.url) ? 25 : 0), order }))
+            .sort((a, b) => b.score - a.score || a.order - b.order)
+            .slice(0, MAX_RESULTS)
+            .map(({ item }) => ({ entry: item }));
+    };
+
+    /* ============================
+       Navigation
+       ============================ */
+    const go = (href) => {
+        const url = new URL(href, window.location.href);
+        const here = new URL(window.location.href);
+        if (url.pathname === here.pathname && url.search === here.search) {
+            if (url.hash && url.hash !== here.hash) {
+                window.location.hash = url.hash;
+            } else {
+                const target = url.hash && document.getElementById(decodeURIComponent(url.hash.slice(1)));
+                if (target) target.scrollIntoView();
+                else window.scrollTo(0, 0);
+            }
+            return;
+        }
+        if (window.CC.router) window.CC.router.navigate(url.href);
+        else window.location.href = url.href;
+    };
+
+    /* ============================
+       Palette
+       ============================ */
+    let palette = null;
+    let input = null;
+    let listbox = null;
+    let status = null;
+    let rows = [];
+    let active = -1;
+    let searchToken = 0;
+
+    const options = () => Array.from(listbox.querySelectorAll('[role="option"]'));
+
+    const setActive = (i) => {
+        const all = options();
+        if (!all.length) {
+            active = -1;
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        active = (i + all.length) % all.length;
+        all.forEach((option, n) => option.setAttribute('aria-selected', String(n === active)));
+        input.setAttribute('aria-activedescendant', all[active].id);
+        all[active].scrollIntoView({ block: 'nearest' });
+    };
+
+    const renderRows = () => {
+        listbox.replaceChildren();
+        let n = 0;
+        rows.forEach((row) => {
+            if (row.heading) {
+                const heading = document.createElement('li');
+                heading.className = 'palette__heading';
+                heading.setAttribute('role', 'presentation');
+                heading.textContent = row.heading;
+                listbox.appendChild(heading);
+                return;
+            }
+            const { entry } = row;
+            const option = document.createElement('li');
+            option.id = `cc-palette-option-${n}`;
+            option.className = 'palette__option';
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+            option.dataset.index = String(n);
+
+            const title = document.createElement('span');
+            title.className = 'palette__title';
+            title.textContent = entry.title;
+            const meta = document.createElement('span');
+            meta.className = 'palette__meta';
+            meta.textContent = [TYPE_LABELS[entry.type] ? TYPE_LABELS[entry.type]() : entry.type, entry.context].filter(Boolean).join(' · ');
+            option.append(title, meta);
+            listbox.appendChild(option);
+            n++;
+        });
+        const count = options().length;
+        input.setAttribute('aria-expanded', String(count > 0));
+        status.textContent = language.t('palette.results', '{count, plural, =0 {No results} one {# result} other {# results}}', { count });
+        setActive(0);
+    };
+
+    const update = () => {
+        const token = ++searchToken;
+        loadIndex().then((entries) => {
+            // A slower lookup for an older query mustn't overwrite a newer one.
+            if (token !== searchToken) return;
+            rows = results(input.value, entries);
+            renderRows();
+        });
+    };
+
+    const close = () => {
+        if (palette && palette.open) palette.close();
+    };
+
+    const choose = (i) => {
+        const row = rows.filter((r) => r.entry)[i];
+        if (!row) return;
+        remember(row.entry);
+        close();
+        go(row.entry.url);
+    };
+
+    const buildPalette = () => {
+        const dialog = document.createElement('dialog');
+        dialog.id = 'cc-palette';
+        dialog.className = 'palette';
+        dialog.setAttribute('aria-label', language.t('palette.label', 'Search the site'));
+
+        const field = document.createElement('div');
+        field.className = 'palette__field';
+        input = document.createElement('input');
+        input.type = 'search';
+        input.className = 'palette__input';
+        input.placeholder = language.t('palette.placeholder', 'Search pages, tools and crafts…');
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-label', language.t('palette.label', 'Search the site'));
+        input.setAttribute('aria-controls', 'cc-palette-results');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        const hint = document.createElement('kbd');
+        hint.className = 'palette__kbd';
+        hint.textContent = 'Esc';
+        field.append(input, hint);
+
+        listbox = document.createElement('ul');
+        listbox.id = 'cc-palette-results';
+        listbox.className = 'palette__results';
+        listbox.setAttribute('role', 'listbox');
+        listbox.setAttribute('aria-label', language.t('palette.resultsLabel', 'Results'));
+
+        status = document.createElement('p');
+        status.className = 'sr-only';
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+
+        const footer = document.createElement('p');
+        footer.className = 'palette__footer';
+        footer.textContent = language.t('palette.footer', '↑↓ to move · Enter to open · ? for shortcuts');
+
+        dialog.append(field, listbox, status, footer);
+        document.body.appendChild(dialog);
+
+        input.addEventListener('input', update);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                setActive(active + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                if (active !== -1) choose(active);
+            }
+        });
+        listbox.addEventListener('mousemove', (e) => {
+            const option = e.target instanceof Element ? e.target.closest('[role="option"]') : null;
+            if (option && Number(option.dataset.index) !== active) setActive(Number(option.dataset.index));
+        });
+        listbox.addEventListener('click', (e) => {
+            const option = e.target instanceof Element ? e.target.closest('[role="option"]') : null;
+            if (option) choose(Number(option.dataset.index));
+        });
+        // Clicking the backdrop closes the dialog.
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) close();
+        });
+        dialog.addEventListener('close', () => {
+            searchToken++;
+            const button = document.querySelector('.nav-search');
+            if (button) button.setAttribute('aria-expanded', 'false');
+        });
+        return dialog;
+    };
+
+    const showDialog = (dialog) => {
+        if (typeof dialog.showModal === 'function') {
+            if (!dialog.open) dialog.showModal();
+        } else {
+            dialog.setAttribute('open', '');
+        }
+    };
+
+    const open = () => {
+        if (!palette) palette = buildPalette();
+        if (help && help.open) help.close();
+        input.value = '';
+        showDialog(palette);
+        input.focus();
+        const button = document.querySelector('.nav-search');
+        if (button) button.setAttribute('aria-expanded', 'true');
+        update();
+    };
+
+    /* ============================
+       Shortcut help
+       ============================ */
+    let help = null;
+
+    const buildHelp = () => {
+        const dialog = document.createElement('dialog');
+        dialog.id = 'cc-shortcuts';
+        dialog.className = 'palette palette--help';
+        dialog.setAttribute('aria-labelledby', 'cc-shortcuts-title');
+
+        const form = document.createElement('form');
+        form.method = 'dialog';
+        form.className = 'shortcuts';
+
+        const title = document.createElement('h2');
+        title.id = 'cc-shortcuts-title';
+        title.className = 'prefs-title';
+        title.textContent = language.t('palette.shortcuts', 'Keyboard shortcuts');
+
+        const list = document.createElement('dl');
+        list.className = 'shortcuts__list';
+        const add = (keys, text) => {
+            const term = document.createElement('dt');
+            keys.forEach((key, i) => {
+                if (i) term.append(' ');
+                const kbd = document.createElement('kbd');
+                kbd.textContent = key;
+                term.appendChild(kbd);
+            });
+            const description = document.createElement('dd');
+            description.textContent = text;
+            list.append(term, description);
+        };
+        add([isMac ? '⌘' : 'Ctrl', 'K'], language.t('palette.searchAll', 'Search pages, sections, tools and crafts'));
+        add(['/'], language.t('nav.search', 'Search'));
+        SHORTCUTS.forEach(({ key, label }) => add([key.toUpperCase()], language.t('palette.goTo', 'Go to {page}', { page: label() })));
+        add(['?'], language.t('palette.showShortcuts', 'Show these shortcuts'));
+        add(['Esc'], language.t('palette.closeDialog', 'Close a dialog'));
+
+        const note = document.createElement('p');
+        note.className = 'prefs-intro';
+        note.textContent = language.t('palette.note', 'Single keys work when you are not typing in a field or moving a strip or shot. Turn them off in {settings}.', {
+            settings: language.t('nav.settings', 'Settings')
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'prefs-actions';
+        const done = document.createElement('button');
+        done.type = 'submit';
+        done.className = 'button';
+        done.textContent = language.t('prefs.done', 'Done');
+        actions.appendChild(done);
+
+        form.append(title, list, note, actions);
+        dialog.appendChild(form);
+        document.body.appendChild(dialog);
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) dialog.close();
+        });
+        return dialog;
+    };
+
+    const openHelp = () => {
+        if (!help) help = buildHelp();
+        close();
+        showDialog(help);
+    };
+
+    /* ============================
+       Keys
+       ============================ */
+    const isTyping = (el) => el instanceof Element
+        && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName));
+
+    const WIDGETS = '[draggable="true"], [tabindex]:not([tabindex="-1"]), [role="listbox"], [role="grid"], [role="tablist"], [role="menu"], [role="slider"]';
+    const inWidget = (el) => el instanceof Element && el.closest(WIDGETS) !== null;
+
+    const singleKeysOn = () => !(window.CC && window.CC.preferences) || window.CC.preferences.get().shortcuts;
+
+    document.addEventListener('keydown', (e) => {
+        if (e.defaultPrevented || e.isComposing) return;
+
+        if ((e.key === 'k' || e.key === 'K') && (isMac ? e.metaKey : e.ctrlKey) && !e.altKey && !e.shiftKey) {
+            e.preventDefault();
+            if (palette && palette.open) close();
+            else open();
+            return;
+        }
+
+        if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target) || inWidget(e.target)) return;
+        if (!singleKeysOn()) return;
+        // Another dialog (settings, shortcuts) is in charge of the keyboard.
+        if (document.querySelector('dialog[open]')) return;
+
+        if (e.key === '?') {
+            e.preventDefault();
+            openHelp();
+        } else if (e.key === '/') {
+            e.preventDefault();
+            open();
+        } else {
+            const shortcut = SHORTCUTS.find(({ key }) => key === e.key.toLowerCase() && !e.shiftKey);
+            if (shortcut) {
+                e.preventDefault();
+                go(shortcut.href);
+            }
+        }
+    });
+
+    const mountButton = () => {
+        const nav = document.getElementById('site-nav');
+        if (!nav || nav.querySelector('.nav-search')) return;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'nav-link nav-search';
+        button.setAttribute('aria-haspopup', 'dialog');
+        button.setAttribute('aria-expanded', 'false');
+        button.setAttribute('aria-controls', 'cc-palette');
+        button.setAttribute('aria-keyshortcuts', isMac ? 'Meta+K' : 'Control+K');
+        const label = document.createElement('span');
+        label.dataset.i18n = 'nav.search';
+        label.textContent = 'Search';
+        const kbd = document.createElement('kbd');
+        kbd.className = 'nav-search__kbd';
+        kbd.setAttribute('aria-hidden', 'true');
+        kbd.textContent = isMac ? '⌘K' : 'Ctrl K';
+        button.append(label, kbd);
+        button.addEventListener('click', open);
+        // Before the settings and language controls, after the page links.
+        const after = nav.querySelector('.nav-settings, .lang-switch');
+        nav.insertBefore(button, after);
+    };
+
+    // Closed dialogs are rebuilt in the new language the next time they open.
+    document.addEventListener('cc:language', () => {
+        if (palette && !palette.open) {
+            palette.remove();
+            palette = null;
+        }
+        if (help && !help.open) {
+            help.remove();
+            help = null;
+        }
+    });
+
+    // Another tab picked something.
+    window.addEventListener('storage', (e) => {
+        if (e.key === STORAGE_KEY) recent = readStored();
+    });
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', mountButton);
+    else mountButton();
+
+    window.CC = window.CC || {};
+    window.CC.palette = { open, close, help: openHelp, SHORTCUTS };
+})();
@@ -0,0 +1,393 @@
+/**
+ * crafts-explorer.js — the crafts.html explorer: each craft with the tools
+ * that serve it and the roadmap phases that deliver them.
+ *
+ * Crafts come from js/crafts.js; tools and roadmap phases from
+ * data/tools.json. The open craft and the group filter live in the hash, so
+ * any view can be linked:
+ *
+ *   crafts.html#craft=color-grading
+ *   crafts.html#group=post-production
+ *
+ * The pure helpers load as a CommonJS module in Node; in the browser the
+ * explorer mounts itself on `[data-crafts-explorer]`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./crafts'));
+    } else {
+        root.CC = root.CC || {};
+        root.CC.craftsExplorer = factory(root.CC.crafts || []);
+    }
+})(typeof self !== 'undefined' ? self : this, (crafts) => {
+    'use strict';
+
+    /** 'Story & Direction' → 'story-direction' */
+    const slug = (text) => String(text)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+
+    /**
+     * @typedef {{ phase: number, name: string }} RoadmapPhase
+     * @typedef {{ code: string, name: string, group: string, description: string }} Craft
+     * @typedef {Craft & { groupCode: string, tools: object[], phases: Array<RoadmapPhase & { tools: object[] }>, phase: RoadmapPhase|null }} CraftEntry
+     * @typedef {{ code: string, name: string, crafts: CraftEntry[] }} CraftGroup
+     */
+
+    /**
+     * Joins the crafts with the catalog. A craft's `phases` are the roadmap
+     * phases its tools ship in, earliest first, each with those tools;
+     * `phase` is the earliest, or null for a craft no tool serves yet.
+     * @param {{ tools: object[], roadmap?: RoadmapPhase[] }} catalog  data/tools.json
+     * @param {Craft[]} [list]
+     * @returns {{ groups: CraftGroup[], crafts: Map<string, CraftEntry> }}
+     */
+    const model = (catalog, list = crafts) => {
+        const roadmap = new Map((catalog.roadmap || []).map((phase) => [phase.phase, phase]));
+        const groups = new Map();
+        const entries = new Map();
+
+        list.forEach((craft) => {
+            const groupCode = slug(craft.group);
+            if (!groups.has(groupCode)) groups.set(groupCode, { code: groupCode, name: craft.group, crafts: [] });
+
+            const tools = catalog.tools.filter((tool) => (tool.crafts || []).includes(craft.code));
+            const byPhase = new Map();
+            tools.forEach((tool) => {
+                if (!roadmap.has(tool.roadmap)) return;
+                if (!byPhase.has(tool.roadmap)) byPhase.set(tool.roadmap, { ...roadmap.get(tool.roadmap), tools: [] });
+                byPhase.get(tool.roadmap).tools.push(tool);
+            });
+            const phases = Array.from(byPhase.values()).sort((a, b) => a.phase - b.phase);
+
+            const entry = {
+                ...craft,
+                groupCode,
+                tools,
+                phases,
+                phase: phases.length ? roadmap.get(phases[0].phase) : null
+            };
+            groups.get(groupCode).crafts.push(entry);
+            entries.set(craft.code, entry);
+        });
+
+        return { groups: Array.from(groups.values()), crafts: entries };
+    };
+
+    /**
+     * @param {string} hash  e.g. `location.hash`
+     * @returns {{ craft: string|null, group: string|null }}
+     */
+    const parseHash = (hash) => {
+        const text = String(hash || '').replace(/^#/, '');
+        // A plain `#id` (the skip link, say) isn't explorer state.
+        if (!text.includes('=')) return { craft: null, group: null };
+        const params = new URLSearchParams(text);
+        return { craft: params.get('craft') || null, group: params.get('group') || null };
+    };
+
+    /** @returns {string}  `#…`, or '' for the unfiltered view with nothing open */
+    const toHash = (state) => {
+        const params = new URLSearchParams();
+        if (state.group) params.set('group', state.group);
+        if (state.craft) params.set('craft', state.craft);
+        const hash = params.toString();
+        return hash ? `#${hash}` : '';
+    };
+
+    /* ============================
+       Browser UI
+       ============================ */
+    const DATA_URL = 'data/tools.json';
+
+    const element = (tag, className, text) => {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text !== undefined) el.textContent = text;
+        return el;
+    };
+
+    const toolCount = (count) => window.CC.language.t('crafts.explorer.tools', '{count, plural, one {# tool} other {# tools}}', { count });
+
+    /** Appends `message` to `el` with `parts[name]` where it says `{name}`. */
+    const appendMessage = (el, message, parts) => {
+        el.append(...message.split(/\{(\w+)\}/).map((chunk, i) => (i % 2 ? parts[chunk] || `{${chunk}}` : chunk)));
+    };
+
+    /**
+     * The craft, its group and its roadmap phases in the page language.
+     * @param {CraftEntry} craft
+     */
+    const localize = (craft) => ({
+        ...craft,
+        name: window.CC.language.t(`craft.${craft.code}.name`, craft.name),
+        group: window.CC.language.t(`craft.group.${craft.groupCode}`, craft.group),
+        description: window.CC.language.t(`craft.${craft.code}.description`, craft.description),
+        phase: craft.phase && { ...craft.phase, name: window.CC.language.t(`roadmap.phase${craft.phase.phase}`, craft.phase.name) }
+    });
+
+    /** @param {{ counts: boolean }} options  counts are left out when the catalog didn't load */
+    const renderGroup = (group, { counts }) => {
+        const block = element('div', 'craft-group');
+        block.dataset.group = group.code;
+        block.appendChild(element('h3', '', window.CC.language.t(`craft.group.${group.code}`, group.name)));
+
+        const list = element('ul', 'pill-list');
+        group.crafts.forEach((craft) => {
+            const item = document.createElement('li');
+            const button = element('button', 'craft-pill');
+            button.type = 'button';
+            button.dataset.craft = craft.code;
+            button.setAttribute('aria-expanded', 'false');
+            button.setAttribute('aria-controls', 'craft-detail');
+            button.append(window.CC.language.t(`craft.${craft.code}.name`, craft.name));
+            if (counts) {
+                const count = element('span', 'craft-pill__count', String(craft.tools.length));
+                count.setAttribute('aria-label', toolCount(craft.tools.length));
+                button.append(' ', count);
+            }
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+        block.appendChild(list);
+        return block;
+    };
+
+    const renderDetail = (panel, entry, catalog) => {
+        const craft = localize(entry);
+        const phaseNames = new Map((catalog.phases || []).map((phase) => [phase.code, window.CC.language.t(`tool.phase.${phase.code}`, phase.name)]));
+
+        const head = element('div', 'craft-detail__head');
+        const titles = document.createElement('div');
+        titles.append(element('p', 'eyebrow', craft.group), element('h3', 'craft-detail__title', craft.name));
+        const close = element('button', 'craft-detail__close', '×');
+        close.type = 'button';
+        close.dataset.craftClose = '';
+        close.setAttribute('aria-label', window.CC.language.t('crafts.explorer.close', 'Close {craft}', { craft: craft.name }));
+        head.append(titles, close);
+
+        const body = [element('p', 'craft-detail__description', craft.description)];
+
+        if (craft.phase) {
+            const delivered = element('p', 'craft-detail__phase');
+            const link = element('a', '', window.CC.language.t('roadmap.timeline.phase', 'Phase {number} — {name}', { number: craft.phase.phase, name: craft.phase.name }));
+            link.href = `roadmap.html#phase-${craft.phase.phase}`;
+            appendMessage(delivered, window.CC.language.t('crafts.explorer.firstTools', 'First tools arrive in {phase}.', { phase: '{phase}' }), { phase: link });
+            body.push(delivered);
+        }
+
+        if (craft.tools.length) {
+            craft.phases.forEach((phase) => {
+                const section = element('div', 'craft-detail__tools');
+                section.appendChild(element('h4', '', window.CC.language.t('roadmap.phase', 'Phase {number}', { number: phase.phase })));
+                const list = element('ul', '');
+                phase.tools.forEach((tool) => {
+                    const item = document.createElement('li');
+                    const link = element('a', '', tool.name);
+                    link.href = tool.demo ? `tools.html#${tool.demo}` : `tools.html#tool-${tool.id}`;
+                    item.append(link, ' ', element('span', 'craft-detail__stage', phaseNames.get(tool.phase) || tool.phase));
+                    if (tool.demo) item.append(' ', element('span', 'craft-detail__demo', window.CC.language.t('crafts.explorer.liveDemo', 'Live demo')));
+                    list.appendChild(item);
+                });
+                section.appendChild(list);
+                body.push(section);
+            });
+            const all = element('a', 'button button-secondary', window.CC.language.t('crafts.explorer.allTools',
+                'All {count, plural, one {# tool} other {# tools}} for {craft} →', { count: craft.tools.length, craft: craft.name }));
+            all.href = `tools.html?craft=${encodeURIComponent(craft.code)}`;
+            body.push(all);
+        } else {
+            const none = element('p', 'small');
+            const join = element('a', '', window.CC.language.t('crafts.explorer.earlyAccess', 'early access'));
+            join.href = 'early-access.html';
+            appendMessage(none, window.CC.language.t('crafts.explorer.noTools', 'No tools for {craft} yet. Tell us what you need through {link}.', {
+                craft: craft.name,
+                link: '{link}'
+            }), { link: join });
+            body.push(none);
+        }
+
+        panel.replaceChildren(head, ...body);
+    };
+
+    /** @param {ParentNode} scope  the page, or the `#main` swapped in by the router */
+    const mount = (scope) => {
+        const explorer = scope.querySelector('[data-crafts-explorer]');
+        if (!explorer || explorer.dataset.mounted) return;
+        explorer.dataset.mounted = 'true';
+
+        const filters = explorer.querySelector('[data-craft-filter]');
+        const list = explorer.querySelector('[data-craft-list]');
+        const panel = explorer.querySelector('[data-craft-detail]');
+        const status = explorer.querySelector('[data-craft-status]');
+
+        let catalog = null;
+        let failed = false;
+        let data = null;
+        let state = parseHash(window.location.hash);
+
+        const failedText = () => window.CC.language.t('crafts.explorer.failed', 'The tools for each craft could not be loaded. Please refresh the page to try again.');
+
+        const writeUrl = () => {
+            const url = new URL(window.location.href);
+            url.hash = toHash(state);
+            // Keep the router's saved scroll position in history.state.
+            if (url.href !== window.location.href) history.replaceState(history.state, '', url.href);
+        };
+
+        const update = ({ focus = false } = {}) => {
+            if (!data.crafts.has(state.craft)) state.craft = null;
+            if (!data.groups.some((group) => group.code === state.group)) state.group = null;
+
+            filters.querySelectorAll('.chip').forEach((chip) => {
+                chip.setAttribute('aria-pressed', String((chip.dataset.value || null) === state.group));
+            });
+            list.querySelectorAll('.craft-group').forEach((block) => {
+                block.hidden = Boolean(state.group) && block.dataset.group !== state.group;
+            });
+            list.querySelectorAll('.craft-pill').forEach((pill) => {
+                const open = pill.dataset.craft === state.craft;
+                pill.setAttribute('aria-expanded', String(open));
+                pill.classList.toggle('is-active', open);
+            });
+
+            const craft = state.craft ? data.crafts.get(state.craft) : null;
+            panel.hidden = !craft;
+            if (craft) {
+                renderDetail(panel, craft, catalog);
+                if (focus) panel.focus({ preventScroll: true });
+            } else {
+                panel.replaceChildren();
+            }
+
+            const shown = state.group
+                ? data.groups.find((group) => group.code === state.group).crafts.length
+                : data.crafts.size;
+            if (status) {
+                status.textContent = craft
+                    ? window.CC.language.t('crafts.explorer.craftTools', '{craft}: {count, plural, one {# tool} other {# tools}}', {
+                        craft: window.CC.language.t(`craft.${craft.code}.name`, craft.name),
+                        count: craft.tools.length
+                    })
+                    : window.CC.language.t('crafts.explorer.showing', 'Showing {count, plural, one {# craft} other {# crafts}}', { count: shown });
+            }
+        };
+
+        const setState = (next, options) => {
+            state = next;
+            writeUrl();
+            update(options);
+        };
+
+        const render = ({ counts = true } = {}) => {
+            data = model(catalog);
+            list.replaceChildren(...data.groups.map((group) => renderGroup(group, { counts })));
+
+            filters.querySelectorAll('.chip').forEach((chip) => chip.remove());
+            [{ code: '', name: window.CC.language.t('crafts.explorer.all', 'All crafts'), count: data.crafts.size }]
+                .concat(data.groups.map((group) => ({ code: group.code, name: window.CC.language.t(`craft.group.${group.code}`, group.name), count: group.crafts.length })))
+                .forEach(({ code, name, count }) => {
+                    const chip = element('button', 'chip');
+                    chip.type = 'button';
+                    chip.dataset.value = code;
+                    chip.setAttribute('aria-pressed', 'false');
+                    chip.append(name, ' ', element('span', 'chip-count', String(count)));
+                    filters.appendChild(chip);
+                });
+        };
+
+        filters.addEventListener('click', (e) => {
+            const chip = e.target instanceof Element ? e.target.closest('.chip') : null;
+            if (!chip) return;
+            const group = chip.dataset.value || null;
+            // Filtering to another group closes a craft that it hides.
+            const craft = state.craft && group && data.crafts.get(state.craft).groupCode !== group ? null : state.craft;
+            setState({ group, craft });
+        });
+
+        list.addEventListener('click', (e) => {
+            const pill = e.target instanceof Element ? e.target.closest('.craft-pill') : null;
+            if (!pill) return;
+            const craft = pill.dataset.craft === state.craft ? null : pill.dataset.craft;
+            setState({ ...state, craft }, { focus: Boolean(craft) });
+            if (craft && panel.getBoundingClientRect().top > window.innerHeight) panel.scrollIntoView({ block: 'nearest' });
+        });
+
+        const closeDetail = () => {
+            const craft = state.craft;
+            setState({ ...state, craft: null });
+            const pill = list.querySelector(`.craft-pill[data-craft="${craft}"]`);
+            if (pill) pill.focus();
+        };
+
+        panel.addEventListener('click', (e) => {
+            if (e.target instanceof Element && e.target.closest('[data-craft-close]')) closeDetail();
+        });
+        explorer.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && state.craft) closeDetail();
+        });
+
+        // Back/forward and links to another craft on this page.
+        const onHashChange = () => {
+            if (!explorer.isConnected) {
+                window.removeEventListener('hashchange', onHashChange);
+                return;
+            }
+            // Jumping to a plain `#id` leaves the explorer as it is.
+            if (window.location.hash.length > 1 && !window.location.hash.includes('=')) return;
+            const next = parseHash(window.location.hash);
+            if (data && (next.craft !== state.craft || next.group !== state.group)) {
+                state = next;
+                update();
+            }
+        };
+        window.addEventListener('hashchange', onHashChange);
+
+        // Pills, chips and the open craft are rebuilt in the new language.
+        window.CC.language.watch(explorer, () => {
+            if (!catalog) return;
+            render({ counts: !failed });
+            update();
+            if (failed && status) status.textContent = failedText();
+            if (window.CC && window.CC.effects) window.CC.effects.refresh(['tilt']);
+        });
+
+        if (status) status.textContent = window.CC.language.t('crafts.explorer.loading', 'Loading crafts…');
+        fetch(DATA_URL, { headers: { Accept: 'application/json' } })
+            .then((response) => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            // The explorer is built once, in the page language.
+            .then((json) => window.CC.language.ready().then(() => json))
+            .then((json) => {
+                if (!explorer.isConnected) return;
+                catalog = json;
+                render();
+                explorer.hidden = false;
+                update();
+                // A deep link opens the craft; bring it into view.
+                if (state.craft) panel.scrollIntoView({ block: 'center' });
+                if (window.CC && window.CC.effects) window.CC.effects.refresh(['tilt']);
+            })
+            .catch(() => {
+                // Without the catalog, still list the crafts themselves.
+                catalog = { phases: [], roadmap: [], tools: [] };
+                failed = true;
+                render({ counts: false });
+                explorer.hidden = false;
+                update();
+                if (status) status.textContent = failedText();
+            });
+    };
+
+    if (typeof document !== 'undefined') {
+        const start = () => mount(document);
+        if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+        else start();
+        document.addEventListener('cc:afterswap', (e) => mount(e.detail.root));
+    }
+
+    return { slug, model, parseHash, toHash, mount };
+});
@@ -0,0 +1,42 @@
+/**
+ * crafts.js — the cinema crafts, in the groups crafts.html shows them in.
+ *
+ * `code` is the stable slug used in signups, links and data files;
+ * `description` is the one-line summary shown by the crafts explorer.
+ * Loads as `CC.crafts` in the browser and as a CommonJS module in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CC = root.CC || {};
+        root.CC.crafts = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    return [
+        { code: 'writing', name: 'Writing', group: 'Story & Direction', description: 'Story, structure and screenplay, from first outline to shooting script.' },
+        { code: 'direction', name: 'Direction', group: 'Story & Direction', description: 'The creative vision that turns the script into performances, shots and scenes.' },
+        { code: 'continuity', name: 'Continuity', group: 'Story & Direction', description: 'Keeps every detail consistent from take to take and day to day.' },
+        { code: 'casting', name: 'Casting', group: 'Story & Direction', description: 'Finds the actors who bring each character to life.' },
+        { code: 'cinematography', name: 'Cinematography', group: 'Visual & Design', description: 'Camera, lenses, framing and movement: how the story looks on screen.' },
+        { code: 'lighting', name: 'Lighting', group: 'Visual & Design', description: 'Shapes mood and depth with light, working with the director of photography.' },
+        { code: 'art-direction', name: 'Art Direction', group: 'Visual & Design', description: 'Turns the production design into sets, props and graphics on set.' },
+        { code: 'production-design', name: 'Production Design', group: 'Visual & Design', description: 'The overall visual world of the film, from locations to colour palette.' },
+        { code: 'costume', name: 'Costume', group: 'Visual & Design', description: 'Designs and tracks what every character wears, scene by scene.' },
+        { code: 'makeup', name: 'Makeup', group: 'Visual & Design', description: 'Makeup, hair and prosthetics, kept in continuity across the shoot.' },
+        { code: 'production', name: 'Production', group: 'Production', description: 'Brings money, people and schedule together to get the film made.' },
+        { code: 'line-production', name: 'Line Production', group: 'Production', description: 'Runs the day-to-day budget, schedule and crew of the shoot.' },
+        { code: 'location-management', name: 'Location Management', group: 'Production', description: 'Finds, secures and runs the places where the film is shot.' },
+        { code: 'stunts', name: 'Stunts', group: 'Production', description: 'Designs and performs action safely, from falls to fights.' },
+        { code: 'choreography', name: 'Choreography', group: 'Production', description: 'Stages dance and movement, a centrepiece of many film traditions.' },
+        { code: 'editing', name: 'Editing', group: 'Post-Production', description: 'Assembles the footage into the finished story, shot by shot.' },
+        { code: 'sound-design', name: 'Sound Design', group: 'Post-Production', description: 'Dialogue, effects, Foley and the mix that make the film sound real.' },
+        { code: 'music', name: 'Music', group: 'Post-Production', description: 'Score and songs, composed, recorded and mixed for picture.' },
+        { code: 'vfx', name: 'VFX', group: 'Post-Production', description: 'Visual effects, from clean-ups and compositing to full CG shots.' },
+        { code: 'color-grading', name: 'Color Grading', group: 'Post-Production', description: 'Sets the final look of every shot, matching and styling colour.' },
+        { code: 'di', name: 'DI', group: 'Post-Production', description: 'The digital intermediate: conform, grade, mastering and deliverables.' },
+        { code: 'distribution-planning', name: 'Distribution Planning', group: 'Release', description: 'Gets the film to its audience: festivals, markets, subtitles and release.' }
+    ];
+});
@@ -0,0 +1,78 @@
+/**
+ * csv.js — RFC 4180 CSV for the tools' imports and exports.
+ *
+ *   CC.csv.stringify([['Scene', 'Cast'], ['1', 'RAVI; LATA']])  → "Scene,Cast\r\n1,RAVI; LATA\r\n"
+ *   CC.csv.parse('Scene,Cast\r\n1,"RAVI, LATA"\r\n')          → [['Scene', 'Cast'], ['1', 'RAVI, LATA']]
+ *   CC.util.download('breakdown.csv', CC.csv.stringify(rows))   // js/util.js
+ *
+ * Text cells that a spreadsheet would run as a formula (`=`, `+`, `-`, `@`)
+ * are prefixed with an apostrophe; numbers are written as they are.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CC = root.CC || {};
+        root.CC.csv = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    const FORMULA_RE = /^[=+\-@\t\r]/;
+    const NUMBER_RE = /^-?\d+(\.\d+)?$/;
+
+    const cell = (value) => {
+        if (value === null || value === undefined) return '';
+        let text = Array.isArray(value) ? value.join('; ') : String(value);
+        if (typeof value === 'string' && FORMULA_RE.test(text) && !NUMBER_RE.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    /**
+     * @param {Array<Array<string | number | string[] | null>>} rows  arrays become "a; b"
+     * @returns {string}
+     */
+    const stringify = (rows) => rows.map((row) => row.map(cell).join(',')).join('\r\n') + '\r\n';
+
+    /**
+     * Reads CSV written by us or by a spreadsheet: quoted fields, doubled
+     * quotes, CRLF or LF, a leading BOM. Blank lines are dropped and the
+     * apostrophe `stringify` adds before formula-like text is taken off again.
+     * @returns {string[][]}
+     */
+    const parse = (text) => {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        const endField = () => {
+            row.push(field.startsWith("'") && FORMULA_RE.test(field.slice(1)) ? field.slice(1) : field);
+            field = '';
+        };
+        const endRow = () => {
+            endField();
+            if (row.length > 1 || row[0] !== '') rows.push(row);
+            row = [];
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char !== '"') field += char;
+                else if (source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else quoted = false;
+            } else if (char === '"') quoted = true;
+            else if (char === ',') endField();
+            else if (char === '\n') endRow();
+            else if (char !== '\r') field += char;
+        }
+        if (field || row.length) endRow();
+        return rows;
+    };
+
+    return { stringify, parse };
+});
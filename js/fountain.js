@@ -0,0 +1,358 @@
+/**
+ * fountain.js — Fountain screenplay parser (https://fountain.io/syntax).
+ *
+ *   const script = CC.fountain.parse(text);
+ *   script.titlePage  → [{ key: 'Title', value: 'BRICK & STEEL' }, …]
+ *   script.tokens     → [{ type: 'scene_heading', text: 'EXT. BRICK’S PATIO - DAY', sceneNumber: '1' }, …]
+ *   CC.fountain.stats(script) → scenes, length in pages and eighths, speaking parts
+ *
+ * Token types: scene_heading, action, character, parenthetical, dialogue,
+ * lyrics, transition, centered, section, synopsis, note, page_break, plus
+ * dialogue_begin / dialogue_end around each speech and dual_dialogue_begin /
+ * dual_dialogue_end around a pair of speeches marked with `^`.
+ *
+ * Boneyard (`/* … *\/`) is dropped. Notes (`[[ … ]]`) on a line of their own
+ * become `note` tokens; inline ones are lifted out of the text into the
+ * token's `notes`. Token text keeps Fountain emphasis; `inline()` turns it
+ * into escaped HTML.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./util'));
+    } else {
+        root.CC = root.CC || {};
+        root.CC.fountain = factory(root.CC.util);
+    }
+})(typeof self !== 'undefined' ? self : this, (util) => {
+    'use strict';
+
+    const { escapeHTML } = util;
+
+    const SCENE_RE = /^(?:INT|EXT|EST|INT\.?\/EXT|I\/E)[. ]/i;
+    const SCENE_NUMBER_RE = /\s*#([\w.-]+)#\s*$/;
+    const TRANSITION_RE = /^[A-Z0-9 .'-]+TO:$/;
+    const TITLE_KEY_RE = /^([A-Za-z][A-Za-z ]{0,29}):(.*)$/;
+    const NOTE_MARK = '\u0000';
+    const NOTE_RE = /\u0000(\d+)\u0000/g;
+
+    /** Plain text without notes; used to recognise element types. */
+    const stripNotes = (line) => line.replace(NOTE_RE, '');
+
+    const isBlank = (line) => line === undefined || stripNotes(line).trim() === '';
+
+    /** A character cue: upper-case name, optional `(EXTENSION)` and dual `^`. */
+    const isCharacterCue = (line) => {
+        const name = line.replace(/\s*\^$/, '').replace(/\s*\(.*\)$/, '').trim();
+        return /[A-Z]/.test(name) && name === name.toUpperCase() && !/^[\d\W]+$/.test(name);
+    };
+
+    const parseCue = (line) => {
+        const dual = /\^\s*$/.test(line);
+        const text = line.replace(/\s*\^\s*$/, '').trim();
+        const match = /^(.*?)\s*(\(.*\))?$/.exec(text);
+        return { text, name: match[1].trim(), extension: match[2] || null, dual };
+    };
+
+    /**
+     * Reads the title page at the very start of the script.
+     * @returns {{ entries: { key: string, value: string }[], rest: string[] }}
+     */
+    const parseTitlePage = (lines) => {
+        if (!lines.length || !TITLE_KEY_RE.test(lines[0])) return { entries: [], rest: lines };
+
+        const entries = [];
+        let i = 0;
+        for (; i < lines.length && lines[i].trim() !== ''; i++) {
+            const line = lines[i];
+            const key = TITLE_KEY_RE.exec(line);
+            if (key && !/^(\s{3,}|\t)/.test(line)) {
+                entries.push({ key: key[1].trim(), value: key[2].trim() });
+            } else if (entries.length) {
+                const last = entries[entries.length - 1];
+                last.value = last.value ? `${last.value}\n${line.trim()}` : line.trim();
+            }
+        }
+        return { entries, rest: lines.slice(i + 1) };
+    };
+
+    /**
+     * @param {string} text  Fountain source
+     * @returns {{ titlePage: { key: string, value: string }[], tokens: object[] }}
+     */
+    const parse = (text) => {
+        const notes = [];
+        const source = String(text || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/^\uFEFF/, '')
+            .replace(/\t/g, '    ')
+            .replace(/\/\*[\s\S]*?\*\//g, '')
+            .replace(/\[\[([\s\S]*?)\]\]/g, (_, note) => {
+                notes.push(note.trim());
+                return `${NOTE_MARK}${notes.length - 1}${NOTE_MARK}`;
+            });
+
+        const { entries, rest: lines } = parseTitlePage(source.split('\n'));
+        const tokens = [];
+        let dialogueStart = -1;
+        let inDialogue = false;
+        let dualOpen = false;
+        let paragraph = null;
+
+        const push = (token) => {
+            tokens.push(token);
+            return token;
+        };
+
+        /** Moves the inline notes of `line` onto `token`; returns the bare text. */
+        const liftNotes = (token, line) => {
+            const found = Array.from(line.matchAll(NOTE_RE), (m) => notes[Number(m[1])]);
+            if (!found.length) return line;
+            token.notes = (token.notes || []).concat(found);
+            return stripNotes(line).replace(/\s+$/, '');
+        };
+
+        const pushText = (type, line, extra) => {
+            const token = { type, ...extra };
+            token.text = liftNotes(token, line);
+            return push(token);
+        };
+
+        const appendText = (token, line) => {
+            token.text += `\n${liftNotes(token, line)}`;
+        };
+
+        const endDialogue = () => {
+            if (!inDialogue) return;
+            push({ type: 'dialogue_end' });
+            if (dualOpen) push({ type: 'dual_dialogue_end' });
+            inDialogue = false;
+            dualOpen = false;
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i] === '  ' ? lines[i] : lines[i].replace(/\s+$/, '');
+            const trimmed = stripNotes(line).trim();
+            const prevBlank = i === 0 || isBlank(lines[i - 1]);
+            const nextBlank = isBlank(lines[i + 1]);
+
+            if (trimmed === '') {
+                // Two spaces on an otherwise empty line keep a speech going.
+                if (inDialogue && line === '  ') {
+                    push({ type: 'dialogue', text: '' });
+                    continue;
+                }
+                const onlyNotes = line.trim() !== '' && line.replace(NOTE_RE, '').trim() === '';
+                endDialogue();
+                paragraph = null;
+                if (onlyNotes) {
+                    Array.from(line.matchAll(NOTE_RE), (m) => push({ type: 'note', text: notes[Number(m[1])] }));
+                }
+                continue;
+            }
+
+            if (inDialogue) {
+                if (/^\(.*\)$/.test(trimmed)) {
+                    pushText('parenthetical', line.trim());
+                } else {
+                    const last = tokens[tokens.length - 1];
+                    if (last.type === 'dialogue' && last.text !== '') appendText(last, line.trim());
+                    else pushText('dialogue', line.trim());
+                }
+                continue;
+            }
+
+            // Continuation of an action paragraph.
+            if (paragraph && !prevBlank) {
+                appendText(paragraph, line);
+                continue;
+            }
+            paragraph = null;
+
+            if (/^={3,}$/.test(trimmed)) {
+                push({ type: 'page_break' });
+            } else if (/^#+/.test(trimmed)) {
+                const [, hashes, title] = /^(#+)\s*(.*)$/.exec(trimmed);
+                push({ type: 'section', text: title, depth: hashes.length });
+            } else if (/^=(?!=)/.test(trimmed)) {
+                push({ type: 'synopsis', text: trimmed.slice(1).trim() });
+            } else if (/^>.*<$/.test(trimmed)) {
+                pushText('centered', trimmed.slice(1, -1).trim());
+            } else if (trimmed.startsWith('>')) {
+                pushText('transition', trimmed.slice(1).trim());
+            } else if (trimmed.startsWith('~')) {
+                pushText('lyrics', trimmed.slice(1).trim());
+            } else if (trimmed.startsWith('!')) {
+                paragraph = pushText('action', line.trim().slice(1));
+            } else if (/^\.[^.]/.test(trimmed) || (prevBlank && SCENE_RE.test(trimmed))) {
+                const heading = line.trim().replace(/^\./, '');
+                const number = SCENE_NUMBER_RE.exec(heading);
+                pushText('scene_heading', heading.replace(SCENE_NUMBER_RE, '').trim(), {
+                    sceneNumber: number ? number[1] : null
+                });
+            } else if (prevBlank && nextBlank && TRANSITION_RE.test(trimmed)) {
+                pushText('transition', trimmed);
+            } else if (trimmed.startsWith('@') || (prevBlank && !nextBlank && isCharacterCue(trimmed))) {
+                const cue = parseCue(stripNotes(line).trim().replace(/^@/, ''));
+                const previous = tokens[tokens.length - 1];
+                if (cue.dual && previous && previous.type === 'dialogue_end' && dialogueStart !== -1) {
+                    // `^` pairs this speech with the one just before it.
+                    tokens[dialogueStart].dual = 'left';
+                    tokens.splice(dialogueStart, 0, { type: 'dual_dialogue_begin' });
+                    push({ type: 'dialogue_begin', dual: 'right' });
+                    dialogueStart = -1;
+                    dualOpen = true;
+                } else {
+                    dialogueStart = tokens.length;
+                    push({ type: 'dialogue_begin' });
+                }
+                push({ type: 'character', ...cue });
+                inDialogue = true;
+            } else {
+                paragraph = pushText('action', line);
+            }
+        }
+        endDialogue();
+
+        return { titlePage: entries, tokens };
+    };
+
+    /* ============================
+       Inline emphasis
+       ============================ */
+    /**
+     * Fountain emphasis to HTML: ***bold italic***, **bold**, *italic*,
+     * _underline_; `\*` and `\_` stay literal. Text is escaped first.
+     */
+    const inline = (text) => escapeHTML(text)
+        .replace(/\\\*/g, '&#42;')
+        .replace(/\\_/g, '&#95;')
+        .replace(/\*{3}(?=\S)(.+?)(?<=\S)\*{3}/g, '<strong><em>$1</em></strong>')
+        .replace(/\*{2}(?=\S)(.+?)(?<=\S)\*{2}/g, '<strong>$1</strong>')
+        .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, '<em>$1</em>')
+        .replace(/_(?=\S)(.+?)(?<=\S)_/g, '<u>$1</u>')
+        .replace(/\n/g, '<br>');
+
+    /* ============================
+       Length estimates
+       ============================ */
+
+    /**
+     * Page geometry of a Courier 12pt screenplay page. Lengths are estimates:
+     * real pagination also keeps speeches together across page breaks.
+     */
+    const LINES_PER_PAGE = 55;
+    const WIDTH = { action: 61, scene_heading: 61, transition: 61, centered: 61, dialogue: 35, lyrics: 35, parenthetical: 26, character: 38 };
+    const SPACE_BEFORE = { scene_heading: 2, action: 1, transition: 1, centered: 1, dialogue_begin: 1 };
+
+    const plain = (text) => String(text || '').replace(/\\?[*_]/g, (m) => (m.length === 2 ? m[1] : ''));
+
+    /** Number of printed lines once `text` is word-wrapped at `width` columns. */
+    const wrappedLines = (text, width) => plain(text).split('\n').reduce((total, line) => {
+        let lines = 1;
+        let column = 0;
+        line.split(/\s+/).filter(Boolean).forEach((word) => {
+            const length = Math.min(word.length, width);
+            if (column && column + 1 + length > width) {
+                lines++;
+                column = length;
+            } else {
+                column += (column ? 1 : 0) + length;
+            }
+        });
+        return total + lines;
+    }, 0);
+
+    const countWords = (text) => plain(text).split(/\s+/).filter(Boolean).length;
+
+    /** `11` → "1 3/8" */
+    const formatEighths = (eighths) => {
+        const pages = Math.floor(eighths / 8);
+        const rest = eighths % 8;
+        if (!rest) return String(pages);
+        return pages ? `${pages} ${rest}/8` : `${rest}/8`;
+    };
+
+    /**
+     * @param {{ tokens: object[] }} script  result of `parse()`
+     * @returns {{
+     *   pages: number, eighths: number, length: string, words: number,
+     *   scenes: { number: string, heading: string, eighths: number, length: string, page: number }[],
+     *   characters: { name: string, speeches: number, words: number }[]
+     * }}
+     */
+    const stats = (script) => {
+        const scenes = [];
+        const characters = new Map();
+        let line = 0;
+        let page = 1;
+        let words = 0;
+        let speaker = null;
+        let scene = null;
+
+        const advance = (count) => {
+            line += count;
+            while (line > LINES_PER_PAGE) {
+                line -= LINES_PER_PAGE;
+                page++;
+            }
+        };
+        const position = () => (page - 1) * LINES_PER_PAGE + line;
+
+        const closeScene = () => {
+            if (!scene) return;
+            const lines = position() - scene.start;
+            scene.eighths = Math.max(1, Math.ceil((lines / LINES_PER_PAGE) * 8));
+            scene.length = formatEighths(scene.eighths);
+            delete scene.start;
+        };
+
+        script.tokens.forEach((token) => {
+            if (token.type === 'page_break') {
+                if (line) {
+                    page++;
+                    line = 0;
+                }
+                return;
+            }
+            if (line && SPACE_BEFORE[token.type]) advance(SPACE_BEFORE[token.type]);
+
+            if (token.type === 'scene_heading') {
+                closeScene();
+                scene = {
+                    number: token.sceneNumber || String(scenes.length + 1),
+                    heading: token.text,
+                    page,
+                    start: position()
+                };
+                scenes.push(scene);
+            }
+            if (token.type === 'character') {
+                const name = token.name;
+                speaker = characters.get(name) || { name, speeches: 0, words: 0 };
+                speaker.speeches++;
+                characters.set(name, speaker);
+            }
+            if (token.type === 'dialogue' && speaker) speaker.words += countWords(token.text);
+            if (token.type === 'dialogue_end') speaker = null;
+
+            if (WIDTH[token.type] && token.text !== undefined) {
+                advance(wrappedLines(token.text, WIDTH[token.type]));
+                if (token.type !== 'character') words += countWords(token.text);
+            }
+        });
+        closeScene();
+
+        const total = position();
+        const eighths = total ? Math.max(1, Math.ceil((total / LINES_PER_PAGE) * 8)) : 0;
+        return {
+            pages: total ? page : 0,
+            eighths,
+            length: formatEighths(eighths),
+            words,
+            scenes,
+            characters: Array.from(characters.values()).sort((a, b) => b.speeches - a.speeches || a.name.localeCompare(b.name))
+        };
+    };
+
+    return { parse, stats, inline, formatEighths, LINES_PER_PAGE };
+});
@@ -0,0 +1,95 @@
+/**
+ * fuzzy.js — small fuzzy matcher for type-ahead lists.
+ *
+ * Ranking, best first: exact match, prefix, word prefix, substring, then an
+ * in-order subsequence ("cnmtgrphy" → "Cinematography") that rewards runs of
+ * consecutive characters and word starts. Matching ignores case and diacritics.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CC = root.CC || {};
+        root.CC.fuzzy = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    const fold = (value) => String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    const isWordStart = (text, i) => i === 0 || /[\s\-_/.(&]/.test(text[i - 1]);
+
+    /** @returns {number} 0 when `query` is not an in-order subsequence of `text` */
+    const subsequenceScore = (query, text) => {
+        let score = 0;
+        let ti = 0;
+        let run = 0;
+        for (let qi = 0; qi < query.length; qi++) {
+            const ch = query[qi];
+            if (ch === ' ') continue;
+            const found = text.indexOf(ch, ti);
+            if (found === -1) return 0;
+            run = found === ti ? run + 1 : 0;
+            score += 1 + run * 2 + (isWordStart(text, found) ? 3 : 0);
+            ti = found + 1;
+        }
+        return score;
+    };
+
+    /**
+     * Scores one folded query against one string.
+     * @param {string} query  already folded
+     * @param {string} value
+     * @returns {number}  0 for no match; higher is better
+     */
+    const scoreText = (query, value) => {
+        const text = fold(value);
+        if (!query) return 1;
+        if (!text) return 0;
+        if (text === query) return 1000;
+        if (text.startsWith(query)) return 900 - Math.min(text.length - query.length, 99);
+
+        const index = text.indexOf(query);
+        if (index > 0) {
+            let wordIndex = index;
+            while (wordIndex !== -1 && !isWordStart(text, wordIndex)) wordIndex = text.indexOf(query, wordIndex + 1);
+            if (wordIndex !== -1) return 700 - Math.min(wordIndex, 99);
+            return 500 - Math.min(index, 99);
+        }
+
+        const sub = subsequenceScore(query, text);
+        return sub ? Math.min(100 + sub * 4 - Math.min(text.length - query.length, 60), 400) : 0;
+    };
+
+    /**
+     * @template T
+     * @param {string} query
+     * @param {T[]} items
+     * @param {{ keys: (item: T) => Array<string | null | undefined>, limit?: number }} options
+     *        `keys` returns the searchable strings; the first one is the primary label
+     * @returns {Array<{ item: T, score: number }>}  matches, best first (stable for ties)
+     */
+    const search = (query, items, { keys, limit = Infinity }) => {
+        const q = fold(query);
+        const results = [];
+        items.forEach((item, index) => {
+            let best = 0;
+            keys(item).forEach((key, k) => {
+                if (!key) return;
+                const s = scoreText(q, key);
+                // Secondary keys (codes, aliases) rank just below an equal primary match.
+                if (s) best = Math.max(best, k === 0 ? s + 1 : s);
+            });
+            if (best) results.push({ item, score: best, index });
+        });
+        results.sort((a, b) => b.score - a.score || a.index - b.index);
+        return results.slice(0, limit).map(({ item, score }) => ({ item, score }));
+    };
+
+    return { search, scoreText: (query, value) => scoreText(fold(query), value), fold };
+});
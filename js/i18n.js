@@ -0,0 +1,252 @@
+/**
+ * i18n.js — locales, negotiation and ICU-style message formatting.
+ *
+ *   CC.i18n.negotiate(['fr-CA', 'hi'])                            → 'fr'
+ *   CC.i18n.format('Phase {number}', { number: 2 }, 'en')         → 'Phase 2'
+ *   CC.i18n.format('{count, plural, one {# signup} other {# signups}}', { count: 3 }, 'hi')
+ *   const t = CC.i18n.translator([catalogs.ar, catalogs.en], 'ar');
+ *   t('nav.home')                                                 → 'الرئيسية'
+ *
+ * Messages support the parts of ICU MessageFormat the site needs:
+ * `{name}`, `{n, number}`, `{n, plural, =0 {…} one {…} other {…}}` (with `#`
+ * for the formatted count) and `{key, select, a {…} other {…}}`. As in ICU,
+ * an apostrophe only quotes when it comes before `{`, `}`, `#` or another
+ * apostrophe, so typographic text like "we’ll" or "don't" needs no escaping.
+ *
+ * Catalogs are flat `{ "key": "message" }` objects in locales/<code>.json.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CC = root.CC || {};
+        root.CC.i18n = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    const DEFAULT_LOCALE = 'en';
+
+    /** Locales with a catalog, in switcher order. `name` is the locale's own name for itself. */
+    const LOCALES = [
+        { code: 'en', name: 'English', english: 'English', dir: 'ltr' },
+        { code: 'es', name: 'Español', english: 'Spanish', dir: 'ltr' },
+        { code: 'fr', name: 'Français', english: 'French', dir: 'ltr' },
+        { code: 'hi', name: 'हिन्दी', english: 'Hindi', dir: 'ltr' },
+        { code: 'ar', name: 'العربية', english: 'Arabic', dir: 'rtl' },
+        { code: 'ur', name: 'اردو', english: 'Urdu', dir: 'rtl' }
+    ];
+
+    const RTL = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi']);
+
+    const base = (tag) => String(tag || '').toLowerCase().split(/[-_]/)[0];
+
+    /** @returns {'ltr'|'rtl'} */
+    const direction = (tag) => (RTL.has(base(tag)) ? 'rtl' : 'ltr');
+
+    /**
+     * Picks the best supported locale for a list of BCP 47 tags, most wanted
+     * first (`navigator.languages`). An exact match wins, then the first tag
+     * whose base language is supported.
+     * @param {string[]} requested
+     * @param {string[]} [available]  defaults to the codes in LOCALES
+     */
+    const negotiate = (requested, available = LOCALES.map((l) => l.code)) => {
+        const tags = (requested || []).filter(Boolean).map((tag) => String(tag).toLowerCase().replace(/_/g, '-'));
+        const lower = available.map((code) => code.toLowerCase());
+        for (const tag of tags) {
+            const exact = lower.indexOf(tag);
+            if (exact !== -1) return available[exact];
+            const partial = lower.indexOf(base(tag));
+            if (partial !== -1) return available[partial];
+        }
+        return available.includes(DEFAULT_LOCALE) ? DEFAULT_LOCALE : available[0];
+    };
+
+    /* ============================
+       Message parser
+       ============================ */
+
+    /**
+     * @typedef {string
+     *   | { type: 'argument', name: string }
+     *   | { type: 'number', name: string }
+     *   | { type: 'plural' | 'select', name: string, options: Record<string, Message> }
+     *   | { type: 'pound' }} Part
+     * @typedef {Part[]} Message
+     */
+
+    /**
+     * @param {string} message
+     * @returns {Message}
+     * @throws {Error} on unbalanced braces or a malformed argument
+     */
+    const parse = (message) => {
+        const text = String(message);
+        let i = 0;
+
+        const fail = (reason) => {
+            throw new Error(`${reason} at position ${i} in "${text}"`);
+        };
+        const skipSpace = () => {
+            while (i < text.length && /\s/.test(text[i])) i++;
+        };
+        const word = () => {
+            skipSpace();
+            const start = i;
+            while (i < text.length && /[^\s{},#]/.test(text[i])) i++;
+            if (i === start) fail('Expected a name');
+            return text.slice(start, i);
+        };
+
+        /** Literal text and arguments up to a closing `}` (or the end at depth 0). */
+        const parseParts = (depth, inPlural) => {
+            const parts = [];
+            let literal = '';
+            const flush = () => {
+                if (literal) parts.push(literal);
+                literal = '';
+            };
+            while (i < text.length) {
+                const ch = text[i];
+                if (ch === "'") {
+                    const next = text[i + 1];
+                    if (next === "'") {
+                        literal += "'";
+                        i += 2;
+                    } else if (next === '{' || next === '}' || (inPlural && next === '#')) {
+                        const end = text.indexOf("'", i + 1);
+                        literal += text.slice(i + 1, end === -1 ? text.length : end);
+                        i = end === -1 ? text.length : end + 1;
+                    } else {
+                        literal += ch;
+                        i++;
+                    }
+                } else if (ch === '{') {
+                    flush();
+                    i++;
+                    parts.push(parseArgument(depth + 1));
+                } else if (ch === '}') {
+                    if (depth === 0) fail('Unexpected "}"');
+                    break;
+                } else if (ch === '#' && inPlural) {
+                    flush();
+                    parts.push({ type: 'pound' });
+                    i++;
+                } else {
+                    literal += ch;
+                    i++;
+                }
+            }
+            flush();
+            return parts;
+        };
+
+        const parseArgument = (depth) => {
+            const name = word();
+            skipSpace();
+            if (text[i] === '}') {
+                i++;
+                return { type: 'argument', name };
+            }
+            if (text[i] !== ',') fail(`Expected "," or "}" after "${name}"`);
+            i++;
+            const type = word();
+            skipSpace();
+            if (type === 'number') {
+                if (text[i] !== '}') fail('Expected "}" after "number"');
+                i++;
+                return { type: 'number', name };
+            }
+            if (type !== 'plural' && type !== 'select') fail(`Unknown argument type "${type}"`);
+            if (text[i] !== ',') fail(`Expected "," after "${type}"`);
+            i++;
+            const options = {};
+            skipSpace();
+            while (text[i] !== '}') {
+                if (i >= text.length) fail('Unclosed argument');
+                const key = word();
+                skipSpace();
+                if (text[i] !== '{') fail(`Expected "{" after "${key}"`);
+                i++;
+                options[key] = parseParts(depth, type === 'plural');
+                if (text[i] !== '}') fail(`Unclosed option "${key}"`);
+                i++;
+                skipSpace();
+            }
+            i++;
+            if (!options.other) fail(`"${name}" needs an "other" option`);
+            return { type, name, options };
+        };
+
+        const parts = parseParts(0, false);
+        if (i < text.length) fail('Unexpected "}"');
+        return parts;
+    };
+
+    /** Names of every argument a message uses, nested ones included. */
+    const argumentsOf = (message) => {
+        const names = new Set();
+        const walk = (parts) => parts.forEach((part) => {
+            if (typeof part === 'string' || part.type === 'pound') return;
+            names.add(part.name);
+            if (part.options) Object.values(part.options).forEach(walk);
+        });
+        walk(parse(message));
+        return names;
+    };
+
+    /* ============================
+       Formatting
+       ============================ */
+
+    const parsed = new Map();
+    const pluralRules = new Map();
+    const numberFormats = new Map();
+
+    const cached = (map, key, create) => {
+        if (!map.has(key)) map.set(key, create());
+        return map.get(key);
+    };
+
+    const formatNumber = (value, locale) => cached(numberFormats, locale, () => new Intl.NumberFormat(locale)).format(value);
+
+    const render = (parts, values, locale, count) => parts.map((part) => {
+        if (typeof part === 'string') return part;
+        if (part.type === 'pound') return formatNumber(count, locale);
+        const value = values[part.name];
+        if (part.type === 'argument') return value === undefined || value === null ? `{${part.name}}` : String(value);
+        if (part.type === 'number') return formatNumber(Number(value), locale);
+        if (part.type === 'select') {
+            const chosen = part.options[String(value)] || part.options.other;
+            return render(chosen, values, locale, count);
+        }
+        const n = Number(value);
+        const category = cached(pluralRules, locale, () => new Intl.PluralRules(locale)).select(n);
+        const chosen = part.options[`=${n}`] || part.options[category] || part.options.other;
+        return render(chosen, values, locale, n);
+    }).join('');
+
+    /**
+     * @param {string} message
+     * @param {Record<string, unknown>} [values]
+     * @param {string} [locale]  used for plural rules and number formatting
+     */
+    const format = (message, values = {}, locale = DEFAULT_LOCALE) => render(
+        cached(parsed, message, () => parse(message)), values, locale, NaN
+    );
+
+    /**
+     * A lookup over catalogs in order of preference; a key missing from all
+     * of them comes back as the key itself.
+     * @param {Array<Record<string, string>|null|undefined>} catalogs
+     * @param {string} locale
+     * @returns {(key: string, values?: Record<string, unknown>) => string}
+     */
+    const translator = (catalogs, locale) => (key, values) => {
+        const catalog = catalogs.find((c) => c && Object.prototype.hasOwnProperty.call(c, key));
+        return catalog ? format(catalog[key], values, locale) : key;
+    };
+
+    return { DEFAULT_LOCALE, LOCALES, direction, negotiate, parse, argumentsOf, format, translator };
+});
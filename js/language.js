@@ -0,0 +1,239 @@
+/**
+ * language.js — the site language: detection, catalogs and the header switcher.
+ *
+ *   CC.language.get()                   → 'hi'
+ *   CC.language.set('ar')               → saves the choice, loads its catalog, re-translates the page
+ *   CC.language.t(key, english, values) → formatted message in the current language
+ *   CC.language.ready()                 → resolves once the current catalogs are loaded
+ *   CC.language.watch(element, render)  → re-runs `render` when the text can change
+ *
+ * A saved choice wins; otherwise the first of `navigator.languages` we have a
+ * catalog for (js/i18n.js), else English. `<html lang dir>` is set before
+ * paint, then locales/<code>.json is fetched and the page is translated:
+ *
+ *   <h1 data-i18n="platform.title">What Is 24Craft Cinema</h1>
+ *   <h3 data-i18n="roadmap.phase" data-i18n-values='{"number": 2}'>Phase 2</h3>
+ *   <input data-i18n-attr="placeholder:ea.countryPlaceholder">
+ *   <p data-i18n="tools.screenplay.lead">Write in <a data-i18n-part="fountain" href="…">Fountain</a> — …</p>
+ *
+ * Markup inside a message is marked `data-i18n-part="name"` and the catalog
+ * places it with `{name}` ("Write in {fountain} — …"); the child keeps its
+ * attributes and, if it has one, its own key.
+ *
+ * The English in the markup is what shows if a catalog can't be loaded; keys
+ * missing from a catalog fall back to locales/en.json. A `cc:language` event
+ * follows each change. `node scripts/check-i18n.js` reports missing and
+ * unused keys.
+ *
+ * Loaded without `defer` in <head>, after js/i18n.js.
+ */
+(() => {
+    'use strict';
+
+    const STORAGE_KEY = 'cc:language';
+    const { i18n, util } = window.CC;
+    const codes = i18n.LOCALES.map((l) => l.code);
+
+    const readStored = () => util.readStored(STORAGE_KEY, { raw: true, accept: (value) => codes.includes(value) });
+
+    const detect = () => readStored()
+        || i18n.negotiate(navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language]);
+
+    let current = detect();
+
+    /** @type {Map<string, Promise<Record<string, string>|null>>} */
+    const catalogs = new Map();
+    const loaded = {};
+
+    const load = (code) => {
+        if (!catalogs.has(code)) {
+            // Opened from disk, fetch rejects (or is missing) and the page stays English.
+            catalogs.set(code, Promise.resolve()
+                .then(() => fetch(`locales/${code}.json`))
+                .then((res) => (res.ok ? res.json() : null))
+                .catch(() => null)
+                .then((catalog) => {
+                    loaded[code] = catalog;
+                    return catalog;
+                }));
+        }
+        return catalogs.get(code);
+    };
+
+    const ready = () => Promise.all([load(current), load(i18n.DEFAULT_LOCALE)]).then(() => current);
+
+    const lookup = (key) => [loaded[current], loaded[i18n.DEFAULT_LOCALE]]
+        .find((catalog) => catalog && Object.prototype.hasOwnProperty.call(catalog, key));
+
+    /**
+     * Scripts pass the English with the key, so `node scripts/check-i18n.js`
+     * can compare it with locales/en.json.
+     * @param {string} key
+     * @param {string} [english]  used while no catalog has the key (loading, or opened from disk)
+     * @param {Record<string, unknown>} [values]
+     * @returns {string}
+     */
+    const t = (key, english, values) => {
+        if (english !== undefined && !lookup(key)) return i18n.format(english, values, i18n.DEFAULT_LOCALE);
+        return i18n.translator([loaded[current], loaded[i18n.DEFAULT_LOCALE]], current)(key, values);
+    };
+
+    /** Until its catalog arrives the page is assumed to be in `current`; if it fails, the markup stays English. */
+    const setDocumentLanguage = () => {
+        const shown = loaded[current] === null ? i18n.DEFAULT_LOCALE : current;
+        const root = document.documentElement;
+        root.lang = shown;
+        root.dir = i18n.direction(shown);
+    };
+
+    const valuesOf = (el) => {
+        try {
+            return JSON.parse(el.dataset.i18nValues || '{}');
+        } catch {
+            return {};
+        }
+    };
+
+    /** Sets an element's message, putting its `[data-i18n-part]` children where the message names them. */
+    const translateText = (el) => {
+        const parts = new Map([...el.children]
+            .filter((child) => child.dataset.i18nPart)
+            .map((child) => [child.dataset.i18nPart, child]));
+        if (!parts.size) {
+            el.textContent = t(el.dataset.i18n, undefined, valuesOf(el));
+            return;
+        }
+        const slots = Object.fromEntries([...parts.keys()].map((name) => [name, `{${name}}`]));
+        const message = t(el.dataset.i18n, undefined, { ...valuesOf(el), ...slots });
+        el.replaceChildren(...message.split(/\{(\w+)\}/)
+            .map((chunk, i) => (i % 2 ? parts.get(chunk) || `{${chunk}}` : chunk))
+            .filter((chunk) => chunk !== ''));
+    };
+
+    /**
+     * Translates `[data-i18n]` text and `[data-i18n-attr]` attributes under
+     * `root`. Keys that no loaded catalog has are left as they are.
+     * @param {ParentNode} [root]
+     */
+    const apply = (root = document) => {
+        root.querySelectorAll('[data-i18n]').forEach((el) => {
+            if (lookup(el.dataset.i18n)) translateText(el);
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach((el) => {
+            el.dataset.i18nAttr.split(';').forEach((pair) => {
+                const [attr, key] = pair.split(':').map((s) => s.trim());
+                if (attr && key && lookup(key)) el.setAttribute(attr, t(key, undefined, valuesOf(el)));
+            });
+        });
+    };
+
+    /** `render` for each element that script fills with text; see watch(). */
+    const watched = new Map();
+
+    /**
+     * Runs `render` once the catalogs are loaded and after each language
+     * change, while `element` is in the page. Mounting again replaces the
+     * element's renderer, and elements a page swap removed are dropped.
+     * @param {Element} element
+     * @param {() => void} render
+     */
+    const watch = (element, render) => {
+        watched.set(element, render);
+        ready().then(() => {
+            if (element.isConnected && watched.get(element) === render) render();
+        });
+    };
+
+    const forgetDetached = () => watched.forEach((render, element) => {
+        if (!element.isConnected) watched.delete(element);
+    });
+
+    /* ============================
+       Switcher
+       ============================ */
+    const mountSwitcher = () => {
+        const nav = document.getElementById('site-nav');
+        if (!nav || nav.querySelector('.lang-switch')) return;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'lang-switch';
+
+        const label = document.createElement('label');
+        label.className = 'sr-only';
+        label.htmlFor = 'cc-language';
+        label.dataset.i18n = 'language.label';
+        label.textContent = 'Language';
+
+        const select = document.createElement('select');
+        select.id = 'cc-language';
+        select.className = 'lang-switch__select';
+        i18n.LOCALES.forEach(({ code, name, english }) => {
+            const option = new Option(name, code);
+            option.lang = code;
+            option.title = english;
+            select.appendChild(option);
+        });
+        select.value = current;
+        select.addEventListener('change', () => set(select.value));
+
+        wrapper.append(label, select);
+        nav.appendChild(wrapper);
+    };
+
+    const syncSwitcher = () => {
+        const select = document.getElementById('cc-language');
+        if (select) select.value = current;
+    };
+
+    /** @param {string} code */
+    const set = (code) => {
+        if (!codes.includes(code)) throw new Error(`Unknown language: ${code}`);
+        util.writeStored(STORAGE_KEY, code, { raw: true });
+        return change(code);
+    };
+
+    const change = (code) => {
+        current = code;
+        setDocumentLanguage();
+        syncSwitcher();
+        return ready().then(() => {
+            if (code !== current) return current;
+            setDocumentLanguage();
+            apply(document);
+            forgetDetached();
+            watched.forEach((render) => render());
+            document.dispatchEvent(new CustomEvent('cc:language', { detail: { language: current, dir: i18n.direction(current) } }));
+            return current;
+        });
+    };
+
+    // The router copies `<html lang>` from each page it fetches; put ours back.
+    document.addEventListener('cc:afterswap', (e) => {
+        forgetDetached();
+        setDocumentLanguage();
+        ready().then(() => {
+            setDocumentLanguage();
+            apply(e.detail.root);
+        });
+    });
+
+    // Another tab picked a language.
+    window.addEventListener('storage', (e) => {
+        if (e.key !== STORAGE_KEY) return;
+        const code = readStored();
+        if (code && code !== current) change(code);
+    });
+
+    setDocumentLanguage();
+    const start = () => {
+        mountSwitcher();
+        ready().then(() => {
+            setDocumentLanguage();
+            apply(document);
+        });
+    };
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+    else start();
+
+    window.CC.language = { get: () => current, set, t, ready, apply, watch };
+})();
@@ -0,0 +1,201 @@
+/**
+ * languages.js — ISO 639-1 language list with English and native-script names.
+ *
+ * Loads as `CC.languages` in the browser and as a CommonJS module in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CC = root.CC || {};
+        root.CC.languages = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    return [
+        { code: 'aa', name: 'Afar', native: 'Qafaraf' },
+        { code: 'ab', name: 'Abkhazian', native: 'Аԥсуа бызшәа' },
+        { code: 'ae', name: 'Avestan', native: 'Avesta' },
+        { code: 'af', name: 'Afrikaans', native: 'Afrikaans' },
+        { code: 'ak', name: 'Akan', native: 'Akan' },
+        { code: 'am', name: 'Amharic', native: 'አማርኛ' },
+        { code: 'an', name: 'Aragonese', native: 'Aragonés' },
+        { code: 'ar', name: 'Arabic', native: 'العربية' },
+        { code: 'as', name: 'Assamese', native: 'অসমীয়া' },
+        { code: 'av', name: 'Avaric', native: 'Магӏарул мацӏ' },
+        { code: 'ay', name: 'Aymara', native: 'Aymar aru' },
+        { code: 'az', name: 'Azerbaijani', native: 'azərbaycan' },
+        { code: 'ba', name: 'Bashkir', native: 'Башҡорт теле' },
+        { code: 'be', name: 'Belarusian', native: 'беларуская' },
+        { code: 'bg', name: 'Bulgarian', native: 'български' },
+        { code: 'bi', name: 'Bislama', native: 'Bislama' },
+        { code: 'bm', name: 'Bambara', native: 'bamanakan' },
+        { code: 'bn', name: 'Bengali', native: 'বাংলা' },
+        { code: 'bo', name: 'Tibetan', native: 'བོད་སྐད་' },
+        { code: 'br', name: 'Breton', native: 'brezhoneg' },
+        { code: 'bs', name: 'Bosnian', native: 'bosanski' },
+        { code: 'ca', name: 'Catalan', native: 'català' },
+        { code: 'ce', name: 'Chechen', native: 'нохчийн' },
+        { code: 'ch', name: 'Chamorro', native: 'Chamoru' },
+        { code: 'co', name: 'Corsican', native: 'Corsu' },
+        { code: 'cr', name: 'Cree', native: 'ᓀᐦᐃᔭᐍᐏᐣ' },
+        { code: 'cs', name: 'Czech', native: 'čeština' },
+        { code: 'cu', name: 'Church Slavonic', native: 'Словѣньскъ' },
+        { code: 'cv', name: 'Chuvash', native: 'чӑваш' },
+        { code: 'cy', name: 'Welsh', native: 'Cymraeg' },
+        { code: 'da', name: 'Danish', native: 'dansk' },
+        { code: 'de', name: 'German', native: 'Deutsch' },
+        { code: 'dv', name: 'Dhivehi', native: 'ދިވެހި' },
+        { code: 'dz', name: 'Dzongkha', native: 'རྫོང་ཁ' },
+        { code: 'ee', name: 'Ewe', native: 'eʋegbe' },
+        { code: 'el', name: 'Greek', native: 'Ελληνικά' },
+        { code: 'en', name: 'English', native: 'English' },
+        { code: 'eo', name: 'Esperanto', native: 'Esperanto' },
+        { code: 'es', name: 'Spanish', native: 'español' },
+        { code: 'et', name: 'Estonian', native: 'eesti' },
+        { code: 'eu', name: 'Basque', native: 'euskara' },
+        { code: 'fa', name: 'Persian', native: 'فارسی' },
+        { code: 'ff', name: 'Fulah', native: 'Pulaar' },
+        { code: 'fi', name: 'Finnish', native: 'suomi' },
+        { code: 'fj', name: 'Fijian', native: 'Vosa Vakaviti' },
+        { code: 'fo', name: 'Faroese', native: 'føroyskt' },
+        { code: 'fr', name: 'French', native: 'français' },
+        { code: 'fy', name: 'Western Frisian', native: 'Frysk' },
+        { code: 'ga', name: 'Irish', native: 'Gaeilge' },
+        { code: 'gd', name: 'Scottish Gaelic', native: 'Gàidhlig' },
+        { code: 'gl', name: 'Galician', native: 'galego' },
+        { code: 'gn', name: 'Guarani', native: 'Avañe’ẽ' },
+        { code: 'gu', name: 'Gujarati', native: 'ગુજરાતી' },
+        { code: 'gv', name: 'Manx', native: 'Gaelg' },
+        { code: 'ha', name: 'Hausa', native: 'Harshen Hausa' },
+        { code: 'he', name: 'Hebrew', native: 'עברית' },
+        { code: 'hi', name: 'Hindi', native: 'हिन्दी' },
+        { code: 'ho', name: 'Hiri Motu', native: 'Hiri Motu' },
+        { code: 'hr', name: 'Croatian', native: 'hrvatski' },
+        { code: 'ht', name: 'Haitian Creole', native: 'Kreyòl ayisyen' },
+        { code: 'hu', name: 'Hungarian', native: 'magyar' },
+        { code: 'hy', name: 'Armenian', native: 'հայերեն' },
+        { code: 'hz', name: 'Herero', native: 'Otjiherero' },
+        { code: 'ia', name: 'Interlingua', native: 'interlingua' },
+        { code: 'id', name: 'Indonesian', native: 'Bahasa Indonesia' },
+        { code: 'ie', name: 'Interlingue', native: 'Interlingue' },
+        { code: 'ig', name: 'Igbo', native: 'Asụsụ Igbo' },
+        { code: 'ii', name: 'Nuosu (Sichuan Yi)', native: 'ꆈꌠꉙ' },
+        { code: 'ik', name: 'Inupiaq', native: 'Iñupiaq' },
+        { code: 'io', name: 'Ido', native: 'Ido' },
+        { code: 'is', name: 'Icelandic', native: 'íslenska' },
+        { code: 'it', name: 'Italian', native: 'italiano' },
+        { code: 'iu', name: 'Inuktitut', native: 'ᐃᓄᒃᑎᑐᑦ' },
+        { code: 'ja', name: 'Japanese', native: '日本語' },
+        { code: 'jv', name: 'Javanese', native: 'Basa Jawa' },
+        { code: 'ka', name: 'Georgian', native: 'ქართული' },
+        { code: 'kg', name: 'Kongo', native: 'Kikongo' },
+        { code: 'ki', name: 'Kikuyu', native: 'Gikuyu' },
+        { code: 'kj', name: 'Kuanyama', native: 'Kuanyama' },
+        { code: 'kk', name: 'Kazakh', native: 'қазақ тілі' },
+        { code: 'kl', name: 'Kalaallisut', native: 'kalaallisut' },
+        { code: 'km', name: 'Khmer', native: 'ខ្មែរ' },
+        { code: 'kn', name: 'Kannada', native: 'ಕನ್ನಡ' },
+        { code: 'ko', name: 'Korean', native: '한국어' },
+        { code: 'kr', name: 'Kanuri', native: 'Kanuri' },
+        { code: 'ks', name: 'Kashmiri', native: 'کٲشُر' },
+        { code: 'ku', name: 'Kurdish', native: 'kurdî (kurmancî)' },
+        { code: 'kv', name: 'Komi', native: 'Коми кыв' },
+        { code: 'kw', name: 'Cornish', native: 'kernewek' },
+        { code: 'ky', name: 'Kyrgyz', native: 'кыргызча' },
+        { code: 'la', name: 'Latin', native: 'Latina' },
+        { code: 'lb', name: 'Luxembourgish', native: 'Lëtzebuergesch' },
+        { code: 'lg', name: 'Ganda', native: 'Luganda' },
+        { code: 'li', name: 'Limburgish', native: 'Limburgs' },
+        { code: 'ln', name: 'Lingala', native: 'lingála' },
+        { code: 'lo', name: 'Lao', native: 'ລາວ' },
+        { code: 'lt', name: 'Lithuanian', native: 'lietuvių' },
+        { code: 'lu', name: 'Luba-Katanga', native: 'Tshiluba' },
+        { code: 'lv', name: 'Latvian', native: 'latviešu' },
+        { code: 'mg', name: 'Malagasy', native: 'Malagasy' },
+        { code: 'mh', name: 'Marshallese', native: 'Kajin M̧ajeļ' },
+        { code: 'mi', name: 'Māori', native: 'Māori' },
+        { code: 'mk', name: 'Macedonian', native: 'македонски' },
+        { code: 'ml', name: 'Malayalam', native: 'മലയാളം' },
+        { code: 'mn', name: 'Mongolian', native: 'монгол' },
+        { code: 'mr', name: 'Marathi', native: 'मराठी' },
+        { code: 'ms', name: 'Malay', native: 'Bahasa Melayu' },
+        { code: 'mt', name: 'Maltese', native: 'Malti' },
+        { code: 'my', name: 'Burmese', native: 'မြန်မာ' },
+        { code: 'na', name: 'Nauru', native: 'Dorerin Naoero' },
+        { code: 'nb', name: 'Norwegian Bokmål', native: 'norsk bokmål' },
+        { code: 'nd', name: 'North Ndebele', native: 'isiNdebele' },
+        { code: 'ne', name: 'Nepali', native: 'नेपाली' },
+        { code: 'ng', name: 'Ndonga', native: 'Owambo' },
+        { code: 'nl', name: 'Dutch', native: 'Nederlands' },
+        { code: 'nn', name: 'Norwegian Nynorsk', native: 'norsk nynorsk' },
+        { code: 'no', name: 'Norwegian', native: 'norsk' },
+        { code: 'nr', name: 'South Ndebele', native: 'isiNdebele' },
+        { code: 'nv', name: 'Navajo', native: 'Diné bizaad' },
+        { code: 'ny', name: 'Chichewa', native: 'Chichewa' },
+        { code: 'oc', name: 'Occitan', native: 'occitan' },
+        { code: 'oj', name: 'Ojibwa', native: 'ᐊᓂᔑᓈᐯᒧᐎᓐ' },
+        { code: 'om', name: 'Oromo', native: 'Oromoo' },
+        { code: 'or', name: 'Odia', native: 'ଓଡ଼ିଆ' },
+        { code: 'os', name: 'Ossetian', native: 'ирон' },
+        { code: 'pa', name: 'Punjabi', native: 'ਪੰਜਾਬੀ' },
+        { code: 'pi', name: 'Pali', native: 'पाऴि' },
+        { code: 'pl', name: 'Polish', native: 'polski' },
+        { code: 'ps', name: 'Pashto', native: 'پښتو' },
+        { code: 'pt', name: 'Portuguese', native: 'português' },
+        { code: 'qu', name: 'Quechua', native: 'Runasimi' },
+        { code: 'rm', name: 'Romansh', native: 'rumantsch' },
+        { code: 'rn', name: 'Rundi', native: 'Ikirundi' },
+        { code: 'ro', name: 'Romanian', native: 'română' },
+        { code: 'ru', name: 'Russian', native: 'русский' },
+        { code: 'rw', name: 'Kinyarwanda', native: 'Ikinyarwanda' },
+        { code: 'sa', name: 'Sanskrit', native: 'संस्कृतम्' },
+        { code: 'sc', name: 'Sardinian', native: 'sardu' },
+        { code: 'sd', name: 'Sindhi', native: 'سنڌي' },
+        { code: 'se', name: 'Northern Sami', native: 'davvisámegiella' },
+        { code: 'sg', name: 'Sango', native: 'Sängö' },
+        { code: 'si', name: 'Sinhala', native: 'සිංහල' },
+        { code: 'sk', name: 'Slovak', native: 'slovenčina' },
+        { code: 'sl', name: 'Slovenian', native: 'slovenščina' },
+        { code: 'sm', name: 'Samoan', native: 'Gagana Samoa' },
+        { code: 'sn', name: 'Shona', native: 'chiShona' },
+        { code: 'so', name: 'Somali', native: 'Soomaali' },
+        { code: 'sq', name: 'Albanian', native: 'shqip' },
+        { code: 'sr', name: 'Serbian', native: 'српски' },
+        { code: 'ss', name: 'Swati', native: 'SiSwati' },
+        { code: 'st', name: 'Southern Sotho', native: 'Sesotho' },
+        { code: 'su', name: 'Sundanese', native: 'Basa Sunda' },
+        { code: 'sv', name: 'Swedish', native: 'svenska' },
+        { code: 'sw', name: 'Swahili', native: 'Kiswahili' },
+        { code: 'ta', name: 'Tamil', native: 'தமிழ்' },
+        { code: 'te', name: 'Telugu', native: 'తెలుగు' },
+        { code: 'tg', name: 'Tajik', native: 'тоҷикӣ' },
+        { code: 'th', name: 'Thai', native: 'ไทย' },
+        { code: 'ti', name: 'Tigrinya', native: 'ትግርኛ' },
+        { code: 'tk', name: 'Turkmen', native: 'türkmen dili' },
+        { code: 'tl', name: 'Tagalog', native: 'Tagalog' },
+        { code: 'tn', name: 'Tswana', native: 'Setswana' },
+        { code: 'to', name: 'Tongan', native: 'lea fakatonga' },
+        { code: 'tr', name: 'Turkish', native: 'Türkçe' },
+        { code: 'ts', name: 'Tsonga', native: 'Xitsonga' },
+        { code: 'tt', name: 'Tatar', native: 'татар' },
+        { code: 'tw', name: 'Twi', native: 'Twi' },
+        { code: 'ty', name: 'Tahitian', native: 'Reo Tahiti' },
+        { code: 'ug', name: 'Uyghur', native: 'ئۇيغۇرچە' },
+        { code: 'uk', name: 'Ukrainian', native: 'українська' },
+        { code: 'ur', name: 'Urdu', native: 'اردو' },
+        { code: 'uz', name: 'Uzbek', native: 'o‘zbek' },
+        { code: 've', name: 'Venda', native: 'Tshivenḓa' },
+        { code: 'vi', name: 'Vietnamese', native: 'Tiếng Việt' },
+        { code: 'vo', name: 'Volapük', native: 'Volapük' },
+        { code: 'wa', name: 'Walloon', native: 'Walon' },
+        { code: 'wo', name: 'Wolof', native: 'Wolof' },
+        { code: 'xh', name: 'Xhosa', native: 'isiXhosa' },
+        { code: 'yi', name: 'Yiddish', native: 'ייִדיש' },
+        { code: 'yo', name: 'Yoruba', native: 'Èdè Yorùbá' },
+        { code: 'za', name: 'Zhuang', native: 'Saɯ cueŋƅ' },
+        { code: 'zh', name: 'Chinese', native: '中文' },
+        { code: 'zu', name: 'Zulu', native: 'isiZulu' }
+    ];
+});
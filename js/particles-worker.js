@@ -0,0 +1,45 @@
+/**
+ * particles-worker.js — runs the particle constellation (js/particles.js) on
+ * the OffscreenCanvas that innovation.js hands over, off the main thread.
+ *
+ *   { type: 'start', canvas, width, height, profile }   first message, canvas transferred
+ *   { type: 'resize', width, height }
+ *   { type: 'mouse', x, y }                             x < 0 once the pointer has left
+ *   { type: 'visible', visible }
+ *
+ * The worker is terminated when the effect is switched off or the page swapped.
+ */
+'use strict';
+
+importScripts('particles.js');
+
+/** A worker has the whole frame to itself, so it may use more of it than the main thread. */
+const BUDGET_MS = 10;
+
+// Dedicated workers get requestAnimationFrame alongside OffscreenCanvas in most browsers.
+const schedule = typeof self.requestAnimationFrame === 'function'
+    ? (fn) => self.requestAnimationFrame(fn)
+    : (fn) => setTimeout(() => fn(performance.now()), 1000 / 60);
+
+let scene = null;
+
+const loop = (time) => {
+    scene.frame(time);
+    schedule(loop);
+};
+
+self.addEventListener('message', ({ data }) => {
+    if (data.type === 'start') {
+        if (scene) return;
+        scene = self.CC.particles.createScene({
+            context: data.canvas.getContext('2d'),
+            width: data.width,
+            height: data.height,
+            profile: data.profile,
+            budget: BUDGET_MS
+        });
+        schedule(loop);
+        return;
+    }
+    if (scene) scene.receive(data);
+});
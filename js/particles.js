@@ -0,0 +1,332 @@
+/**
+ * particles.js — the home page's particle constellation, shared by the worker
+ * (js/particles-worker.js) and the main-thread fallback in innovation.js.
+ *
+ * Particles closer than the connection distance are joined by a line.
+ * Instead of testing every pair, each frame bins the particles into a uniform
+ * grid whose cells are one connection distance wide, so a particle is only
+ * compared with the particles in its own cell and the eight around it.
+ *
+ * A governor times each frame's simulation and drawing and moves `quality`
+ * between 0 and 1 to keep that work inside its budget (a share of a 60fps
+ * frame); the particle count and connection distance follow `quality` within
+ * the range of the device's profile.
+ *
+ *   const scene = CC.particles.createScene({ context, width, height, profile: 'mobile' });
+ *   scene.frame(time);                               // once per animation frame
+ *   scene.receive({ type: 'mouse', x: 120, y: 80 }); // also 'resize' and 'visible'
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CC = root.CC || {};
+        root.CC.particles = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    /** Particle count and connection distance (px) at quality 0 and 1. */
+    const PROFILES = {
+        desktop: { count: [30, 140], distance: [90, 150], quality: 0.5 },
+        mobile: { count: [14, 50], distance: [70, 110], quality: 0.25 }
+    };
+
+    const SPEED = 0.3;
+    const MAX_SPEED = 1.5;
+    const MOUSE_PUSH = 120;
+    const MOUSE_LINK = 160;
+
+    // Colour prefixes, so the draw loop only appends the alpha.
+    const GOLD = 'rgba(240,192,64,';
+    const CYAN = 'rgba(125,249,255,';
+
+    const lerp = (range, t) => range[0] + (range[1] - range[0]) * t;
+
+    /**
+     * @param {keyof PROFILES} profile
+     * @param {number} quality  0–1
+     * @returns {{ count: number, distance: number }}
+     */
+    const settings = (profile, quality) => {
+        const { count, distance } = PROFILES[profile] || PROFILES.desktop;
+        return { count: Math.round(lerp(count, quality)), distance: Math.round(lerp(distance, quality)) };
+    };
+
+    /* ============================
+       Spatial grid
+       ============================ */
+
+    /**
+     * A uniform grid over the canvas. Each cell keeps a linked list of its
+     * particles in typed arrays (`head[cell]` → first index, `next[i]` → the
+     * one after), rebuilt every frame without allocating.
+     */
+    const createGrid = () => {
+        let head = new Int32Array(0);
+        let next = new Int32Array(0);
+        let cols = 1;
+        let rows = 1;
+        let size = 1;
+
+        const cellOf = (p) => {
+            const cx = Math.min(cols - 1, Math.max(0, Math.floor(p.x / size)));
+            const cy = Math.min(rows - 1, Math.max(0, Math.floor(p.y / size)));
+            return cy * cols + cx;
+        };
+
+        return {
+            /**
+             * @param {Array<{ x: number, y: number }>} points
+             * @param {number} cellSize  at least the largest distance `pairs` will be asked for
+             */
+            build(points, width, height, cellSize) {
+                size = Math.max(1, cellSize);
+                cols = Math.max(1, Math.ceil(width / size));
+                rows = Math.max(1, Math.ceil(height / size));
+                if (head.length < cols * rows) head = new Int32Array(cols * rows);
+                if (next.length < points.length) next = new Int32Array(Math.max(points.length, next.length * 2));
+                head.fill(-1, 0, cols * rows);
+                for (let i = 0; i < points.length; i++) {
+                    const cell = cellOf(points[i]);
+                    next[i] = head[cell];
+                    head[cell] = i;
+                }
+            },
+
+            /**
+             * Calls `fn(i, j, distSq)` once for every pair closer than `distance`.
+             * Each cell is paired with itself and four of its neighbours (right,
+             * and the three below), which covers all eight without repeats.
+             */
+            pairs(points, distance, fn) {
+                const limit = distance * distance;
+                const test = (i, j) => {
+                    const dx = points[i].x - points[j].x;
+                    const dy = points[i].y - points[j].y;
+                    const distSq = dx * dx + dy * dy;
+                    if (distSq < limit) fn(i, j, distSq);
+                };
+                for (let cy = 0; cy < rows; cy++) {
+                    for (let cx = 0; cx < cols; cx++) {
+                        for (let i = head[cy * cols + cx]; i !== -1; i = next[i]) {
+                            for (let j = next[i]; j !== -1; j = next[j]) test(i, j);
+                            if (cx + 1 < cols) {
+                                for (let j = head[cy * cols + cx + 1]; j !== -1; j = next[j]) test(i, j);
+                            }
+                            if (cy + 1 < rows) {
+                                const below = (cy + 1) * cols;
+                                for (let nx = Math.max(0, cx - 1); nx <= Math.min(cols - 1, cx + 1); nx++) {
+                                    for (let j = head[below + nx]; j !== -1; j = next[j]) test(i, j);
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+    };
+
+    /* ============================
+       Governor
+       ============================ */
+
+    /**
+     * @param {{ budget: number, quality?: number, window?: number }} options
+     *        `budget` is the ms of work a frame may take; `window` how many
+     *        frames to average before each decision
+     */
+    const createGovernor = ({ budget, quality = 0.5, window = 30 }) => {
+        let average = budget / 2;
+        let frames = 0;
+        return {
+            get quality() { return quality; },
+            get average() { return average; },
+            /**
+             * @param {number} ms  time the last frame's work took
+             * @returns {boolean}  whether `quality` changed
+             */
+            sample(ms) {
+                average += (ms - average) * 0.1;
+                if (++frames < window) return false;
+                frames = 0;
+                const before = quality;
+                // Back off quickly, recover slowly.
+                if (average > budget) quality = Math.max(0, Math.round((quality - 0.15) * 100) / 100);
+                else if (average < budget * 0.6) quality = Math.min(1, Math.round((quality + 0.05) * 100) / 100);
+                return quality !== before;
+            }
+        };
+    };
+
+    /* ============================
+       Scene
+       ============================ */
+
+    const spawn = (width, height, random) => ({
+        x: random() * width,
+        y: random() * height,
+        vx: (random() - 0.5) * SPEED,
+        vy: (random() - 0.5) * SPEED,
+        r: random() * 2 + 0.8,
+        alpha: random() * 0.5 + 0.3,
+        pulseOffset: random() * Math.PI * 2,
+        hueShift: random() > 0.7
+    });
+
+    /**
+     * @param {{ context: CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D,
+     *           width: number, height: number, profile?: keyof PROFILES,
+     *           budget?: number, now?: () => number, random?: () => number }} options
+     */
+    const createScene = ({
+        context,
+        width,
+        height,
+        profile = 'desktop',
+        budget = 6,
+        now = () => performance.now(),
+        random = Math.random
+    }) => {
+        const ctx = context;
+        const canvas = ctx.canvas;
+        const grid = createGrid();
+        const governor = createGovernor({ budget, quality: (PROFILES[profile] || PROFILES.desktop).quality });
+        const particles = [];
+        let w = 0;
+        let h = 0;
+        let mouseX = -999;
+        let mouseY = -999;
+        let visible = true;
+        let current = settings(profile, governor.quality);
+
+        const setCount = (count) => {
+            while (particles.length < count) particles.push(spawn(w, h, random));
+            particles.length = count;
+        };
+
+        const resize = (width, height) => {
+            // Keep the constellation's layout when the canvas changes size.
+            const sx = w ? width / w : 1;
+            const sy = h ? height / h : 1;
+            particles.forEach((p) => {
+                p.x *= sx;
+                p.y *= sy;
+            });
+            w = canvas.width = Math.max(1, Math.round(width));
+            h = canvas.height = Math.max(1, Math.round(height));
+        };
+
+        const step = () => {
+            for (let i = 0; i < particles.length; i++) {
+                const p = particles[i];
+                if (mouseX > 0) {
+                    const dx = p.x - mouseX;
+                    const dy = p.y - mouseY;
+                    const distSq = dx * dx + dy * dy;
+                    if (distSq < MOUSE_PUSH * MOUSE_PUSH && distSq > 0) {
+                        const dist = Math.sqrt(distSq);
+                        const force = (MOUSE_PUSH - dist) / MOUSE_PUSH * 0.8;
+                        p.vx += (dx / dist) * force * 0.05;
+                        p.vy += (dy / dist) * force * 0.05;
+                    }
+                }
+                p.vx *= 0.998;
+                p.vy *= 0.998;
+                const speedSq = p.vx * p.vx + p.vy * p.vy;
+                if (speedSq > MAX_SPEED * MAX_SPEED) {
+                    const speed = Math.sqrt(speedSq);
+                    p.vx = (p.vx / speed) * MAX_SPEED;
+                    p.vy = (p.vy / speed) * MAX_SPEED;
+                }
+                p.x += p.vx;
+                p.y += p.vy;
+                if (p.x < 0 || p.x > w) p.vx *= -1;
+                if (p.y < 0 || p.y > h) p.vy *= -1;
+                p.x = Math.max(0, Math.min(w, p.x));
+                p.y = Math.max(0, Math.min(h, p.y));
+            }
+        };
+
+        const draw = (time) => {
+            ctx.clearRect(0, 0, w, h);
+            const distance = current.distance;
+            const limit = distance * distance;
+
+            // Lines — one flat strokeStyle each, no gradients.
+            ctx.lineWidth = 0.6;
+            grid.build(particles, w, h, distance);
+            grid.pairs(particles, distance, (i, j, distSq) => {
+                ctx.strokeStyle = GOLD + ((1 - distSq / limit) * 0.18) + ')';
+                ctx.beginPath();
+                ctx.moveTo(particles[i].x, particles[i].y);
+                ctx.lineTo(particles[j].x, particles[j].y);
+                ctx.stroke();
+            });
+
+            if (mouseX > 0) {
+                const mouseLimit = MOUSE_LINK * MOUSE_LINK;
+                ctx.lineWidth = 0.8;
+                for (let i = 0; i < particles.length; i++) {
+                    const p = particles[i];
+                    const dx = p.x - mouseX;
+                    const dy = p.y - mouseY;
+                    const distSq = dx * dx + dy * dy;
+                    if (distSq < mouseLimit) {
+                        ctx.strokeStyle = CYAN + ((1 - distSq / mouseLimit) * 0.3) + ')';
+                        ctx.beginPath();
+                        ctx.moveTo(mouseX, mouseY);
+                        ctx.lineTo(p.x, p.y);
+                        ctx.stroke();
+                    }
+                }
+            }
+
+            const timeFactor = time * 0.002;
+            for (let i = 0; i < particles.length; i++) {
+                const p = particles[i];
+                const pulse = Math.sin(timeFactor + p.pulseOffset) * 0.3 + 0.7;
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, p.r * pulse, 0, Math.PI * 2);
+                ctx.fillStyle = (p.hueShift ? CYAN : GOLD) + (p.alpha * pulse) + ')';
+                ctx.fill();
+            }
+        };
+
+        resize(width, height);
+        setCount(current.count);
+
+        return {
+            /** @param {number} time  the animation frame's timestamp */
+            frame(time) {
+                if (!visible) return;
+                const start = now();
+                step();
+                draw(time);
+                if (governor.sample(now() - start)) {
+                    current = settings(profile, governor.quality);
+                    setCount(current.count);
+                }
+            },
+
+            /** @param {{ type: 'resize', width: number, height: number } | { type: 'mouse', x: number, y: number } | { type: 'visible', visible: boolean }} message */
+            receive(message) {
+                if (message.type === 'resize') resize(message.width, message.height);
+                else if (message.type === 'mouse') {
+                    mouseX = message.x;
+                    mouseY = message.y;
+                } else if (message.type === 'visible') visible = Boolean(message.visible);
+            },
+
+            clear() {
+                ctx.clearRect(0, 0, w, h);
+            },
+
+            get stats() {
+                return { quality: governor.quality, average: governor.average, count: particles.length, distance: current.distance };
+            }
+        };
+    };
+
+    return { PROFILES, settings, createGrid, createGovernor, createScene };
+});
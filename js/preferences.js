@@ -0,0 +1,272 @@
+/**
+ * preferences.js — visitor display preferences and the settings panel.
+ *
+ *   CC.preferences.get()             → { reducedMotion, cursor, background, highContrast, shortcuts }
+ *   CC.preferences.set(key, value)   → saves an override and applies it
+ *   CC.preferences.reset()           → back to the system defaults
+ *
+ * Reduced motion and high contrast default to the matching media queries;
+ * a saved choice takes precedence. The resolved values are mirrored on
+ * <html> as `data-motion`, `data-contrast` and `data-background` (style.css)
+ * and announced with a `cc:preferences` event (innovation.js, js/router.js).
+ * `shortcuts` is read by js/command-palette.js on each key press.
+ *
+ * Loaded without `defer` in <head>, after js/util.js, so the attributes are
+ * set before paint.
+ */
+(() => {
+    'use strict';
+
+    const STORAGE_KEY = 'cc:preferences';
+    const { util } = window.CC;
+
+    const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    const contrastQuery = window.matchMedia('(prefers-contrast: more)');
+
+    /** @typedef {{ reducedMotion: boolean, cursor: boolean, background: boolean, highContrast: boolean, shortcuts: boolean }} Preferences */
+
+    /** `label` and `hint` are called for the text in the page language, once js/language.js has loaded. */
+    const FIELDS = [
+        {
+            key: 'reducedMotion',
+            label: () => window.CC.language.t('prefs.reducedMotion', 'Reduce motion'),
+            hint: () => window.CC.language.t('prefs.reducedMotionHint', 'Stops the loader, scroll reveals, tilt and parallax.'),
+            system: true
+        },
+        {
+            key: 'cursor',
+            label: () => window.CC.language.t('prefs.cursor', 'Projector cursor'),
+            hint: () => window.CC.language.t('prefs.cursorHint', 'The custom cursor and its trail (mouse only).')
+        },
+        {
+            key: 'background',
+            label: () => window.CC.language.t('prefs.background', 'Background effects'),
+            hint: () => window.CC.language.t('prefs.backgroundHint', 'Particle constellation and drifting background glow.')
+        },
+        {
+            key: 'highContrast',
+            label: () => window.CC.language.t('prefs.highContrast', 'High contrast'),
+            hint: () => window.CC.language.t('prefs.highContrastHint', 'Brighter text, stronger borders, no glow or grain.'),
+            system: true
+        },
+        {
+            key: 'shortcuts',
+            label: () => window.CC.language.t('prefs.shortcuts', 'Single-key shortcuts'),
+            hint: () => window.CC.language.t('prefs.shortcutsHint', 'H, P, C, T, R, E, / and ? move around the site. Ctrl K (⌘K) search stays on.')
+        }
+    ];
+
+    /** @returns {Preferences} */
+    const defaults = () => ({
+        reducedMotion: motionQuery.matches,
+        cursor: true,
+        background: true,
+        highContrast: contrastQuery.matches,
+        shortcuts: true
+    });
+
+    /** @returns {Partial<Preferences>} */
+    const readStored = () => util.readStored(STORAGE_KEY, { accept: (value) => typeof value === 'object', fallback: {} });
+
+    const writeStored = (value) => util.writeStored(STORAGE_KEY, Object.keys(value).length ? value : null);
+
+    let stored = readStored();
+
+    /** @returns {Preferences} */
+    const get = () => {
+        const resolved = defaults();
+        FIELDS.forEach(({ key }) => {
+            if (typeof stored[key] === 'boolean') resolved[key] = stored[key];
+        });
+        return resolved;
+    };
+
+    let current = get();
+
+    const apply = () => {
+        const prefs = get();
+        const root = document.documentElement;
+        root.dataset.motion = prefs.reducedMotion ? 'reduce' : 'full';
+        root.dataset.contrast = prefs.highContrast ? 'more' : 'normal';
+        root.dataset.background = prefs.background ? 'on' : 'off';
+
+        const changed = FIELDS.map(({ key }) => key).filter((key) => prefs[key] !== current[key]);
+        current = prefs;
+        if (changed.length) {
+            document.dispatchEvent(new CustomEvent('cc:preferences', { detail: { preferences: prefs, changed } }));
+        }
+        return prefs;
+    };
+
+    /**
+     * @param {keyof Preferences} key
+     * @param {boolean} value
+     */
+    const set = (key, value) => {
+        if (!FIELDS.some((field) => field.key === key)) throw new Error(`Unknown preference: ${key}`);
+        stored = { ...stored, [key]: Boolean(value) };
+        // Matching the default again means "follow the system" from now on.
+        if (stored[key] === defaults()[key]) delete stored[key];
+        writeStored(stored);
+        return apply();
+    };
+
+    const reset = () => {
+        stored = {};
+        writeStored(stored);
+        return apply();
+    };
+
+    const isOverridden = (key) => typeof stored[key] === 'boolean';
+
+    /* ============================
+       Settings panel
+       ============================ */
+    let panel = null;
+
+    const syncPanel = () => {
+        if (!panel) return;
+        const prefs = get();
+        FIELDS.forEach(({ key }) => {
+            const input = panel.querySelector(`input[name="${key}"]`);
+            input.checked = prefs[key];
+            const note = panel.querySelector(`[data-pref-source="${key}"]`);
+            if (note) note.hidden = isOverridden(key);
+        });
+    };
+
+    const buildPanel = () => {
+        const dialog = document.createElement('dialog');
+        dialog.id = 'cc-preferences';
+        dialog.className = 'prefs-panel';
+        dialog.setAttribute('aria-labelledby', 'cc-preferences-title');
+
+        const form = document.createElement('form');
+        form.method = 'dialog';
+        form.className = 'prefs-form';
+
+        const title = document.createElement('h2');
+        title.id = 'cc-preferences-title';
+        title.className = 'prefs-title';
+        title.textContent = window.CC.language.t('nav.settings', 'Settings');
+        form.appendChild(title);
+
+        const intro = document.createElement('p');
+        intro.className = 'prefs-intro';
+        intro.textContent = window.CC.language.t('prefs.intro', 'Saved in this browser and applied straight away.');
+        form.appendChild(intro);
+
+        FIELDS.forEach(({ key, label, hint, system }) => {
+            const row = document.createElement('label');
+            row.className = 'prefs-toggle';
+
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.name = key;
+            input.setAttribute('role', 'switch');
+            input.addEventListener('change', () => {
+                set(key, input.checked);
+                syncPanel();
+            });
+
+            const text = document.createElement('span');
+            text.className = 'prefs-toggle__text';
+            const strong = document.createElement('strong');
+            strong.textContent = label();
+            const small = document.createElement('small');
+            small.textContent = hint();
+            text.append(strong, small);
+
+            if (system) {
+                const source = document.createElement('small');
+                source.className = 'prefs-source';
+                source.dataset.prefSource = key;
+                source.textContent = window.CC.language.t('prefs.system', 'Following your system setting.');
+                text.appendChild(source);
+            }
+
+            row.append(input, text);
+            form.appendChild(row);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'prefs-actions';
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.className = 'button button-secondary';
+        resetButton.textContent = window.CC.language.t('prefs.reset', 'Use system defaults');
+        resetButton.addEventListener('click', () => {
+            reset();
+            syncPanel();
+        });
+        const done = document.createElement('button');
+        done.type = 'submit';
+        done.className = 'button';
+        done.textContent = window.CC.language.t('prefs.done', 'Done');
+        actions.append(resetButton, done);
+        form.appendChild(actions);
+
+        dialog.appendChild(form);
+        document.body.appendChild(dialog);
+
+        // Clicking the backdrop closes the dialog.
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) dialog.close();
+        });
+        return dialog;
+    };
+
+    const open = () => {
+        if (!panel) panel = buildPanel();
+        syncPanel();
+        if (typeof panel.showModal === 'function') {
+            if (!panel.open) panel.showModal();
+        } else {
+            panel.setAttribute('open', '');
+        }
+    };
+
+    const mountButton = () => {
+        const nav = document.getElementById('site-nav');
+        if (!nav || nav.querySelector('.nav-settings')) return;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'nav-link nav-settings';
+        button.setAttribute('aria-haspopup', 'dialog');
+        button.setAttribute('aria-controls', 'cc-preferences');
+        button.dataset.i18n = 'nav.settings';
+        button.textContent = 'Settings';
+        button.addEventListener('click', open);
+        nav.appendChild(button);
+    };
+
+    // System changes still apply to anything the visitor has not overridden.
+    [motionQuery, contrastQuery].forEach((query) => {
+        if (typeof query.addEventListener === 'function') query.addEventListener('change', () => {
+            apply();
+            syncPanel();
+        });
+    });
+
+    // A closed panel is rebuilt in the new language the next time it opens.
+    document.addEventListener('cc:language', () => {
+        if (!panel || panel.open) return;
+        panel.remove();
+        panel = null;
+    });
+
+    // Another tab changed the settings.
+    window.addEventListener('storage', (e) => {
+        if (e.key !== STORAGE_KEY) return;
+        stored = readStored();
+        apply();
+        syncPanel();
+    });
+
+    apply();
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', mountButton);
+    else mountButton();
+
+    window.CC = window.CC || {};
+    window.CC.preferences = { get, set, reset, open, isOverridden, FIELDS };
+})();
@@ -0,0 +1,366 @@
+/**
+ * roadmap.js — the roadmap.html timeline, built from data/tools.json.
+ *
+ * Every tool has a roadmap `phase`, a `status` (planned → in-progress →
+ * beta → released), the `history` of dated status changes that led there
+ * and `target` months for beta and release:
+ *
+ *   { "id": "budget-tracker", "roadmap": 1, "status": "beta",
+ *     "history": [{ "status": "planned", "date": "2025-09-01" }, …, { "status": "beta", "date": "2026-08-24" }],
+ *     "target": { "beta": "2026-08-01", "release": "2026-12-01" } }
+ *
+ * `"placeholder": true` marks a tool whose history and targets are stand-ins
+ * rather than confirmed milestones. `published` drops them, so they appear
+ * neither on the timeline nor in roadmap.json and the feed; take the flag off
+ * once the real dates are in.
+ *
+ * The filters live in the query string, as on tools.html:
+ *
+ *   roadmap.html?status=beta&status=released&craft=editing
+ *
+ * scripts/build.js checks the data with `validate` and publishes roadmap.json
+ * and the Atom feed of `changes` (scripts/roadmap-feed.js), both from the
+ * `published` catalog. The pure helpers
+ * load as a CommonJS module in Node; in the browser the timeline mounts
+ * itself on `[data-roadmap]`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./crafts'));
+    } else {
+        root.CC = root.CC || {};
+        root.CC.roadmap = factory(root.CC.crafts || []);
+    }
+})(typeof self !== 'undefined' ? self : this, (crafts) => {
+    'use strict';
+
+    const DATE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+    /** @typedef {{ status: string[], craft: string }} RoadmapState */
+
+    /** @returns {RoadmapState} */
+    const emptyState = () => ({ status: [], craft: '' });
+
+    /**
+     * @param {string | URLSearchParams} search  e.g. `location.search`
+     * @returns {RoadmapState}
+     */
+    const parseState = (search) => {
+        const params = search instanceof URLSearchParams ? search : new URLSearchParams(search || '');
+        return {
+            status: Array.from(new Set(params.getAll('status').map((value) => value.trim()).filter(Boolean))),
+            craft: (params.get('craft') || '').trim()
+        };
+    };
+
+    /** @returns {string}  `?…`, or '' when nothing is filtered */
+    const toQuery = (state) => {
+        const params = new URLSearchParams();
+        (state.status || []).forEach((value) => params.append('status', value));
+        if (state.craft) params.set('craft', state.craft);
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    };
+
+    const isFiltered = (state) => Boolean((state.status || []).length || state.craft);
+
+    const matches = (tool, state) => (!(state.status || []).length || state.status.includes(tool.status))
+        && (!state.craft || (tool.crafts || []).includes(state.craft));
+
+    /** Date the tool reached its current status. */
+    const since = (tool) => {
+        const history = tool.history || [];
+        return history.length ? history[history.length - 1].date : null;
+    };
+
+    /**
+     * Problems with the roadmap fields of data/tools.json, one line each.
+     * @returns {string[]}
+     */
+    const validate = (catalog) => {
+        const problems = [];
+        const statuses = (catalog.statuses || []).map((status) => status.code);
+        const phases = new Set((catalog.roadmap || []).map((phase) => phase.phase));
+        if (!statuses.length) problems.push('"statuses" is missing or empty');
+
+        catalog.tools.forEach((tool) => {
+            const where = `tool "${tool.id}"`;
+            if (!phases.has(tool.roadmap)) problems.push(`${where}: roadmap phase ${JSON.stringify(tool.roadmap)} is not in "roadmap"`);
+            if (!statuses.includes(tool.status)) problems.push(`${where}: unknown status ${JSON.stringify(tool.status)}`);
+
+            const history = tool.history || [];
+            if (!history.length) problems.push(`${where}: "history" is empty`);
+            history.forEach((change, i) => {
+                if (!statuses.includes(change.status)) problems.push(`${where}: history has unknown status ${JSON.stringify(change.status)}`);
+                if (!DATE.test(change.date || '')) problems.push(`${where}: history date ${JSON.stringify(change.date)} is not YYYY-MM-DD`);
+                else if (i && DATE.test(history[i - 1].date || '') && change.date < history[i - 1].date) problems.push(`${where}: history is not in date order at ${change.date}`);
+            });
+            if (history.length && history[history.length - 1].status !== tool.status) {
+                problems.push(`${where}: status is "${tool.status}" but the last history entry is "${history[history.length - 1].status}"`);
+            }
+
+            Object.entries(tool.target || {}).forEach(([key, date]) => {
+                if (!DATE.test(date)) problems.push(`${where}: target ${key} ${JSON.stringify(date)} is not YYYY-MM-DD`);
+            });
+            if ('placeholder' in tool && typeof tool.placeholder !== 'boolean') problems.push(`${where}: "placeholder" is not true or false`);
+        });
+        return problems;
+    };
+
+    /** The catalog without placeholder dates: those tools keep their status but lose `history` and `target`. */
+    const published = (catalog) => ({
+        ...catalog,
+        tools: catalog.tools.map((tool) => (tool.placeholder ? { ...tool, history: [], target: {} } : tool))
+    });
+
+    /**
+     * The roadmap phases with their tools that match `state`, in catalog
+     * order. `start` and `end` span the phase's beta and release targets;
+     * `counts` are by status over all the phase's tools, filtered or not.
+     * @returns {Array<{ phase: number, name: string, start: string|null, end: string|null, total: number, counts: Record<string, number>, tools: object[] }>}
+     */
+    const timeline = (catalog, state = emptyState()) => (catalog.roadmap || []).map((phase) => {
+        const all = catalog.tools.filter((tool) => tool.roadmap === phase.phase);
+        const dates = all.flatMap((tool) => Object.values(tool.target || {})).sort();
+        const counts = {};
+        all.forEach((tool) => {
+            counts[tool.status] = (counts[tool.status] || 0) + 1;
+        });
+        return {
+            ...phase,
+            start: dates[0] || null,
+            end: dates[dates.length - 1] || null,
+            total: all.length,
+            counts,
+            tools: all.filter((tool) => matches(tool, state))
+        };
+    });
+
+    /**
+     * Every status change, newest first. `previous` is null when the tool
+     * joined the roadmap.
+     * @returns {Array<{ tool: object, status: string, previous: string|null, date: string }>}
+     */
+    const changes = (catalog) => catalog.tools
+        .flatMap((tool) => (tool.history || []).map((change, i, history) => ({
+            tool,
+            status: change.status,
+            previous: i ? history[i - 1].status : null,
+            date: change.date
+        })))
+        .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+
+    /* ============================
+       Browser UI
+       ============================ */
+    const DATA_URL = 'data/tools.json';
+
+    const monthFormat = new Map();
+    /** '2026-09-01' → 'Sep 2026' in the page language */
+    const month = (date) => {
+        const locale = document.documentElement.lang || 'en';
+        if (!monthFormat.has(locale)) {
+            monthFormat.set(locale, new Intl.DateTimeFormat(locale, { month: 'short', year: 'numeric', timeZone: 'UTC' }));
+        }
+        return monthFormat.get(locale).format(new Date(`${date}T00:00:00Z`));
+    };
+
+    const element = (tag, className, text) => {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text !== undefined) el.textContent = text;
+        return el;
+    };
+
+    const craftNames = new Map(crafts.map((craft) => [craft.code, craft.name]));
+    const craftName = (code) => (craftNames.has(code) ? window.CC.language.t(`craft.${code}.name`, craftNames.get(code)) : code);
+
+    const renderTool = (tool, statusNames) => {
+        const item = element('li', 'timeline__tool');
+        item.id = `roadmap-${tool.id}`;
+        item.dataset.status = tool.status;
+
+        const head = element('div', 'timeline__tool-head');
+        const link = element('a', 'timeline__tool-name', tool.name);
+        link.href = tool.demo ? `tools.html#${tool.demo}` : `tools.html#tool-${tool.id}`;
+        head.append(link, element('span', `status-pill status-pill--${tool.status}`, statusNames.get(tool.status) || tool.status));
+        item.appendChild(head);
+
+        const facts = [];
+        if (since(tool)) {
+            facts.push(tool.status === 'planned'
+                ? window.CC.language.t('roadmap.timeline.plannedSince', 'On the roadmap since {month}', { month: month(since(tool)) })
+                : window.CC.language.t('roadmap.timeline.since', '{status} since {month}', { status: statusNames.get(tool.status), month: month(since(tool)) }));
+        }
+        const target = tool.target || {};
+        if (tool.status !== 'released') {
+            if (target.beta && tool.status !== 'beta') facts.push(window.CC.language.t('roadmap.timeline.beta', 'Beta {month}', { month: month(target.beta) }));
+            if (target.release) facts.push(window.CC.language.t('roadmap.timeline.release', 'Release {month}', { month: month(target.release) }));
+        }
+        if (facts.length) item.appendChild(element('p', 'timeline__facts', facts.join(' · ')));
+
+        const names = (tool.crafts || []).map(craftName);
+        if (names.length) item.appendChild(element('p', 'timeline__crafts', names.join(', ')));
+        return item;
+    };
+
+    const renderPhase = (phase, statusNames) => {
+        const item = element('li', 'timeline__phase');
+        item.dataset.phase = String(phase.phase);
+
+        const head = element('div', 'timeline__phase-head');
+        head.appendChild(element('h3', '', window.CC.language.t('roadmap.timeline.phase', 'Phase {number} — {name}', {
+            number: phase.phase,
+            name: window.CC.language.t(`roadmap.phase${phase.phase}`, phase.name)
+        })));
+        const meta = [];
+        if (phase.start) meta.push(phase.start === phase.end ? month(phase.start) : `${month(phase.start)} – ${month(phase.end)}`);
+        meta.push(window.CC.language.t('roadmap.timeline.released', '{released} of {total} released', { released: phase.counts.released || 0, total: phase.total }));
+        head.appendChild(element('p', 'timeline__range', meta.join(' · ')));
+
+        const progress = element('div', 'timeline__progress');
+        progress.setAttribute('aria-hidden', 'true');
+        Array.from(statusNames.keys()).reverse().forEach((code) => {
+            if (!phase.counts[code]) return;
+            const bar = element('span', `timeline__bar status-pill--${code}`);
+            bar.style.flexGrow = String(phase.counts[code]);
+            progress.appendChild(bar);
+        });
+        head.appendChild(progress);
+        item.appendChild(head);
+
+        const list = element('ul', 'timeline__tools');
+        phase.tools.forEach((tool) => list.appendChild(renderTool(tool, statusNames)));
+        item.appendChild(list);
+        return item;
+    };
+
+    /** @param {ParentNode} scope  the page, or the `#main` swapped in by the router */
+    const mount = (scope) => {
+        const controls = scope.querySelector('[data-roadmap]');
+        if (!controls || controls.dataset.mounted) return;
+        controls.dataset.mounted = 'true';
+
+        const chips = controls.querySelector('[data-roadmap-status]');
+        const select = controls.querySelector('[data-roadmap-craft]');
+        const list = controls.querySelector('[data-roadmap-timeline]');
+        const countEl = controls.querySelector('[data-roadmap-count]');
+        const emptyEl = controls.querySelector('[data-roadmap-empty]');
+        const clear = controls.querySelector('[data-roadmap-clear]');
+
+        let catalog = null;
+        let statusNames = new Map();
+        let state = parseState(window.location.search);
+
+        const setStatus = (text) => {
+            if (countEl) countEl.textContent = text;
+        };
+
+        const writeUrl = () => {
+            const url = new URL(window.location.href);
+            url.search = toQuery(state);
+            if (url.href === window.location.href) return;
+            // The router has to know the new query, or Back to this entry re-fetches the page.
+            if (window.CC.router) window.CC.router.replace(url.href);
+            else history.replaceState(history.state, '', url.href);
+        };
+
+        const update = () => {
+            const phases = timeline(catalog, state);
+            list.replaceChildren(...phases.filter((phase) => phase.tools.length).map((phase) => renderPhase(phase, statusNames)));
+
+            chips.querySelectorAll('.chip').forEach((chip) => {
+                chip.setAttribute('aria-pressed', String(state.status.includes(chip.dataset.value)));
+            });
+            if (select) select.value = craftNames.has(state.craft) ? state.craft : '';
+
+            const shown = phases.reduce((n, phase) => n + phase.tools.length, 0);
+            const total = catalog.tools.length;
+            setStatus(shown === total
+                ? window.CC.language.t('tools.catalog.showingAll', 'Showing all {total, plural, one {# tool} other {# tools}}', { total })
+                : window.CC.language.t('tools.catalog.showing', 'Showing {shown} of {total, plural, one {# tool} other {# tools}}', { shown, total }));
+            if (emptyEl) emptyEl.hidden = shown > 0;
+            if (clear) clear.hidden = !isFiltered(state);
+        };
+
+        const setState = (next) => {
+            state = next;
+            writeUrl();
+            update();
+        };
+
+        const render = () => {
+            statusNames = new Map(catalog.statuses.map((status) => [status.code, window.CC.language.t(`tool.status.${status.code}`, status.name)]));
+            chips.querySelectorAll('.chip').forEach((chip) => chip.remove());
+            statusNames.forEach((name, code) => {
+                const chip = element('button', `chip chip--status status-pill--${code}`);
+                chip.type = 'button';
+                chip.dataset.value = code;
+                chip.setAttribute('aria-pressed', 'false');
+                const count = catalog.tools.filter((tool) => tool.status === code).length;
+                chip.append(name, ' ', element('span', 'chip-count', String(count)));
+                chips.appendChild(chip);
+            });
+
+            if (select) {
+                const used = new Set(catalog.tools.flatMap((tool) => tool.crafts || []));
+                select.replaceChildren(new Option(window.CC.language.t('roadmap.timeline.allCrafts', 'All crafts'), ''));
+                crafts.filter((craft) => used.has(craft.code)).forEach((craft) => select.appendChild(new Option(craftName(craft.code), craft.code)));
+            }
+        };
+
+        chips.addEventListener('click', (e) => {
+            const chip = e.target instanceof Element ? e.target.closest('.chip') : null;
+            if (!chip) return;
+            const value = chip.dataset.value;
+            const status = state.status.includes(value) ? state.status.filter((v) => v !== value) : state.status.concat(value);
+            setState({ ...state, status });
+        });
+        if (select) select.addEventListener('change', () => setState({ ...state, craft: select.value }));
+        if (clear) {
+            clear.addEventListener('click', () => {
+                setState(emptyState());
+                const first = chips.querySelector('.chip');
+                if (first) first.focus();
+            });
+        }
+        // Names and dates follow the page language.
+        window.CC.language.watch(controls, () => {
+            if (!catalog) return;
+            render();
+            update();
+        });
+
+        setStatus(window.CC.language.t('roadmap.timeline.loading', 'Loading the roadmap…'));
+        fetch(DATA_URL, { headers: { Accept: 'application/json' } })
+            .then((response) => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            // The timeline is built once, in the page language.
+            .then((data) => window.CC.language.ready().then(() => data))
+            .then((data) => {
+                if (!controls.isConnected) return;
+                catalog = published(data);
+                render();
+                controls.hidden = false;
+                update();
+                // Links to a tool (`roadmap.html#roadmap-…`, from the feed) land before the row exists.
+                const target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+                if (target && list.contains(target)) target.scrollIntoView();
+            })
+            .catch(() => {
+                setStatus(window.CC.language.t('roadmap.timeline.failed', 'The roadmap could not be loaded. Please refresh the page to try again.'));
+                controls.hidden = false;
+            });
+    };
+
+    if (typeof document !== 'undefined') {
+        const start = () => mount(document);
+        if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+        else start();
+        document.addEventListener('cc:afterswap', (e) => mount(e.detail.root));
+    }
+
+    return { emptyState, parseState, toQuery, isFiltered, matches, since, validate, published, timeline, changes, mount };
+});
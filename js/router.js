@@ -0,0 +1,199 @@
+/**
+ * router.js — pjax-style navigation between the site's pages.
+ *
+ * Same-origin `.html` links are fetched and only `#main` is swapped, so the
+ * header, loader and global effects survive navigation. The title, meta tags,
+ * `<html lang>` and `<body>` attributes follow the new page, and any scripts
+ * it needs that are not loaded yet are added before the swap.
+ *
+ * Events on `document`:
+ *   cc:beforeswap  — old `#main` is about to be removed
+ *   cc:afterswap   — detail `{ root }` is the new `#main`
+ *
+ * Add `data-no-router` to a link to force a full page load. Pages that keep
+ * their state in the query string update it with `CC.router.replace(href)`,
+ * so Back to that entry isn't mistaken for another page.
+ */
+(() => {
+    'use strict';
+
+    const MAIN = '#main';
+    const FADE_MS = 200;
+    const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    const prefersReducedMotion = () => (window.CC && window.CC.preferences
+        ? window.CC.preferences.get().reducedMotion
+        : motionQuery.matches);
+
+    if (!window.history || !window.fetch || !window.DOMParser) return;
+    if (!/^https?:$/.test(window.location.protocol)) return;
+
+    history.scrollRestoration = 'manual';
+
+    let navigating = null;
+    /** pathname + search of the page currently in `#main`. */
+    let rendered = window.location.pathname + window.location.search;
+
+    const loadedScripts = () => new Set(Array.from(document.scripts, (s) => s.src).filter(Boolean));
+
+    /** Resolves once `src` has run; scripts load one at a time to keep order. */
+    const loadScript = (src) => new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.async = false;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.body.appendChild(script);
+    });
+
+    const fade = (el, to) => new Promise((resolve) => {
+        if (prefersReducedMotion()) {
+            resolve();
+            return;
+        }
+        el.style.transition = `opacity ${FADE_MS}ms ease`;
+        el.style.opacity = to;
+        setTimeout(resolve, FADE_MS);
+    });
+
+    /** Copies title, named/property meta tags, lang and body attributes. */
+    const syncHead = (doc) => {
+        document.title = doc.title;
+        doc.querySelectorAll('meta[name], meta[property]').forEach((meta) => {
+            const key = meta.hasAttribute('name') ? 'name' : 'property';
+            const selector = `meta[${key}="${CSS.escape(meta.getAttribute(key))}"]`;
+            const existing = document.head.querySelector(selector);
+            if (existing) existing.setAttribute('content', meta.getAttribute('content') || '');
+            else document.head.appendChild(meta.cloneNode());
+        });
+        document.documentElement.lang = doc.documentElement.lang || document.documentElement.lang;
+        Array.from(document.body.attributes).forEach((attr) => {
+            if (attr.name !== 'style' && !doc.body.hasAttribute(attr.name)) document.body.removeAttribute(attr.name);
+        });
+        Array.from(doc.body.attributes).forEach((attr) => {
+            if (attr.name !== 'style') document.body.setAttribute(attr.name, attr.value);
+        });
+    };
+
+    const scrollToTarget = (url, scrollY) => {
+        if (typeof scrollY === 'number') {
+            window.scrollTo(0, scrollY);
+            return;
+        }
+        const target = url.hash && document.getElementById(decodeURIComponent(url.hash.slice(1)));
+        if (target) target.scrollIntoView();
+        else window.scrollTo(0, 0);
+    };
+
+    /**
+     * @param {URL} url
+     * @param {{ push: boolean, scrollY?: number }} options
+     */
+    const navigate = async (url, { push, scrollY }) => {
+        const main = document.querySelector(MAIN);
+        if (!main) {
+            window.location.href = url.href;
+            return;
+        }
+
+        const token = {};
+        navigating = token;
+
+        let doc;
+        try {
+            const [response] = await Promise.all([
+                fetch(url.href, { headers: { Accept: 'text/html' } }),
+                fade(main, '0')
+            ]);
+            const type = response.headers.get('Content-Type') || '';
+            if (!response.ok || !type.includes('text/html')) throw new Error(`HTTP ${response.status}`);
+            doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+            if (!doc.querySelector(MAIN)) throw new Error('No #main in response');
+
+            const have = loadedScripts();
+            for (const script of doc.querySelectorAll('script[src]')) {
+                const src = new URL(script.getAttribute('src'), url).href;
+                if (!have.has(src)) await loadScript(src);
+            }
+        } catch {
+            window.location.href = url.href;
+            return;
+        }
+        if (navigating !== token) return;
+
+        if (push) {
+            history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+            history.pushState({ scrollY: 0 }, '', url.href);
+        }
+
+        document.dispatchEvent(new CustomEvent('cc:beforeswap'));
+        const next = document.importNode(doc.querySelector(MAIN), true);
+        if (!prefersReducedMotion()) next.style.opacity = '0';
+        main.replaceWith(next);
+        rendered = url.pathname + url.search;
+        syncHead(doc);
+        if (window.CC && window.CC.setActiveNav) window.CC.setActiveNav();
+        document.dispatchEvent(new CustomEvent('cc:afterswap', { detail: { root: next } }));
+
+        scrollToTarget(url, scrollY);
+        next.setAttribute('tabindex', '-1');
+        next.focus({ preventScroll: true });
+        await fade(next, '1');
+        next.style.removeProperty('transition');
+        next.style.removeProperty('opacity');
+        navigating = null;
+    };
+
+    /** @param {HTMLAnchorElement} link */
+    const routable = (link) => {
+        if (link.target && link.target !== '_self') return null;
+        if (link.hasAttribute('download') || link.hasAttribute('data-no-router')) return null;
+        const url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin) return null;
+        if (!/(\.html|\/)$/.test(url.pathname)) return null;
+        // Same-page anchors keep the browser's own scrolling.
+        if (url.pathname === window.location.pathname && url.search === window.location.search && url.hash) return null;
+        return url;
+    };
+
+    document.addEventListener('click', (e) => {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        const link = e.target instanceof Element ? e.target.closest('a[href]') : null;
+        const url = link && routable(link);
+        if (!url) return;
+        e.preventDefault();
+        if (url.href === window.location.href) return;
+        navigate(url, { push: true });
+    });
+
+    window.addEventListener('popstate', (e) => {
+        const url = new URL(window.location.href);
+        const scrollY = e.state && typeof e.state.scrollY === 'number' ? e.state.scrollY : undefined;
+        // Back/forward between anchors of the same page only scrolls.
+        if (url.pathname + url.search === rendered) scrollToTarget(url, scrollY);
+        else navigate(url, { push: false, scrollY: scrollY || 0 });
+    });
+
+    // Remember where we are so Back can return to it.
+    let scrollTimer;
+    window.addEventListener('scroll', () => {
+        clearTimeout(scrollTimer);
+        scrollTimer = setTimeout(() => {
+            history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+        }, 150);
+    }, { passive: true });
+
+    window.CC = window.CC || {};
+    window.CC.router = {
+        navigate: (href) => navigate(new URL(href, window.location.href), { push: true }),
+        /**
+         * Rewrites the current entry's URL (a page's filters, say) without
+         * fetching it, keeping the saved scroll position in history.state.
+         * @param {string} href
+         */
+        replace: (href) => {
+            const url = new URL(href, window.location.href);
+            history.replaceState(history.state, '', url.href);
+            rendered = url.pathname + url.search;
+        }
+    };
+})();
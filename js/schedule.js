@@ -0,0 +1,237 @@
+/**
+ * schedule.js — stripboard scheduling: shoot days, conflicts and the
+ * Day-Out-of-Days report.
+ *
+ *   const strips = CC.schedule.fromBreakdown(CC.breakdown.analyze(text));
+ *   const plan = { start: '2026-11-02', days: [['1', '3'], ['2']] };   // strip ids per shoot day
+ *   CC.schedule.conflicts(strips, plan, { unavailable: { LATA: ['2026-11-03'] } });
+ *   CC.schedule.dayOutOfDays(strips, plan);   // SW / W / H / WF / SWF per cast member
+ *
+ * Shoot days fall on consecutive dates from `plan.start`. A day's call and
+ * wrap come from its strips: day scenes use `hours.day`, and any night scene
+ * pushes the wrap to `hours.night.wrap` (the next morning).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./csv'));
+    } else {
+        root.CC = root.CC || {};
+        root.CC.schedule = factory(root.CC.csv);
+    }
+})(typeof self !== 'undefined' ? self : this, (csv) => {
+    'use strict';
+
+    const DEFAULTS = {
+        turnaroundHours: 12,
+        hours: {
+            day: { call: '07:00', wrap: '19:00' },
+            night: { call: '17:00', wrap: '05:00' }
+        }
+    };
+
+    /** Pages a crew is usually scheduled to shoot in one day. */
+    const DEFAULT_DAY_EIGHTHS = 40;
+
+    /**
+     * @typedef {{ id: string, number: string, heading: string, location: string, intExt: string,
+     *             dayNight: 'day' | 'night', eighths: number, cast: string[] }} Strip
+     * @typedef {{ start: string, days: string[][] }} Plan
+     */
+
+    /** @returns {Strip[]} one strip per breakdown sheet (js/breakdown.js) */
+    const fromBreakdown = (sheets) => sheets.map((sheet) => ({
+        id: String(sheet.number),
+        number: String(sheet.number),
+        heading: sheet.heading,
+        location: sheet.location,
+        intExt: sheet.intExt,
+        dayNight: sheet.dayNight === 'night' ? 'night' : 'day',
+        eighths: sheet.eighths || 1,
+        cast: (sheet.elements && sheet.elements.cast) || []
+    }));
+
+    /** '2026-11-02' + 3 → '2026-11-05' (calendar dates, no time zones involved) */
+    const addDays = (iso, days) => {
+        const date = new Date(`${iso}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    };
+
+    const minutes = (hhmm) => {
+        const [h, m] = String(hhmm).split(':').map(Number);
+        return h * 60 + (m || 0);
+    };
+
+    /** Cast in first-appearance order, numbered the way a DOOD lists them. */
+    const castList = (strips) => {
+        const names = [];
+        strips.forEach((strip) => strip.cast.forEach((name) => {
+            if (!names.includes(name)) names.push(name);
+        }));
+        return names.map((name, i) => ({ id: i + 1, name }));
+    };
+
+    /**
+     * Per shoot day: date, strips, page count, call/wrap (minutes from that
+     * day's midnight; wrap can pass 24:00), locations and cast.
+     */
+    const days = (strips, plan, options = {}) => {
+        const hours = { ...DEFAULTS.hours, ...(options.hours || {}) };
+        const byId = new Map(strips.map((strip) => [strip.id, strip]));
+        return plan.days.map((ids, index) => {
+            const dayStrips = ids.map((id) => byId.get(id)).filter(Boolean);
+            const hasDay = dayStrips.some((strip) => strip.dayNight === 'day');
+            const hasNight = dayStrips.some((strip) => strip.dayNight === 'night');
+            const call = minutes(hasDay || !hasNight ? hours.day.call : hours.night.call);
+            let wrap = minutes(hasNight ? hours.night.wrap : hours.day.wrap);
+            if (wrap <= call) wrap += 24 * 60;
+            return {
+                index,
+                date: plan.start ? addDays(plan.start, index) : null,
+                strips: dayStrips,
+                eighths: dayStrips.reduce((sum, strip) => sum + strip.eighths, 0),
+                call,
+                wrap,
+                locations: Array.from(new Set(dayStrips.map((strip) => strip.location))),
+                cast: Array.from(new Set(dayStrips.flatMap((strip) => strip.cast)))
+            };
+        });
+    };
+
+    /**
+     * @param {Strip[]} strips
+     * @param {Plan} plan
+     * @param {{ unavailable?: Record<string, string[]>, turnaroundHours?: number, hours?: object }} [options]
+     * @returns {{ type: string, severity: 'error' | 'warning', day: number, strip?: string, cast?: string, message: string }[]}
+     *   `day` is the 0-based shoot day
+     */
+    const conflicts = (strips, plan, options = {}) => {
+        const turnaround = (options.turnaroundHours || DEFAULTS.turnaroundHours) * 60;
+        const unavailable = options.unavailable || {};
+        const schedule = days(strips, plan, options);
+        const found = [];
+
+        schedule.forEach((day) => {
+            const label = `Day ${day.index + 1}`;
+
+            day.strips.forEach((strip) => strip.cast.forEach((name) => {
+                if (day.date && (unavailable[name] || []).includes(day.date)) {
+                    found.push({
+                        type: 'cast_unavailable',
+                        severity: 'error',
+                        day: day.index,
+                        strip: strip.id,
+                        cast: name,
+                        message: `${label}: ${name} is unavailable on ${day.date} (scene ${strip.number}).`
+                    });
+                }
+            }));
+
+            if (day.locations.length > 1) {
+                found.push({
+                    type: 'location_change',
+                    severity: 'warning',
+                    day: day.index,
+                    message: `${label}: company move between ${day.locations.join(' → ')}.`
+                });
+            }
+
+            const previous = schedule[day.index - 1];
+            if (!previous) return;
+            // Rest between yesterday's wrap and today's call, per actor working both days.
+            const rest = day.call + 24 * 60 - previous.wrap;
+            if (rest >= turnaround) return;
+            day.cast.filter((name) => previous.cast.includes(name)).forEach((name) => {
+                found.push({
+                    type: 'turnaround',
+                    severity: 'error',
+                    day: day.index,
+                    cast: name,
+                    message: `${label}: ${name} gets ${Math.round((rest / 60) * 10) / 10}h turnaround; ${turnaround / 60}h needed.`
+                });
+            });
+        });
+        return found;
+    };
+
+    /**
+     * Day-Out-of-Days: one code per cast member per shoot day.
+     * SW start work, W work, H hold (between work days), WF work finish,
+     * SWF start and finish on the same day; '' before start and after finish.
+     * @returns {{ days: { index: number, date: string | null }[],
+     *             cast: { id: number, name: string, codes: string[], work: number, hold: number, total: number,
+     *                     start: string | null, finish: string | null }[] }}
+     */
+    const dayOutOfDays = (strips, plan, options = {}) => {
+        const schedule = days(strips, plan, options);
+        const scheduled = schedule.flatMap((day) => day.strips);
+        const cast = castList(scheduled).map(({ id, name }) => {
+            const working = schedule.map((day) => day.cast.includes(name));
+            const first = working.indexOf(true);
+            const last = working.lastIndexOf(true);
+            const codes = working.map((works, i) => {
+                if (i < first || i > last) return '';
+                if (first === last) return 'SWF';
+                if (i === first) return 'SW';
+                if (i === last) return 'WF';
+                return works ? 'W' : 'H';
+            });
+            const work = working.filter(Boolean).length;
+            const hold = codes.filter((code) => code === 'H').length;
+            return {
+                id,
+                name,
+                codes,
+                work,
+                hold,
+                total: work + hold,
+                start: schedule[first].date,
+                finish: schedule[last].date
+            };
+        });
+        return { days: schedule.map(({ index, date }) => ({ index, date })), cast };
+    };
+
+    /** @returns {string} the DOOD as CSV, one row per cast member */
+    const doodToCSV = (dood) => {
+        const header = ['#', 'Cast', ...dood.days.map((day) => (day.date ? `Day ${day.index + 1} (${day.date})` : `Day ${day.index + 1}`)),
+            'Work', 'Hold', 'Total', 'Start', 'Finish'];
+        const rows = dood.cast.map((member) => [
+            member.id, member.name, ...member.codes, member.work, member.hold, member.total, member.start, member.finish
+        ]);
+        return csv.stringify([header, ...rows]);
+    };
+
+    /**
+     * A first pass to drag from: groups strips by location and day/night and
+     * fills shoot days up to `maxEighths` without mixing day and night work.
+     * @returns {string[][]}
+     */
+    const autoSchedule = (strips, { maxEighths = DEFAULT_DAY_EIGHTHS } = {}) => {
+        const sorted = strips.slice().sort((a, b) => a.dayNight.localeCompare(b.dayNight)
+            || a.location.localeCompare(b.location)
+            || Number.parseFloat(a.number) - Number.parseFloat(b.number));
+        const result = [];
+        let current = null;
+        sorted.forEach((strip) => {
+            const fits = current
+                && current.dayNight === strip.dayNight
+                && current.eighths + strip.eighths <= maxEighths;
+            if (!fits) {
+                current = { dayNight: strip.dayNight, eighths: 0, ids: [] };
+                result.push(current);
+            }
+            current.ids.push(strip.id);
+            current.eighths += strip.eighths;
+        });
+        return result.map((day) => day.ids);
+    };
+
+    /** Minutes from midnight → "07:00"; past midnight shows the next day's clock. */
+    const formatTime = (value) => {
+        const m = ((value % 1440) + 1440) % 1440;
+        return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+    };
+
+    return { DEFAULTS, fromBreakdown, days, conflicts, dayOutOfDays, doodToCSV, autoSchedule, castList, addDays, formatTime };
+});
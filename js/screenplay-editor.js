@@ -0,0 +1,162 @@
+/**
+ * screenplay-editor.js — the Screenplay Editor demo on tools.html.
+ *
+ * Fountain typed into `[data-fountain-input]` is parsed with `CC.fountain`
+ * and laid out as a screenplay page in `[data-fountain-preview]`; scene,
+ * page and speaking-part counts go to `[data-fountain-stats]`.
+ */
+(() => {
+    'use strict';
+
+    const { language } = window.CC;
+
+    const RENDER_DELAY_MS = 150;
+
+    /** Token type → class of the paragraph that renders it. */
+    const BLOCK = {
+        scene_heading: 'sp-scene-heading',
+        action: 'sp-action',
+        character: 'sp-character',
+        parenthetical: 'sp-parenthetical',
+        dialogue: 'sp-dialogue',
+        lyrics: 'sp-lyrics',
+        transition: 'sp-transition',
+        centered: 'sp-centered',
+        synopsis: 'sp-synopsis',
+        note: 'sp-note'
+    };
+
+    const paragraph = (className, html) => {
+        const p = document.createElement('p');
+        p.className = className;
+        p.innerHTML = html;
+        return p;
+    };
+
+    const renderTitlePage = (entries, inline) => {
+        const page = document.createElement('div');
+        page.className = 'sp-title-page';
+        entries.forEach(({ key, value }) => {
+            const slug = key.toLowerCase().replace(/[^a-z]+/g, '-');
+            page.appendChild(paragraph(`sp-title-entry sp-title-${slug}`, inline(value)));
+        });
+        return page;
+    };
+
+    /** @param {{ titlePage: object[], tokens: object[] }} script */
+    const renderScript = (script) => {
+        const { inline } = window.CC.fountain;
+        const fragment = document.createDocumentFragment();
+        if (script.titlePage.length) fragment.appendChild(renderTitlePage(script.titlePage, inline));
+
+        // Speeches and dual-dialogue pairs nest; `stack` holds the open containers.
+        const stack = [fragment];
+        const parent = () => stack[stack.length - 1];
+        const open = (className) => {
+            const el = document.createElement('div');
+            el.className = className;
+            parent().appendChild(el);
+            stack.push(el);
+        };
+
+        script.tokens.forEach((token) => {
+            switch (token.type) {
+                case 'dual_dialogue_begin':
+                    open('sp-dual');
+                    break;
+                case 'dialogue_begin':
+                    open('sp-speech');
+                    break;
+                case 'dialogue_end':
+                case 'dual_dialogue_end':
+                    if (stack.length > 1) stack.pop();
+                    break;
+                case 'page_break': {
+                    const rule = document.createElement('hr');
+                    rule.className = 'sp-page-break';
+                    parent().appendChild(rule);
+                    break;
+                }
+                case 'section': {
+                    const heading = paragraph(`sp-section sp-section-${Math.min(token.depth, 3)}`, inline(token.text));
+                    parent().appendChild(heading);
+                    break;
+                }
+                case 'scene_heading': {
+                    const heading = paragraph(BLOCK.scene_heading, inline(token.text));
+                    if (token.sceneNumber) heading.dataset.scene = token.sceneNumber;
+                    parent().appendChild(heading);
+                    break;
+                }
+                default:
+                    if (BLOCK[token.type]) parent().appendChild(paragraph(BLOCK[token.type], inline(token.text)));
+            }
+        });
+        return fragment;
+    };
+
+    const renderStats = (container, stats) => {
+        const minutes = Math.max(1, Math.round(stats.eighths / 8));
+        const rows = [
+            [language.t('tools.screenplay.scenes', 'Scenes'), String(stats.scenes.length)],
+            [language.t('tools.screenplay.pages', 'Pages'), stats.length],
+            [language.t('tools.screenplay.screenTime', 'Screen time'), language.t('tools.screenplay.minutes', '≈ {minutes} min', { minutes })],
+            [language.t('tools.screenplay.speakingParts', 'Speaking parts'), String(stats.characters.length)]
+        ];
+        const list = document.createElement('dl');
+        list.className = 'fountain-stats__summary';
+        rows.forEach(([term, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = term;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            list.append(dt, dd);
+        });
+
+        const scenes = document.createElement('ol');
+        scenes.className = 'fountain-stats__scenes';
+        scenes.setAttribute('aria-label', language.t('tools.screenplay.scenes', 'Scenes'));
+        stats.scenes.forEach((scene) => {
+            const item = document.createElement('li');
+            const number = document.createElement('span');
+            number.className = 'fountain-stats__number';
+            number.textContent = scene.number;
+            const length = document.createElement('span');
+            length.className = 'fountain-stats__length';
+            length.textContent = language.t('tools.demo.pages', '{length} pg', { length: scene.length });
+            item.append(number, ` ${scene.heading} `, length);
+            scenes.appendChild(item);
+        });
+
+        container.replaceChildren(list, scenes);
+    };
+
+    /** @param {ParentNode} root */
+    const mount = (root) => {
+        const demo = root.querySelector('[data-fountain-demo]');
+        if (!demo || demo.dataset.mounted || !(window.CC && window.CC.fountain)) return;
+        demo.dataset.mounted = 'true';
+
+        const input = demo.querySelector('[data-fountain-input]');
+        const preview = demo.querySelector('[data-fountain-preview]');
+        const statsEl = demo.querySelector('[data-fountain-stats]');
+
+        const update = () => {
+            const script = window.CC.fountain.parse(input.value);
+            preview.replaceChildren(renderScript(script));
+            if (statsEl) renderStats(statsEl, window.CC.fountain.stats(script));
+        };
+
+        let timer;
+        input.addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(update, RENDER_DELAY_MS);
+        });
+        language.watch(demo, update);
+        update();
+    };
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => mount(document));
+    else mount(document);
+    document.addEventListener('cc:afterswap', (e) => mount(e.detail.root));
+})();
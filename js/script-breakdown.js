@@ -0,0 +1,152 @@
+/**
+ * script-breakdown.js — the Script Breakdown demo on tools.html.
+ *
+ * Runs `CC.breakdown.analyze()` over `[data-breakdown-input]` with the
+ * keyword lists in `[data-breakdown-dictionary]`, renders one colour-coded
+ * sheet per scene and offers the result as CSV or JSON.
+ */
+(() => {
+    'use strict';
+
+    const { language } = window.CC;
+
+    const RENDER_DELAY_MS = 200;
+
+    /** Category key → its label in the page language; categories not listed keep the library's label. */
+    const CATEGORY_LABELS = {
+        cast: () => language.t('tools.breakdown.cast', 'Cast'),
+        props: () => language.t('tools.breakdown.props', 'Props'),
+        wardrobe: () => language.t('tools.breakdown.wardrobe', 'Wardrobe'),
+        vfx: () => language.t('tools.breakdown.vfx', 'Visual effects')
+    };
+
+    /** "reel, film can\nprojector" → ['reel', 'film can', 'projector'] */
+    const readTerms = (textarea) => textarea.value.split(/[,\n]/).map((term) => term.trim()).filter(Boolean);
+
+    const renderSheet = (sheet) => {
+        const { CATEGORIES } = window.CC.breakdown;
+        const intExt = sheet.intExt.startsWith('EXT') ? 'ext' : 'int';
+
+        const article = document.createElement('article');
+        article.className = `breakdown-sheet breakdown-sheet--${intExt}-${sheet.dayNight}`;
+
+        const header = document.createElement('header');
+        header.className = 'breakdown-sheet__header';
+        const number = document.createElement('span');
+        number.className = 'breakdown-sheet__number';
+        number.textContent = sheet.number;
+        const heading = document.createElement('h3');
+        heading.textContent = sheet.heading;
+        const length = document.createElement('span');
+        length.className = 'breakdown-sheet__length';
+        length.textContent = language.t('tools.demo.pages', '{length} pg', { length: sheet.length });
+        header.append(number, heading, length);
+        article.appendChild(header);
+
+        if (sheet.synopsis) {
+            const synopsis = document.createElement('p');
+            synopsis.className = 'breakdown-sheet__synopsis';
+            synopsis.textContent = sheet.synopsis;
+            article.appendChild(synopsis);
+        }
+
+        const groups = document.createElement('dl');
+        groups.className = 'breakdown-sheet__elements';
+        CATEGORIES.forEach(({ key, label, color }) => {
+            const items = sheet.elements[key] || [];
+            const term = document.createElement('dt');
+            term.textContent = CATEGORY_LABELS[key] ? CATEGORY_LABELS[key]() : label;
+            term.style.setProperty('--category-color', color);
+            const value = document.createElement('dd');
+            if (items.length) {
+                const list = document.createElement('ul');
+                items.forEach((item) => {
+                    const li = document.createElement('li');
+                    li.textContent = item;
+                    list.appendChild(li);
+                });
+                value.appendChild(list);
+            } else {
+                value.textContent = '—';
+            }
+            value.style.setProperty('--category-color', color);
+            groups.append(term, value);
+        });
+        article.appendChild(groups);
+        return article;
+    };
+
+    /** @param {ParentNode} root */
+    const mount = (root) => {
+        const demo = root.querySelector('[data-breakdown-demo]');
+        if (!demo || demo.dataset.mounted || !(window.CC && window.CC.breakdown)) return;
+        demo.dataset.mounted = 'true';
+
+        const { breakdown, util } = window.CC;
+        const input = demo.querySelector('[data-breakdown-input]');
+        const output = demo.querySelector('[data-breakdown-sheets]');
+        const summary = demo.querySelector('[data-breakdown-summary]');
+        const dictionaries = Array.from(demo.querySelectorAll('[data-breakdown-dictionary]'));
+        let sheets = [];
+
+        dictionaries.forEach((textarea) => {
+            if (!textarea.value.trim()) textarea.value = (breakdown.DICTIONARIES[textarea.dataset.breakdownDictionary] || []).join(', ');
+        });
+
+        const update = () => {
+            const options = { dictionaries: {} };
+            dictionaries.forEach((textarea) => {
+                options.dictionaries[textarea.dataset.breakdownDictionary] = readTerms(textarea);
+            });
+            sheets = breakdown.analyze(input.value, options);
+            output.replaceChildren(...sheets.map(renderSheet));
+
+            const cast = new Set(sheets.flatMap((sheet) => sheet.elements.cast));
+            const locations = new Set(sheets.map((sheet) => sheet.location).filter(Boolean));
+            summary.textContent = sheets.length
+                ? language.t('tools.breakdown.summary',
+                    '{scenes, plural, one {# scene} other {# scenes}} · {locations, plural, one {# location} other {# locations}} · {cast} cast',
+                    { scenes: sheets.length, locations: locations.size, cast: cast.size })
+                : language.t('tools.breakdown.empty', 'No scenes yet. Start each scene with a heading such as INT. HOUSE - DAY.');
+            demo.querySelectorAll('[data-breakdown-export]').forEach((button) => {
+                button.disabled = !sheets.length;
+            });
+        };
+
+        let timer;
+        const schedule = () => {
+            clearTimeout(timer);
+            timer = setTimeout(update, RENDER_DELAY_MS);
+        };
+        input.addEventListener('input', schedule);
+        dictionaries.forEach((textarea) => textarea.addEventListener('input', schedule));
+        language.watch(demo, update);
+
+        demo.querySelectorAll('[data-breakdown-export]').forEach((button) => {
+            button.addEventListener('click', () => {
+                if (button.dataset.breakdownExport === 'json') {
+                    util.download('breakdown.json', breakdown.toJSON(sheets), 'application/json');
+                } else {
+                    util.download('breakdown.csv', breakdown.toCSV(sheets));
+                }
+            });
+        });
+
+        // Pull in whatever is in the Screenplay Editor demo on the same page.
+        const importButton = demo.querySelector('[data-breakdown-import]');
+        const editor = root.querySelector('[data-fountain-input]');
+        if (importButton && editor) {
+            importButton.hidden = false;
+            importButton.addEventListener('click', () => {
+                input.value = editor.value;
+                update();
+            });
+        }
+
+        update();
+    };
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => mount(document));
+    else mount(document);
+    document.addEventListener('cc:afterswap', (e) => mount(e.detail.root));
+})();
@@ -0,0 +1,429 @@
+/**
+ * shot-list-builder.js — the Shot List Builder demo on tools.html.
+ *
+ * Scenes hold shots with size, angle, movement, lens (from the editable
+ * presets), description, lighting and sound notes. Shots are reordered by
+ * drag and drop or with ↑/↓ on their handle — across scenes too — and
+ * `CC.shotlist` renumbers them (1A, 1B …) with running setup counts. The list
+ * is kept in localStorage; it exports to CSV and prints from a hidden frame.
+ */
+(() => {
+    'use strict';
+
+    const { language } = window.CC;
+
+    const STORAGE_KEY = 'cc:shotlist';
+    const SAVE_DELAY_MS = 300;
+
+    const uid = () => Math.random().toString(36).slice(2, 10);
+
+    const shot = (fields = {}) => ({
+        id: uid(),
+        size: 'MS',
+        angle: 'Eye level',
+        movement: 'Static',
+        lens: '',
+        description: '',
+        lighting: '',
+        sound: '',
+        sameSetup: false,
+        ...fields
+    });
+
+    const sample = () => ({
+        title: 'The Last Reel',
+        lenses: ['18mm', '25mm', '32mm', '40mm', '50mm', '75mm', '100mm'],
+        scenes: [
+            {
+                id: uid(),
+                number: '1',
+                heading: 'EXT. GANDHI TALKIES - NIGHT',
+                shots: [
+                    shot({ size: 'EWS', angle: 'Low', movement: 'Crane', lens: '18mm', description: 'Marquee flickers; crane down to the queue', lighting: 'Practical marquee, sodium street', sound: 'Wild track: crowd' }),
+                    shot({ size: 'MS', movement: 'Tracking', lens: '32mm', description: 'Ravi pushes through the queue', lighting: 'Sodium backlight', sound: 'Boom' }),
+                    shot({ size: 'CU', lens: '75mm', description: 'Ravi looks up at the marquee', lighting: 'Same as 1B', sound: 'Boom', sameSetup: true })
+                ]
+            },
+            {
+                id: uid(),
+                number: '2',
+                heading: 'INT. PROJECTION BOOTH - NIGHT',
+                shots: [
+                    shot({ size: 'WS', movement: 'Handheld', lens: '25mm', description: 'Ravi threads the projector', lighting: 'Projector spill, haze', sound: 'Boom + plant on projector' }),
+                    shot({ size: 'Insert', angle: 'Overhead', lens: '100mm', description: 'Film gate — the reel jams', lighting: 'Hard top light', sound: 'MOS' })
+                ]
+            }
+        ]
+    });
+
+    const readStored = () => window.CC.util.readStored(STORAGE_KEY, { accept: (value) => Array.isArray(value.scenes) });
+
+    const element = (tag, className, text) => {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text !== undefined) el.textContent = text;
+        return el;
+    };
+
+    const select = (options, value, field, label) => {
+        const el = document.createElement('select');
+        const values = value && !options.includes(value) ? [value, ...options] : options;
+        if (field === 'lens') el.appendChild(new Option('—', ''));
+        values.forEach((option) => el.appendChild(new Option(option, option)));
+        el.value = value || '';
+        el.dataset.shotField = field;
+        el.setAttribute('aria-label', label);
+        return el;
+    };
+
+    const input = (value, field, label, placeholder) => {
+        const el = document.createElement('input');
+        el.type = 'text';
+        el.value = value || '';
+        el.placeholder = placeholder;
+        el.dataset.shotField = field;
+        el.setAttribute('aria-label', label);
+        return el;
+    };
+
+    /** @param {ParentNode} root */
+    const mount = (root) => {
+        const demo = root.querySelector('[data-shotlist]');
+        if (!demo || demo.dataset.mounted || !(window.CC && window.CC.shotlist)) return;
+        demo.dataset.mounted = 'true';
+
+        const { shotlist, util, breakdown } = window.CC;
+        const titleInput = demo.querySelector('[data-shotlist-title]');
+        const lensesInput = demo.querySelector('[data-shotlist-lenses]');
+        const scenesEl = demo.querySelector('[data-shotlist-scenes]');
+        const totalsEl = demo.querySelector('[data-shotlist-totals]');
+        const statusEl = demo.querySelector('[data-shotlist-status]');
+
+        let state = readStored() || sample();
+
+        let saveTimer;
+        const save = () => {
+            clearTimeout(saveTimer);
+            saveTimer = setTimeout(() => util.writeStored(STORAGE_KEY, state), SAVE_DELAY_MS);
+        };
+        const announce = (text) => {
+            if (statusEl) statusEl.textContent = text;
+        };
+
+        const findShot = (id) => {
+            for (const scene of state.scenes) {
+                const index = scene.shots.findIndex((entry) => entry.id === id);
+                if (index !== -1) return { scene, index, shot: scene.shots[index] };
+            }
+            return null;
+        };
+
+        /* ---- Rendering ---- */
+
+        const renderShot = (entry) => {
+            const li = element('li', 'shot-row');
+            li.dataset.shot = entry.id;
+            li.draggable = true;
+
+            const handle = element('button', 'shot-row__handle', '⠿');
+            handle.type = 'button';
+            handle.dataset.shotHandle = '';
+            const code = element('span', 'shot-row__code');
+            code.dataset.shotCode = '';
+            const setup = element('span', 'shot-row__setup');
+            setup.dataset.shotSetup = '';
+
+            const sameSetup = element('label', 'shot-row__same');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = Boolean(entry.sameSetup);
+            checkbox.dataset.shotField = 'sameSetup';
+            sameSetup.append(checkbox, ` ${language.t('tools.shotList.sameSetup', 'Same setup')}`);
+
+            const remove = element('button', 'shot-row__remove', '×');
+            remove.type = 'button';
+            remove.dataset.removeShot = entry.id;
+
+            li.append(
+                handle, code, setup,
+                select(shotlist.SIZES, entry.size, 'size', language.t('tools.shotList.size', 'Shot size')),
+                select(shotlist.ANGLES, entry.angle, 'angle', language.t('tools.shotList.angle', 'Angle')),
+                select(shotlist.MOVEMENTS, entry.movement, 'movement', language.t('tools.shotList.movement', 'Movement')),
+                select(state.lenses, entry.lens, 'lens', language.t('tools.shotList.lens', 'Lens')),
+                input(entry.description, 'description', language.t('tools.demo.description', 'Description'), language.t('tools.demo.description', 'Description')),
+                input(entry.lighting, 'lighting', language.t('tools.shotList.lightingNotes', 'Lighting notes'), language.t('tools.shotList.lighting', 'Lighting')),
+                input(entry.sound, 'sound', language.t('tools.shotList.soundNotes', 'Sound notes'), language.t('tools.shotList.sound', 'Sound')),
+                sameSetup, remove
+            );
+            return li;
+        };
+
+        const renderScene = (scene) => {
+            const section = element('section', 'shotlist-scene');
+            section.dataset.scene = scene.id;
+
+            const header = element('header', 'shotlist-scene__header');
+            const number = document.createElement('input');
+            number.className = 'shotlist-scene__number';
+            number.value = scene.number;
+            number.dataset.sceneField = 'number';
+            number.setAttribute('aria-label', language.t('tools.shotList.sceneNumber', 'Scene number'));
+            const heading = document.createElement('input');
+            heading.value = scene.heading;
+            heading.placeholder = language.t('tools.shotList.headingPlaceholder', 'INT. LOCATION - DAY');
+            heading.dataset.sceneField = 'heading';
+            heading.setAttribute('aria-label', language.t('tools.shotList.sceneHeading', 'Scene heading'));
+            const meta = element('span', 'shotlist-scene__meta');
+            meta.dataset.sceneMeta = '';
+            const remove = element('button', 'shot-row__remove', '×');
+            remove.type = 'button';
+            remove.dataset.removeScene = scene.id;
+            remove.setAttribute('aria-label', language.t('tools.shotList.removeScene', 'Remove scene {number}', { number: scene.number }));
+            header.append(number, heading, meta, remove);
+
+            const list = element('ol', 'shotlist-shots');
+            list.dataset.shots = scene.id;
+            list.append(...scene.shots.map(renderShot));
+
+            const add = element('button', 'button button-secondary shotlist-scene__add', language.t('tools.shotList.addShot', 'Add shot'));
+            add.type = 'button';
+            add.dataset.addShot = scene.id;
+
+            section.append(header, list, add);
+            return section;
+        };
+
+        /** Updates codes, setups and counts in place so typing never loses focus. */
+        const renumber = () => {
+            const rows = shotlist.number(state);
+            rows.forEach(({ shot: entry, code, setup }) => {
+                const li = scenesEl.querySelector(`[data-shot="${entry.id}"]`);
+                if (!li) return;
+                li.querySelector('[data-shot-code]').textContent = code;
+                li.querySelector('[data-shot-setup]').textContent = language.t('tools.shotList.setup', 'Setup {number}', { number: setup });
+                li.querySelector('[data-shot-handle]').setAttribute('aria-label', language.t('tools.shotList.moveShot', 'Move shot {code} (arrow keys)', { code }));
+                li.querySelector('[data-remove-shot]').setAttribute('aria-label', language.t('tools.shotList.removeShot', 'Remove shot {code}', { code }));
+            });
+            state.scenes.forEach((scene) => {
+                const meta = scenesEl.querySelector(`[data-scene="${scene.id}"] [data-scene-meta]`);
+                const sceneRows = rows.filter((row) => row.scene === scene);
+                const setups = sceneRows.length ? sceneRows[sceneRows.length - 1].sceneSetup : 0;
+                if (meta) {
+                    meta.textContent = language.t('tools.shotList.sceneCounts', '{shots, plural, one {# shot} other {# shots}} · {setups, plural, one {# setup} other {# setups}}', {
+                        shots: sceneRows.length,
+                        setups
+                    });
+                }
+            });
+            totalsEl.textContent = language.t('tools.shotList.totals',
+                '{scenes, plural, one {# scene} other {# scenes}} · {shots, plural, one {# shot} other {# shots}} · {setups, plural, one {# setup} other {# setups}}',
+                shotlist.totals(state));
+        };
+
+        const render = (focusSelector) => {
+            titleInput.value = state.title || '';
+            lensesInput.value = state.lenses.join('\n');
+            scenesEl.replaceChildren(...state.scenes.map(renderScene));
+            renumber();
+            save();
+            if (focusSelector) {
+                const target = scenesEl.querySelector(focusSelector);
+                if (target) target.focus();
+            }
+        };
+
+        /* ---- Moving shots ---- */
+
+        const move = (id, sceneId, position) => {
+            const from = findShot(id);
+            const target = state.scenes.find((scene) => scene.id === sceneId);
+            if (!from || !target) return;
+            from.scene.shots.splice(from.index, 1);
+            const index = Math.max(0, Math.min(position, target.shots.length));
+            target.shots.splice(index, 0, from.shot);
+            render(`[data-shot="${id}"] [data-shot-handle]`);
+            const code = shotlist.number(state).find((row) => row.shot.id === id).code;
+            announce(language.t('tools.shotList.moved', 'Moved to scene {number}, now shot {code}.', { number: target.number, code }));
+        };
+
+        let dragging = null;
+        scenesEl.addEventListener('dragstart', (e) => {
+            const row = e.target.closest && e.target.closest('[data-shot]');
+            if (!row) return;
+            dragging = row.dataset.shot;
+            row.classList.add('is-dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', dragging);
+        });
+        scenesEl.addEventListener('dragend', () => {
+            dragging = null;
+            scenesEl.querySelectorAll('.is-dragging, .is-drop-target').forEach((el) => el.classList.remove('is-dragging', 'is-drop-target'));
+        });
+        scenesEl.addEventListener('dragover', (e) => {
+            const list = e.target.closest && e.target.closest('[data-shots]');
+            if (!list || !dragging) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            scenesEl.querySelectorAll('.is-drop-target').forEach((el) => el !== list && el.classList.remove('is-drop-target'));
+            list.classList.add('is-drop-target');
+        });
+        scenesEl.addEventListener('drop', (e) => {
+            const list = e.target.closest && e.target.closest('[data-shots]');
+            if (!list || !dragging) return;
+            e.preventDefault();
+            // Insert before the first shot whose middle is below the pointer.
+            const others = Array.from(list.querySelectorAll('[data-shot]')).filter((el) => el.dataset.shot !== dragging);
+            const before = others.findIndex((el) => {
+                const box = el.getBoundingClientRect();
+                return e.clientY < box.top + box.height / 2;
+            });
+            move(dragging, list.dataset.shots, before === -1 ? others.length : before);
+        });
+
+        /* Keyboard on the handle: ↑/↓ reorder, past either end into the neighbouring scene */
+        scenesEl.addEventListener('keydown', (e) => {
+            if (!(e.target.matches && e.target.matches('[data-shot-handle]'))) return;
+            const id = e.target.closest('[data-shot]').dataset.shot;
+            const { scene, index } = findShot(id);
+            const sceneIndex = state.scenes.indexOf(scene);
+            const previous = state.scenes[sceneIndex - 1];
+            const next = state.scenes[sceneIndex + 1];
+            const moves = {
+                ArrowUp: () => {
+                    if (index > 0) move(id, scene.id, index - 1);
+                    else if (previous) move(id, previous.id, previous.shots.length);
+                },
+                ArrowDown: () => {
+                    if (index < scene.shots.length - 1) move(id, scene.id, index + 1);
+                    else if (next) move(id, next.id, 0);
+                }
+            };
+            if (!moves[e.key]) return;
+            e.preventDefault();
+            moves[e.key]();
+        });
+
+        /* ---- Editing ---- */
+
+        const onEdit = (e) => {
+            const field = e.target.dataset.shotField;
+            if (field) {
+                const found = findShot(e.target.closest('[data-shot]').dataset.shot);
+                found.shot[field] = field === 'sameSetup' ? e.target.checked : e.target.value;
+                if (field === 'sameSetup') renumber();
+                save();
+                return;
+            }
+            const sceneField = e.target.dataset.sceneField;
+            if (sceneField) {
+                const scene = state.scenes.find((entry) => entry.id === e.target.closest('[data-scene]').dataset.scene);
+                scene[sceneField] = e.target.value.trim();
+                if (sceneField === 'number') renumber();
+                save();
+            }
+        };
+        scenesEl.addEventListener('input', onEdit);
+        scenesEl.addEventListener('change', onEdit);
+
+        scenesEl.addEventListener('click', (e) => {
+            const add = e.target.closest('[data-add-shot]');
+            const removeShot = e.target.closest('[data-remove-shot]');
+            const removeScene = e.target.closest('[data-remove-scene]');
+            if (add) {
+                const scene = state.scenes.find((entry) => entry.id === add.dataset.addShot);
+                const last = scene.shots[scene.shots.length - 1];
+                const entry = shot({ lens: last ? last.lens : '' });
+                scene.shots.push(entry);
+                render(`[data-shot="${entry.id}"] [data-shot-field="description"]`);
+            } else if (removeShot) {
+                const { scene, index } = findShot(removeShot.dataset.removeShot);
+                scene.shots.splice(index, 1);
+                render();
+                announce(language.t('tools.shotList.shotRemoved', 'Shot removed.'));
+            } else if (removeScene) {
+                const scene = state.scenes.find((entry) => entry.id === removeScene.dataset.removeScene);
+                const question = language.t('tools.shotList.confirmRemoveScene', 'Remove scene {number} and its {shots, plural, one {# shot} other {# shots}}?', {
+                    number: scene.number,
+                    shots: scene.shots.length
+                });
+                if (scene.shots.length && !window.confirm(question)) return;
+                state.scenes.splice(state.scenes.indexOf(scene), 1);
+                render();
+                announce(language.t('tools.shotList.sceneRemoved', 'Scene {number} removed.', { number: scene.number }));
+            }
+        });
+
+        titleInput.addEventListener('input', () => {
+            state.title = titleInput.value;
+            save();
+        });
+        lensesInput.addEventListener('change', () => {
+            state.lenses = lensesInput.value.split('\n').map((lens) => lens.trim()).filter(Boolean);
+            render();
+            announce(language.t('tools.shotList.lensCount', '{count, plural, one {# lens preset} other {# lens presets}}.', { count: state.lenses.length }));
+        });
+
+        /* ---- Toolbar ---- */
+
+        const on = (selector, handler) => {
+            const el = demo.querySelector(selector);
+            if (el) el.addEventListener('click', handler);
+            return el;
+        };
+
+        on('[data-shotlist-add-scene]', () => {
+            const numbers = state.scenes.map((scene) => Number.parseInt(scene.number, 10)).filter(Number.isFinite);
+            const scene = { id: uid(), number: String(numbers.length ? Math.max(...numbers) + 1 : 1), heading: '', shots: [shot()] };
+            state.scenes.push(scene);
+            render(`[data-scene="${scene.id}"] [data-scene-field="heading"]`);
+        });
+
+        // Scenes from the Script Breakdown demo on the same page, if there is one.
+        const source = root.querySelector('[data-breakdown-input]');
+        const importButton = on('[data-shotlist-import]', () => {
+            const sheets = breakdown.analyze(source.value);
+            const known = new Set(state.scenes.map((scene) => scene.number));
+            const added = sheets.filter((sheet) => !known.has(String(sheet.number)));
+            added.forEach((sheet) => state.scenes.push({ id: uid(), number: String(sheet.number), heading: sheet.heading, shots: [] }));
+            state.scenes.sort((a, b) => Number.parseFloat(a.number) - Number.parseFloat(b.number));
+            render();
+            announce(added.length
+                ? language.t('tools.shotList.imported', 'Added {count, plural, one {# scene} other {# scenes}} from the screenplay.', { count: added.length })
+                : language.t('tools.shotList.nothingNew', 'Every screenplay scene is already in the list.'));
+        });
+        if (importButton) importButton.hidden = !(source && breakdown);
+
+        on('[data-shotlist-export]', () => {
+            util.download('shot-list.csv', shotlist.toCSV(state));
+        });
+
+        on('[data-shotlist-print]', () => {
+            const frame = document.createElement('iframe');
+            frame.className = 'sr-only';
+            frame.title = language.t('tools.shotList.printable', 'Printable shot list');
+            frame.addEventListener('load', () => {
+                try {
+                    frame.contentWindow.print();
+                } finally {
+                    setTimeout(() => frame.remove(), 1000);
+                }
+            });
+            frame.srcdoc = shotlist.toHTML(state);
+            document.body.appendChild(frame);
+        });
+
+        on('[data-shotlist-reset]', () => {
+            if (!window.confirm(language.t('tools.shotList.confirmReset', 'Replace your shot list with the sample?'))) return;
+            state = sample();
+            render();
+            announce(language.t('tools.shotList.restored', 'Sample shot list restored.'));
+        });
+
+        render();
+        language.watch(demo, render);
+    };
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => mount(document));
+    else mount(document);
+    document.addEventListener('cc:afterswap', (e) => mount(e.detail.root));
+})();
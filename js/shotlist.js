@@ -0,0 +1,150 @@
+/**
+ * shotlist.js — shot lists: numbering, setup counts, CSV and a printable layout.
+ *
+ *   const list = {
+ *       title: 'The Last Reel',
+ *       scenes: [{ id, number: '2', heading: 'INT. PROJECTION BOOTH - NIGHT', shots: [
+ *           { id, size: 'MS', angle: 'Eye level', movement: 'Static', lens: '32mm',
+ *             description, lighting, sound, sameSetup: false }
+ *       ] }]
+ *   };
+ *   CC.shotlist.number(list)    // [{ scene, shot, code: '2A', setup: 1, sceneSetup: 1 }, ...]
+ *   CC.shotlist.toCSV(list)
+ *   CC.shotlist.toHTML(list)    // standalone page for print / PDF
+ *
+ * Shots are lettered within their scene, skipping I and O so they can't be
+ * read as 1 and 0: 2A … 2H, 2J … 2N, 2P … 2Z, then 2AA. A setup is a camera
+ * position and lighting state; each shot starts a new one unless it is
+ * marked `sameSetup` (another size or lens from the same position).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./csv'), require('./util'));
+    } else {
+        root.CC = root.CC || {};
+        root.CC.shotlist = factory(root.CC.csv, root.CC.util);
+    }
+})(typeof self !== 'undefined' ? self : this, (csv, util) => {
+    'use strict';
+
+    const { escapeHTML } = util;
+
+    const SIZES = ['EWS', 'WS', 'MWS', 'MS', 'MCU', 'CU', 'ECU', 'Two-shot', 'OTS', 'Insert'];
+    const ANGLES = ['Eye level', 'High', 'Low', 'Overhead', 'Dutch', 'POV', 'Ground level'];
+    const MOVEMENTS = ['Static', 'Pan', 'Tilt', 'Push in', 'Pull out', 'Dolly', 'Tracking', 'Crane', 'Handheld', 'Steadicam', 'Zoom', 'Drone'];
+    const LENSES = ['18mm', '25mm', '32mm', '40mm', '50mm', '75mm', '100mm', '135mm'];
+
+    const LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+    /** 0 → 'A', 7 → 'H', 8 → 'J', 23 → 'Z', 24 → 'AA' */
+    const shotLetter = (index) => {
+        let n = index;
+        let letters = '';
+        do {
+            letters = LETTERS[n % LETTERS.length] + letters;
+            n = Math.floor(n / LETTERS.length) - 1;
+        } while (n >= 0);
+        return letters;
+    };
+
+    /**
+     * Shot codes and running setup numbers, in list order.
+     * @returns {{ scene: object, shot: object, code: string, setup: number, sceneSetup: number }[]}
+     *   `setup` counts across the whole list, `sceneSetup` within the scene
+     */
+    const number = (list) => {
+        const rows = [];
+        let setup = 0;
+        list.scenes.forEach((scene) => {
+            let sceneSetup = 0;
+            scene.shots.forEach((shot, index) => {
+                if (!shot.sameSetup || index === 0) {
+                    setup++;
+                    sceneSetup++;
+                }
+                rows.push({ scene, shot, code: `${scene.number}${shotLetter(index)}`, setup, sceneSetup });
+            });
+        });
+        return rows;
+    };
+
+    /** @returns {{ scenes: number, shots: number, setups: number }} */
+    const totals = (list) => {
+        const rows = number(list);
+        return {
+            scenes: list.scenes.length,
+            shots: rows.length,
+            setups: rows.length ? rows[rows.length - 1].setup : 0
+        };
+    };
+
+    const COLUMNS = ['Shot', 'Scene', 'Set', 'Setup', 'Size', 'Angle', 'Movement', 'Lens', 'Description', 'Lighting', 'Sound'];
+
+    const toCSV = (list) => csv.stringify([
+        COLUMNS,
+        ...number(list).map(({ scene, shot, code, setup }) => [
+            code, scene.number, scene.heading, setup, shot.size, shot.angle, shot.movement, shot.lens,
+            shot.description, shot.lighting, shot.sound
+        ])
+    ]);
+
+    /* ============================
+       Printable layout
+       ============================ */
+
+    const STYLES = `
+*, *::before, *::after { box-sizing: border-box; }
+body { margin: 0; background: #fff; color: #15171c; font: 9.5pt/1.35 "Helvetica Neue", Arial, sans-serif; }
+.shot-list { padding: 0.4in; }
+header { display: flex; justify-content: space-between; align-items: baseline; padding-bottom: 6pt; border-bottom: 2pt solid #15171c; }
+h1 { margin: 0; font-size: 15pt; text-transform: uppercase; letter-spacing: .04em; }
+header p { margin: 0; font-size: 8.5pt; color: #5b5f69; }
+section { break-inside: avoid-page; margin-top: 12pt; }
+h2 { margin: 0 0 4pt; font-size: 10pt; }
+h2 span { font-weight: 400; color: #5b5f69; }
+table { width: 100%; border-collapse: collapse; }
+th, td { padding: 3pt 5pt; border: 0.75pt solid #c8c6bf; text-align: left; vertical-align: top; }
+th { background: #f1efe9; font-size: 7pt; letter-spacing: .06em; text-transform: uppercase; }
+tr { break-inside: avoid; }
+td.code { font-weight: 700; white-space: nowrap; }
+td.check { width: 1.6em; }
+@page { size: landscape; margin: 0.35in; }
+@media print { .shot-list { padding: 0; } }`;
+
+    const cells = (values, tag = 'td') => values.map((value) => `<${tag}>${escapeHTML(value)}</${tag}>`).join('');
+
+    /** @returns {string} a complete HTML document, one table per scene, with a tick column for the script supervisor */
+    const toHTML = (list) => {
+        const rows = number(list);
+        const { shots, setups } = totals(list);
+        const sections = list.scenes.map((scene) => {
+            const sceneRows = rows.filter((row) => row.scene === scene);
+            const sceneSetups = sceneRows.length ? sceneRows[sceneRows.length - 1].sceneSetup : 0;
+            const body = sceneRows.map(({ shot, code, setup }) => `<tr><td class="code">${escapeHTML(code)}</td>${cells([
+                setup, shot.size, shot.angle, shot.movement, shot.lens, shot.description, shot.lighting, shot.sound
+            ])}<td class="check"></td></tr>`).join('');
+            return `<section>
+<h2>Scene ${escapeHTML(scene.number)} — ${escapeHTML(scene.heading)} <span>· ${sceneRows.length} shots, ${sceneSetups} setups</span></h2>
+<table><thead><tr>${cells(['Shot', 'Setup', 'Size', 'Angle', 'Move', 'Lens', 'Description', 'Lighting', 'Sound', '✓'], 'th')}</tr></thead><tbody>${body}</tbody></table>
+</section>`;
+        }).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(`Shot list — ${list.title || 'Untitled'}`)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<article class="shot-list">
+<header><h1>${escapeHTML(list.title || 'Shot list')}</h1><p>${list.scenes.length} scenes · ${shots} shots · ${setups} setups</p></header>
+${sections}
+</article>
+</body>
+</html>
+`;
+    };
+
+    return { SIZES, ANGLES, MOVEMENTS, LENSES, shotLetter, number, totals, toCSV, toHTML };
+});
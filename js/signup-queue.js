@@ -0,0 +1,121 @@
+/**
+ * signup-queue.js — IndexedDB queue for early-access signups made offline.
+ *
+ * Shared by the page (which enqueues) and the service worker (which replays
+ * on Background Sync). Loads as `CC.signupQueue` in either global scope.
+ */
+(function (root) {
+    'use strict';
+
+    const DB_NAME = 'cc-offline';
+    const STORE = 'signups';
+    const SYNC_TAG = 'cc-signups';
+
+    /** Codes that settle a queued signup; anything else keeps it queued. */
+    const FINAL_CODES = new Set(['accepted', 'already_registered', 'invalid']);
+
+    let dbPromise = null;
+
+    const open = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('email', 'email', { unique: false });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return dbPromise;
+    };
+
+    /**
+     * Runs `fn` inside a transaction and resolves with its request's result
+     * once the transaction commits.
+     */
+    const tx = async (mode, fn) => {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            const request = fn(transaction.objectStore(STORE));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    };
+
+    /** @returns {Promise<Array<{ id: number, endpoint: string, payload: object, email: string, queuedAt: string }>>} */
+    const all = () => tx('readonly', (store) => store.getAll());
+
+    const count = () => tx('readonly', (store) => store.count());
+
+    const remove = (id) => tx('readwrite', (store) => store.delete(id));
+
+    /**
+     * Queues a signup. A newer signup for the same email replaces the older one.
+     * @param {string} endpoint
+     * @param {Record<string, string>} payload
+     */
+    const enqueue = async (endpoint, payload) => {
+        const email = String(payload.email || '').trim().toLowerCase();
+        const existing = (await all()).filter((item) => item.email === email);
+        await tx('readwrite', (store) => {
+            existing.forEach((item) => store.delete(item.id));
+            return store.add({ endpoint, payload, email, queuedAt: new Date().toISOString() });
+        });
+        return count();
+    };
+
+    /**
+     * Sends every queued signup in order with `send`, dropping those that
+     * reached a final outcome. Stops at the first network failure.
+     *
+     * @param {(endpoint: string, payload: object) => Promise<{ code: string }>} send
+     * @returns {Promise<{ results: Array<{ email: string, code: string }>, pending: number }>}
+     */
+    const replay = async (send) => {
+        const results = [];
+        for (const item of await all()) {
+            const result = await send(item.endpoint, item.payload);
+            if (!FINAL_CODES.has(result.code)) break;
+            await remove(item.id);
+            results.push({ email: item.email, code: result.code });
+        }
+        return { results, pending: await count() };
+    };
+
+    /**
+     * POSTs one signup as JSON. Network failures and timeouts resolve to
+     * `unreachable` rather than rejecting.
+     * @returns {Promise<{ code: string, errors?: Record<string, string> }>}
+     */
+    const post = async (endpoint, payload, timeoutMs = 10000) => {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), timeoutMs);
+        let response;
+        try {
+            response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+        } catch {
+            return { code: 'unreachable' };
+        } finally {
+            clearTimeout(timeout);
+        }
+
+        const body = await response.json().catch(() => null);
+        if (body && typeof body.code === 'string') return { code: body.code, errors: body.errors };
+        return { code: response.status === 404 ? 'unreachable' : 'error' };
+    };
+
+    root.CC = root.CC || {};
+    root.CC.signupQueue = { enqueue, all, count, remove, replay, post, SYNC_TAG, FINAL_CODES };
+})(typeof self !== 'undefined' ? self : this);
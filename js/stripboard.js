@@ -0,0 +1,344 @@
+/**
+ * stripboard.js — the Smart Scheduler demo on tools.html.
+ *
+ * Scenes come from the Script Breakdown demo on the same page. Strips are
+ * dragged (or moved with the arrow keys) between the unscheduled bin and
+ * shoot days; conflicts and the Day-Out-of-Days table update on every move
+ * (`CC.schedule`).
+ */
+(() => {
+    'use strict';
+
+    const { language } = window.CC;
+
+    const UNSCHEDULED = 0;
+
+    /** Today as YYYY-MM-DD in the visitor's time zone. */
+    const today = () => {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    };
+
+    const formatDate = (iso) => new Date(`${iso}T00:00:00Z`)
+        .toLocaleDateString(document.documentElement.lang || undefined, { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+
+    /** "LATA: 2026-11-03, 2026-11-04" lines → { LATA: ['2026-11-03', '2026-11-04'] } */
+    const parseUnavailable = (text) => {
+        const result = {};
+        text.split('\n').forEach((line) => {
+            const [name, dates] = line.split(':');
+            if (!name || !dates) return;
+            const list = dates.split(/[,\s]+/).filter((date) => /^\d{4}-\d{2}-\d{2}$/.test(date));
+            if (list.length) result[name.trim().toUpperCase()] = list;
+        });
+        return result;
+    };
+
+    /** @param {ParentNode} root */
+    const mount = (root) => {
+        const demo = root.querySelector('[data-stripboard]');
+        if (!demo || demo.dataset.mounted || !(window.CC && window.CC.schedule && window.CC.breakdown)) return;
+        demo.dataset.mounted = 'true';
+
+        const { schedule, breakdown, fountain, util } = window.CC;
+        const board = demo.querySelector('[data-stripboard-board]');
+        const conflictList = demo.querySelector('[data-stripboard-conflicts]');
+        const doodEl = demo.querySelector('[data-stripboard-dood]');
+        const statusEl = demo.querySelector('[data-stripboard-status]');
+        const startInput = demo.querySelector('[data-stripboard-start]');
+        const turnaroundInput = demo.querySelector('[data-stripboard-turnaround]');
+        const unavailableInput = demo.querySelector('[data-stripboard-unavailable]');
+        const source = root.querySelector('[data-breakdown-input]');
+
+        /** Index 0 is the unscheduled bin; 1… are shoot days. */
+        let columns = [[]];
+        let strips = [];
+        let byId = new Map();
+
+        if (startInput && !startInput.value) startInput.value = today();
+
+        const plan = () => ({ start: startInput.value || today(), days: columns.slice(1) });
+        const options = () => ({
+            turnaroundHours: Number(turnaroundInput && turnaroundInput.value) || schedule.DEFAULTS.turnaroundHours,
+            unavailable: unavailableInput ? parseUnavailable(unavailableInput.value) : {}
+        });
+        const length = (eighths) => (fountain ? fountain.formatEighths(eighths) : `${eighths}/8`);
+        const announce = (text) => {
+            if (statusEl) statusEl.textContent = text;
+        };
+
+        const renderStrip = (strip, castIds, flagged) => {
+            const li = document.createElement('li');
+            const intExt = strip.intExt.startsWith('EXT') ? 'ext' : 'int';
+            li.className = `strip strip--${intExt}-${strip.dayNight}${flagged ? ' strip--conflict' : ''}`;
+            li.draggable = true;
+            li.tabIndex = 0;
+            li.dataset.strip = strip.id;
+            li.setAttribute('aria-label', language.t('tools.stripboard.strip', 'Scene {number}, {heading}, {length} pages', {
+                number: strip.number,
+                heading: strip.heading,
+                length: length(strip.eighths)
+            }));
+
+            const number = document.createElement('span');
+            number.className = 'strip__number';
+            number.textContent = strip.number;
+            const heading = document.createElement('span');
+            heading.className = 'strip__heading';
+            heading.textContent = strip.heading;
+            const pages = document.createElement('span');
+            pages.className = 'strip__pages';
+            pages.textContent = length(strip.eighths);
+            const cast = document.createElement('span');
+            cast.className = 'strip__cast';
+            cast.textContent = strip.cast.map((name) => castIds.get(name)).join(', ');
+            cast.title = strip.cast.join(', ');
+            li.append(number, heading, pages, cast);
+            return li;
+        };
+
+        const renderDood = (dood) => {
+            if (!doodEl) return;
+            if (!dood.cast.length) {
+                doodEl.replaceChildren();
+                return;
+            }
+            const table = document.createElement('table');
+            table.className = 'dood-table';
+            const head = table.createTHead().insertRow();
+            const labels = [
+                '#',
+                language.t('tools.stripboard.cast', 'Cast'),
+                ...dood.days.map((day) => `D${day.index + 1}`),
+                language.t('tools.stripboard.work', 'Work'),
+                language.t('tools.stripboard.hold', 'Hold')
+            ];
+            labels.forEach((label) => {
+                const th = document.createElement('th');
+                th.scope = 'col';
+                th.textContent = label;
+                head.appendChild(th);
+            });
+            const body = table.createTBody();
+            dood.cast.forEach((member) => {
+                const row = body.insertRow();
+                row.insertCell().textContent = member.id;
+                const name = document.createElement('th');
+                name.scope = 'row';
+                name.textContent = member.name;
+                row.appendChild(name);
+                member.codes.forEach((code) => {
+                    const cell = row.insertCell();
+                    cell.textContent = code;
+                    if (code) cell.className = `dood-code dood-code--${code.toLowerCase()}`;
+                });
+                row.insertCell().textContent = member.work;
+                row.insertCell().textContent = member.hold;
+            });
+            doodEl.replaceChildren(table);
+        };
+
+        const render = (focusId) => {
+            const currentPlan = plan();
+            const found = schedule.conflicts(strips, currentPlan, options());
+            const days = schedule.days(strips, currentPlan, options());
+            const castIds = new Map(schedule.castList(strips).map(({ id, name }) => [name, id]));
+
+            // A strip is flagged when a conflict names it, or names an actor in it on that day.
+            const flagged = new Set();
+            found.forEach((conflict) => {
+                const ids = columns[conflict.day + 1] || [];
+                ids.forEach((id) => {
+                    const strip = byId.get(id);
+                    if (conflict.strip === id || (conflict.cast && conflict.type !== 'cast_unavailable' && strip.cast.includes(conflict.cast))) {
+                        flagged.add(id);
+                    }
+                });
+            });
+
+            board.replaceChildren(...columns.map((ids, index) => {
+                const column = document.createElement('section');
+                column.className = `stripboard__column${index === UNSCHEDULED ? ' stripboard__column--bin' : ''}`;
+                const header = document.createElement('header');
+                header.className = 'stripboard__header';
+                const title = document.createElement('h3');
+                const meta = document.createElement('p');
+                meta.className = 'stripboard__meta';
+                if (index === UNSCHEDULED) {
+                    title.textContent = language.t('tools.stripboard.unscheduled', 'Unscheduled');
+                    meta.textContent = language.t('tools.stripboard.strips', '{count, plural, one {# strip} other {# strips}}', { count: ids.length });
+                } else {
+                    const day = days[index - 1];
+                    title.textContent = language.t('tools.stripboard.dayTitle', 'Day {number} · {date}', { number: index, date: formatDate(day.date) });
+                    meta.textContent = ids.length
+                        ? `${language.t('tools.demo.pages', '{length} pg', { length: length(day.eighths) })} · ${schedule.formatTime(day.call)}–${schedule.formatTime(day.wrap)}`
+                        : language.t('tools.stripboard.dropHere', 'Drop strips here');
+                }
+                header.append(title, meta);
+                if (index !== UNSCHEDULED) {
+                    const remove = document.createElement('button');
+                    remove.type = 'button';
+                    remove.className = 'stripboard__remove';
+                    remove.dataset.removeDay = String(index);
+                    remove.setAttribute('aria-label', language.t('tools.stripboard.removeDay', 'Remove day {number}', { number: index }));
+                    remove.textContent = '×';
+                    header.appendChild(remove);
+                }
+                column.setAttribute('aria-label', title.textContent);
+
+                const list = document.createElement('ol');
+                list.className = 'stripboard__strips';
+                list.dataset.column = String(index);
+                ids.forEach((id) => list.appendChild(renderStrip(byId.get(id), castIds, flagged.has(id))));
+                column.append(header, list);
+                return column;
+            }));
+
+            conflictList.replaceChildren(...found.map((conflict) => {
+                const li = document.createElement('li');
+                li.className = `stripboard-conflict stripboard-conflict--${conflict.severity}`;
+                li.textContent = conflict.message;
+                return li;
+            }));
+            if (!found.length) {
+                const li = document.createElement('li');
+                li.className = 'stripboard-conflict stripboard-conflict--ok';
+                li.textContent = columns.slice(1).some((ids) => ids.length)
+                    ? language.t('tools.stripboard.noConflicts', 'No conflicts.')
+                    : language.t('tools.stripboard.dragToStart', 'Drag strips onto a shoot day to start.');
+                conflictList.appendChild(li);
+            }
+
+            renderDood(schedule.dayOutOfDays(strips, currentPlan, options()));
+
+            if (focusId) {
+                const strip = board.querySelector(`[data-strip="${CSS.escape(focusId)}"]`);
+                if (strip) strip.focus();
+            }
+        };
+
+        const load = () => {
+            strips = schedule.fromBreakdown(breakdown.analyze(source ? source.value : ''));
+            byId = new Map(strips.map((strip) => [strip.id, strip]));
+            const days = schedule.autoSchedule(strips);
+            columns = [[], ...(days.length ? days : [[]])];
+            render();
+            announce(strips.length
+                ? language.t('tools.stripboard.loaded', '{scenes, plural, one {# scene} other {# scenes}} loaded into {days, plural, one {# shoot day} other {# shoot days}}.', {
+                    scenes: strips.length,
+                    days: days.length
+                })
+                : language.t('tools.stripboard.noScenes', 'The breakdown has no scenes yet.'));
+        };
+
+        const locate = (id) => {
+            const column = columns.findIndex((ids) => ids.includes(id));
+            return { column, position: column === -1 ? -1 : columns[column].indexOf(id) };
+        };
+
+        const move = (id, column, position) => {
+            const from = locate(id);
+            if (from.column === -1 || !columns[column]) return;
+            columns[from.column].splice(from.position, 1);
+            const target = Math.max(0, Math.min(position, columns[column].length));
+            columns[column].splice(target, 0, id);
+            render(id);
+            const strip = byId.get(id);
+            announce(column === UNSCHEDULED
+                ? language.t('tools.stripboard.movedUnscheduled', 'Scene {number} moved to Unscheduled, position {position}.', { number: strip.number, position: target + 1 })
+                : language.t('tools.stripboard.moved', 'Scene {number} moved to Day {day}, position {position}.', { number: strip.number, day: column, position: target + 1 }));
+        };
+
+        /* Drag and drop */
+        let dragging = null;
+        board.addEventListener('dragstart', (e) => {
+            const strip = e.target.closest && e.target.closest('[data-strip]');
+            if (!strip) return;
+            dragging = strip.dataset.strip;
+            strip.classList.add('is-dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', dragging);
+        });
+        board.addEventListener('dragend', () => {
+            dragging = null;
+            board.querySelectorAll('.is-dragging, .is-drop-target').forEach((el) => el.classList.remove('is-dragging', 'is-drop-target'));
+        });
+        board.addEventListener('dragover', (e) => {
+            const list = e.target.closest && e.target.closest('[data-column]');
+            if (!list || !dragging) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            board.querySelectorAll('.is-drop-target').forEach((el) => el !== list && el.classList.remove('is-drop-target'));
+            list.classList.add('is-drop-target');
+        });
+        board.addEventListener('drop', (e) => {
+            const list = e.target.closest && e.target.closest('[data-column]');
+            if (!list || !dragging) return;
+            e.preventDefault();
+            // Insert before the first strip whose middle is below the pointer.
+            const others = Array.from(list.querySelectorAll('[data-strip]')).filter((el) => el.dataset.strip !== dragging);
+            const before = others.findIndex((el) => {
+                const box = el.getBoundingClientRect();
+                return e.clientY < box.top + box.height / 2;
+            });
+            move(dragging, Number(list.dataset.column), before === -1 ? others.length : before);
+        });
+
+        /* Keyboard: ←/→ change column, ↑/↓ reorder */
+        board.addEventListener('keydown', (e) => {
+            const strip = e.target.closest && e.target.closest('[data-strip]');
+            if (!strip) return;
+            const id = strip.dataset.strip;
+            const { column, position } = locate(id);
+            const moves = {
+                ArrowLeft: () => column > 0 && move(id, column - 1, columns[column - 1].length),
+                ArrowRight: () => column < columns.length - 1 && move(id, column + 1, columns[column + 1].length),
+                ArrowUp: () => position > 0 && move(id, column, position - 1),
+                ArrowDown: () => position < columns[column].length - 1 && move(id, column, position + 1)
+            };
+            if (!moves[e.key]) return;
+            e.preventDefault();
+            moves[e.key]();
+        });
+
+        board.addEventListener('click', (e) => {
+            const remove = e.target.closest && e.target.closest('[data-remove-day]');
+            if (!remove) return;
+            const index = Number(remove.dataset.removeDay);
+            columns[UNSCHEDULED].push(...columns[index]);
+            columns.splice(index, 1);
+            render();
+            announce(language.t('tools.stripboard.dayRemoved', 'Day {number} removed; its strips are unscheduled.', { number: index }));
+        });
+
+        const on = (selector, handler) => {
+            const el = demo.querySelector(selector);
+            if (el) el.addEventListener('click', handler);
+        };
+        on('[data-stripboard-load]', load);
+        on('[data-stripboard-auto]', () => {
+            const days = schedule.autoSchedule(strips);
+            columns = [[], ...(days.length ? days : [[]])];
+            render();
+            announce(language.t('tools.stripboard.arranged', 'Arranged into {days, plural, one {# shoot day} other {# shoot days}} by location and day/night.', { days: days.length }));
+        });
+        on('[data-stripboard-add-day]', () => {
+            columns.push([]);
+            render();
+            announce(language.t('tools.stripboard.dayAdded', 'Day {number} added.', { number: columns.length - 1 }));
+        });
+        on('[data-stripboard-export]', () => {
+            util.download('day-out-of-days.csv', schedule.doodToCSV(schedule.dayOutOfDays(strips, plan(), options())));
+        });
+        [startInput, turnaroundInput, unavailableInput].forEach((input) => {
+            if (input) input.addEventListener('change', () => render());
+        });
+        language.watch(demo, render);
+
+        load();
+    };
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => mount(document));
+    else mount(document);
+    document.addEventListener('cc:afterswap', (e) => mount(e.detail.root));
+})();
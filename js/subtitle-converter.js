@@ -0,0 +1,147 @@
+/**
+ * subtitle-converter.js — the Subtitle Converter demo on tools.html.
+ *
+ * Drop (or choose) an .srt, .vtt, .ass or .ssa file; it is parsed with
+ * `CC.subtitles`, shifted or retimed with the options, linted, previewed
+ * and offered for download in the chosen format. Files never leave the page.
+ */
+(() => {
+    'use strict';
+
+    const { language } = window.CC;
+
+    const SAMPLE_NAME = 'the-last-reel.srt';
+    const SAMPLE = `1
+00:00:01,000 --> 00:00:03,500
+<i>The last show</i> starts at nine,
+sharp.
+
+2
+00:00:03,200 --> 00:00:04,400
+{\\an8}GANDHI TALKIES — EST. 1952
+
+3
+00:00:05,000 --> 00:00:06,000
+Ravi, the projector's jammed again and the whole house is waiting!
+
+4
+00:00:06,500 --> 00:00:09,000
+Then we run it by hand.
+Like your father did.
+Every night.
+`;
+
+    /** "12.5" seconds → 12500 ms */
+    const secondsToMs = (value) => Math.round((Number.parseFloat(value) || 0) * 1000);
+
+    /** @param {ParentNode} root */
+    const mount = (root) => {
+        const demo = root.querySelector('[data-subtitles]');
+        if (!demo || demo.dataset.mounted || !(window.CC && window.CC.subtitles)) return;
+        demo.dataset.mounted = 'true';
+
+        const { subtitles, timecode, util } = window.CC;
+        const drop = demo.querySelector('[data-subtitles-drop]');
+        const fileInput = demo.querySelector('[data-subtitles-file]');
+        const option = (name) => demo.querySelector(`[data-subtitles-option="${name}"]`);
+        const summary = demo.querySelector('[data-subtitles-summary]');
+        const report = demo.querySelector('[data-subtitles-report]');
+        const preview = demo.querySelector('[data-subtitles-preview]');
+        const download = demo.querySelector('[data-subtitles-download]');
+
+        ['from', 'to'].forEach((name) => {
+            const select = option(name);
+            if (select.options.length > 1) return;
+            timecode.RATES.forEach(({ key, label }) => select.appendChild(new Option(label, key)));
+        });
+
+        let source = null;   // { name, text }
+        let output = '';
+
+        const update = () => {
+            if (!source) return;
+            const format = option('format').value;
+            let doc = subtitles.parse(source.text);
+            doc = subtitles.retime(doc, {
+                offset: secondsToMs(option('offset').value),
+                from: option('from').value || undefined,
+                to: option('to').value || undefined
+            });
+            output = subtitles.serialize(doc, format);
+
+            const issues = subtitles.lint(doc, {
+                maxCps: Number(option('maxCps').value) || subtitles.LINT_DEFAULTS.maxCps,
+                maxLineLength: Number(option('maxLineLength').value) || subtitles.LINT_DEFAULTS.maxLineLength,
+                maxLines: Number(option('maxLines').value) || subtitles.LINT_DEFAULTS.maxLines
+            });
+            const errors = issues.filter((issue) => issue.severity === 'error').length;
+            summary.textContent = language.t('tools.subtitles.summary',
+                '{file}: {cues, plural, one {# cue} other {# cues}} read as {format} · {errors, plural, one {# error} other {# errors}}, {warnings, plural, one {# warning} other {# warnings}}.', {
+                    file: source.name,
+                    cues: doc.cues.length,
+                    format: subtitles.FORMATS[doc.format].label,
+                    errors,
+                    warnings: issues.length - errors
+                });
+
+            const clean = [{ severity: 'ok', message: language.t('tools.subtitles.noProblems', 'No problems found.') }];
+            report.replaceChildren(...(issues.length ? issues : clean).map((issue) => {
+                const item = document.createElement('li');
+                item.className = `subtitle-issue subtitle-issue--${issue.severity}`;
+                item.textContent = issue.message;
+                return item;
+            }));
+            preview.textContent = output;
+            download.disabled = !doc.cues.length;
+        };
+
+        const load = (name, text) => {
+            source = { name, text };
+            update();
+        };
+
+        const readFile = (file) => {
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => load(file.name, String(reader.result));
+            reader.onerror = () => {
+                summary.textContent = language.t('tools.subtitles.readFailed', 'Couldn’t read {file}.', { file: file.name });
+            };
+            reader.readAsText(file);
+        };
+
+        fileInput.addEventListener('change', () => {
+            readFile(fileInput.files && fileInput.files[0]);
+            fileInput.value = '';
+        });
+
+        ['dragenter', 'dragover'].forEach((type) => drop.addEventListener(type, (e) => {
+            e.preventDefault();
+            drop.classList.add('is-drop-target');
+        }));
+        ['dragleave', 'drop'].forEach((type) => drop.addEventListener(type, () => drop.classList.remove('is-drop-target')));
+        drop.addEventListener('drop', (e) => {
+            e.preventDefault();
+            readFile(e.dataTransfer && e.dataTransfer.files[0]);
+        });
+
+        demo.querySelector('[data-subtitles-sample]').addEventListener('click', () => load(SAMPLE_NAME, SAMPLE));
+        demo.querySelectorAll('[data-subtitles-option]').forEach((input) => {
+            input.addEventListener('input', update);
+            input.addEventListener('change', update);
+        });
+
+        download.addEventListener('click', () => {
+            const format = subtitles.FORMATS[option('format').value];
+            const base = source.name.replace(/\.[^.]+$/, '') || 'subtitles';
+            util.download(`${base}.${format.extension}`, output, `${format.type};charset=utf-8`);
+        });
+
+        load(SAMPLE_NAME, SAMPLE);
+        language.watch(demo, update);
+    };
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => mount(document));
+    else mount(document);
+    document.addEventListener('cc:afterswap', (e) => mount(e.detail.root));
+})();
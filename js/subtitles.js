@@ -0,0 +1,706 @@
+/**
+ * subtitles.js — SRT, WebVTT and SSA/ASS: parse, convert, retime and lint.
+ *
+ *   const doc = CC.subtitles.parse(text);             // format detected from the content
+ *   CC.subtitles.serialize(CC.subtitles.retime(doc, { offset: 1200, from: '23.976', to: '25' }), 'vtt');
+ *   CC.subtitles.lint(doc);                           // overlaps, reading speed, line length, line count
+ *
+ * Every format is read into one document: `{ format, info, styles, cues }`,
+ * with times in integer milliseconds. Cue text keeps SRT-style markup —
+ * <i>, <b>, <u> and <font color="#RRGGBB"> — plus an `alignment` on the
+ * numpad (2 is bottom centre, 8 top centre, as in ASS \an). ASS override
+ * tags with no SRT/VTT equivalent (\pos, \fad, …) stay in the text as `{\…}`
+ * blocks so ASS → ASS is lossless; the other writers drop them.
+ *
+ * Styling that a target can't express inline is carried over the way it
+ * allows: ASS styles become WebVTT `::cue(.Style)` rules, or inline tags in SRT.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./timecode'));
+    } else {
+        root.CC = root.CC || {};
+        root.CC.subtitles = factory(root.CC.timecode);
+    }
+})(typeof self !== 'undefined' ? self : this, (timecode) => {
+    'use strict';
+
+    const FORMATS = {
+        srt: { label: 'SubRip (.srt)', extension: 'srt', type: 'application/x-subrip' },
+        vtt: { label: 'WebVTT (.vtt)', extension: 'vtt', type: 'text/vtt' },
+        ass: { label: 'Advanced SubStation Alpha (.ass)', extension: 'ass', type: 'text/x-ssa' }
+    };
+
+    /** Netflix-style defaults; adjust per client style guide. */
+    const LINT_DEFAULTS = {
+        maxCps: 17,
+        maxLineLength: 42,
+        maxLines: 2,
+        minDuration: 833,
+        maxDuration: 7000
+    };
+
+    /** The colour classes every WebVTT renderer knows. */
+    const VTT_COLOURS = {
+        white: '#FFFFFF',
+        lime: '#00FF00',
+        cyan: '#00FFFF',
+        red: '#FF0000',
+        yellow: '#FFFF00',
+        magenta: '#FF00FF',
+        blue: '#0000FF',
+        black: '#000000'
+    };
+
+    /**
+     * @typedef {{ name: string, fontName: string, fontSize: number, color: string,
+     *             bold: boolean, italic: boolean, underline: boolean, alignment: number,
+     *             fields?: Record<string, string> }} Style
+     *   `fields` keeps the original ASS columns for a lossless round trip
+     * @typedef {{ id: string, start: number, end: number, text: string, style: string,
+     *             speaker: string, alignment: number, ass?: Record<string, string> }} Cue
+     * @typedef {{ format: 'srt' | 'vtt' | 'ass', info: Record<string, string>, styles: Style[], cues: Cue[] }} Doc
+     */
+
+    const DEFAULT_STYLE = {
+        name: 'Default',
+        fontName: 'Arial',
+        fontSize: 48,
+        color: '#FFFFFF',
+        bold: false,
+        italic: false,
+        underline: false,
+        alignment: 2
+    };
+
+    const cue = (fields) => ({ id: '', start: 0, end: 0, text: '', style: 'Default', speaker: '', alignment: 2, ...fields });
+
+    /* ---------------------------------------------------------------
+       Times
+       --------------------------------------------------------------- */
+
+    const TIME_RE = /(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})/;
+
+    /** "00:01:02,5" or "01:02.500" → 62500 */
+    const parseTime = (text) => {
+        const match = TIME_RE.exec(text);
+        if (!match) return null;
+        const [, hours = '0', minutes, seconds, fraction] = match;
+        return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(fraction.padEnd(3, '0'));
+    };
+
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+    const splitTime = (ms) => {
+        const total = Math.max(0, Math.round(ms));
+        return {
+            hours: Math.floor(total / 3600000),
+            minutes: Math.floor((total % 3600000) / 60000),
+            seconds: Math.floor((total % 60000) / 1000),
+            millis: total % 1000
+        };
+    };
+
+    /** 62500 → "00:01:02,500" (SRT) or "00:01:02.500" (VTT) */
+    const formatTime = (ms, separator = ',') => {
+        const { hours, minutes, seconds, millis } = splitTime(ms);
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+    };
+
+    /** 62500 → "0:01:02.50"; ASS counts centiseconds. */
+    const formatAssTime = (ms) => {
+        const { hours, minutes, seconds, millis } = splitTime(Math.round(ms / 10) * 10);
+        return `${hours}:${pad(minutes)}:${pad(seconds)}.${pad(millis / 10)}`;
+    };
+
+    /* ---------------------------------------------------------------
+       Cue text markup
+       --------------------------------------------------------------- */
+
+    const TOKEN_RE = /<(\/?)(i|b|u|font)\b([^>]*)>|\{\\[^}]*\}/gi;
+
+    /** Splits cue text into text runs, known tags and raw ASS override blocks. */
+    const tokenize = (text) => {
+        const tokens = [];
+        let last = 0;
+        text.replace(TOKEN_RE, (match, close, tag, attributes, offset) => {
+            if (offset > last) tokens.push({ type: 'text', value: text.slice(last, offset) });
+            if (tag) {
+                const color = /color\s*=\s*["']?(#?[0-9a-z]+)/i.exec(attributes || '');
+                tokens.push({ type: close ? 'close' : 'open', tag: tag.toLowerCase(), color: color ? normalizeColor(color[1]) : null });
+            } else {
+                tokens.push({ type: 'raw', value: match });
+            }
+            last = offset + match.length;
+            return match;
+        });
+        if (last < text.length) tokens.push({ type: 'text', value: text.slice(last) });
+        return tokens;
+    };
+
+    /** "#ff0" / "ff0000" / "yellow" → "#FF0000"-style hex, or null. */
+    const normalizeColor = (value) => {
+        const text = String(value || '').trim().toLowerCase();
+        if (VTT_COLOURS[text]) return VTT_COLOURS[text];
+        const hex = text.replace(/^#/, '');
+        if (/^[0-9a-f]{6}$/.test(hex)) return `#${hex.toUpperCase()}`;
+        if (/^[0-9a-f]{3}$/.test(hex)) return `#${hex.replace(/./g, (c) => c + c).toUpperCase()}`;
+        return null;
+    };
+
+    /** Text as a viewer reads it: no tags, no override blocks. */
+    const plainText = (text) => text.replace(TOKEN_RE, '').replace(/<[^>]+>/g, '');
+
+    /** &HAABBGGRR& → #RRGGBB */
+    const fromAssColor = (value) => {
+        const hex = String(value).replace(/[&Hh]/g, '').padStart(6, '0').slice(-6);
+        return `#${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`.toUpperCase();
+    };
+
+    /** #RRGGBB → &H00BBGGRR (style) or &HBBGGRR& (override) */
+    const toAssColor = (hex, override = false) => {
+        const value = hex.replace('#', '');
+        const bgr = `${value.slice(4, 6)}${value.slice(2, 4)}${value.slice(0, 2)}`.toUpperCase();
+        return override ? `&H${bgr}&` : `&H00${bgr}`;
+    };
+
+    /** SSA v4 alignment (1–3 bottom, +4 top, +8 middle) → numpad. */
+    const fromLegacyAlignment = (value) => {
+        const n = Number(value);
+        if (n >= 9) return n - 5;
+        if (n >= 5) return n + 2;
+        return n || 2;
+    };
+
+    /* ---------------------------------------------------------------
+       SRT
+       --------------------------------------------------------------- */
+
+    const ARROW_RE = /-->/;
+
+    const parseSrt = (text) => {
+        const cues = [];
+        text.split(/\n{2,}/).forEach((block) => {
+            const lines = block.split('\n');
+            const timing = lines.findIndex((line) => ARROW_RE.test(line));
+            if (timing === -1 || timing > 1) return;
+            const [from, to] = lines[timing].split(ARROW_RE);
+            const start = parseTime(from);
+            const end = parseTime(to);
+            if (start === null || end === null) return;
+            let body = lines.slice(timing + 1).join('\n');
+            let alignment = 2;
+            body = body.replace(/^\{\\an?(\d+)\}/, (match, value) => {
+                alignment = match.startsWith('{\\an') ? Number(value) : fromLegacyAlignment(value);
+                return '';
+            });
+            body = body.replace(/<(\/?)(i|b|u|font)\b/gi, (match, close, tag) => `<${close}${tag.toLowerCase()}`);
+            cues.push(cue({ id: timing === 1 ? lines[0].trim() : '', start, end, text: body, alignment }));
+        });
+        return { format: 'srt', info: {}, styles: [], cues };
+    };
+
+    /** Style-level formatting written inline, since SRT has no styles. */
+    const inlineStyle = (text, style) => {
+        if (!style) return text;
+        let result = text;
+        if (style.color && style.color !== DEFAULT_STYLE.color) result = `<font color="${style.color}">${result}</font>`;
+        if (style.underline) result = `<u>${result}</u>`;
+        if (style.bold) result = `<b>${result}</b>`;
+        if (style.italic) result = `<i>${result}</i>`;
+        return result;
+    };
+
+    const stripRaw = (text) => text.replace(/\{\\[^}]*\}/g, '');
+
+    const serializeSrt = (doc) => doc.cues.map((entry, index) => {
+        const style = doc.styles.find((candidate) => candidate.name === entry.style);
+        const body = inlineStyle(stripRaw(entry.text), style && style.name !== 'Default' ? style : null);
+        const alignment = entry.alignment !== 2 ? `{\\an${entry.alignment}}` : '';
+        return `${index + 1}\n${formatTime(entry.start)} --> ${formatTime(entry.end)}\n${alignment}${body}\n`;
+    }).join('\n');
+
+    /* ---------------------------------------------------------------
+       WebVTT
+       --------------------------------------------------------------- */
+
+    const decodeEntities = (text) => text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lrm;/g, '\u200E')
+        .replace(/&rlm;/g, '\u200F')
+        .replace(/&amp;/g, '&');
+
+    const encodeEntities = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    /** "::cue(.Sign) { color: #ff0; font-weight: bold }" → styles */
+    const parseVttStyles = (css) => {
+        const styles = [];
+        css.replace(/::cue\(\.([\w-]+)\)\s*\{([^}]*)\}/g, (match, name, body) => {
+            const rule = {};
+            body.split(';').forEach((declaration) => {
+                const [property, value] = declaration.split(':').map((part) => (part || '').trim().toLowerCase());
+                if (property) rule[property] = value;
+            });
+            styles.push({
+                ...DEFAULT_STYLE,
+                name,
+                color: normalizeColor(rule.color) || DEFAULT_STYLE.color,
+                bold: rule['font-weight'] === 'bold' || Number(rule['font-weight']) >= 600,
+                italic: rule['font-style'] === 'italic',
+                underline: /underline/.test(rule['text-decoration'] || '')
+            });
+            return match;
+        });
+        return styles;
+    };
+
+    /** VTT cue settings → numpad alignment. */
+    const alignmentFromSettings = (settings) => {
+        const line = /\bline:(-?[\d.]+)(%?)/.exec(settings);
+        const align = /\balign:(\w+)/.exec(settings);
+        let row = 1;
+        if (line) {
+            const value = Number(line[1]);
+            const percent = line[2] === '%';
+            if ((percent && value <= 20) || (!percent && value >= 0 && value <= 2)) row = 7;
+            else if (percent && value > 20 && value < 80) row = 4;
+        }
+        let column = 1;
+        if (align && /^(start|left)$/.test(align[1])) column = 0;
+        if (align && /^(end|right)$/.test(align[1])) column = 2;
+        return row + column;
+    };
+
+    const settingsFromAlignment = (alignment) => {
+        const settings = [];
+        if (alignment >= 7) settings.push('line:0');
+        else if (alignment >= 4) settings.push('line:50%');
+        const column = (alignment - 1) % 3;
+        if (column === 0) settings.push('align:start');
+        if (column === 2) settings.push('align:end');
+        return settings.length ? ` ${settings.join(' ')}` : '';
+    };
+
+    /** VTT cue payload → our markup; returns the text plus speaker and whole-cue class. */
+    const fromVttText = (payload, styleNames) => {
+        let speaker = '';
+        let style = 'Default';
+        let body = payload.replace(/<\d[\d:.]*>/g, '');
+
+        body = body.replace(/<v(?:\.[\w.-]+)?\s+([^>]*)>/g, (match, name) => {
+            if (!speaker) speaker = name.trim();
+            return '';
+        }).replace(/<\/v>/g, '');
+
+        const whole = /^<c\.([\w-]+)[^>]*>([\s\S]*)<\/c>$/.exec(body.trim());
+        if (whole && styleNames.includes(whole[1]) && !/<c[.>]/.test(whole[2])) {
+            style = whole[1];
+            body = whole[2];
+        }
+
+        const colours = [];
+        body = body.replace(/<c((?:\.[\w-]+)*)>|<\/c>/g, (match, classes) => {
+            if (match === '</c>') return colours.pop() ? '</font>' : '';
+            const colour = (classes || '').split('.').map((name) => VTT_COLOURS[name]).find(Boolean);
+            colours.push(Boolean(colour));
+            return colour ? `<font color="${colour}">` : '';
+        });
+        body = body.replace(/<\/?(?:lang|ruby|rt)\b[^>]*>/g, '');
+        return { text: decodeEntities(body), speaker, style };
+    };
+
+    const parseVtt = (text) => {
+        const blocks = text.split(/\n{2,}/);
+        const cues = [];
+        const styles = [];
+        blocks.slice(1).forEach((block) => {
+            const lines = block.split('\n');
+            if (/^STYLE\b/.test(lines[0])) {
+                styles.push(...parseVttStyles(lines.slice(1).join('\n')));
+                return;
+            }
+            if (/^(NOTE|REGION)\b/.test(lines[0])) return;
+            const timing = lines.findIndex((line) => ARROW_RE.test(line));
+            if (timing === -1 || timing > 1) return;
+            const [from, rest] = lines[timing].split(ARROW_RE);
+            const to = rest.trim().split(/\s+/)[0];
+            const start = parseTime(from);
+            const end = parseTime(to);
+            if (start === null || end === null) return;
+            const settings = rest.trim().slice(to.length);
+            const parsed = fromVttText(lines.slice(timing + 1).join('\n').replace(/\n+$/, ''), styles.map((style) => style.name));
+            cues.push(cue({
+                id: timing === 1 ? lines[0].trim() : '',
+                start,
+                end,
+                ...parsed,
+                alignment: alignmentFromSettings(settings)
+            }));
+        });
+        return { format: 'vtt', info: {}, styles, cues };
+    };
+
+    const cssClass = (name) => name.replace(/[^\w-]/g, '_');
+
+    const toVttText = (text) => {
+        const colours = [];
+        return tokenize(text).map((token) => {
+            if (token.type === 'text') return encodeEntities(token.value);
+            if (token.type === 'raw') return '';
+            if (token.tag === 'font') {
+                if (token.type === 'close') return colours.pop() ? '</c>' : '';
+                const name = Object.keys(VTT_COLOURS).find((key) => VTT_COLOURS[key] === token.color);
+                colours.push(Boolean(name));
+                return name ? `<c.${name}>` : '';
+            }
+            return `<${token.type === 'close' ? '/' : ''}${token.tag}>`;
+        }).join('');
+    };
+
+    const serializeVtt = (doc) => {
+        const used = new Set(doc.cues.map((entry) => entry.style));
+        const rules = doc.styles
+            .filter((style) => style.name !== 'Default' && used.has(style.name))
+            .map((style) => {
+                const declarations = [`color: ${style.color}`];
+                if (style.bold) declarations.push('font-weight: bold');
+                if (style.italic) declarations.push('font-style: italic');
+                if (style.underline) declarations.push('text-decoration: underline');
+                return `::cue(.${cssClass(style.name)}) { ${declarations.join('; ')}; }`;
+            });
+
+        const parts = ['WEBVTT'];
+        if (rules.length) parts.push(`STYLE\n${rules.join('\n')}`);
+        doc.cues.forEach((entry) => {
+            let body = toVttText(entry.text);
+            if (entry.style !== 'Default' && doc.styles.some((style) => style.name === entry.style)) {
+                body = `<c.${cssClass(entry.style)}>${body}</c>`;
+            }
+            if (entry.speaker) body = `<v ${entry.speaker}>${body}`;
+            const id = entry.id && !ARROW_RE.test(entry.id) ? `${entry.id}\n` : '';
+            parts.push(`${id}${formatTime(entry.start, '.')} --> ${formatTime(entry.end, '.')}${settingsFromAlignment(entry.alignment)}\n${body}`);
+        });
+        return `${parts.join('\n\n')}\n`;
+    };
+
+    /* ---------------------------------------------------------------
+       SSA / ASS
+       --------------------------------------------------------------- */
+
+    const STYLE_FORMAT = ['Name', 'Fontname', 'Fontsize', 'PrimaryColour', 'SecondaryColour', 'OutlineColour', 'BackColour',
+        'Bold', 'Italic', 'Underline', 'StrikeOut', 'ScaleX', 'ScaleY', 'Spacing', 'Angle', 'BorderStyle', 'Outline',
+        'Shadow', 'Alignment', 'MarginL', 'MarginR', 'MarginV', 'Encoding'];
+
+    const STYLE_DEFAULTS = {
+        SecondaryColour: '&H000000FF',
+        OutlineColour: '&H00000000',
+        BackColour: '&H00000000',
+        StrikeOut: '0',
+        ScaleX: '100',
+        ScaleY: '100',
+        Spacing: '0',
+        Angle: '0',
+        BorderStyle: '1',
+        Outline: '2',
+        Shadow: '1',
+        MarginL: '60',
+        MarginR: '60',
+        MarginV: '40',
+        Encoding: '1'
+    };
+
+    const EVENT_FORMAT = ['Layer', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+
+    /** Splits a "Key: a, b, c" line by the section's Format, keeping commas in the last column. */
+    const splitFields = (value, format) => {
+        const parts = value.split(',');
+        const fields = {};
+        format.forEach((name, i) => {
+            fields[name] = (i === format.length - 1 ? parts.slice(i).join(',') : parts[i] || '').trim();
+        });
+        return fields;
+    };
+
+    /** ASS override tags → our markup; unknown overrides stay as `{\…}`. */
+    const fromAssText = (text, legacy) => {
+        let alignment = null;
+        const open = [];
+        const close = (tag) => {
+            const index = open.lastIndexOf(tag);
+            if (index === -1) return '';
+            open.splice(index, 1);
+            return `</${tag}>`;
+        };
+
+        let body = text.replace(/\{([^}]*)\}/g, (match, content) => {
+            if (!content.startsWith('\\')) return '';   // a comment
+            let output = '';
+            const kept = [];
+            content.split('\\').filter(Boolean).forEach((item) => {
+                let m;
+                if ((m = /^an([1-9])$/.exec(item))) {
+                    if (alignment === null) alignment = Number(m[1]);
+                } else if ((m = /^a(\d+)$/.exec(item))) {
+                    if (alignment === null) alignment = fromLegacyAlignment(m[1]);
+                } else if ((m = /^([ibu])([01])$/.exec(item))) {
+                    if (m[2] === '1' && !open.includes(m[1])) {
+                        open.push(m[1]);
+                        output += `<${m[1]}>`;
+                    } else if (m[2] === '0') {
+                        output += close(m[1]);
+                    }
+                } else if ((m = /^1?c(&H[0-9a-f]+&?)?$/i.exec(item))) {
+                    output += close('font');
+                    if (m[1]) {
+                        open.push('font');
+                        output += `<font color="${fromAssColor(m[1])}">`;
+                    }
+                } else if (item === 'r') {
+                    output += open.slice().reverse().map(close).join('');
+                } else {
+                    kept.push(item);
+                }
+            });
+            return output + (kept.length ? `{\\${kept.join('\\')}}` : '');
+        });
+        body = body.replace(/\\N/g, '\n').replace(/\\n/g, legacy ? '\n' : ' ').replace(/\\h/g, ' ');
+        body += open.slice().reverse().map(close).join('');
+        return { text: body, alignment };
+    };
+
+    const toAssText = (entry) => {
+        const body = tokenize(entry.text).map((token) => {
+            if (token.type === 'text') return token.value.replace(/\n/g, '\\N');
+            if (token.type === 'raw') return token.value;
+            if (token.tag === 'font') {
+                if (token.type === 'close') return '{\\c}';
+                return token.color ? `{\\c${toAssColor(token.color, true)}}` : '';
+            }
+            return `{\\${token.tag}${token.type === 'open' ? 1 : 0}}`;
+        }).join('');
+        const alignment = entry.alignment !== 2 ? `{\\an${entry.alignment}}` : '';
+        return (alignment + body).replace(/\}\{\\/g, '\\');
+    };
+
+    const parseAss = (text) => {
+        const info = {};
+        const styles = [];
+        const cues = [];
+        let section = '';
+        let styleFormat = STYLE_FORMAT;
+        let eventFormat = EVENT_FORMAT;
+        let legacy = false;
+
+        text.split('\n').forEach((raw) => {
+            const line = raw.trim();
+            const header = /^\[(.+)\]$/.exec(line);
+            if (header) {
+                section = header[1].toLowerCase();
+                return;
+            }
+            const match = /^([^:;][^:]*):\s*(.*)$/.exec(line);
+            if (!match) return;
+            const [, key, value] = match;
+
+            if (section === 'script info') {
+                info[key] = value;
+                if (key === 'ScriptType' && !/v4\.00\+/i.test(value)) legacy = true;
+            } else if (section === 'v4 styles' || section === 'v4+ styles') {
+                if (section === 'v4 styles') legacy = true;
+                if (key === 'Format') styleFormat = value.split(',').map((name) => name.trim());
+                if (key !== 'Style') return;
+                const fields = splitFields(value, styleFormat);
+                styles.push({
+                    name: fields.Name,
+                    fontName: fields.Fontname || DEFAULT_STYLE.fontName,
+                    fontSize: Number(fields.Fontsize) || DEFAULT_STYLE.fontSize,
+                    color: fields.PrimaryColour ? fromAssColor(fields.PrimaryColour) : DEFAULT_STYLE.color,
+                    bold: fields.Bold !== undefined && fields.Bold !== '0',
+                    italic: fields.Italic !== undefined && fields.Italic !== '0',
+                    underline: fields.Underline !== undefined && fields.Underline !== '0',
+                    alignment: legacy ? fromLegacyAlignment(fields.Alignment) : Number(fields.Alignment) || 2,
+                    fields
+                });
+            } else if (section === 'events') {
+                if (key === 'Format') eventFormat = value.split(',').map((name) => name.trim());
+                if (key !== 'Dialogue') return;
+                const fields = splitFields(value, eventFormat);
+                const style = styles.find((candidate) => candidate.name === fields.Style.replace(/^\*/, ''));
+                const parsed = fromAssText(fields.Text || '', legacy);
+                cues.push(cue({
+                    start: parseTime(`${fields.Start}0`),
+                    end: parseTime(`${fields.End}0`),
+                    text: parsed.text,
+                    style: style ? style.name : 'Default',
+                    speaker: fields.Name || '',
+                    alignment: parsed.alignment || (style ? style.alignment : 2),
+                    ass: { Layer: fields.Layer || '0', MarginL: fields.MarginL, MarginR: fields.MarginR, MarginV: fields.MarginV, Effect: fields.Effect }
+                }));
+            }
+        });
+        return { format: 'ass', info, styles, cues };
+    };
+
+    const serializeAss = (doc) => {
+        const info = {
+            Title: 'Untitled',
+            ScriptType: 'v4.00+',
+            WrapStyle: '0',
+            ScaledBorderAndShadow: 'yes',
+            PlayResX: '1920',
+            PlayResY: '1080',
+            ...doc.info
+        };
+        info.ScriptType = 'v4.00+';
+
+        const styles = doc.styles.slice();
+        if (!styles.some((style) => style.name === 'Default')) styles.unshift({ ...DEFAULT_STYLE });
+        const styleLine = (style) => {
+            const fields = {
+                ...STYLE_DEFAULTS,
+                ...(style.fields || {}),
+                Name: style.name,
+                Fontname: style.fontName,
+                Fontsize: String(style.fontSize),
+                PrimaryColour: toAssColor(style.color),
+                Bold: style.bold ? '-1' : '0',
+                Italic: style.italic ? '-1' : '0',
+                Underline: style.underline ? '-1' : '0',
+                Alignment: String(style.alignment)
+            };
+            return `Style: ${STYLE_FORMAT.map((name) => fields[name]).join(',')}`;
+        };
+        // An alignment that matches the cue's style needn't be repeated inline.
+        const events = doc.cues.map((entry) => {
+            const style = styles.find((candidate) => candidate.name === entry.style) || styles[0];
+            const ass = entry.ass || {};
+            const text = toAssText({ ...entry, alignment: entry.alignment === style.alignment ? 2 : entry.alignment });
+            return `Dialogue: ${[ass.Layer || '0', formatAssTime(entry.start), formatAssTime(entry.end), style.name,
+                entry.speaker, ass.MarginL || '0', ass.MarginR || '0', ass.MarginV || '0', ass.Effect || '', text].join(',')}`;
+        });
+
+        return [
+            '[Script Info]',
+            ...Object.keys(info).map((key) => `${key}: ${info[key]}`),
+            '',
+            '[V4+ Styles]',
+            `Format: ${STYLE_FORMAT.join(', ')}`,
+            ...styles.map(styleLine),
+            '',
+            '[Events]',
+            `Format: ${EVENT_FORMAT.join(', ')}`,
+            ...events,
+            ''
+        ].join('\n');
+    };
+
+    /* ---------------------------------------------------------------
+       Public API
+       --------------------------------------------------------------- */
+
+    const normalizeNewlines = (text) => String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+    /** @returns {'srt' | 'vtt' | 'ass'} */
+    const detect = (text) => {
+        const source = normalizeNewlines(text).trimStart();
+        if (/^WEBVTT\b/.test(source)) return 'vtt';
+        if (/^\[Script Info\]/i.test(source)) return 'ass';
+        return 'srt';
+    };
+
+    /** @returns {Doc} */
+    const parse = (text, format = detect(text)) => {
+        const source = normalizeNewlines(text);
+        if (format === 'vtt') return parseVtt(source);
+        if (format === 'ass' || format === 'ssa') return parseAss(source);
+        return parseSrt(source.trim());
+    };
+
+    /** @param {Doc} doc */
+    const serialize = (doc, format) => {
+        if (format === 'vtt') return serializeVtt(doc);
+        if (format === 'ass') return serializeAss(doc);
+        if (format === 'srt') return serializeSrt(doc);
+        throw new Error(`Unknown subtitle format: ${format}`);
+    };
+
+    const convert = (text, format) => serialize(parse(text), format);
+
+    /**
+     * Shifts by `offset` ms and/or rescales for a frame-rate change, e.g.
+     * 23.976 → 25 when a film is sped up for PAL. Rates are CC.timecode keys.
+     * Cues pushed entirely before zero are dropped; the rest are clamped.
+     * @param {Doc} doc
+     * @param {{ offset?: number, from?: string, to?: string }} options
+     * @returns {Doc}
+     */
+    const retime = (doc, { offset = 0, from, to } = {}) => {
+        let scale = (ms) => ms;
+        if (from && to && from !== to) {
+            const a = timecode.rate(from);
+            const b = timecode.rate(to);
+            // Frame n moves from n ÷ fps(a) to n ÷ fps(b) seconds.
+            scale = (ms) => Math.round((ms * a.num * b.den) / (a.den * b.num));
+        }
+        const cues = doc.cues
+            .map((entry) => ({ ...entry, start: scale(entry.start) + offset, end: scale(entry.end) + offset }))
+            .filter((entry) => entry.end > 0)
+            .map((entry) => ({ ...entry, start: Math.max(0, entry.start) }));
+        return { ...doc, cues };
+    };
+
+    /**
+     * @param {Doc} doc
+     * @param {Partial<typeof LINT_DEFAULTS>} [options]
+     * @returns {{ type: string, severity: 'error' | 'warning', cue: number, message: string }[]}
+     *   `cue` is the 1-based position in the file
+     */
+    const lint = (doc, options = {}) => {
+        const limits = { ...LINT_DEFAULTS, ...options };
+        const found = [];
+        const report = (type, severity, index, message) => found.push({ type, severity, cue: index + 1, message: `Cue ${index + 1}: ${message}` });
+
+        doc.cues.forEach((entry, index) => {
+            const duration = entry.end - entry.start;
+            const lines = plainText(entry.text).split('\n');
+            const characters = lines.join('').trim().length;
+
+            if (duration <= 0) report('timing', 'error', index, 'ends before it starts.');
+            else {
+                if (duration < limits.minDuration) report('duration', 'warning', index, `on screen for ${duration} ms (minimum ${limits.minDuration}).`);
+                if (duration > limits.maxDuration) report('duration', 'warning', index, `on screen for ${(duration / 1000).toFixed(1)} s (maximum ${limits.maxDuration / 1000}).`);
+                const cps = characters / (duration / 1000);
+                if (cps > limits.maxCps) report('reading_speed', 'warning', index, `${cps.toFixed(1)} characters per second (maximum ${limits.maxCps}).`);
+            }
+            if (!characters) report('empty', 'warning', index, 'has no text.');
+            if (lines.length > limits.maxLines) report('line_count', 'warning', index, `${lines.length} lines (maximum ${limits.maxLines}).`);
+            lines.forEach((line, i) => {
+                if (line.length > limits.maxLineLength) {
+                    report('line_length', 'warning', index, `line ${i + 1} is ${line.length} characters (maximum ${limits.maxLineLength}).`);
+                }
+            });
+
+            const previous = doc.cues[index - 1];
+            if (previous && entry.start < previous.end && previous.end - previous.start > 0) {
+                report('overlap', 'error', index, `starts ${previous.end - entry.start} ms before cue ${index} ends.`);
+            }
+        });
+        return found;
+    };
+
+    return {
+        FORMATS,
+        LINT_DEFAULTS,
+        detect,
+        parse,
+        serialize,
+        convert,
+        retime,
+        lint,
+        plainText,
+        parseTime,
+        formatTime
+    };
+});
@@ -0,0 +1,73 @@
+/**
+ * sun.js — sunrise, sunset and civil twilight from coordinates, offline.
+ *
+ *   CC.sun.times('2026-11-02', 13.0827, 80.2707)
+ *   → { dawn, sunrise, solarNoon, sunset, dusk }   // Date objects (UTC instants)
+ *
+ * Uses the sunrise equation with the standard -0.833° horizon for
+ * refraction and the sun's radius, and -6° for civil twilight. Accurate to
+ * a minute or two away from the poles. When the sun never rises or sets
+ * that day, the affected fields are null and `polar` is 'day' or 'night'.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CC = root.CC || {};
+        root.CC.sun = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    const RAD = Math.PI / 180;
+    const DAY_MS = 86400000;
+    const J1970 = 2440587.5;
+    const J2000 = 2451545;
+    const OBLIQUITY = 23.4397 * RAD;
+
+    const toJulian = (ms) => ms / DAY_MS + J1970;
+    const fromJulian = (j) => new Date(Math.round((j - J1970) * DAY_MS));
+
+    /**
+     * @param {string} isoDate  YYYY-MM-DD, the local calendar date at the location
+     * @param {number} lat      degrees north
+     * @param {number} lon      degrees east (west is negative)
+     * @returns {{ dawn: Date | null, sunrise: Date | null, solarNoon: Date, sunset: Date | null,
+     *             dusk: Date | null, polar: 'day' | 'night' | null }}
+     */
+    const times = (isoDate, lat, lon) => {
+        const [y, m, d] = isoDate.split('-').map(Number);
+        // Julian day number of the date's local solar noon.
+        const n = Math.round(toJulian(Date.UTC(y, m - 1, d, 12)) - J2000 - lon / 360);
+        const meanSolarTime = n + 0.0009 - lon / 360;
+
+        const anomaly = ((357.5291 + 0.98560028 * meanSolarTime) % 360) * RAD;
+        const center = 1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly);
+        const eclipticLongitude = ((anomaly / RAD + center + 180 + 102.9372) % 360) * RAD;
+        const transit = J2000 + meanSolarTime + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+        const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(OBLIQUITY));
+
+        /** Rising and setting instants for the sun's centre at `altitude` degrees. */
+        const crossing = (altitude) => {
+            const cosH = (Math.sin(altitude * RAD) - Math.sin(lat * RAD) * Math.sin(declination))
+                / (Math.cos(lat * RAD) * Math.cos(declination));
+            if (cosH > 1) return { rise: null, set: null, polar: 'night' };
+            if (cosH < -1) return { rise: null, set: null, polar: 'day' };
+            const hourAngle = Math.acos(cosH) / RAD;
+            return { rise: fromJulian(transit - hourAngle / 360), set: fromJulian(transit + hourAngle / 360), polar: null };
+        };
+
+        const sun = crossing(-0.833);
+        const civil = crossing(-6);
+        return {
+            dawn: civil.rise,
+            sunrise: sun.rise,
+            solarNoon: fromJulian(transit),
+            sunset: sun.set,
+            dusk: civil.set,
+            polar: sun.polar
+        };
+    };
+
+    return { times };
+});
@@ -0,0 +1,129 @@
+/**
+ * timecode-calculator.js — the Timecode Calculator on tools.html.
+ *
+ * Three panels over `CC.timecode`, sharing one frame rate: a running sum
+ * ("01:00:00:00 + 00:00:10:12 - 48f"), a list of in/out ranges with their
+ * total, and rate conversion. Everything recalculates as you type.
+ */
+(() => {
+    'use strict';
+
+    const { language } = window.CC;
+
+    /** "01:00:00:00 01:00:10:00", "01:00:00:00, 01:00:10:00" or "01:00:00:00 → 01:00:10:00" */
+    const RANGE_SEPARATOR = /\s*(?:,|→|->|\bto\b|\s)\s*/i;
+
+    const cell = (tag, text, className) => {
+        const element = document.createElement(tag);
+        element.textContent = text;
+        if (className) element.className = className;
+        return element;
+    };
+
+    /** @param {ReturnType<typeof window.CC.timecode.describe>} value */
+    const figures = (value) => {
+        const list = document.createElement('dl');
+        list.className = 'timecode-figures';
+        [
+            [language.t('tools.timecode.timecode', 'Timecode'), value.timecode],
+            [language.t('tools.timecode.frames', 'Frames'), value.frames.toLocaleString(document.documentElement.lang || undefined)],
+            [language.t('tools.timecode.feet', 'Feet+frames'), value.feet],
+            [language.t('tools.timecode.realTime', 'Real time'), value.realTime]
+        ].forEach(([term, text]) => list.append(cell('dt', term), cell('dd', text)));
+        return list;
+    };
+
+    const error = (message) => cell('p', message, 'field-error');
+
+    /** @param {ParentNode} root */
+    const mount = (root) => {
+        const form = root.querySelector('[data-timecode-calculator]');
+        if (!form || form.dataset.mounted || !(window.CC && window.CC.timecode)) return;
+        form.dataset.mounted = 'true';
+
+        const { timecode } = window.CC;
+        const field = (name) => form.elements.namedItem(name);
+        const output = (name) => form.querySelector(`[data-timecode-output="${name}"]`);
+
+        ['rate', 'convertTo'].forEach((name) => {
+            const select = field(name);
+            if (!select || select.options.length) return;
+            timecode.RATES.forEach(({ key, label }) => select.appendChild(new Option(label, key)));
+            select.value = select.dataset.default || '24';
+        });
+
+        const sum = () => {
+            const rate = field('rate').value;
+            const gauge = field('gauge').value;
+            try {
+                output('sum').replaceChildren(figures(timecode.describe(timecode.calculate(field('expression').value, rate), rate, gauge)));
+            } catch (e) {
+                output('sum').replaceChildren(error(e.message));
+            }
+        };
+
+        const ranges = () => {
+            const rate = field('rate').value;
+            const gauge = field('gauge').value;
+            const list = document.createElement('ol');
+            list.className = 'timecode-ranges';
+            let total = 0;
+            let problems = 0;
+            field('ranges').value.split('\n').forEach((line, index) => {
+                const text = line.trim();
+                if (!text) return;
+                const item = document.createElement('li');
+                try {
+                    const points = text.split(RANGE_SEPARATOR).filter(Boolean);
+                    if (points.length !== 2) throw new Error(language.t('tools.timecode.needInOut', 'expected an in and an out point'));
+                    const length = timecode.duration(points[0], points[1], rate);
+                    if (length.frames < 0) throw new Error(language.t('tools.timecode.outBeforeIn', 'out point is before the in point'));
+                    total += length.frames;
+                    item.append(cell('span', `${timecode.normalize(points[0], rate)} → ${timecode.normalize(points[1], rate)}`),
+                        cell('span', length.timecode, 'timecode-ranges__length'));
+                } catch (e) {
+                    problems++;
+                    item.appendChild(cell('span', language.t('tools.timecode.lineError', 'Line {number}: {message}', { number: index + 1, message: e.message }), 'field-error'));
+                }
+                list.appendChild(item);
+            });
+            const summary = cell('p', problems
+                ? language.t('tools.timecode.validTotal', 'Total of the valid ranges ({skipped} skipped):', { skipped: problems })
+                : language.t('tools.timecode.total', 'Total of {count, plural, one {# range} other {# ranges}}:', { count: list.children.length }), 'small');
+            output('ranges').replaceChildren(list, summary, figures(timecode.describe(total, rate, gauge)));
+        };
+
+        const convert = () => {
+            const from = field('rate').value;
+            const to = field('convertTo').value;
+            const mode = field('convertMode').value;
+            try {
+                const result = timecode.convert(field('convertTimecode').value, from, to, mode);
+                const frames = timecode.toFrames(result, to);
+                output('convert').replaceChildren(figures(timecode.describe(frames, to, field('gauge').value)));
+            } catch (e) {
+                output('convert').replaceChildren(error(e.message));
+            }
+        };
+
+        const update = () => {
+            sum();
+            ranges();
+            convert();
+        };
+
+        form.addEventListener('input', update);
+        form.addEventListener('change', update);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            update();
+        });
+
+        update();
+        language.watch(form, update);
+    };
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => mount(document));
+    else mount(document);
+    document.addEventListener('cc:afterswap', (e) => mount(e.detail.root));
+})();
@@ -0,0 +1,251 @@
+/**
+ * timecode.js — SMPTE timecode: parsing, formatting, arithmetic, feet+frames
+ * and rate conversion.
+ *
+ *   CC.timecode.toFrames('00:10:00;00', '29.97DF')   → 17982
+ *   CC.timecode.fromFrames(17982, '29.97DF')         → "00:10:00;00"
+ *   CC.timecode.add('01:00:00:00', '00:00:10:12', '24')
+ *   CC.timecode.convert('01:00:00:00', '24', '25')   → same real time at 25 fps
+ *   CC.timecode.toFeet(1000)                         → "62+08" (35mm 4-perf)
+ *
+ * Frame counts are the source of truth; timecode is a label on them. Rates
+ * have an integer nominal base (24, 25, 30, 50, 60) that the timecode counts
+ * in, and an exact num/den for real time (23.976 is 24000/1001).
+ *
+ * Drop-frame (29.97DF, 59.94DF) skips frame numbers 0–1 (0–3 at 59.94) at the
+ * start of every minute except each tenth, so the label tracks the clock.
+ * No frames are dropped, only numbers; drop-frame timecode is written with
+ * ';' before the frames. Labels that don't exist are rejected when parsing.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CC = root.CC || {};
+        root.CC.timecode = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    /**
+     * @typedef {{ key: string, label: string, base: number, drop: number, num: number, den: number }} Rate
+     *   `base` frames per timecode second, `drop` frame numbers skipped per minute,
+     *   `num / den` actual frames per second
+     */
+
+    /** @type {Rate[]} */
+    const RATES = [
+        { key: '23.976', label: '23.976 fps', base: 24, drop: 0, num: 24000, den: 1001 },
+        { key: '24', label: '24 fps', base: 24, drop: 0, num: 24, den: 1 },
+        { key: '25', label: '25 fps', base: 25, drop: 0, num: 25, den: 1 },
+        { key: '29.97DF', label: '29.97 fps drop-frame', base: 30, drop: 2, num: 30000, den: 1001 },
+        { key: '29.97', label: '29.97 fps non-drop', base: 30, drop: 0, num: 30000, den: 1001 },
+        { key: '30', label: '30 fps', base: 30, drop: 0, num: 30, den: 1 },
+        { key: '50', label: '50 fps', base: 50, drop: 0, num: 50, den: 1 },
+        { key: '59.94DF', label: '59.94 fps drop-frame', base: 60, drop: 4, num: 60000, den: 1001 },
+        { key: '59.94', label: '59.94 fps non-drop', base: 60, drop: 0, num: 60000, den: 1001 }
+    ];
+
+    /** Frames per foot of film. */
+    const GAUGES = { '35mm': 16, '16mm': 40 };
+
+    /** @returns {Rate} */
+    const rate = (key) => {
+        if (key && typeof key === 'object') return key;
+        const found = RATES.find((entry) => entry.key.toLowerCase() === String(key).toLowerCase());
+        if (!found) throw new Error(`Unknown frame rate: ${key}`);
+        return found;
+    };
+
+    /* ---------------------------------------------------------------
+       Timecode ↔ frames
+       --------------------------------------------------------------- */
+
+    const TIMECODE_RE = /^(-)?(\d+)(?:[:;.](\d+))?(?:[:;.](\d+))?(?:[:;.](\d+))?$/;
+
+    /**
+     * "01:00:00:00" → frames. Fields fill from the right like an edit
+     * controller, so "10:00" is ten seconds and "5" is five frames. A leading
+     * '-' gives a negative count.
+     * @throws {Error} when a field is out of range or the label is dropped
+     */
+    const toFrames = (timecode, rateKey) => {
+        const r = rate(rateKey);
+        const text = String(timecode).trim().replace(/\s+/g, '');
+        const match = TIMECODE_RE.exec(text);
+        if (!match) throw new Error(`Not a timecode: "${timecode}"`);
+        const fields = match.slice(2).filter((part) => part !== undefined).map(Number);
+        const [frames, seconds = 0, minutes = 0, hours = 0] = fields.reverse();
+
+        if (frames >= r.base) throw new Error(`Frames must be below ${r.base} at ${r.label}: "${timecode}"`);
+        if (seconds >= 60 || minutes >= 60) throw new Error(`Minutes and seconds must be below 60: "${timecode}"`);
+        if (r.drop && seconds === 0 && minutes % 10 !== 0 && frames < r.drop) {
+            throw new Error(`${text} doesn't exist in drop-frame; the count jumps to frame ${String(r.drop).padStart(2, '0')}.`);
+        }
+
+        const totalMinutes = hours * 60 + minutes;
+        const count = ((hours * 3600 + minutes * 60 + seconds) * r.base + frames)
+            - r.drop * (totalMinutes - Math.floor(totalMinutes / 10));
+        return match[1] ? -count : count;
+    };
+
+    const pad = (value) => String(value).padStart(2, '0');
+
+    /**
+     * Frames → "HH:MM:SS:FF" (";FF" for drop-frame). Hours run past 23 rather
+     * than wrapping, since most of what we format are durations.
+     */
+    const fromFrames = (frames, rateKey) => {
+        const r = rate(rateKey);
+        if (!Number.isInteger(frames)) throw new Error(`Frame count must be an integer: ${frames}`);
+        let count = Math.abs(frames);
+
+        if (r.drop) {
+            // Put the skipped numbers back so the count can be split like non-drop.
+            const perMinute = r.base * 60 - r.drop;
+            const perTenMinutes = perMinute * 10 + r.drop;
+            const tens = Math.floor(count / perTenMinutes);
+            const rest = count % perTenMinutes;
+            count += r.drop * 9 * tens;
+            if (rest > r.drop) count += r.drop * Math.floor((rest - r.drop) / perMinute);
+        }
+
+        const perHour = r.base * 3600;
+        const hours = Math.floor(count / perHour);
+        const minutes = Math.floor((count % perHour) / (r.base * 60));
+        const seconds = Math.floor((count % (r.base * 60)) / r.base);
+        const rest = count % r.base;
+        return `${frames < 0 ? '-' : ''}${pad(hours)}:${pad(minutes)}:${pad(seconds)}${r.drop ? ';' : ':'}${pad(rest)}`;
+    };
+
+    /** Re-labels a timecode in canonical form ("1:2:3:4" → "01:02:03:04"). */
+    const normalize = (timecode, rateKey) => fromFrames(toFrames(timecode, rateKey), rateKey);
+
+    /** @returns {boolean} */
+    const isValid = (timecode, rateKey) => {
+        try {
+            toFrames(timecode, rateKey);
+            return true;
+        } catch {
+            return false;
+        }
+    };
+
+    /* ---------------------------------------------------------------
+       Arithmetic and durations
+       --------------------------------------------------------------- */
+
+    const add = (a, b, rateKey) => fromFrames(toFrames(a, rateKey) + toFrames(b, rateKey), rateKey);
+
+    const subtract = (a, b, rateKey) => fromFrames(toFrames(a, rateKey) - toFrames(b, rateKey), rateKey);
+
+    /**
+     * Left-to-right sum of timecodes and frame counts:
+     * "01:00:00:00 + 00:00:10:12 - 48f". A bare number is frames.
+     * @returns {number} frames
+     * @throws {Error} on a term that isn't a timecode
+     */
+    const calculate = (expression, rateKey) => {
+        const terms = String(expression).replace(/\s+/g, '').match(/[+-]?[^+-]+/g);
+        if (!terms) throw new Error('Enter a timecode, e.g. 01:00:00:00 + 00:00:10:00');
+        return terms.reduce((sum, term) => {
+            const sign = term[0] === '-' ? -1 : 1;
+            const value = term.replace(/^[+-]/, '');
+            const frames = /^\d+f$/i.test(value) ? Number.parseInt(value, 10) : toFrames(value, rateKey);
+            return sum + sign * frames;
+        }, 0);
+    };
+
+    /** Seconds of real time for a frame count (23.976 runs 1.001× slower than 24). */
+    const toSeconds = (frames, rateKey) => {
+        const r = rate(rateKey);
+        return (frames * r.den) / r.num;
+    };
+
+    /** 3723.5 → "1h 02m 03.500s" */
+    const formatSeconds = (seconds) => {
+        const sign = seconds < 0 ? '-' : '';
+        const total = Math.abs(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const rest = hours || minutes ? (total % 60).toFixed(3).padStart(6, '0') : (total % 60).toFixed(3);
+        return `${sign}${hours ? `${hours}h ` : ''}${hours || minutes ? `${pad(minutes)}m ` : ''}${rest}s`;
+    };
+
+    /**
+     * Length of an edit from its in and out points (out is the first frame
+     * not included, as in an EDL).
+     * @returns {{ frames: number, timecode: string, seconds: number, realTime: string, feet: string }}
+     */
+    const duration = (inPoint, outPoint, rateKey) => describe(toFrames(outPoint, rateKey) - toFrames(inPoint, rateKey), rateKey);
+
+    /** A frame count in every unit the calculator shows. */
+    const describe = (frames, rateKey, gauge = '35mm') => {
+        const seconds = toSeconds(frames, rateKey);
+        return {
+            frames,
+            timecode: fromFrames(frames, rateKey),
+            seconds,
+            realTime: formatSeconds(seconds),
+            feet: toFeet(frames, gauge)
+        };
+    };
+
+    /* ---------------------------------------------------------------
+       Feet + frames and rate conversion
+       --------------------------------------------------------------- */
+
+    /** 1000 frames → "62+08" at 16 frames a foot (35mm 4-perf). */
+    const toFeet = (frames, gauge = '35mm') => {
+        const perFoot = GAUGES[gauge] || Number(gauge);
+        const count = Math.abs(frames);
+        return `${frames < 0 ? '-' : ''}${Math.floor(count / perFoot)}+${pad(count % perFoot)}`;
+    };
+
+    /** "62+08" → 1000 */
+    const fromFeet = (text, gauge = '35mm') => {
+        const perFoot = GAUGES[gauge] || Number(gauge);
+        const match = /^(-)?(\d+)(?:\+(\d+))?$/.exec(String(text).trim());
+        if (!match || Number(match[3] || 0) >= perFoot) throw new Error(`Not feet+frames: "${text}"`);
+        const frames = Number(match[2]) * perFoot + Number(match[3] || 0);
+        return match[1] ? -frames : frames;
+    };
+
+    /**
+     * Moves a timecode to another rate.
+     * 'time' keeps the real-time position (nearest frame): a 25 fps master
+     * cut to 23.976. 'frames' keeps the frame count: a 24 fps film run at 25
+     * for PAL, where everything plays 4% faster.
+     * @param {'time' | 'frames'} [mode]
+     */
+    const convert = (timecode, fromKey, toKey, mode = 'time') => {
+        const from = rate(fromKey);
+        const to = rate(toKey);
+        const frames = toFrames(timecode, from);
+        if (mode === 'frames') return fromFrames(frames, to);
+        // frames × (to fps ÷ from fps), in integers so 23.976 ↔ 24 stays exact.
+        const numerator = frames * from.den * to.num;
+        const denominator = from.num * to.den;
+        return fromFrames(Math.round(numerator / denominator), to);
+    };
+
+    return {
+        RATES,
+        GAUGES,
+        rate,
+        toFrames,
+        fromFrames,
+        normalize,
+        isValid,
+        add,
+        subtract,
+        calculate,
+        duration,
+        describe,
+        toSeconds,
+        formatSeconds,
+        toFeet,
+        fromFeet,
+        convert
+    };
+});
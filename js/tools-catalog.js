@@ -0,0 +1,386 @@
+/**
+ * tools-catalog.js — the tools.html catalog, rendered from data/tools.json.
+ *
+ * Filter state lives in the query string so any view can be linked:
+ *
+ *   tools.html?phase=post&tag=SRT
+ *   tools.html?q=subtitles&badge=AI&craft=editing
+ *
+ * A facet can repeat (`?tag=SRT&tag=VTT`). Values within a facet are OR-ed,
+ * facets are AND-ed, and every word of `q` must appear somewhere in the tool
+ * (name, description, features, tags or craft names). In the browser the
+ * description and features are searched in the page language.
+ *
+ * The pure helpers load as a CommonJS module in Node; in the browser the
+ * catalog mounts itself on `[data-tools-catalog]`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./crafts'));
+    } else {
+        root.CC = root.CC || {};
+        root.CC.toolsCatalog = factory(root.CC.crafts || []);
+    }
+})(typeof self !== 'undefined' ? self : this, (crafts) => {
+    'use strict';
+
+    const FACETS = ['phase', 'badge', 'craft', 'tag'];
+    /** Facet name → the tool field it filters on. */
+    const FIELD = { phase: 'phase', badge: 'badge', craft: 'crafts', tag: 'tags' };
+
+    const fold = (value) => String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    const craftNames = new Map(crafts.map((craft) => [craft.code, craft.name]));
+
+    /** @typedef {{ q: string, phase: string[], badge: string[], craft: string[], tag: string[] }} CatalogState */
+
+    /** @returns {CatalogState} */
+    const emptyState = () => ({ q: '', phase: [], badge: [], craft: [], tag: [] });
+
+    /**
+     * @param {string | URLSearchParams} search  e.g. `location.search`
+     * @returns {CatalogState}
+     */
+    const parseState = (search) => {
+        const params = search instanceof URLSearchParams ? search : new URLSearchParams(search || '');
+        const state = emptyState();
+        state.q = (params.get('q') || '').trim();
+        FACETS.forEach((facet) => {
+            const values = params.getAll(facet).map((value) => value.trim()).filter(Boolean);
+            state[facet] = Array.from(new Set(values));
+        });
+        return state;
+    };
+
+    /**
+     * @param {CatalogState} state
+     * @returns {string}  `?…`, or '' when nothing is filtered
+     */
+    const toQuery = (state) => {
+        const params = new URLSearchParams();
+        if (state.q && state.q.trim()) params.set('q', state.q.trim());
+        FACETS.forEach((facet) => (state[facet] || []).forEach((value) => params.append(facet, value)));
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    };
+
+    const isFiltered = (state) => Boolean(state.q && state.q.trim()) || FACETS.some((facet) => (state[facet] || []).length);
+
+    const valuesOf = (tool, facet) => {
+        const value = tool[FIELD[facet]];
+        if (Array.isArray(value)) return value;
+        return value ? [value] : [];
+    };
+
+    const searchText = (tool) => fold([
+        tool.name,
+        tool.description,
+        ...(tool.features || []),
+        ...(tool.tags || []),
+        ...(tool.crafts || []).map((code) => craftNames.get(code) || code)
+    ].join(' '));
+
+    /**
+     * @param {object} tool  one entry of data/tools.json `tools`
+     * @param {CatalogState} state
+     */
+    const matches = (tool, state) => {
+        const facetsMatch = FACETS.every((facet) => {
+            const wanted = (state[facet] || []).map(fold);
+            if (!wanted.length) return true;
+            return valuesOf(tool, facet).some((value) => wanted.includes(fold(value)));
+        });
+        if (!facetsMatch) return false;
+
+        const words = fold(state.q).split(' ').filter(Boolean);
+        if (!words.length) return true;
+        const text = searchText(tool);
+        return words.every((word) => text.includes(word));
+    };
+
+    /** @returns {object[]} the matching tools, in catalog order */
+    const filter = (tools, state) => tools.filter((tool) => matches(tool, state));
+
+    /**
+     * Every value each facet can take, with the number of tools carrying it.
+     * Phases and badges keep catalog order; crafts follow js/crafts.js; tags
+     * are alphabetical.
+     * @returns {Record<string, { value: string, label: string, count: number }[]>}
+     */
+    const facets = (catalog) => {
+        const count = (facet) => {
+            const counts = new Map();
+            catalog.tools.forEach((tool) => valuesOf(tool, facet).forEach((value) => {
+                counts.set(value, (counts.get(value) || 0) + 1);
+            }));
+            return counts;
+        };
+
+        const phaseCounts = count('phase');
+        const badgeCounts = count('badge');
+        const craftCounts = count('craft');
+        const tagCounts = count('tag');
+
+        return {
+            phase: catalog.phases
+                .filter((phase) => phaseCounts.has(phase.code))
+                .map((phase) => ({ value: phase.code, label: phase.name, count: phaseCounts.get(phase.code) })),
+            badge: Array.from(badgeCounts, ([value, n]) => ({ value, label: value, count: n })),
+            craft: crafts
+                .filter((craft) => craftCounts.has(craft.code))
+                .map((craft) => ({ value: craft.code, label: craft.name, count: craftCounts.get(craft.code) })),
+            tag: Array.from(tagCounts, ([value, n]) => ({ value, label: value, count: n }))
+                .sort((a, b) => a.label.localeCompare(b.label))
+        };
+    };
+
+    /* ============================
+       Browser UI
+       ============================ */
+    const DATA_URL = 'data/tools.json';
+    const SEARCH_DELAY_MS = 150;
+
+    /**
+     * The tool with its description and features in the page language, so
+     * the cards and the search both use them. Names, badges and tags are the
+     * same in every language.
+     */
+    const localize = (tool) => ({
+        ...tool,
+        description: window.CC.language.t(`tool.${tool.id}.description`, tool.description),
+        features: (tool.features || []).map((feature, i) => window.CC.language.t(`tool.${tool.id}.features.${i}`, feature))
+    });
+
+    /** Facet name → the message for a chip's label. */
+    const CHIP_LABEL = {
+        phase: (option) => window.CC.language.t(`tool.phase.${option.value}`, option.label),
+        craft: (option) => window.CC.language.t(`craft.${option.value}.name`, option.label)
+    };
+
+    const renderCard = (tool) => {
+        const card = document.createElement('article');
+        card.className = 'card tool-card';
+        card.id = `tool-${tool.id}`;
+        card.dataset.tool = tool.id;
+
+        if (tool.badge) {
+            const badge = document.createElement('div');
+            badge.className = 'tool-badge';
+            badge.textContent = tool.badge;
+            card.appendChild(badge);
+        }
+
+        const title = document.createElement('h3');
+        title.textContent = tool.name;
+        const description = document.createElement('p');
+        description.textContent = tool.description;
+        card.append(title, description);
+
+        if (tool.features && tool.features.length) {
+            const list = document.createElement('ul');
+            list.className = 'tool-tags';
+            tool.features.forEach((feature) => {
+                const item = document.createElement('li');
+                item.textContent = feature;
+                list.appendChild(item);
+            });
+            card.appendChild(list);
+        }
+
+        // Tools with a working demo on the page link to it.
+        if (tool.demo) {
+            const link = document.createElement('a');
+            link.className = 'tool-demo-link';
+            link.href = `#${tool.demo}`;
+            link.textContent = window.CC.language.t('tools.catalog.tryIt', 'Try it live →');
+            card.appendChild(link);
+        }
+        return card;
+    };
+
+    const renderChips = (group, facet, options) => {
+        group.querySelectorAll('.chip').forEach((chip) => chip.remove());
+        options.forEach((option) => {
+            const { value, count } = option;
+            const label = CHIP_LABEL[facet] ? CHIP_LABEL[facet](option) : option.label;
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'chip';
+            chip.dataset.value = value;
+            chip.setAttribute('aria-pressed', 'false');
+            chip.append(label, ' ');
+            const number = document.createElement('span');
+            number.className = 'chip-count';
+            number.textContent = count;
+            chip.appendChild(number);
+            group.appendChild(chip);
+        });
+    };
+
+    /** @param {ParentNode} scope  the page, or the `#main` swapped in by the router */
+    const mount = (scope) => {
+        const controls = scope.querySelector('[data-tools-catalog]');
+        if (!controls || controls.dataset.mounted) return;
+        controls.dataset.mounted = 'true';
+
+        const grids = new Map(Array.from(scope.querySelectorAll('[data-tool-grid]'), (grid) => [grid.dataset.toolGrid, grid]));
+        const search = controls.querySelector('[data-catalog-search]');
+        const countEl = controls.querySelector('[data-catalog-count]');
+        const emptyEl = controls.querySelector('[data-catalog-empty]');
+        const groups = new Map(Array.from(controls.querySelectorAll('[data-facet]'), (group) => [group.dataset.facet, group]));
+
+        let catalog = null;
+        let tools = [];
+        let cards = new Map();
+        let state = parseState(window.location.search);
+
+        const setStatus = (text) => {
+            if (countEl) countEl.textContent = text;
+        };
+
+        const writeUrl = () => {
+            const url = new URL(window.location.href);
+            url.search = toQuery(state);
+            if (url.href === window.location.href) return;
+            // The router has to know the new query, or Back to this entry re-fetches the page.
+            if (window.CC.router) window.CC.router.replace(url.href);
+            else history.replaceState(history.state, '', url.href);
+        };
+
+        const update = () => {
+            const visible = new Set(filter(tools, state).map((tool) => tool.id));
+            cards.forEach((card, id) => {
+                card.hidden = !visible.has(id);
+            });
+            grids.forEach((grid) => {
+                const section = grid.closest('section') || grid;
+                section.hidden = !Array.from(grid.children).some((card) => !card.hidden);
+            });
+
+            groups.forEach((group, facet) => {
+                const selected = new Set(state[facet].map(fold));
+                group.querySelectorAll('.chip').forEach((chip) => {
+                    chip.setAttribute('aria-pressed', String(selected.has(fold(chip.dataset.value))));
+                });
+                // Keep a collapsed group open while it has an active filter.
+                const details = group.closest('details');
+                if (details && selected.size) details.open = true;
+            });
+            if (search && search.value !== state.q) search.value = state.q;
+
+            const total = tools.length;
+            setStatus(visible.size === total
+                ? window.CC.language.t('tools.catalog.showingAll', 'Showing all {total, plural, one {# tool} other {# tools}}', { total })
+                : window.CC.language.t('tools.catalog.showing', 'Showing {shown} of {total, plural, one {# tool} other {# tools}}', { shown: visible.size, total }));
+            if (emptyEl) emptyEl.hidden = visible.size > 0;
+            controls.querySelectorAll('[data-catalog-clear]').forEach((button) => {
+                button.hidden = !isFiltered(state);
+            });
+        };
+
+        const setState = (next) => {
+            state = next;
+            writeUrl();
+            update();
+        };
+
+        const toggle = (facet, value) => {
+            const current = state[facet];
+            const next = current.some((v) => fold(v) === fold(value))
+                ? current.filter((v) => fold(v) !== fold(value))
+                : current.concat(value);
+            setState({ ...state, [facet]: next });
+        };
+
+        const render = () => {
+            tools = catalog.tools.map(localize);
+            cards = new Map();
+            grids.forEach((grid) => grid.replaceChildren());
+            tools.forEach((tool) => {
+                const grid = grids.get(tool.phase);
+                if (!grid) return;
+                const card = renderCard(tool);
+                grid.appendChild(card);
+                cards.set(tool.id, card);
+            });
+
+            const options = facets(catalog);
+            groups.forEach((group, facet) => renderChips(group, facet, options[facet] || []));
+        };
+
+        const bindCards = () => {
+            // Card tilt and glow bind to the cards present at init.
+            if (window.CC && window.CC.effects) window.CC.effects.refresh(['tilt']);
+            if (window.CC && window.CC.analytics) window.CC.analytics.observe(controls.closest('main') || document);
+        };
+
+        groups.forEach((group, facet) => {
+            group.addEventListener('click', (e) => {
+                const chip = e.target instanceof Element ? e.target.closest('.chip') : null;
+                if (chip) toggle(facet, chip.dataset.value);
+            });
+        });
+
+        let searchTimer;
+        if (search) {
+            search.addEventListener('input', () => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => setState({ ...state, q: search.value }), SEARCH_DELAY_MS);
+            });
+            search.form && search.form.addEventListener('submit', (e) => e.preventDefault());
+        }
+
+        controls.querySelectorAll('[data-catalog-clear]').forEach((button) => {
+            button.addEventListener('click', () => {
+                setState(emptyState());
+                if (search) search.focus();
+            });
+        });
+
+        // Cards and chips are rebuilt in the new language.
+        window.CC.language.watch(controls, () => {
+            if (!catalog) return;
+            render();
+            update();
+            bindCards();
+        });
+
+        setStatus(window.CC.language.t('tools.catalog.loading', 'Loading tools…'));
+        fetch(DATA_URL, { headers: { Accept: 'application/json' } })
+            .then((response) => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            // The cards are built once, in the page language.
+            .then((data) => window.CC.language.ready().then(() => data))
+            .then((data) => {
+                if (!controls.isConnected) return;
+                catalog = data;
+                render();
+                controls.hidden = false;
+                update();
+                // Links to a card (`tools.html#tool-…`, from the crafts explorer) land before the card exists.
+                const target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+                if (target && cards.has(target.dataset.tool)) target.scrollIntoView();
+                bindCards();
+            })
+            .catch(() => {
+                setStatus(window.CC.language.t('tools.catalog.failed', 'The tools catalog could not be loaded. Please refresh the page to try again.'));
+                controls.hidden = false;
+            });
+    };
+
+    if (typeof document !== 'undefined') {
+        const start = () => mount(document);
+        if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+        else start();
+        document.addEventListener('cc:afterswap', (e) => mount(e.detail.root));
+    }
+
+    return { FACETS, parseState, toQuery, isFiltered, matches, filter, facets, mount };
+});
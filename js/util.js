@@ -0,0 +1,77 @@
+/**
+ * util.js — small helpers shared by the site scripts and the tools.
+ *
+ *   CC.util.escapeHTML(`<b>"Ravi" & Lata's</b>`)    → "&lt;b&gt;&quot;Ravi&quot; &amp; Lata&#39;s&lt;/b&gt;"
+ *   CC.util.readStored('cc:budget', { accept: (v) => Array.isArray(v.lines) })
+ *   CC.util.writeStored('cc:budget', state)          // null removes the entry
+ *   CC.util.download('call-sheet.html', html, 'text/html;charset=utf-8')
+ *
+ * localStorage throws in some private modes and when it is full; the stored
+ * helpers swallow that, so a setting or a draft simply lasts for the page.
+ *
+ * Loaded without `defer` in <head>, ahead of js/preferences.js.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CC = root.CC || {};
+        root.CC.util = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    /** Text for an HTML element or a quoted attribute; null and undefined become ''. Matches server/http.js. */
+    const escapeHTML = (value) => String(value == null ? '' : value).replace(/[&<>"']/g, (ch) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[ch]));
+
+    /**
+     * Reads a localStorage entry, JSON unless `raw`.
+     * @param {string} key
+     * @param {{ accept?: (value: any) => boolean, fallback?: any, raw?: boolean }} [options]
+     * @returns {any} `fallback` when the entry is missing, unreadable or not accepted
+     */
+    const readStored = (key, { accept = () => true, fallback = null, raw = false } = {}) => {
+        try {
+            const text = localStorage.getItem(key);
+            if (text === null) return fallback;
+            const value = raw ? text : JSON.parse(text);
+            return value !== null && accept(value) ? value : fallback;
+        } catch {
+            return fallback;
+        }
+    };
+
+    /**
+     * Saves a localStorage entry, JSON unless `raw`; null or undefined removes it.
+     * @param {string} key
+     * @param {any} value
+     * @param {{ raw?: boolean }} [options]
+     */
+    const writeStored = (key, value, { raw = false } = {}) => {
+        try {
+            if (value === null || value === undefined) localStorage.removeItem(key);
+            else localStorage.setItem(key, raw ? String(value) : JSON.stringify(value));
+        } catch {
+            // Private mode or storage full: the value lasts for this page only.
+        }
+    };
+
+    /** Saves `content` as a file from the browser. */
+    const download = (filename, content, type = 'text/csv;charset=utf-8') => {
+        // The BOM makes Excel read UTF-8 CSV correctly.
+        const parts = type.startsWith('text/csv') ? ['\uFEFF', content] : [content];
+        const url = URL.createObjectURL(new Blob(parts, { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.hidden = true;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    };
+
+    return { escapeHTML, readStored, writeStored, download };
+});
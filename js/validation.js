@@ -0,0 +1,244 @@
+/**
+ * validation.js — declarative field validation shared by the browser and the Node API.
+ *
+ * A schema maps field names to `{ label, rules }`, where each rule comes from
+ * `rules.*()`. Every rule except `required` passes empty values, so rules
+ * compose freely and the first failing one is reported.
+ *
+ * In the browser `bindForm()` wires a schema to a <form>: errors are rendered
+ * next to each input, linked through aria-invalid / aria-describedby, and
+ * summarised in the form's live status region.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./countries'), require('./languages'), require('./crafts'));
+    } else {
+        root.CC = root.CC || {};
+        root.CC.validation = factory(root.CC.countries || [], root.CC.languages || [], root.CC.crafts || []);
+    }
+})(typeof self !== 'undefined' ? self : this, (countries, languages, crafts) => {
+    'use strict';
+
+    /** Lower-cases, strips diacritics and collapses whitespace for lookups. */
+    const fold = (value) => String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    const buildIndex = (entries, keysOf) => {
+        const index = new Map();
+        entries.forEach((entry) => keysOf(entry).forEach((key) => {
+            if (key && !index.has(fold(key))) index.set(fold(key), entry);
+        }));
+        return index;
+    };
+
+    /** Signup roles: every craft, plus a catch-all for people outside the list. */
+    const roles = crafts.concat([{ code: 'other', name: 'Other' }]);
+
+    const countryIndex = buildIndex(countries, (c) => [c.code, c.name, ...(c.aliases || [])]);
+    const languageIndex = buildIndex(languages, (l) => [l.code, l.name, l.native]);
+    const roleIndex = buildIndex(roles, (r) => [r.code, r.name]);
+
+    /** @returns {{ code: string, name: string } | null} */
+    const findCountry = (input) => countryIndex.get(fold(input)) || null;
+    /** @returns {{ code: string, name: string, native: string } | null} */
+    const findLanguage = (input) => languageIndex.get(fold(input)) || null;
+    /** @returns {{ code: string, name: string } | null} */
+    const findRole = (input) => roleIndex.get(fold(input)) || null;
+
+    const EMAIL_RE = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+    const isEmpty = (value) => String(value == null ? '' : value).trim() === '';
+
+    /**
+     * Rule factories. A rule is `{ code, test(value), message(label) }`; `test`
+     * returns true when the value passes.
+     */
+    const rules = {
+        required: () => ({
+            code: 'required',
+            test: (value) => !isEmpty(value),
+            message: (label) => `${label} is required.`
+        }),
+
+        maxLength: (max) => ({
+            code: 'too_long',
+            test: (value) => isEmpty(value) || String(value).trim().length <= max,
+            message: (label) => `${label} must be ${max} characters or fewer.`
+        }),
+
+        email: () => ({
+            code: 'invalid_email',
+            test: (value) => isEmpty(value) || EMAIL_RE.test(String(value).trim()),
+            message: () => 'Enter an email address like name@example.com.'
+        }),
+
+        country: () => ({
+            code: 'unknown_country',
+            test: (value) => isEmpty(value) || Boolean(findCountry(value)),
+            message: () => 'Enter a country name or ISO code, e.g. “India” or “IN”.'
+        }),
+
+        language: () => ({
+            code: 'unknown_language',
+            test: (value) => isEmpty(value) || Boolean(findLanguage(value)),
+            message: () => 'Enter a language name or ISO code, e.g. “Hindi”, “हिन्दी” or “hi”.'
+        }),
+
+        role: () => ({
+            code: 'unknown_role',
+            test: (value) => isEmpty(value) || Boolean(findRole(value)),
+            message: () => 'Choose a craft from the list, e.g. “Cinematography” — or “Other”.'
+        })
+    };
+
+    const schemas = {
+        earlyAccess: {
+            name: { label: 'Name', rules: [rules.required(), rules.maxLength(120)] },
+            email: { label: 'Email', rules: [rules.required(), rules.maxLength(254), rules.email()] },
+            country: { label: 'Country', rules: [rules.required(), rules.maxLength(80), rules.country()] },
+            role: { label: 'Role', rules: [rules.required(), rules.maxLength(80), rules.role()] },
+            language: { label: 'Language preference', rules: [rules.required(), rules.maxLength(80), rules.language()] }
+        },
+        // Edits and deletions in the admin console (server/admin.js) say why, for the audit log.
+        adminChange: {
+            reason: { label: 'Reason', rules: [rules.required(), rules.maxLength(200)] }
+        }
+    };
+
+    /**
+     * @param {any} value
+     * @param {{ label: string, rules: object[] }} field
+     * @returns {{ code: string, message: string } | null}  the first failing rule
+     */
+    const validateField = (value, field) => {
+        const failed = field.rules.find((rule) => !rule.test(value));
+        return failed ? { code: failed.code, message: failed.message(field.label) } : null;
+    };
+
+    /**
+     * @param {Record<string, any>} values
+     * @param {Record<string, { label: string, rules: object[] }>} schema
+     * @returns {{ valid: boolean, errors: Record<string, { code: string, message: string }> }}
+     */
+    const validate = (values, schema) => {
+        const errors = {};
+        Object.keys(schema).forEach((name) => {
+            const error = validateField(values ? values[name] : undefined, schema[name]);
+            if (error) errors[name] = error;
+        });
+        return { valid: Object.keys(errors).length === 0, errors };
+    };
+
+    /**
+     * Maps an error code (e.g. from the API) back to a human message.
+     * @param {{ label: string, rules: object[] }} field
+     * @param {string} code
+     */
+    const messageFor = (field, code) => {
+        const rule = field.rules.find((r) => r.code === code);
+        return rule ? rule.message(field.label) : `Check your ${field.label.toLowerCase()}.`;
+    };
+
+    /**
+     * Wires a schema to a form. Fields are validated on blur (once the user has
+     * typed), re-checked as they type while invalid, and all at once on submit.
+     *
+     * @param {HTMLFormElement} form
+     * @param {Record<string, { label: string, rules: object[] }>} schema
+     * @param {{ status?: HTMLElement | null }} [options]
+     */
+    const bindForm = (form, schema, options = {}) => {
+        const status = options.status || null;
+        const fields = Object.keys(schema).map((name) => {
+            const input = /** @type {HTMLInputElement} */ (form.elements.namedItem(name));
+            if (!input) return null;
+
+            const errorEl = document.createElement('p');
+            errorEl.className = 'field-error';
+            errorEl.id = `${input.id || name}-error`;
+            errorEl.hidden = true;
+            input.insertAdjacentElement('afterend', errorEl);
+
+            return { name, input, errorEl, spec: schema[name], touched: false };
+        }).filter(Boolean);
+
+        const show = (field, message) => {
+            const describedBy = (field.input.getAttribute('aria-describedby') || '')
+                .split(/\s+/).filter((id) => id && id !== field.errorEl.id);
+            if (message) {
+                field.errorEl.textContent = message;
+                field.errorEl.hidden = false;
+                field.input.setAttribute('aria-invalid', 'true');
+                describedBy.push(field.errorEl.id);
+            } else {
+                field.errorEl.textContent = '';
+                field.errorEl.hidden = true;
+                field.input.removeAttribute('aria-invalid');
+            }
+            if (describedBy.length) field.input.setAttribute('aria-describedby', describedBy.join(' '));
+            else field.input.removeAttribute('aria-describedby');
+        };
+
+        const check = (field) => {
+            const error = validateField(field.input.value, field.spec);
+            show(field, error && error.message);
+            return error;
+        };
+
+        const summarise = (invalid) => {
+            if (!status) return;
+            status.textContent = invalid.length === 1
+                ? `Please fix 1 field: ${invalid[0].spec.label}.`
+                : `Please fix ${invalid.length} fields: ${invalid.map((f) => f.spec.label).join(', ')}.`;
+        };
+
+        fields.forEach((field) => {
+            field.input.addEventListener('input', () => {
+                field.touched = true;
+                if (field.input.getAttribute('aria-invalid') === 'true') check(field);
+            });
+            field.input.addEventListener('blur', () => {
+                if (field.touched) check(field);
+            });
+        });
+
+        return {
+            /** Validates every field; on failure focuses the first invalid one. */
+            validate() {
+                const invalid = fields.filter((field) => {
+                    field.touched = true;
+                    return check(field);
+                });
+                if (invalid.length) {
+                    summarise(invalid);
+                    invalid[0].input.focus();
+                }
+                return invalid.length === 0;
+            },
+
+            /** Shows errors reported elsewhere (e.g. the API), keyed by field name → code. */
+            showErrors(errors) {
+                const invalid = fields.filter((field) => errors && errors[field.name]);
+                invalid.forEach((field) => show(field, messageFor(field.spec, errors[field.name])));
+                if (invalid.length) {
+                    summarise(invalid);
+                    invalid[0].input.focus();
+                }
+                return invalid.length;
+            },
+
+            /** Clears all errors and touched state (call after form.reset()). */
+            reset() {
+                fields.forEach((field) => {
+                    field.touched = false;
+                    show(field, null);
+                });
+            }
+        };
+    };
+
+    return { rules, schemas, roles, validate, validateField, messageFor, bindForm, findCountry, findLanguage, findRole, fold };
+});
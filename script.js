@@ -1,7 +1,7 @@
 (() => {
 	const navToggle = document.querySelector('.nav-toggle');
 	const siteNav = document.querySelector('#site-nav');
-	const navLinks = Array.from(document.querySelectorAll('.site-nav .nav-link'));
+	const navLinks = Array.from(document.querySelectorAll('.site-nav a.nav-link'));
 
 	const basename = (path) => {
 		const parts = String(path).split('/').filter(Boolean);
@@ -47,36 +47,214 @@
 		});
 	}
 
-	const earlyAccessForm = document.querySelector('#early-access-form');
-	const earlyAccessStatus = document.querySelector('#early-access-status');
+	/**
+	 * A message from the locale catalogs (js/language.js). The English is used
+	 * when no catalog could be loaded, e.g. with the page opened from disk;
+	 * scripts/check-i18n.js checks it against locales/en.json.
+	 * @param {string} key
+	 * @param {string} english
+	 * @param {Record<string, unknown>} [values]
+	 */
+	const t = (key, english, values) => (window.CC && window.CC.language
+		? window.CC.language.t(key, english, values)
+		: english);
+	const catalogsReady = () => (window.CC && window.CC.language ? window.CC.language.ready() : Promise.resolve());
 
-	if (earlyAccessForm && earlyAccessStatus) {
-		earlyAccessForm.addEventListener('submit', (e) => {
+	const SIGNUP_MESSAGES = {
+		accepted: () => t('signup.accepted', 'Thanks — you’re on the early access list.'),
+		already_registered: () => t('signup.alreadyRegistered', 'You’re already on the early access list — we’ll be in touch.'),
+		invalid: () => t('signup.invalid', 'Some details look invalid. Please check the form and try again.'),
+		unreachable: () => t('signup.unreachable', 'We couldn’t reach the signup server. Please try again in a moment.'),
+		queued: () => t('signup.queued', 'You’re offline — we saved your signup and will send it as soon as you’re back online.'),
+		error: () => t('signup.error', 'Something went wrong on our side. Please try again later.')
+	};
+
+	const pendingText = (count) => t('signup.pending',
+		'{count, plural, one {# signup is waiting to be sent.} other {# signups are waiting to be sent.}}', { count });
+
+	/**
+	 * Summarises a replay of the offline queue for the status line.
+	 * @param {{ results: Array<{ code: string }>, pending: number }} outcome
+	 */
+	const replayText = ({ results, pending }) => {
+		const sent = results.filter((r) => r.code === 'accepted' || r.code === 'already_registered').length;
+		const rejected = results.length - sent;
+		const parts = [];
+		if (sent) {
+			parts.push(t('signup.replaySent',
+				'{count, plural, one {Your saved signup was sent — you’re on the list.} other {# saved signups were sent.}}', { count: sent }));
+		}
+		if (rejected) {
+			parts.push(t('signup.replayRejected',
+				'{count, plural, one {# saved signup was rejected as invalid; please submit again.} other {# saved signups were rejected as invalid; please submit again.}}', { count: rejected }));
+		}
+		if (pending) parts.push(pendingText(pending));
+		return parts.join(' ');
+	};
+
+	const isHttp = /^https?:$/.test(window.location.protocol);
+	const hasBackgroundSync = 'serviceWorker' in navigator && 'SyncManager' in window;
+
+	// Page scripts can arrive after this one (see js/router.js), so look them up lazily.
+	const getSignupQueue = () => (isHttp && window.indexedDB && window.CC && window.CC.signupQueue) || null;
+
+	/** Asks the service worker to replay the queue, or replays it from the page. */
+	const flushSignupQueue = async () => {
+		const signupQueue = getSignupQueue();
+		if (!signupQueue) return null;
+		if (hasBackgroundSync) {
+			try {
+				const registration = await navigator.serviceWorker.ready;
+				await registration.sync.register(signupQueue.SYNC_TAG);
+				return null;
+			} catch {
+				// Fall through to replaying from the page.
+			}
+		}
+		return signupQueue.replay(signupQueue.post);
+	};
+
+	if ('serviceWorker' in navigator && isHttp) {
+		navigator.serviceWorker.register('sw.js').catch(() => {});
+	}
+
+	/** Status element of the early access form on the current page, if any. */
+	let earlyAccessStatus = null;
+
+	const showReplay = (outcome) => {
+		const text = outcome && replayText(outcome);
+		if (text && earlyAccessStatus) {
+			earlyAccessStatus.dataset.state = outcome.pending ? 'queued' : 'accepted';
+			earlyAccessStatus.textContent = text;
+		}
+	};
+
+	/**
+	 * Binds validation, comboboxes and submission to the early access form
+	 * inside `root`. Safe to call again after the router swaps content.
+	 * @param {ParentNode} root
+	 */
+	const initEarlyAccess = (root) => {
+		const earlyAccessForm = /** @type {HTMLFormElement|null} */ (root.querySelector('#early-access-form'));
+		earlyAccessStatus = root.querySelector('#early-access-status');
+		if (!earlyAccessForm || !earlyAccessStatus) {
+			earlyAccessStatus = null;
+			return;
+		}
+		const status = earlyAccessStatus;
+
+		const cc = window.CC || {};
+		const validation = cc.validation;
+		const schema = validation && validation.schemas.earlyAccess;
+		const validator = validation && validation.bindForm(earlyAccessForm, schema, { status });
+
+		const comboboxOptions = {
+			country: (cc.countries || []).map((c) => ({ value: c.code, label: c.name, hint: c.code, keywords: c.aliases })),
+			role: (validation ? validation.roles : []).map((r) => ({ value: r.code, label: r.name, hint: r.group })),
+			language: (cc.languages || []).map((l) => ({ value: l.code, label: l.name, hint: l.native }))
+		};
+		if (cc.combobox) {
+			Object.entries(comboboxOptions).forEach(([field, options]) => {
+				const input = earlyAccessForm.elements.namedItem(field);
+				const codeInput = earlyAccessForm.elements.namedItem(`${field}Code`);
+				if (input && options.length) {
+					cc.combobox.create(input, {
+						options,
+						codeInput,
+						// Read on each render, so it follows a change of language.
+						get emptyText() { return t('signup.noMatches', 'No matches — keep typing or pick the closest entry.'); }
+					});
+				}
+			});
+		}
+
+		earlyAccessForm.addEventListener('submit', async (e) => {
 			e.preventDefault();
 
-			const name = /** @type {HTMLInputElement|null} */ (document.querySelector('#ea-name'));
-			const email = /** @type {HTMLInputElement|null} */ (document.querySelector('#ea-email'));
-			const country = /** @type {HTMLInputElement|null} */ (document.querySelector('#ea-country'));
-			const role = /** @type {HTMLInputElement|null} */ (document.querySelector('#ea-role'));
-			const language = /** @type {HTMLInputElement|null} */ (document.querySelector('#ea-language'));
-
-			const isMissing =
-				!name?.value.trim() ||
-				!email?.value.trim() ||
-				!country?.value.trim() ||
-				!role?.value.trim() ||
-				!language?.value.trim();
-
-			if (isMissing) {
-				earlyAccessStatus.textContent = 'Please fill out all fields.';
+			if (validator && !validator.validate()) {
+				status.dataset.state = 'invalid';
+				return;
+			}
+
+			const signup = {};
+			['name', 'email', 'country', 'countryCode', 'role', 'roleCode', 'language', 'languageCode'].forEach((field) => {
+				const input = /** @type {HTMLInputElement|null} */ (earlyAccessForm.elements.namedItem(field));
+				signup[field] = input ? input.value.trim() : '';
+			});
+
+			const submitButton = earlyAccessForm.querySelector('[type="submit"]');
+			if (submitButton) submitButton.disabled = true;
+			earlyAccessForm.setAttribute('aria-busy', 'true');
+			status.textContent = t('signup.sending', 'Sending…');
+
+			const signupQueue = getSignupQueue();
+			const result = cc.signupQueue
+				? await cc.signupQueue.post(earlyAccessForm.action, signup)
+				: { code: 'unreachable' };
+
+			if (submitButton) submitButton.disabled = false;
+			earlyAccessForm.removeAttribute('aria-busy');
+			if (!Object.prototype.hasOwnProperty.call(SIGNUP_MESSAGES, result.code)) result.code = 'error';
+			status.dataset.state = result.code;
+			const analytics = window.CC && window.CC.analytics;
+			if (analytics && earlyAccessForm.dataset.analyticsForm) {
+				const outcome = result.code === 'unreachable' && signupQueue ? 'queued' : result.code;
+				analytics.track('form_result', { form: earlyAccessForm.dataset.analyticsForm, result: outcome });
+			}
+
+			if (result.code === 'unreachable' && signupQueue) {
+				const pending = await signupQueue.enqueue(earlyAccessForm.action, signup);
+				status.dataset.state = 'queued';
+				status.textContent = `${SIGNUP_MESSAGES.queued()} ${pendingText(pending)}`;
+				earlyAccessForm.reset();
+				if (validator) validator.reset();
+				if (navigator.onLine) flushSignupQueue();
+				return;
+			}
+
+			if (result.code === 'invalid' && validator && result.errors && validator.showErrors(result.errors)) {
 				return;
 			}
+			status.textContent = SIGNUP_MESSAGES[result.code]();
 
-			earlyAccessStatus.textContent = 'Thanks — you’re on the early access list (demo only).';
-			earlyAccessForm.reset();
+			if (result.code === 'accepted' || result.code === 'already_registered') {
+				earlyAccessForm.reset();
+				if (validator) validator.reset();
+			}
+		});
+
+		const signupQueue = getSignupQueue();
+		if (signupQueue) {
+			Promise.all([signupQueue.count(), catalogsReady()]).then(([pending]) => {
+				if (!pending || status !== earlyAccessStatus) return;
+				status.dataset.state = 'queued';
+				status.textContent = pendingText(pending);
+				if (navigator.onLine) flushSignupQueue().then(showReplay, () => {});
+			}, () => {});
+		}
+	};
+
+	// Background Sync replays happen in the service worker, which reports back.
+	if ('serviceWorker' in navigator) {
+		navigator.serviceWorker.addEventListener('message', (e) => {
+			if (e.data && e.data.type === 'cc:signups-replayed') showReplay(e.data);
 		});
 	}
 
+	window.addEventListener('online', () => {
+		flushSignupQueue().then(showReplay, () => {});
+	});
+
+	// Content swapped in by the router gets the same behaviour as a fresh load.
+	document.addEventListener('cc:afterswap', (e) => {
+		initEarlyAccess(e.detail.root);
+	});
+
+	window.CC = window.CC || {};
+	window.CC.setActiveNav = setActiveNav;
+
+	initEarlyAccess(document);
+
 	// Initial active state.
 	setActiveNav();
 })();
\ No newline at end of file
@@ -0,0 +1,383 @@
+#!/usr/bin/env node
+/**
+ * build.js — assembles the site from src/ into dist/.
+ *
+ *   node scripts/build.js [--out dist] [--watch]
+ *
+ * Each file in src/pages/ is front-matter plus the content of `<main>`:
+ *
+ *   ---
+ *   title: Tools — 24Craft Cinema (24CC)
+ *   description: AI-powered tools for every stage of filmmaking.
+ *   nav: tools
+ *   label: 24Craft Cinema tools
+ *   scripts:
+ *     - js/csv.js
+ *   ---
+ *   <section class="section">…</section>
+ *
+ * and is rendered into src/layouts/page.html (or the `layout` it names).
+ * Templates understand `{{ name }}` (HTML-escaped), `{{{ name }}}` (raw),
+ * `{{> partial }}` from src/partials/ and `{{ active "tools" }}`, which is
+ * " is-active" on the page whose `nav` matches. A tag alone on its line
+ * takes that line's indentation for every line it renders, and leaves no
+ * line behind when it renders nothing.
+ *
+ * The site's own files (ASSETS) are copied alongside, with search-index.json
+ * for the command palette (scripts/search-index.js) and the roadmap as
+ * roadmap.json and an Atom feed.xml (scripts/roadmap-feed.js). Roadmap data
+ * that doesn't add up fails the build. The build then checks every internal
+ * `href` and `src` in the output: a missing file or a `#id` that the target
+ * page doesn't have fails it (exit code 1). `--watch` rebuilds on changes and
+ * keeps going after a failed build.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const roadmapFeed = require('./roadmap-feed');
+const searchIndex = require('./search-index');
+
+const ROOT = path.resolve(__dirname, '..');
+const SRC = path.join(ROOT, 'src');
+
+const DEFAULT_OUT = path.join(ROOT, 'dist');
+
+/**
+ * Left in the output folder. A build only empties a folder that has it (or
+ * is empty, or is dist/), so a mistyped `--out js` can't wipe the sources.
+ */
+const MARKER = '.24cc-build';
+
+/** Files and folders copied to the output as they are. */
+const ASSETS = ['CNAME', 'style.css', 'script.js', 'innovation.js', 'sw.js', 'js', 'data', 'locales'];
+
+const USAGE = `Usage: node scripts/build.js [options]
+
+  --out <dir>   Where to write the site (default: dist); a new or empty folder,
+                or one an earlier build wrote
+  --watch       Rebuild when src/ or the assets change
+  -h, --help    Show this help
+`;
+
+/* ============================
+   Front-matter
+   ============================ */
+
+const unquote = (value) => {
+    const match = /^(["'])(.*)\1$/.exec(value);
+    return match ? match[2] : value;
+};
+
+/**
+ * Splits `---` front-matter from the body. Values are strings, or arrays
+ * for a key followed by `- item` lines.
+ * @returns {{ data: Record<string, string|string[]>, body: string }}
+ */
+const parseFrontMatter = (text, file = 'page') => {
+    const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+    if (!match) return { data: {}, body: text };
+    const data = {};
+    let list = null;
+    match[1].split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+        const item = /^\s+-\s+(.*)$/.exec(line);
+        if (item) {
+            if (!list) throw new Error(`${file}: front-matter line ${index + 2} is a list item without a key`);
+            list.push(unquote(item[1].trim()));
+            return;
+        }
+        const pair = /^([A-Za-z][\w-]*):(?:\s+(.*))?$/.exec(line);
+        if (!pair) throw new Error(`${file}: can't read front-matter line ${index + 2}: "${line}"`);
+        if (pair[2] === undefined || pair[2].trim() === '') {
+            list = [];
+            data[pair[1]] = list;
+        } else {
+            list = null;
+            data[pair[1]] = unquote(pair[2].trim());
+        }
+    });
+    return { data, body: text.slice(match[0].length) };
+};
+
+/* ============================
+   Templates
+   ============================ */
+
+const escapeHTML = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(>?)\s*([\w.-]+)((?:\s+"[^"]*")*)\s*\}\}/g;
+
+const lookup = (data, name) => name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+/**
+ * @param {string} template
+ * @param {object} data
+ * @param {{ file: string, partial: (name: string) => string, helpers: Record<string, (...args: string[]) => string> }} context
+ * @returns {string}
+ */
+const render = (template, data, context) => {
+    const evaluate = (raw, partial, name, args) => {
+        if (raw) {
+            const value = lookup(data, raw);
+            if (value === undefined) throw new Error(`${context.file}: no value for {{{ ${raw} }}}`);
+            return String(value);
+        }
+        if (partial) return render(context.partial(name), data, { ...context, file: `partials/${name}.html` });
+        if (args) {
+            const helper = context.helpers[name];
+            if (!helper) throw new Error(`${context.file}: unknown helper "${name}"`);
+            return helper(...args.match(/"[^"]*"/g).map((arg) => arg.slice(1, -1)));
+        }
+        const value = lookup(data, name);
+        if (value === undefined) throw new Error(`${context.file}: no value for {{ ${name} }}`);
+        return escapeHTML(value);
+    };
+
+    return template.split('\n').map((line) => {
+        const standalone = /^(\s*)(\{\{\{\s*[\w.]+\s*\}\}\}|\{\{\s*>\s*[\w.-]+\s*\}\})\s*$/.exec(line);
+        if (standalone) {
+            const [, indent, tag] = standalone;
+            TAG.lastIndex = 0;
+            const [, raw, partial, name, args] = TAG.exec(tag);
+            const output = evaluate(raw, partial, name, args).replace(/\n$/, '');
+            if (!output) return null;
+            return output.split('\n').map((text) => (text ? indent + text : text)).join('\n');
+        }
+        return line.replace(TAG, (match, raw, partial, name, args) => evaluate(raw, partial, name, args));
+    }).filter((line) => line !== null).join('\n');
+};
+
+/* ============================
+   Link check
+   ============================ */
+
+const EXTERNAL = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+
+const attributes = (html, names) => {
+    const found = [];
+    const re = new RegExp(`\\s(${names.join('|')})="([^"]*)"`, 'g');
+    let match;
+    while ((match = re.exec(html))) {
+        const line = html.slice(0, match.index).split('\n').length;
+        found.push({ name: match[1], value: match[2].replace(/&amp;/g, '&'), line });
+    }
+    return found;
+};
+
+const idsOf = (html) => new Set(attributes(html, ['id']).map((a) => a.value));
+
+/**
+ * Every internal `href`/`src` in the HTML files under `dir` must point at a
+ * file there, and a `#fragment` at an element id on that page.
+ * @returns {string[]} one line per problem
+ */
+const checkLinks = (dir) => {
+    const pages = new Map();
+    const walk = (folder) => fs.readdirSync(folder, { withFileTypes: true }).forEach((entry) => {
+        const full = path.join(folder, entry.name);
+        if (entry.isDirectory()) walk(full);
+        else if (entry.name.endsWith('.html')) pages.set(full, fs.readFileSync(full, 'utf8'));
+    });
+    walk(dir);
+
+    const ids = new Map();
+    const idsFor = (file) => {
+        if (!ids.has(file)) ids.set(file, idsOf(pages.get(file)));
+        return ids.get(file);
+    };
+
+    const problems = [];
+    pages.forEach((html, file) => {
+        const name = path.relative(dir, file);
+        attributes(html, ['href', 'src']).forEach(({ value, line }) => {
+            if (!value || value === '#' || EXTERNAL.test(value)) return;
+            const [location, fragment] = value.split('#', 2);
+            const pathname = decodeURIComponent(location.split('?')[0]);
+            let target = pathname ? path.resolve(pathname.startsWith('/') ? dir : path.dirname(file), `.${path.sep}${pathname}`) : file;
+            if (pathname.endsWith('/') || (fs.existsSync(target) && fs.statSync(target).isDirectory())) target = path.join(target, 'index.html');
+            if (!target.startsWith(dir) || !fs.existsSync(target)) {
+                problems.push(`${name}:${line}: broken link "${value}"`);
+                return;
+            }
+            if (fragment && pages.has(target) && !idsFor(target).has(decodeURIComponent(fragment))) {
+                problems.push(`${name}:${line}: no id "${fragment}" in ${path.relative(dir, target)} for "${value}"`);
+            }
+        });
+    });
+    return problems;
+};
+
+/* ============================
+   Build
+   ============================ */
+
+const copy = (from, to) => {
+    if (!fs.existsSync(from)) throw new Error(`Asset not found: ${path.relative(ROOT, from)}`);
+    fs.cpSync(from, to, { recursive: true });
+};
+
+/**
+ * @param {{ out: string }} options
+ * @returns {{ pages: string[], problems: string[] }}
+ */
+const build = ({ out }) => {
+    const partials = new Map();
+    const partial = (name) => {
+        if (!partials.has(name)) {
+            const file = path.join(SRC, 'partials', `${name}.html`);
+            if (!fs.existsSync(file)) throw new Error(`Unknown partial "${name}" (expected src/partials/${name}.html)`);
+            partials.set(name, fs.readFileSync(file, 'utf8'));
+        }
+        return partials.get(name);
+    };
+
+    const pagesDir = path.join(SRC, 'pages');
+    const rendered = fs.readdirSync(pagesDir).filter((name) => name.endsWith('.html')).sort().map((name) => {
+        const file = `pages/${name}`;
+        const { data, body } = parseFrontMatter(fs.readFileSync(path.join(pagesDir, name), 'utf8'), file);
+        ['title', 'description', 'label'].forEach((key) => {
+            if (typeof data[key] !== 'string') throw new Error(`${file}: front-matter needs "${key}"`);
+        });
+        const layoutFile = path.join(SRC, 'layouts', `${data.layout || 'page'}.html`);
+        if (!fs.existsSync(layoutFile)) throw new Error(`${file}: layout "${data.layout}" not found`);
+
+        const scripts = [].concat(data.scripts || []).map((src) => `<script src="${escapeHTML(src)}" defer></script>`).join('\n');
+        const html = render(fs.readFileSync(layoutFile, 'utf8'), { ...data, content: body, scripts }, {
+            file: `layouts/${path.basename(layoutFile)}`,
+            partial,
+            helpers: { active: (key) => (data.nav === key ? ' is-active' : '') }
+        });
+        return { name, html };
+    });
+
+    // Emptied rather than replaced, so `node server` keeps watching the same folder.
+    fs.mkdirSync(out, { recursive: true });
+    const existing = fs.readdirSync(out);
+    if (existing.length && !existing.includes(MARKER) && out !== DEFAULT_OUT) {
+        throw new Error(`${path.relative(process.cwd(), out) || '.'}/ has files this build didn't write; pick an empty or new folder for --out`);
+    }
+    existing.forEach((name) => fs.rmSync(path.join(out, name), { recursive: true, force: true }));
+    fs.writeFileSync(path.join(out, MARKER), 'Written by scripts/build.js, which empties this folder on every build.\n');
+    ASSETS.forEach((asset) => copy(path.join(ROOT, asset), path.join(out, asset)));
+    rendered.forEach(({ name, html }) => fs.writeFileSync(path.join(out, name), html));
+    fs.writeFileSync(path.join(out, 'search-index.json'), JSON.stringify(searchIndex.create({ pages: rendered, root: ROOT })));
+    const roadmap = roadmapFeed.create({ root: ROOT });
+    fs.writeFileSync(path.join(out, 'roadmap.json'), `${JSON.stringify(roadmap.json, null, 4)}\n`);
+    fs.writeFileSync(path.join(out, 'feed.xml'), roadmap.atom);
+
+    return { pages: rendered.map((page) => page.name), problems: checkLinks(out) };
+};
+
+const report = (options) => {
+    const started = Date.now();
+    try {
+        const { pages, problems } = build(options);
+        problems.forEach((problem) => console.error(problem));
+        const where = path.relative(process.cwd(), options.out) || '.';
+        if (problems.length) {
+            console.error(`Build failed: ${problems.length} broken link${problems.length === 1 ? '' : 's'} in ${where}/`);
+            return false;
+        }
+        console.log(`Built ${pages.length} pages into ${where}/ in ${Date.now() - started} ms`);
+        return true;
+    } catch (err) {
+        console.error(`Build failed: ${err.message}`);
+        return false;
+    }
+};
+
+/** One watcher per folder under `dir`, picking up folders created later. */
+const watchTree = (dir, onChange) => {
+    const watched = new Set();
+    const add = (folder) => {
+        if (watched.has(folder)) return;
+        watched.add(folder);
+        const watcher = fs.watch(folder, (event, name) => {
+            const changed = name ? path.join(folder, name.toString()) : '';
+            if (changed && fs.existsSync(changed) && fs.statSync(changed).isDirectory()) add(changed);
+            onChange();
+        });
+        // The folder itself was removed.
+        watcher.on('error', () => {
+            watcher.close();
+            watched.delete(folder);
+        });
+        fs.readdirSync(folder, { withFileTypes: true }).forEach((entry) => {
+            if (entry.isDirectory()) add(path.join(folder, entry.name));
+        });
+    };
+    add(dir);
+};
+
+const watch = (options) => {
+    let timer = null;
+    const rebuild = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => report(options), 100);
+    };
+    [SRC, ...ASSETS.map((asset) => path.join(ROOT, asset))].forEach((target) => {
+        if (!fs.statSync(target).isDirectory()) {
+            fs.watch(target, rebuild);
+            return;
+        }
+        try {
+            fs.watch(target, { recursive: true }, rebuild);
+        } catch {
+            // Recursive watching needs Node 20 on Linux.
+            watchTree(target, rebuild);
+        }
+    });
+    console.log('Watching src/ and the site assets; Ctrl+C to stop.');
+};
+
+const parseArgs = (argv) => {
+    const options = { out: DEFAULT_OUT, watch: false, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inline] = arg.split('=', 2);
+        const next = () => (inline !== undefined ? inline : argv[++i]);
+        switch (flag) {
+            case '--out': options.out = path.resolve(next()); break;
+            case '--watch': options.watch = true; break;
+            case '-h':
+            case '--help': options.help = true; break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    if (options.out === ROOT || ROOT.startsWith(options.out + path.sep) || options.out.startsWith(SRC)) {
+        throw new Error('--out must be a separate folder; it is emptied on every build');
+    }
+    return options;
+};
+
+const main = () => {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`${err.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const ok = report(options);
+    if (options.watch) {
+        watch(options);
+        process.on('SIGINT', () => process.exit(0));
+    } else if (!ok) {
+        process.exitCode = 1;
+    }
+};
+
+if (require.main === module) main();
+
+module.exports = { ASSETS, parseFrontMatter, render, checkLinks, build };
@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+/**
+ * check-i18n.js — reports missing and unused translation keys per locale.
+ *
+ *   node scripts/check-i18n.js [--root .]
+ *
+ * A key is in use when the markup in src/ (pages, partials, layouts) has it in
+ * `data-i18n` or `data-i18n-attr`, or a script passes it to `t('…')` or
+ * assigns it to `dataset.i18n`; the tools in data/tools.json and the crafts
+ * in js/crafts.js use the keys their pages build from codes (`dataMessages`).
+ * For each
+ * locale in js/i18n.js the report lists keys its catalog lacks, keys nothing
+ * uses any more, messages that don't parse and messages whose `{arguments}`
+ * differ from the English ones. The English catalog is also compared with the
+ * English in the markup, the data and `t('key', 'English')` calls, which is what
+ * visitors see when no catalog loads; `data-i18n-part` children count as
+ * their `{name}`.
+ *
+ * Exits with 1 when anything is reported, so it can gate a deploy.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const i18n = require('../js/i18n');
+const { slug } = require('../js/crafts-explorer');
+
+const USAGE = `Usage: node scripts/check-i18n.js [options]
+
+  --root <dir>   Site directory to check (default: repository root)
+  -h, --help     Show this help
+`;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rarr: '→', larr: '←', hellip: '…', mdash: '—', ndash: '–' };
+
+const decode = (html) => html.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === '#') return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+    return Object.prototype.hasOwnProperty.call(ENTITIES, name) ? ENTITIES[name] : match;
+});
+
+const attribute = (attrs, name) => {
+    const match = new RegExp(`\\b${name}=(?:"([^"]*)"|'([^']*)')`).exec(attrs);
+    return match ? decode(match[1] !== undefined ? match[1] : match[2]) : null;
+};
+
+/** A `data-i18n-part` child with no elements of its own, which the message names as `{name}`. */
+const PART_RE = /<([a-z][a-z0-9]*)\b[^>]*\bdata-i18n-part="(\w+)"[^>]*>[^<]*<\/\1>/gi;
+
+/**
+ * Messages for the catalog data, keyed the way tools.html, roadmap.html and
+ * crafts.html look them up: `tool.<id>.description`, `tool.<id>.features.<n>`,
+ * `tool.phase.<code>`, `tool.status.<code>`, `roadmap.phase<n>`,
+ * `craft.<code>.name`, `craft.<code>.description` and `craft.group.<slug>`.
+ * Tool names, badges and tags stay as they are.
+ * @returns {Array<{ key: string, text: string, file: string }>}
+ */
+const dataMessages = (root) => {
+    const messages = [];
+    const toolsFile = path.join(root, 'data', 'tools.json');
+    if (fs.existsSync(toolsFile)) {
+        const catalog = JSON.parse(fs.readFileSync(toolsFile, 'utf8'));
+        const add = (key, text) => messages.push({ key, text, file: toolsFile });
+        (catalog.phases || []).forEach((phase) => add(`tool.phase.${phase.code}`, phase.name));
+        (catalog.statuses || []).forEach((status) => add(`tool.status.${status.code}`, status.name));
+        (catalog.roadmap || []).forEach((phase) => add(`roadmap.phase${phase.phase}`, phase.name));
+        (catalog.tools || []).forEach((tool) => {
+            add(`tool.${tool.id}.description`, tool.description);
+            (tool.features || []).forEach((feature, i) => add(`tool.${tool.id}.features.${i}`, feature));
+        });
+    }
+    const craftsFile = path.join(root, 'js', 'crafts.js');
+    if (fs.existsSync(craftsFile)) {
+        const groups = new Set();
+        const add = (key, text) => messages.push({ key, text, file: craftsFile });
+        require(path.resolve(craftsFile)).forEach((craft) => {
+            add(`craft.${craft.code}.name`, craft.name);
+            add(`craft.${craft.code}.description`, craft.description);
+            if (!groups.has(craft.group)) add(`craft.group.${slug(craft.group)}`, craft.group);
+            groups.add(craft.group);
+        });
+    }
+    return messages;
+};
+
+const listFiles = (dir, ext) => (fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter((name) => name.endsWith(ext)).map((name) => path.join(dir, name))
+    : []);
+
+const listFilesDeep = (dir, ext) => (fs.existsSync(dir)
+    ? fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) return listFilesDeep(full, ext);
+        return entry.name.endsWith(ext) ? [full] : [];
+    })
+    : []);
+
+/**
+ * @returns {{ used: Map<string, Set<string>>, texts: Array<{ key: string, text: string, values: object|null, file: string }> }}
+ *   `used` maps each key to the files that use it; `texts` is the source's
+ *   own English: rendered text for plain-text `data-i18n` elements and
+ *   attributes (`values` set), the raw message for script calls (`values` null)
+ */
+const collectUsage = (root) => {
+    const used = new Map();
+    const texts = [];
+    const use = (key, file) => {
+        if (!used.has(key)) used.set(key, new Set());
+        used.get(key).add(path.relative(root, file));
+    };
+
+    listFilesDeep(path.join(root, 'src'), '.html').forEach((file) => {
+        const html = fs.readFileSync(file, 'utf8');
+        const tagRe = /<([a-z][a-z0-9]*)\b([^>]*)>/gi;
+        let match;
+        while ((match = tagRe.exec(html))) {
+            const [, tag, attrs] = match;
+            const key = attribute(attrs, 'data-i18n');
+            const pairs = attribute(attrs, 'data-i18n-attr');
+            let values = {};
+            try {
+                values = JSON.parse(attribute(attrs, 'data-i18n-values') || '{}');
+            } catch {
+                // Reported as a mismatch below if it matters.
+            }
+            if (pairs) {
+                pairs.split(';').forEach((pair) => {
+                    const [attr, attrKey] = pair.split(':').map((s) => s.trim());
+                    if (!attrKey) return;
+                    use(attrKey, file);
+                    const original = attribute(attrs, attr);
+                    if (original !== null) texts.push({ key: attrKey, text: original, values, file });
+                });
+            }
+            if (!key) continue;
+            use(key, file);
+            const close = html.indexOf(`</${tag}>`, tagRe.lastIndex);
+            const inner = (close === -1 ? '' : html.slice(tagRe.lastIndex, close)).replace(PART_RE, (part, partTag, name) => {
+                values[name] = `{${name}}`;
+                return `{${name}}`;
+            });
+            if (!/[<]/.test(inner)) texts.push({ key, text: decode(inner).replace(/\s+/g, ' ').trim(), values, file });
+        }
+    });
+
+    const scripts = [...listFiles(root, '.js'), ...listFiles(path.join(root, 'js'), '.js')];
+    scripts.forEach((file) => {
+        // Usage examples in doc comments don't count.
+        const source = fs.readFileSync(file, 'utf8').replace(/\/\*[\s\S]*?\*\//g, '').replace(/^\s*\/\/.*$/gm, '');
+        const keyRe = /(?:\bt\(\s*|\bi18n\s*=\s*)'([^']+)'(?:\s*,\s*'((?:[^'\\]|\\.)*)')?/g;
+        let match;
+        while ((match = keyRe.exec(source))) {
+            use(match[1], file);
+            if (match[2] !== undefined) texts.push({ key: match[1], text: match[2].replace(/\\(.)/g, '$1'), values: null, file });
+        }
+    });
+
+    dataMessages(root).forEach(({ key, text, file }) => {
+        use(key, file);
+        texts.push({ key, text, values: null, file });
+    });
+
+    return { used, texts };
+};
+
+const loadCatalog = (file) => {
+    const catalog = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!catalog || typeof catalog !== 'object' || Array.isArray(catalog)) throw new Error('not a JSON object');
+    return catalog;
+};
+
+const sameSet = (a, b) => a.size === b.size && [...a].every((x) => b.has(x));
+
+/**
+ * @returns {Array<{ locale: string, file: string, keys: number, problems: Array<{ kind: string, key: string, detail?: string }> }>}
+ */
+const check = (root) => {
+    const { used, texts } = collectUsage(root);
+    const dir = path.join(root, 'locales');
+    const codes = i18n.LOCALES.map((l) => l.code);
+    const extra = listFiles(dir, '.json').map((file) => path.basename(file, '.json')).filter((code) => !codes.includes(code));
+
+    const catalogs = {};
+    const reports = [...codes, ...extra].map((locale) => {
+        const file = path.join('locales', `${locale}.json`);
+        const problems = [];
+        const report = { locale, file, keys: 0, problems };
+        if (!codes.includes(locale)) problems.push({ kind: 'unlisted', key: '', detail: 'not in LOCALES in js/i18n.js' });
+        try {
+            catalogs[locale] = loadCatalog(path.join(root, file));
+        } catch (err) {
+            problems.push({ kind: 'unreadable', key: '', detail: err.code === 'ENOENT' ? 'file not found' : err.message });
+            return report;
+        }
+        report.keys = Object.keys(catalogs[locale]).length;
+        return report;
+    });
+
+    const english = catalogs[i18n.DEFAULT_LOCALE] || {};
+    const englishArgs = {};
+    Object.entries(english).forEach(([key, message]) => {
+        try {
+            englishArgs[key] = i18n.argumentsOf(message);
+        } catch {
+            // Reported with the English catalog's problems.
+        }
+    });
+
+    reports.forEach(({ locale, problems }) => {
+        const catalog = catalogs[locale];
+        if (!catalog) return;
+        used.forEach((files, key) => {
+            if (!Object.prototype.hasOwnProperty.call(catalog, key)) problems.push({ kind: 'missing', key, detail: [...files].join(', ') });
+        });
+        Object.entries(catalog).forEach(([key, message]) => {
+            if (!used.has(key)) problems.push({ kind: 'unused', key });
+            if (typeof message !== 'string' || !message.trim()) {
+                problems.push({ kind: 'empty', key });
+                return;
+            }
+            let args;
+            try {
+                args = i18n.argumentsOf(message);
+            } catch (err) {
+                problems.push({ kind: 'syntax', key, detail: err.message });
+                return;
+            }
+            if (locale !== i18n.DEFAULT_LOCALE && englishArgs[key] && !sameSet(args, englishArgs[key])) {
+                problems.push({ kind: 'arguments', key, detail: `{${[...args].join('}, {')}} but English has {${[...englishArgs[key]].join('}, {')}}` });
+            }
+        });
+        if (locale !== i18n.DEFAULT_LOCALE) return;
+        texts.forEach(({ key, text, values, file }) => {
+            if (!Object.prototype.hasOwnProperty.call(catalog, key)) return;
+            let expected;
+            try {
+                expected = values ? i18n.format(catalog[key], values, locale) : catalog[key];
+            } catch {
+                return;
+            }
+            if (expected !== text) problems.push({ kind: 'source', key, detail: `${path.relative(root, file)} has "${text}"` });
+        });
+    });
+
+    return reports;
+};
+
+const parseArgs = (argv) => {
+    const options = { root: path.resolve(__dirname, '..'), help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inline] = arg.split('=', 2);
+        const next = () => (inline !== undefined ? inline : argv[++i]);
+        switch (flag) {
+            case '--root': options.root = path.resolve(next()); break;
+            case '-h':
+            case '--help': options.help = true; break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return options;
+};
+
+const LABELS = {
+    missing: 'missing',
+    unused: 'unused',
+    empty: 'empty',
+    syntax: 'syntax error',
+    arguments: 'arguments differ',
+    source: 'differs from source',
+    unlisted: 'unlisted',
+    unreadable: 'unreadable'
+};
+const LABEL_WIDTH = Math.max(...Object.values(LABELS).map((label) => label.length)) + 2;
+
+const main = () => {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`${err.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const reports = check(options.root);
+    let total = 0;
+    reports.forEach(({ locale, file, keys, problems }) => {
+        total += problems.length;
+        const counts = Object.keys(LABELS)
+            .map((kind) => [kind, problems.filter((p) => p.kind === kind).length])
+            .filter(([, n]) => n)
+            .map(([kind, n]) => `${n} ${LABELS[kind]}`);
+        console.log(`${locale.padEnd(4)}${file}: ${keys} keys${counts.length ? ` — ${counts.join(', ')}` : ', ok'}`);
+        problems.forEach(({ kind, key, detail }) => {
+            console.log(`      ${LABELS[kind].padEnd(LABEL_WIDTH)}${key}${detail ? `  (${detail})` : ''}`);
+        });
+    });
+    if (total) process.exitCode = 1;
+};
+
+if (require.main === module) main();
+
+module.exports = { check, collectUsage };
@@ -0,0 +1,124 @@
+/**
+ * roadmap-feed.js — the public roadmap, written by scripts/build.js as
+ * roadmap.json and feed.xml (Atom).
+ *
+ *   roadmap.json  { updated, statuses, phases: [{ phase, name, start, end, tools: [{ id, name, status, since, target, crafts, url, history }] }] }
+ *   feed.xml      one entry per status change, newest first:
+ *                 "Budget Tracker is now in beta", "Moodboard Generator joined the roadmap", …
+ *
+ * Both come from the roadmap fields of data/tools.json (see js/roadmap.js),
+ * less any placeholder dates, and change only when the data does: the feed's `updated` is the latest
+ * change, not the build time. Absolute URLs use the domain in CNAME.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/** Entries in the feed; older changes stay in roadmap.json. */
+const FEED_SIZE = 50;
+
+/** Entry titles: "Crew Hub is now in progress". */
+const NOW = { planned: 'is back to planned', 'in-progress': 'is now in progress', beta: 'is now in beta', released: 'is now released' };
+
+/** Read afresh on every build, since `build.js --watch` runs in one process. */
+const loadRoadmap = () => {
+    [require.resolve('../js/crafts'), require.resolve('../js/roadmap')].forEach((file) => delete require.cache[file]);
+    return require('../js/roadmap');
+};
+
+const escapeXML = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/** '2026-08-24' → 'Aug 2026', the same in every build environment. */
+const month = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+/**
+ * @param {{ root: string }} options  `root` holds CNAME and data/tools.json
+ * @returns {{ json: object, atom: string }}
+ */
+const create = ({ root }) => {
+    const roadmap = loadRoadmap();
+    const source = JSON.parse(fs.readFileSync(path.join(root, 'data', 'tools.json'), 'utf8'));
+    const problems = roadmap.validate(source);
+    if (problems.length) throw new Error(`data/tools.json:\n  ${problems.join('\n  ')}`);
+    const catalog = roadmap.published(source);
+
+    const cname = path.join(root, 'CNAME');
+    if (!fs.existsSync(cname)) throw new Error('CNAME not found; the feed needs the site\'s domain for its links');
+    const domain = fs.readFileSync(cname, 'utf8').trim();
+    const site = `https://${domain}/`;
+
+    const statusNames = new Map(catalog.statuses.map((status) => [status.code, status.name]));
+    const changes = roadmap.changes(catalog);
+    const updated = changes.length ? changes[0].date : null;
+    const toolUrl = (tool) => `${site}${tool.demo ? `tools.html#${tool.demo}` : `tools.html#tool-${tool.id}`}`;
+
+    const json = {
+        updated,
+        statuses: catalog.statuses,
+        phases: roadmap.timeline(catalog).map((phase) => ({
+            phase: phase.phase,
+            name: phase.name,
+            start: phase.start,
+            end: phase.end,
+            tools: phase.tools.map((tool) => ({
+                id: tool.id,
+                name: tool.name,
+                status: tool.status,
+                since: roadmap.since(tool),
+                target: tool.target || {},
+                crafts: tool.crafts || [],
+                url: toolUrl(tool),
+                history: tool.history
+            }))
+        }))
+    };
+
+    const phaseNames = new Map(catalog.roadmap.map((phase) => [phase.phase, phase.name]));
+    const entry = ({ tool, status, previous, date }) => {
+        const name = statusNames.get(status) || status;
+        const title = previous ? `${tool.name} ${NOW[status] || `is now ${name.toLowerCase()}`}` : `${tool.name} joined the roadmap`;
+        const target = tool.target || {};
+        let next = null;
+        if (status !== 'beta' && status !== 'released' && target.beta) next = `Target beta: ${month(target.beta)}.`;
+        else if (status !== 'released' && target.release) next = `Target release: ${month(target.release)}.`;
+        const summary = [
+            `${tool.name} (Phase ${tool.roadmap} — ${phaseNames.get(tool.roadmap)})`,
+            previous ? `moved from ${statusNames.get(previous) || previous} to ${name}.` : `is ${name.toLowerCase()}.`,
+            next
+        ].filter(Boolean).join(' ');
+        return [
+            '    <entry>',
+            `        <title>${escapeXML(title)}</title>`,
+            `        <link href="${escapeXML(`${site}roadmap.html#roadmap-${tool.id}`)}"/>`,
+            `        <id>tag:${domain},${date}:roadmap/${tool.id}/${status}</id>`,
+            `        <updated>${date}T00:00:00Z</updated>`,
+            `        <category term="${status}" label="${escapeXML(name)}"/>`,
+            `        <summary>${escapeXML(summary)}</summary>`,
+            '    </entry>'
+        ].join('\n');
+    };
+
+    const atom = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        '    <title>24Craft Cinema roadmap</title>',
+        '    <subtitle>Status changes for 24CC tools, from planned to released.</subtitle>',
+        `    <link rel="self" type="application/atom+xml" href="${site}feed.xml"/>`,
+        `    <link rel="alternate" type="text/html" href="${site}roadmap.html"/>`,
+        `    <id>${site}feed.xml</id>`,
+        `    <updated>${updated || '1970-01-01'}T00:00:00Z</updated>`,
+        '    <author><name>24Craft Cinema</name></author>',
+        ...changes.slice(0, FEED_SIZE).map(entry),
+        '</feed>',
+        ''
+    ].join('\n');
+
+    return { json, atom };
+};
+
+module.exports = { create };
@@ -0,0 +1,114 @@
+/**
+ * search-index.js — the command palette's index, written by scripts/build.js
+ * as search-index.json.
+ *
+ *   [{ type: 'page',    title: 'Tools', url: 'tools.html', context: '24Craft Cinema', keywords: […] },
+ *    { type: 'section', title: 'Integrations', url: 'tools.html#integrations', context: 'Tools', keywords: [] },
+ *    { type: 'tool',    title: 'Budget Tracker', url: 'tools.html#budget-tracker-demo', context: 'Production', keywords: […] },
+ *    { type: 'craft',   title: 'Color Grading', url: 'crafts.html#craft=color-grading', context: 'Post-Production', keywords: […] }]
+ *
+ * Pages and their `<section id aria-label>`s come from the built HTML, tools
+ * from data/tools.json and crafts from js/crafts.js. Entries are in that
+ * order, which js/command-palette.js keeps for equal matches.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/** Read afresh on every build, since `build.js --watch` runs in one process. */
+const loadCrafts = () => {
+    const file = require.resolve('../js/crafts');
+    delete require.cache[file];
+    return require(file);
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decode = (text) => text
+    .replace(/&(#\d+|[a-z]+);/gi, (match, name) => {
+        if (name[0] === '#') return String.fromCodePoint(Number(name.slice(1)));
+        return Object.prototype.hasOwnProperty.call(ENTITIES, name) ? ENTITIES[name] : match;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const attribute = (attrs, name) => {
+    const match = new RegExp(`\\s${name}="([^"]*)"`).exec(attrs);
+    return match ? decode(match[1]) : null;
+};
+
+/**
+ * @param {{ name: string, html: string }} page  a built page
+ * @returns {object[]} the page entry followed by one per labelled section
+ */
+const pageEntries = ({ name, html }) => {
+    // The page's own nav link names it ("Tools"); the <title> is the fallback.
+    const active = /<a class="nav-link is-active"[^>]*>([^<]*)<\/a>/.exec(html);
+    const titleTag = /<title>([^<]*)<\/title>/.exec(html);
+    const title = active ? decode(active[1]) : decode(titleTag ? titleTag[1] : name);
+    const description = /<meta name="description" content="([^"]*)">/.exec(html);
+
+    const entries = [{
+        type: 'page',
+        title,
+        url: name,
+        context: '24Craft Cinema',
+        keywords: description ? [decode(description[1])] : []
+    }];
+
+    const sectionRe = /<section\b([^>]*)>/g;
+    let match;
+    while ((match = sectionRe.exec(html))) {
+        const id = attribute(match[1], 'id');
+        const label = attribute(match[1], 'aria-label');
+        if (!id || !label) continue;
+        const heading = /<h[12][^>]*>([\s\S]*?)<\/h[12]>/.exec(html.slice(sectionRe.lastIndex, html.indexOf('</section>', sectionRe.lastIndex)));
+        const headingText = heading ? decode(heading[1].replace(/<[^>]*>/g, ' ')) : '';
+        entries.push({
+            type: 'section',
+            title: label,
+            url: `${name}#${id}`,
+            context: title,
+            keywords: headingText && headingText.toLowerCase() !== label.toLowerCase() ? [headingText] : []
+        });
+    }
+    return entries;
+};
+
+/**
+ * @param {{ pages: Array<{ name: string, html: string }>, root: string }} options
+ *        `root` is the source folder holding data/tools.json
+ * @returns {object[]}
+ */
+const create = ({ pages, root }) => {
+    const catalog = JSON.parse(fs.readFileSync(path.join(root, 'data', 'tools.json'), 'utf8'));
+    const crafts = loadCrafts();
+    const phaseNames = new Map(catalog.phases.map((phase) => [phase.code, phase.name]));
+    const craftNames = new Map(crafts.map((craft) => [craft.code, craft.name]));
+
+    // Pages in nav order; any page the nav doesn't link goes last.
+    const nav = pages.length ? Array.from(pages[0].html.matchAll(/<a class="nav-link[^"]*" href="([^"]+)"/g), (m) => m[1]) : [];
+    const position = (page) => (nav.includes(page.name) ? nav.indexOf(page.name) : nav.length);
+    const ordered = pages.slice().sort((a, b) => position(a) - position(b));
+
+    const tools = catalog.tools.map((tool) => ({
+        type: 'tool',
+        title: tool.name,
+        url: tool.demo ? `tools.html#${tool.demo}` : `tools.html#tool-${tool.id}`,
+        context: phaseNames.get(tool.phase) || tool.phase,
+        keywords: [...(tool.tags || []), ...(tool.features || []), ...(tool.crafts || []).map((code) => craftNames.get(code) || code)]
+    }));
+
+    const craftEntries = crafts.map((craft) => ({
+        type: 'craft',
+        title: craft.name,
+        url: `crafts.html#craft=${craft.code}`,
+        context: craft.group,
+        keywords: craft.description ? [craft.description] : []
+    }));
+
+    return [...ordered.flatMap(pageEntries), ...tools, ...craftEntries];
+};
+
+module.exports = { create };
@@ -0,0 +1,378 @@
+/**
+ * admin.js — the early access admin console: GET /admin and /api/admin/*.
+ *
+ * The console (js/admin.js) lists, filters, charts and exports signups, and
+ * edits or erases them on request (GDPR access and erasure). It is off
+ * unless the server is started with CC_ADMIN_PASSWORD set. Signing in sets
+ * an HttpOnly, SameSite=Strict session cookie held in memory, so a restart
+ * signs everyone out.
+ *
+ *   GET    /api/admin/session           { authenticated }
+ *   POST   /api/admin/login             { password }
+ *   POST   /api/admin/logout
+ *   GET    /api/admin/signups
+ *   PATCH  /api/admin/signups/<id>      { signup: { name, email, country, role, language }, reason }
+ *   DELETE /api/admin/signups/<id>      { reason }
+ *   POST   /api/admin/exports           { count, filters }   records a CSV export
+ *   GET    /api/admin/audit
+ *
+ * Every edit, deletion and export is appended to the audit log with the
+ * time, the signup id, the names of the fields changed and the reason given.
+ * The log holds no names or emails, so it can be kept after an erasure.
+ */
+'use strict';
+
+const crypto = require('crypto');
+
+const { HttpError, readJson, sendJson, escapeHtml } = require('./http');
+const { validateSignup } = require('./early-access');
+const validation = require('../js/validation');
+
+const ADMIN_API = '/api/admin/';
+const COOKIE = 'cc_admin';
+const SESSION_MS = 8 * 60 * 60 * 1000;
+
+/** Failed sign-ins allowed per address within THROTTLE_MS. */
+const MAX_FAILURES = 5;
+const THROTTLE_MS = 15 * 60 * 1000;
+
+/** Signup fields an edit may change. */
+const EDITABLE = ['name', 'email', 'country', 'role', 'language'];
+/** Filters worth keeping with an export; the free-text search is left out as it may hold personal data. */
+const EXPORT_FILTERS = ['country', 'role', 'language', 'from', 'to'];
+
+const REASON = validation.schemas.adminChange.reason;
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+/**
+ * The session token from the Cookie header. Other apps on localhost share
+ * the header, so their cookies are skipped rather than parsed.
+ */
+const tokenOf = (req) => {
+    const pair = String(req.headers.cookie || '').split(';')
+        .map((part) => part.trim())
+        .find((part) => part.startsWith(`${COOKIE}=`));
+    return pair ? pair.slice(COOKIE.length + 1) : '';
+};
+
+const sessionCookie = (token, maxAge) => `${COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`;
+
+/** @returns {{ value: string, error?: string }} */
+const readReason = (body) => {
+    const value = body && typeof body.reason === 'string' ? body.reason.trim() : '';
+    const error = validation.validateField(value, REASON);
+    return { value, error: error && error.code };
+};
+
+const consolePage = (enabled) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Early access admin — 24Craft Cinema (24CC)</title>
+    <link rel="stylesheet" href="/style.css">
+</head>
+<body>
+    <main id="main" class="site-main">
+        <section class="section">
+            <div class="container">
+                <div class="panel frame-border report admin" data-admin>
+                    <p class="eyebrow">Early access admin</p>
+                    <h1>Signups</h1>
+${enabled ? `                    <form class="form admin-login" data-admin-login hidden novalidate>
+                        <div class="field">
+                            <label for="admin-password">Password</label>
+                            <input id="admin-password" name="password" type="password" autocomplete="current-password" required>
+                        </div>
+                        <button class="button" type="submit">Sign in</button>
+                        <p class="form-status" role="status" aria-live="polite" data-admin-login-status></p>
+                    </form>
+
+                    <div class="admin-console" data-admin-console hidden>
+                        <div class="admin-toolbar">
+                            <p class="small" role="status" aria-live="polite" data-admin-count></p>
+                            <button class="button" type="button" data-admin-export>Export CSV</button>
+                            <button class="button button-secondary" type="button" data-admin-logout>Sign out</button>
+                        </div>
+
+                        <form class="admin-filters" data-admin-filters>
+                            <div class="field admin-filters__search">
+                                <label for="admin-search">Search</label>
+                                <input id="admin-search" name="search" type="search" placeholder="Name or email">
+                            </div>
+                            <div class="field">
+                                <label for="admin-country">Country</label>
+                                <select id="admin-country" name="country"></select>
+                            </div>
+                            <div class="field">
+                                <label for="admin-role">Role</label>
+                                <select id="admin-role" name="role"></select>
+                            </div>
+                            <div class="field">
+                                <label for="admin-language">Language</label>
+                                <select id="admin-language" name="language"></select>
+                            </div>
+                            <div class="field">
+                                <label for="admin-from">From</label>
+                                <input id="admin-from" name="from" type="date">
+                            </div>
+                            <div class="field">
+                                <label for="admin-to">To</label>
+                                <input id="admin-to" name="to" type="date">
+                            </div>
+                            <button class="button button-secondary" type="reset">Clear filters</button>
+                        </form>
+
+                        <div class="admin-charts" data-admin-charts></div>
+
+                        <h2>Signups</h2>
+                        <div class="admin-table-wrap">
+                            <table class="report-table admin-table">
+                                <thead>
+                                    <tr>
+                                        <th scope="col" aria-sort="descending"><button type="button" data-admin-sort="createdAt">Signed up</button></th>
+                                        <th scope="col" aria-sort="none"><button type="button" data-admin-sort="name">Name</button></th>
+                                        <th scope="col" aria-sort="none"><button type="button" data-admin-sort="email">Email</button></th>
+                                        <th scope="col" aria-sort="none"><button type="button" data-admin-sort="country">Country</button></th>
+                                        <th scope="col" aria-sort="none"><button type="button" data-admin-sort="role">Role</button></th>
+                                        <th scope="col" aria-sort="none"><button type="button" data-admin-sort="language">Language</button></th>
+                                        <th scope="col"><span class="sr-only">Actions</span></th>
+                                    </tr>
+                                </thead>
+                                <tbody data-admin-rows></tbody>
+                            </table>
+                        </div>
+                        <p class="small" data-admin-empty hidden>No signups match these filters.</p>
+
+                        <h2>Audit log</h2>
+                        <div class="admin-table-wrap" data-admin-audit></div>
+                    </div>
+
+                    <dialog class="prefs-panel admin-dialog" aria-labelledby="admin-edit-title" data-admin-dialog>
+                        <form class="prefs-form" novalidate data-admin-edit>
+                            <h2 class="prefs-title" id="admin-edit-title">Edit signup</h2>
+                            <p class="prefs-intro" data-admin-edit-meta></p>
+                            <div class="field">
+                                <label for="admin-edit-name">Name</label>
+                                <input id="admin-edit-name" name="name" type="text" required>
+                            </div>
+                            <div class="field">
+                                <label for="admin-edit-email">Email</label>
+                                <input id="admin-edit-email" name="email" type="email" required>
+                            </div>
+                            <div class="field">
+                                <label for="admin-edit-country">Country</label>
+                                <input id="admin-edit-country" name="country" type="text" list="admin-countries" required>
+                            </div>
+                            <div class="field">
+                                <label for="admin-edit-role">Role</label>
+                                <input id="admin-edit-role" name="role" type="text" list="admin-roles" required>
+                            </div>
+                            <div class="field">
+                                <label for="admin-edit-language">Language preference</label>
+                                <input id="admin-edit-language" name="language" type="text" list="admin-languages" required>
+                            </div>
+                            <div class="field">
+                                <label for="admin-edit-reason">Reason (kept in the audit log)</label>
+                                <input id="admin-edit-reason" name="reason" type="text" placeholder="e.g. Correction requested by email" required>
+                            </div>
+                            <datalist id="admin-countries"></datalist>
+                            <datalist id="admin-roles"></datalist>
+                            <datalist id="admin-languages"></datalist>
+                            <p class="form-status" role="status" aria-live="polite" data-admin-edit-status></p>
+                            <div class="prefs-actions">
+                                <button class="button button-secondary admin-delete" type="button" data-admin-delete>Delete signup</button>
+                                <button class="button button-secondary" type="button" data-admin-cancel>Cancel</button>
+                                <button class="button" type="submit">Save changes</button>
+                            </div>
+                        </form>
+                    </dialog>` : `                    <p class="lead">The admin console is switched off.</p>
+                    <p>Start the server with an admin password to use it:</p>
+                    <pre><code>CC_ADMIN_PASSWORD=${escapeHtml('<choose one>')} node server</code></pre>`}
+                </div>
+            </div>
+        </section>
+    </main>
+${enabled ? ['countries', 'languages', 'crafts', 'validation', 'csv', 'util', 'admin'].map((name) => `    <script src="/js/${name}.js"></script>`).join('\n') + '\n' : ''}</body>
+</html>
+`;
+
+/**
+ * @param {{ signups: { all: Function, update: Function, remove: Function },
+ *           audit: { append: Function, all: Function },
+ *           password?: string, now?: () => number }} options
+ *        without a `password` the console is switched off
+ */
+const createAdmin = ({ signups, audit, password, now = Date.now }) => {
+    const enabled = Boolean(password);
+    const expected = enabled ? digest(password) : null;
+    /** Session token → expiry time. */
+    const sessions = new Map();
+    /** Client address → times of recent failed sign-ins. */
+    const failures = new Map();
+
+    const sessionOf = (req) => {
+        const token = tokenOf(req);
+        const expires = token && sessions.get(token);
+        if (!expires) return null;
+        if (expires <= now()) {
+            sessions.delete(token);
+            return null;
+        }
+        return token;
+    };
+
+    const record = (entry) => audit.append([{ at: new Date(now()).toISOString(), ...entry }]);
+
+    /* ============================
+       Endpoints
+       ============================ */
+
+    const session = async (req, res) => {
+        sendJson(res, 200, { ok: true, code: 'ok', authenticated: Boolean(sessionOf(req)) });
+    };
+
+    const login = async (req, res) => {
+        const address = req.socket.remoteAddress || '';
+        const recent = (failures.get(address) || []).filter((time) => time > now() - THROTTLE_MS);
+        failures.set(address, recent);
+        if (recent.length >= MAX_FAILURES) {
+            throw new HttpError(429, 'too_many_attempts');
+        }
+
+        const body = await readJson(req);
+        const given = digest(body && typeof body.password === 'string' ? body.password : '');
+        if (!crypto.timingSafeEqual(given, expected)) {
+            recent.push(now());
+            sendJson(res, 401, { ok: false, code: 'wrong_password' });
+            return;
+        }
+
+        failures.delete(address);
+        const token = crypto.randomBytes(32).toString('base64url');
+        sessions.set(token, now() + SESSION_MS);
+        sendJson(res, 200, { ok: true, code: 'signed_in' }, { 'Set-Cookie': sessionCookie(token, SESSION_MS / 1000) });
+    };
+
+    const logout = async (req, res) => {
+        const token = sessionOf(req);
+        if (token) sessions.delete(token);
+        sendJson(res, 200, { ok: true, code: 'signed_out' }, { 'Set-Cookie': sessionCookie('', 0) });
+    };
+
+    const list = async (req, res) => {
+        sendJson(res, 200, { ok: true, code: 'ok', signups: signups.all() });
+    };
+
+    const edit = async (req, res, id) => {
+        const body = await readJson(req);
+        const { value, errors } = validateSignup(body && body.signup);
+        const reason = readReason(body);
+        if (reason.error) errors.reason = reason.error;
+        if (Object.keys(errors).length) {
+            sendJson(res, 422, { ok: false, code: 'invalid', errors });
+            return;
+        }
+
+        const result = await signups.update(id, value);
+        if (result.status === 'not_found') throw new HttpError(404, 'not_found');
+        if (result.status === 'duplicate') {
+            sendJson(res, 409, { ok: false, code: 'already_registered', errors: { email: 'already_registered' } });
+            return;
+        }
+
+        // `countryCode` and the like follow their label, so only the label is named.
+        const fields = result.fields.filter((field) => EDITABLE.includes(field));
+        if (result.status === 'updated') await record({ action: 'edit', id, fields, reason: reason.value });
+        sendJson(res, 200, { ok: true, code: result.status, signup: result.record, fields });
+    };
+
+    const erase = async (req, res, id) => {
+        const body = await readJson(req);
+        const reason = readReason(body);
+        if (reason.error) {
+            sendJson(res, 422, { ok: false, code: 'invalid', errors: { reason: reason.error } });
+            return;
+        }
+
+        const result = await signups.remove(id);
+        if (result.status === 'not_found') throw new HttpError(404, 'not_found');
+        await record({ action: 'delete', id, reason: reason.value });
+        sendJson(res, 200, { ok: true, code: 'deleted' });
+    };
+
+    const exported = async (req, res) => {
+        const body = await readJson(req);
+        const input = body && typeof body.filters === 'object' && body.filters ? body.filters : {};
+        const filters = {};
+        EXPORT_FILTERS.forEach((name) => {
+            if (typeof input[name] === 'string' && input[name]) filters[name] = input[name].slice(0, 80);
+        });
+        const count = Number.isInteger(body && body.count) && body.count >= 0 ? body.count : 0;
+        await record({ action: 'export', count, filters });
+        sendJson(res, 202, { ok: true, code: 'recorded' });
+    };
+
+    const auditLog = async (req, res) => {
+        sendJson(res, 200, { ok: true, code: 'ok', entries: audit.all().reverse() });
+    };
+
+    /** Endpoint → method → handler; `:id` stands for a signup id. */
+    const ENDPOINTS = {
+        session: { GET: session },
+        login: { POST: login },
+        logout: { POST: logout },
+        signups: { GET: list },
+        'signups/:id': { PATCH: edit, DELETE: erase },
+        exports: { POST: exported },
+        audit: { GET: auditLog }
+    };
+
+    /** Endpoints that answer without a session. */
+    const PUBLIC = new Set(['session', 'login', 'logout']);
+
+    /* ============================
+       Handlers
+       ============================ */
+
+    /** GET /admin — the console's page, or how to switch it on. */
+    const page = async (req, res) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { Allow: 'GET, HEAD' }).end();
+            return;
+        }
+        const body = Buffer.from(consolePage(enabled));
+        res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Length': body.length,
+            'Cache-Control': 'no-store',
+            'X-Frame-Options': 'DENY'
+        });
+        res.end(req.method === 'HEAD' ? undefined : body);
+    };
+
+    /** Everything under /api/admin/. Same-origin only: no CORS headers are sent. */
+    const api = async (req, res) => {
+        if (!enabled) throw new HttpError(503, 'admin_disabled');
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const [resource, id, ...rest] = pathname.slice(ADMIN_API.length).split('/');
+        const key = id ? `${resource}/:id` : resource;
+        const endpoint = !rest.length && ENDPOINTS[key];
+        if (!endpoint) throw new HttpError(404, 'not_found');
+
+        const methods = Object.keys(endpoint);
+        if (!methods.includes(req.method)) {
+            sendJson(res, 405, { ok: false, code: 'method_not_allowed' }, { Allow: methods.join(', ') });
+            return;
+        }
+        if (!PUBLIC.has(key) && !sessionOf(req)) throw new HttpError(401, 'unauthorized');
+        await endpoint[req.method](req, res, id);
+    };
+
+    return { enabled, page, api };
+};
+
+module.exports = { createAdmin, ADMIN_API };
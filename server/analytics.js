@@ -0,0 +1,250 @@
+/**
+ * analytics.js — POST /api/collect and the GET /analytics report.
+ *
+ * js/analytics.js sends events in batches with navigator.sendBeacon:
+ *
+ *   { "events": [{ "type": "pageview", "path": "/tools.html", "view": "lq2k9f3ab", "from": "/index.html" },
+ *                { "type": "tool_view", "path": "/tools.html", "view": "lq2k9f3ab", "tool": "budget-tracker" }] }
+ *
+ * `view` is a random id for one page view. It lives in the page's memory
+ * only — no cookie, no storage — and lets the report follow a form from
+ * start to submission. Only the fields listed in EVENTS are kept, plus the
+ * time the batch arrived; no IP address or user agent is stored. Requests
+ * sent with `DNT: 1` or `Sec-GPC: 1` are acknowledged and dropped.
+ */
+'use strict';
+
+const { readJson, sendJson, escapeHtml } = require('./http');
+
+/** Event type → the fields it carries besides `type`, `path` and `view`. */
+const EVENTS = {
+    pageview: ['from'],
+    cta: ['label', 'href'],
+    tool_view: ['tool'],
+    form_view: ['form', 'fields'],
+    form_start: ['form'],
+    form_field: ['form', 'field'],
+    form_submit: ['form'],
+    form_result: ['form', 'result']
+};
+
+const MAX_EVENTS = 25;
+const MAX_LENGTH = 200;
+const VIEW_ID = /^[a-z0-9]{6,32}$/;
+
+/** Form results that count as a signup in the funnel; queued ones are sent once the visitor is back online. */
+const SUCCESS = new Set(['accepted', 'queued']);
+
+const optedOut = (req) => req.headers.dnt === '1' || req.headers['sec-gpc'] === '1';
+
+const text = (value) => (typeof value === 'string' ? value.trim().slice(0, MAX_LENGTH) : '');
+
+/**
+ * Keeps the known fields of a well-formed event.
+ * @param {any} input
+ * @param {string} at  ISO time of arrival
+ * @returns {object | null}
+ */
+const cleanEvent = (input, at) => {
+    if (!input || typeof input !== 'object' || !Object.prototype.hasOwnProperty.call(EVENTS, input.type)) return null;
+    const path = text(input.path);
+    if (!path.startsWith('/') || !VIEW_ID.test(input.view || '')) return null;
+    const event = { at, type: input.type, path, view: input.view };
+    EVENTS[input.type].forEach((field) => {
+        event[field] = text(input[field]);
+    });
+    return event;
+};
+
+/**
+ * @param {{ append: (events: object[]) => Promise<number> }} store
+ */
+const createCollectHandler = (store) => async (req, res) => {
+    const body = await readJson(req);
+    if (optedOut(req)) {
+        sendJson(res, 202, { ok: true, code: 'not_tracked', count: 0 });
+        return;
+    }
+    if (!body || !Array.isArray(body.events) || body.events.length > MAX_EVENTS) {
+        sendJson(res, 422, { ok: false, code: 'invalid' });
+        return;
+    }
+
+    const at = new Date().toISOString();
+    const count = await store.append(body.events.map((event) => cleanEvent(event, at)).filter(Boolean));
+    sendJson(res, 202, { ok: true, code: 'accepted', count });
+};
+
+/* ============================
+   Report
+   ============================ */
+
+/** @returns {Array<{ key: string, count: number }>}  most frequent first */
+const ranked = (counts) => Array.from(counts, ([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+
+const tally = (events, keyOf) => {
+    const counts = new Map();
+    events.forEach((event) => {
+        const key = keyOf(event);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return ranked(counts);
+};
+
+/** Number of page views with at least one matching event. */
+const views = (events, test) => new Set(events.filter(test).map((event) => event.view));
+
+/**
+ * @param {object[]} events  as stored by createCollectHandler
+ * @param {{ since?: string }} [options]  ISO time; older events are left out
+ */
+const summarize = (events, { since } = {}) => {
+    const list = since ? events.filter((event) => event.at >= since) : events;
+    const ofType = (type) => list.filter((event) => event.type === type);
+
+    // A tool counts once per page view, however often it scrolls past.
+    const toolViews = new Map();
+    ofType('tool_view').forEach((event) => toolViews.set(`${event.view} ${event.tool}`, event.tool));
+
+    const formViews = views(list, (event) => event.type === 'form_view');
+    const forms = Array.from(new Set(list.filter((event) => event.form).map((event) => event.form))).sort().map((form) => {
+        const mine = list.filter((event) => event.form === form);
+        const fields = tally(mine.filter((event) => event.type === 'form_field'), (event) => event.field);
+        const viewed = views(mine, (event) => event.type === 'form_view');
+        const started = views(mine, (event) => event.type === 'form_start');
+        const completed = new Map();
+        mine.filter((event) => event.type === 'form_field').forEach((event) => {
+            if (!completed.has(event.view)) completed.set(event.view, new Set());
+            completed.get(event.view).add(event.field);
+        });
+        // `fields` on form_view is how many required fields the form has.
+        // Folded rather than spread into Math.max, which runs out of stack on a long log.
+        const required = mine.filter((event) => event.type === 'form_view')
+            .reduce((most, event) => Math.max(most, Number(event.fields) || 0), 0) || fields.length;
+        const allFields = Array.from(completed.values()).filter((set) => set.size >= required).length;
+        const submitted = views(mine, (event) => event.type === 'form_submit');
+        const succeeded = views(mine, (event) => event.type === 'form_result' && SUCCESS.has(event.result));
+
+        return {
+            form,
+            steps: [
+                { step: 'Saw the form', count: viewed.size },
+                { step: 'Started it', count: started.size },
+                { step: 'Completed every field', count: allFields },
+                { step: 'Submitted', count: submitted.size },
+                { step: 'Signed up', count: succeeded.size }
+            ],
+            fields,
+            results: tally(mine.filter((event) => event.type === 'form_result'), (event) => event.result)
+        };
+    });
+
+    return {
+        since: since || null,
+        events: list.length,
+        pageViews: ofType('pageview').length,
+        pages: tally(ofType('pageview'), (event) => event.path),
+        tools: tally(Array.from(toolViews.values()), (tool) => tool),
+        ctas: tally(ofType('cta'), (event) => `${event.label} → ${event.href}`),
+        // Where visits to a page with a form came from.
+        formEntries: tally(ofType('pageview').filter((event) => formViews.has(event.view)), (event) => event.from || '(direct)'),
+        forms
+    };
+};
+
+const RANGES = { 7: 'Last 7 days', 30: 'Last 30 days', 90: 'Last 90 days', all: 'All time' };
+
+const percent = (part, whole) => (whole ? `${Math.round((part / whole) * 100)}%` : '—');
+
+const table = (caption, rows, { level = 2, empty = 'Nothing recorded yet.' } = {}) => {
+    const heading = `<h${level}>${escapeHtml(caption)}</h${level}>`;
+    if (!rows.length) return `${heading}\n                    <p class="small">${escapeHtml(empty)}</p>`;
+    const max = rows[0].count;
+    return `${heading}
+                    <table class="report-table">
+                        <tbody>
+${rows.slice(0, 15).map((row) => `                            <tr><th scope="row">${escapeHtml(row.key)}</th><td>${row.count}</td><td class="report-bar"><span style="width: ${percent(row.count, max)}"></span></td></tr>`).join('\n')}
+                        </tbody>
+                    </table>`;
+};
+
+const funnel = ({ form, steps, fields, results }) => `<h2>Funnel: ${escapeHtml(form)}</h2>
+                    <table class="report-table">
+                        <thead><tr><th scope="col">Step</th><th scope="col">Views</th><th scope="col">Of previous</th><th scope="col">Drop-off</th></tr></thead>
+                        <tbody>
+${steps.map(({ step, count }, i) => {
+        const previous = i ? steps[i - 1].count : count;
+        return `                            <tr><th scope="row">${escapeHtml(step)}</th><td>${count}</td><td>${i ? percent(count, previous) : ''}</td><td>${i && previous ? previous - count : ''}</td></tr>`;
+    }).join('\n')}
+                        </tbody>
+                    </table>
+                    ${table('Fields completed', fields, { level: 3 })}
+                    ${table('Results', results, { level: 3 })}`;
+
+/**
+ * @param {ReturnType<typeof summarize>} summary
+ * @param {string} range  a RANGES key
+ */
+const reportPage = (summary, range) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Analytics — 24Craft Cinema (24CC)</title>
+    <link rel="stylesheet" href="/style.css">
+</head>
+<body>
+    <main id="main" class="site-main">
+        <section class="section">
+            <div class="container">
+                <div class="panel frame-border report">
+                    <p class="eyebrow">Analytics</p>
+                    <h1>${escapeHtml(RANGES[range])}</h1>
+                    <p class="small">${summary.pageViews} page views · ${summary.events} events. No cookies; visitors with Do Not Track are not recorded.</p>
+                    <nav class="chip-group" aria-label="Range">
+${Object.entries(RANGES).map(([key, label]) => `                        <a class="chip" href="?days=${key}"${key === range ? ' aria-current="page"' : ''}>${escapeHtml(label)}</a>`).join('\n')}
+                    </nav>
+                    ${table('Top tools', summary.tools, { empty: 'No tool cards seen yet.' })}
+                    ${table('Top pages', summary.pages)}
+                    ${table('Calls to action', summary.ctas, { empty: 'No button clicks yet.' })}
+                    ${table('How visitors reached a form', summary.formEntries)}
+                    ${summary.forms.map(funnel).join('\n                    ')}
+                </div>
+            </div>
+        </section>
+    </main>
+</body>
+</html>
+`;
+
+/**
+ * GET /analytics[?days=7|30|90|all] — the report as HTML, or JSON when asked
+ * for with `Accept: application/json`.
+ * @param {{ all: () => object[] }} store
+ */
+const createReportHandler = (store) => async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' }).end();
+        return;
+    }
+    const days = new URL(req.url, 'http://localhost').searchParams.get('days') || '30';
+    const range = Object.prototype.hasOwnProperty.call(RANGES, days) ? days : '30';
+    const since = range === 'all' ? undefined : new Date(Date.now() - Number(range) * 24 * 60 * 60 * 1000).toISOString();
+    const summary = summarize(store.all(), { since });
+
+    if (String(req.headers.accept || '').includes('application/json')) {
+        sendJson(res, 200, summary);
+        return;
+    }
+    const body = Buffer.from(reportPage(summary, range));
+    res.writeHead(200, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Content-Length': body.length,
+        'Cache-Control': 'no-store'
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+};
+
+module.exports = { createCollectHandler, createReportHandler, summarize, cleanEvent, EVENTS };
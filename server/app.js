@@ -0,0 +1,93 @@
+/**
+ * app.js — builds the 24CC HTTP server: API routes, the admin console, live
+ * reload and static files.
+ */
+'use strict';
+
+const http = require('http');
+const path = require('path');
+
+const { HttpError, sendJson } = require('./http');
+const { openSignupStore } = require('./signup-store');
+const { openEventStore } = require('./event-store');
+const { createEarlyAccessHandler } = require('./early-access');
+const { createCollectHandler, createReportHandler } = require('./analytics');
+const { createAdmin, ADMIN_API } = require('./admin');
+const { createStaticHandler } = require('./static');
+const { createLiveReload, LIVE_RELOAD_PATH } = require('./live-reload');
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+/**
+ * Wraps a POST-only JSON route with CORS, method checks and error mapping.
+ * @param {(req: http.IncomingMessage, res: http.ServerResponse) => Promise<void>} route
+ */
+const apiRoute = (route) => async (req, res) => {
+    Object.entries(CORS_HEADERS).forEach(([name, value]) => res.setHeader(name, value));
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204).end();
+        return;
+    }
+    if (req.method !== 'POST') {
+        sendJson(res, 405, { ok: false, code: 'method_not_allowed' }, { Allow: 'POST, OPTIONS' });
+        return;
+    }
+    await route(req, res);
+};
+
+/**
+ * @param {{ root: string, dataDir: string, liveReload?: boolean, adminPassword?: string }} options
+ *        the admin console is switched off without `adminPassword`
+ */
+const createApp = async ({ root, dataDir, liveReload = false, adminPassword }) => {
+    const signups = await openSignupStore(path.join(dataDir, 'signups.jsonl'));
+    const events = await openEventStore(path.join(dataDir, 'events.jsonl'));
+    const audit = await openEventStore(path.join(dataDir, 'audit.jsonl'));
+    const admin = createAdmin({ signups, audit, password: adminPassword });
+    const reloader = liveReload ? createLiveReload({ root, ignore: [dataDir] }) : null;
+    const serveStatic = createStaticHandler({ root, exclude: [dataDir, __dirname], liveReload });
+
+    const routes = {
+        '/api/early-access': apiRoute(createEarlyAccessHandler(signups)),
+        '/api/collect': apiRoute(createCollectHandler(events)),
+        '/analytics': createReportHandler(events),
+        '/admin': admin.page
+    };
+    if (reloader) routes[LIVE_RELOAD_PATH] = reloader.handler;
+
+    const server = http.createServer(async (req, res) => {
+        try {
+            // A target like `http://[x` is not a URL. Once it parses here, the
+            // routes' own `new URL(req.url, …)` can't throw either.
+            let pathname;
+            try {
+                ({ pathname } = new URL(req.url, 'http://localhost'));
+            } catch {
+                throw new HttpError(400, 'bad_request');
+            }
+            const route = routes[pathname] || (pathname.startsWith(ADMIN_API) ? admin.api : serveStatic);
+            await route(req, res);
+        } catch (err) {
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            if (err instanceof HttpError) {
+                sendJson(res, err.status, { ok: false, code: err.code });
+                return;
+            }
+            console.error(err);
+            sendJson(res, 500, { ok: false, code: 'server_error' });
+        }
+    });
+
+    server.on('close', () => reloader && reloader.close());
+
+    return { server, signups, events, admin };
+};
+
+module.exports = { createApp };
@@ -0,0 +1,71 @@
+/**
+ * early-access.js — POST /api/early-access
+ *
+ * Responses always carry a `code` the form can switch on:
+ *   201 accepted · 409 already_registered · 422 invalid (with per-field `errors`)
+ */
+'use strict';
+
+const { readJson, sendJson } = require('./http');
+const validation = require('../js/validation');
+
+const SCHEMA = validation.schemas.earlyAccess;
+const FIELDS = Object.keys(SCHEMA);
+
+const LOOKUPS = {
+    country: validation.findCountry,
+    role: validation.findRole,
+    language: validation.findLanguage
+};
+
+/**
+ * Validates with the same schema the form uses, then canonicalises country,
+ * role and language to their list label plus a `<field>Code`.
+ * @param {any} body
+ * @returns {{ value: Record<string, string>, errors: Record<string, string> }}  errors map field → code
+ */
+const validateSignup = (body) => {
+    const input = body && typeof body === 'object' ? body : {};
+    const value = {};
+    FIELDS.forEach((field) => {
+        value[field] = typeof input[field] === 'string' ? input[field].trim() : '';
+    });
+
+    const errors = {};
+    Object.entries(validation.validate(value, SCHEMA).errors).forEach(([field, error]) => {
+        errors[field] = error.code;
+    });
+
+    if (!Object.keys(errors).length) {
+        Object.entries(LOOKUPS).forEach(([field, find]) => {
+            // The form also posts `<field>Code`, but the label is what was validated.
+            const entry = find(value[field]);
+            value[field] = entry.name;
+            value[`${field}Code`] = entry.code;
+        });
+    }
+    return { value, errors };
+};
+
+/**
+ * @param {{ add: Function }} store
+ */
+const createEarlyAccessHandler = (store) => async (req, res) => {
+    const body = await readJson(req);
+    const { value, errors } = validateSignup(body);
+
+    if (Object.keys(errors).length) {
+        sendJson(res, 422, { ok: false, code: 'invalid', errors });
+        return;
+    }
+
+    const result = await store.add(value);
+    if (result.status === 'duplicate') {
+        sendJson(res, 409, { ok: false, code: 'already_registered' });
+        return;
+    }
+
+    sendJson(res, 201, { ok: true, code: 'accepted', id: result.record.id });
+};
+
+module.exports = { createEarlyAccessHandler, validateSignup, FIELDS };
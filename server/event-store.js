@@ -0,0 +1,53 @@
+/**
+ * event-store.js — append-only JSONL store for analytics events and the
+ * admin audit log.
+ *
+ * One JSON object per line, as written by server/analytics.js or
+ * server/admin.js. Entries are kept in memory for the report and the admin
+ * console; the file is read back when the store opens.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @param {string} file  path to the .jsonl file (created on first write)
+ */
+const openEventStore = async (file) => {
+    let events = [];
+
+    try {
+        const text = await fs.promises.readFile(file, 'utf8');
+        events = text.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    }
+
+    // Appends are chained so batches land in the file in the order they arrived.
+    let queue = Promise.resolve();
+
+    /**
+     * @param {object[]} batch
+     * @returns {Promise<number>}  how many were stored
+     */
+    const append = (batch) => {
+        const run = queue.then(async () => {
+            if (!batch.length) return 0;
+            await fs.promises.appendFile(file, batch.map((event) => JSON.stringify(event) + '\n').join(''), 'utf8');
+            events.push(...batch);
+            return batch.length;
+        });
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    return {
+        append,
+        all: () => events.slice(),
+        get size() { return events.length; }
+    };
+};
+
+module.exports = { openEventStore };
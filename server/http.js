@@ -0,0 +1,77 @@
+/**
+ * http.js — small request/response helpers shared by the 24CC Node server.
+ */
+'use strict';
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+class HttpError extends Error {
+    /**
+     * @param {number} status
+     * @param {string} code  machine-readable error code sent to the client
+     * @param {string} [message]
+     */
+    constructor(status, code, message) {
+        super(message || code);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Reads and parses a JSON request body, enforcing a size limit.
+ * @param {import('http').IncomingMessage} req
+ * @param {number} [limit]
+ * @returns {Promise<any>}
+ */
+const readJson = (req, limit = MAX_BODY_BYTES) => new Promise((resolve, reject) => {
+    const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') {
+        reject(new HttpError(415, 'unsupported_media_type', 'Expected application/json'));
+        return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > limit) {
+            reject(new HttpError(413, 'payload_too_large'));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch {
+            reject(new HttpError(400, 'malformed_json'));
+        }
+    });
+    req.on('error', reject);
+});
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (ch) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
+/**
+ * @param {import('http').ServerResponse} res
+ * @param {number} status
+ * @param {any} body
+ * @param {Record<string, string>} [headers]
+ */
+const sendJson = (res, status, body, headers = {}) => {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(payload);
+};
+
+module.exports = { HttpError, readJson, sendJson, escapeHtml, MAX_BODY_BYTES };
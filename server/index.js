@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * index.js — CLI for the local 24CC server (replaces serve.ps1).
+ *
+ *   node server [--port 8081] [--host localhost] [--root dist] [--data server/data] [--no-live-reload]
+ *
+ * PORT, HOST and CC_DATA_DIR are read from the environment when the flags are absent;
+ * CC_ADMIN_PASSWORD switches on the admin console at /admin.
+ * The site is served from dist/, which `node scripts/build.js` writes.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { createApp } = require('./app');
+
+const USAGE = `Usage: node server [options]
+
+  --port <n>         Port to listen on (default: $PORT or 8081)
+  --host <name>      Interface to bind (default: $HOST or localhost; 0.0.0.0 for LAN)
+  --root <dir>       Directory to serve (default: dist, from scripts/build.js)
+  --data <dir>       Where signups and analytics events are stored (default: $CC_DATA_DIR or server/data)
+  --no-live-reload   Don't inject the live-reload client or watch files
+  -h, --help         Show this help
+
+Set CC_ADMIN_PASSWORD to switch on the signup admin console at /admin.
+`;
+
+/**
+ * @param {string[]} argv
+ */
+const parseArgs = (argv) => {
+    const options = {
+        port: Number(process.env.PORT) || 8081,
+        host: process.env.HOST || 'localhost',
+        root: path.resolve(__dirname, '..', 'dist'),
+        dataDir: path.resolve(process.env.CC_DATA_DIR || path.join(__dirname, 'data')),
+        liveReload: true,
+        adminPassword: process.env.CC_ADMIN_PASSWORD || '',
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inline] = arg.split('=', 2);
+        const next = () => (inline !== undefined ? inline : argv[++i]);
+
+        switch (flag) {
+            case '--port': options.port = Number(next()); break;
+            case '--host': options.host = next(); break;
+            case '--root': options.root = path.resolve(next()); break;
+            case '--data': options.dataDir = path.resolve(next()); break;
+            case '--no-live-reload': options.liveReload = false; break;
+            case '-h':
+            case '--help': options.help = true; break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+        throw new Error('--port must be an integer between 0 and 65535');
+    }
+    return options;
+};
+
+const main = async () => {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`${err.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!fs.existsSync(path.join(options.root, 'index.html'))) {
+        console.error(`No index.html in ${options.root}. Build the site first: node scripts/build.js`);
+        process.exit(1);
+    }
+
+    const { server, signups, events, admin } = await createApp(options);
+    server.listen(options.port, options.host, () => {
+        const { port } = server.address();
+        console.log(`Serving ${options.root} on http://${options.host}:${port}/`);
+        console.log(`Signups: ${signups.size}, analytics events: ${events.size} in ${options.dataDir}${options.liveReload ? ' · live reload on' : ''}`);
+        console.log(`Analytics report: http://${options.host}:${port}/analytics`);
+        console.log(admin.enabled
+            ? `Admin console: http://${options.host}:${port}/admin`
+            : 'Admin console off (set CC_ADMIN_PASSWORD to use /admin)');
+    });
+
+    process.on('SIGINT', () => process.exit(0));
+};
+
+main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
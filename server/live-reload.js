@@ -0,0 +1,99 @@
+/**
+ * live-reload.js — watches the site tree and tells open pages to refresh.
+ *
+ * Pages subscribe to an EventSource at LIVE_RELOAD_PATH. A CSS change swaps the
+ * stylesheets in place; any other HTML/JS change reloads the page.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const LIVE_RELOAD_PATH = '/__livereload';
+const WATCHED = new Set(['.html', '.css', '.js', '.json']);
+
+const CLIENT_SNIPPET = `<script>
+(() => {
+    const source = new EventSource('${LIVE_RELOAD_PATH}');
+    source.addEventListener('css', () => {
+        document.querySelectorAll('link[rel="stylesheet"]').forEach((link) => {
+            const url = new URL(link.href);
+            if (url.origin !== location.origin) return;
+            url.searchParams.set('livereload', Date.now());
+            link.href = url.href;
+        });
+    });
+    source.addEventListener('reload', () => location.reload());
+})();
+</script>`;
+
+/**
+ * Inserts the client snippet just before </body> (or appends it).
+ * @param {string} html
+ */
+const injectClient = (html) => {
+    const at = html.lastIndexOf('</body>');
+    return at === -1 ? html + CLIENT_SNIPPET : html.slice(0, at) + CLIENT_SNIPPET + '\n' + html.slice(at);
+};
+
+/**
+ * @param {{ root: string, ignore?: string[] }} options  `ignore` holds absolute directories
+ */
+const createLiveReload = ({ root, ignore = [] }) => {
+    const clients = new Set();
+    const ignored = ignore.map((dir) => path.resolve(dir) + path.sep);
+    let pending = null;
+    let pendingKind = 'css';
+
+    const broadcast = (kind) => {
+        clients.forEach((res) => res.write(`event: ${kind}\ndata: ${Date.now()}\n\n`));
+    };
+
+    const onChange = (_event, filename) => {
+        if (!filename) return;
+        const file = path.resolve(root, filename);
+        const ext = path.extname(file).toLowerCase();
+        if (!WATCHED.has(ext)) return;
+        if (file.split(path.sep).some((part) => part.startsWith('.') || part === 'node_modules')) return;
+        if (ignored.some((dir) => file.startsWith(dir))) return;
+
+        // Editors often write several times per save; batch them.
+        if (ext !== '.css') pendingKind = 'reload';
+        clearTimeout(pending);
+        pending = setTimeout(() => {
+            broadcast(pendingKind);
+            pendingKind = 'css';
+        }, 120);
+    };
+
+    let watcher;
+    try {
+        watcher = fs.watch(root, { recursive: true }, onChange);
+    } catch {
+        // Recursive watching is unavailable on some older Node/Linux combinations.
+        watcher = fs.watch(root, onChange);
+    }
+
+    /** @type {(req: import('http').IncomingMessage, res: import('http').ServerResponse) => void} */
+    const handler = (req, res) => {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            Connection: 'keep-alive'
+        });
+        res.write('retry: 1000\n\n');
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+    };
+
+    const close = () => {
+        clearTimeout(pending);
+        watcher.close();
+        clients.forEach((res) => res.end());
+        clients.clear();
+    };
+
+    return { handler, close };
+};
+
+module.exports = { createLiveReload, injectClient, LIVE_RELOAD_PATH };
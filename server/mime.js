@@ -0,0 +1,75 @@
+/**
+ * mime.js — extension → Content-Type table for the static server.
+ */
+'use strict';
+
+const MIME = {
+    // Documents
+    '.html': 'text/html; charset=utf-8',
+    '.htm': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.jsonl': 'application/x-ndjson; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.rss': 'application/rss+xml; charset=utf-8',
+    '.atom': 'application/atom+xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.pdf': 'application/pdf',
+    '.wasm': 'application/wasm',
+
+    // Screenplay & subtitle formats served by the tools
+    '.fountain': 'text/plain; charset=utf-8',
+    '.srt': 'application/x-subrip; charset=utf-8',
+    '.vtt': 'text/vtt; charset=utf-8',
+    '.ass': 'text/x-ssa; charset=utf-8',
+    '.ssa': 'text/x-ssa; charset=utf-8',
+
+    // Images
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.bmp': 'image/bmp',
+
+    // Fonts
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.eot': 'application/vnd.ms-fontobject',
+
+    // Audio / video
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.m4a': 'audio/mp4',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mov': 'video/quicktime',
+
+    // Archives
+    '.zip': 'application/zip',
+    '.gz': 'application/gzip'
+};
+
+const DEFAULT_TYPE = 'application/octet-stream';
+
+const COMPRESSIBLE = /^(text\/|application\/(json|javascript|xml|rss\+xml|atom\+xml|manifest\+json|x-ndjson|x-subrip)|image\/svg\+xml)/;
+
+/** @param {string} ext  lower-case extension including the dot */
+const mimeFor = (ext) => MIME[ext] || DEFAULT_TYPE;
+
+/** @param {string} type */
+const isCompressible = (type) => COMPRESSIBLE.test(type);
+
+module.exports = { MIME, mimeFor, isCompressible };
@@ -0,0 +1,121 @@
+/**
+ * signup-store.js — JSONL store for early-access signups.
+ *
+ * One JSON object per line. Emails are deduplicated on their normalized form;
+ * the index is rebuilt from disk when the store opens. New signups are
+ * appended; edits and deletions (server/admin.js) rewrite the whole file
+ * through a temporary file, so an erased signup leaves nothing behind on disk.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * @param {string} file  path to the .jsonl file (created on first write)
+ */
+const openSignupStore = async (file) => {
+    const emails = new Set();
+    let records = [];
+
+    try {
+        const text = await fs.promises.readFile(file, 'utf8');
+        records = text.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+        records.forEach((record) => emails.add(normalizeEmail(record.email)));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    }
+
+    // Writes are chained so the dedupe check and the append never interleave.
+    let queue = Promise.resolve();
+
+    /**
+     * @param {{ name: string, email: string, country: string, role: string, language: string }} signup
+     * @returns {Promise<{ status: 'accepted' | 'duplicate', record?: object }>}
+     */
+    const add = (signup) => {
+        const run = queue.then(async () => {
+            const email = normalizeEmail(signup.email);
+            if (emails.has(email)) return { status: 'duplicate' };
+
+            const record = {
+                id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                createdAt: new Date().toISOString(),
+                ...signup,
+                email
+            };
+            await fs.promises.appendFile(file, JSON.stringify(record) + '\n', 'utf8');
+            emails.add(email);
+            records.push(record);
+            return { status: 'accepted', record };
+        });
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    /** Replaces the file with the current records; the rename makes it all-or-nothing. */
+    const rewrite = async (next) => {
+        const tmp = `${file}.tmp`;
+        await fs.promises.writeFile(tmp, next.map((record) => JSON.stringify(record) + '\n').join(''), 'utf8');
+        await fs.promises.rename(tmp, file);
+        records = next;
+    };
+
+    /**
+     * @param {string} id
+     * @param {Record<string, string>} changes  validated fields to overwrite
+     * @returns {Promise<{ status: 'updated' | 'unchanged' | 'not_found' | 'duplicate', record?: object, fields?: string[] }>}
+     *          `fields` names the fields that changed; when none did the file is left alone
+     */
+    const update = (id, changes) => {
+        const run = queue.then(async () => {
+            const index = records.findIndex((record) => record.id === id);
+            if (index === -1) return { status: 'not_found' };
+            const previous = records[index];
+            const email = changes.email === undefined ? previous.email : normalizeEmail(changes.email);
+            if (email !== previous.email && emails.has(email)) return { status: 'duplicate' };
+
+            const next = { ...changes, email };
+            const fields = Object.keys(next).filter((field) => next[field] !== previous[field]);
+            if (!fields.length) return { status: 'unchanged', record: previous, fields };
+
+            const record = { ...previous, ...next, updatedAt: new Date().toISOString() };
+            await rewrite(records.map((existing, i) => (i === index ? record : existing)));
+            emails.delete(previous.email);
+            emails.add(email);
+            return { status: 'updated', record, fields };
+        });
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    /**
+     * @param {string} id
+     * @returns {Promise<{ status: 'removed' | 'not_found', record?: object }>}
+     */
+    const remove = (id) => {
+        const run = queue.then(async () => {
+            const record = records.find((existing) => existing.id === id);
+            if (!record) return { status: 'not_found' };
+            await rewrite(records.filter((existing) => existing !== record));
+            emails.delete(normalizeEmail(record.email));
+            return { status: 'removed', record };
+        });
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    return {
+        add,
+        update,
+        remove,
+        has: (email) => emails.has(normalizeEmail(email)),
+        all: () => records.slice(),
+        get size() { return records.length; }
+    };
+};
+
+module.exports = { openSignupStore, normalizeEmail };
@@ -0,0 +1,188 @@
+/**
+ * static.js — static file handler for the 24CC site.
+ *
+ * Serves `index.html` for directories, refuses anything that resolves outside
+ * the root (or into a dotfile / excluded directory), answers conditional
+ * requests with 304 and compresses text responses with brotli or gzip.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const { escapeHtml } = require('./http');
+const { mimeFor, isCompressible } = require('./mime');
+const { injectClient } = require('./live-reload');
+
+const notFoundPage = (pathname) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Scene Missing — 24Craft Cinema (24CC)</title>
+    <link rel="stylesheet" href="/style.css">
+</head>
+<body>
+    <main id="main" class="site-main">
+        <section class="section">
+            <div class="container">
+                <div class="panel frame-border">
+                    <span class="timecode">TC 00:04:04:00</span>
+                    <p class="eyebrow">404 — Not found</p>
+                    <h1>This scene didn’t make the final cut.</h1>
+                    <p class="lead">Nothing lives at <code>${escapeHtml(pathname)}</code>.</p>
+                    <div class="cta-row">
+                        <a class="button" href="/index.html">Back to the home page</a>
+                    </div>
+                </div>
+            </div>
+        </section>
+    </main>
+</body>
+</html>
+`;
+
+/**
+ * Picks the best encoding the client accepts, honouring q=0.
+ * @param {string | undefined} header
+ * @returns {'br' | 'gzip' | null}
+ */
+const negotiateEncoding = (header) => {
+    const accepted = new Map();
+    String(header || '').split(',').forEach((part) => {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+        if (name) accepted.set(name, q ? Number(q.slice(2)) : 1);
+    });
+    if (accepted.get('br') > 0) return 'br';
+    if (accepted.get('gzip') > 0) return 'gzip';
+    return null;
+};
+
+/**
+ * @param {{ root: string, exclude?: string[], liveReload?: boolean }} options
+ *        `exclude` holds absolute directories that must never be served.
+ */
+const createStaticHandler = ({ root, exclude = [], liveReload = false }) => {
+    const rootDir = path.resolve(root);
+    const excluded = exclude.map((dir) => path.resolve(dir) + path.sep);
+
+    const sendNotFound = (req, res, pathname) => {
+        const body = Buffer.from(liveReload ? injectClient(notFoundPage(pathname)) : notFoundPage(pathname));
+        res.writeHead(404, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Length': body.length,
+            'Cache-Control': 'no-store'
+        });
+        res.end(req.method === 'HEAD' ? undefined : body);
+    };
+
+    /**
+     * @param {string} pathname  decoded URL path
+     * @returns {string | null}  absolute path, or null when it may not be served
+     */
+    const resolveSafe = (pathname) => {
+        if (pathname.includes('\0')) return null;
+        const filePath = path.resolve(rootDir, '.' + path.posix.normalize('/' + pathname));
+        if (filePath !== rootDir && !filePath.startsWith(rootDir + path.sep)) return null;
+        const relative = path.relative(rootDir, filePath);
+        if (relative.split(path.sep).some((part) => part.startsWith('.'))) return null;
+        if (excluded.some((dir) => (filePath + path.sep).startsWith(dir))) return null;
+        return filePath;
+    };
+
+    return async (req, res) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { Allow: 'GET, HEAD' }).end();
+            return;
+        }
+
+        let url;
+        let pathname;
+        try {
+            url = new URL(req.url, 'http://localhost');
+            pathname = decodeURIComponent(url.pathname);
+        } catch {
+            res.writeHead(400).end('400 Bad Request');
+            return;
+        }
+
+        let filePath = resolveSafe(pathname);
+        if (!filePath) {
+            sendNotFound(req, res, pathname);
+            return;
+        }
+
+        let stat;
+        try {
+            stat = await fs.promises.stat(filePath);
+            if (stat.isDirectory()) {
+                if (!pathname.endsWith('/')) {
+                    res.writeHead(301, { Location: url.pathname + '/' + url.search }).end();
+                    return;
+                }
+                filePath = path.join(filePath, 'index.html');
+                stat = await fs.promises.stat(filePath);
+            }
+        } catch {
+            sendNotFound(req, res, pathname);
+            return;
+        }
+
+        const ext = path.extname(filePath).toLowerCase();
+        const type = mimeFor(ext);
+        const injects = liveReload && ext === '.html';
+        const encoding = isCompressible(type) ? negotiateEncoding(req.headers['accept-encoding']) : null;
+
+        const etag = `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}${injects ? '-lr' : ''}${encoding ? '-' + encoding : ''}"`;
+        const lastModified = new Date(Math.floor(stat.mtimeMs / 1000) * 1000);
+        const headers = {
+            'Content-Type': type,
+            'Cache-Control': 'no-cache',
+            ETag: etag,
+            'Last-Modified': lastModified.toUTCString(),
+            'X-Content-Type-Options': 'nosniff'
+        };
+        if (isCompressible(type)) headers.Vary = 'Accept-Encoding';
+
+        const ifNoneMatch = req.headers['if-none-match'];
+        const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+        const notModified = ifNoneMatch
+            ? ifNoneMatch.split(',').some((tag) => tag.trim() === etag || tag.trim() === '*')
+            : !Number.isNaN(ifModifiedSince) && lastModified.getTime() <= ifModifiedSince;
+        if (notModified) {
+            res.writeHead(304, headers).end();
+            return;
+        }
+
+        if (encoding) headers['Content-Encoding'] = encoding;
+
+        if (injects) {
+            const html = injectClient(await fs.promises.readFile(filePath, 'utf8'));
+            let body = Buffer.from(html);
+            if (encoding === 'br') body = zlib.brotliCompressSync(body);
+            else if (encoding === 'gzip') body = zlib.gzipSync(body);
+            headers['Content-Length'] = body.length;
+            res.writeHead(200, headers);
+            res.end(req.method === 'HEAD' ? undefined : body);
+            return;
+        }
+
+        if (!encoding) headers['Content-Length'] = stat.size;
+        res.writeHead(200, headers);
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+
+        const stream = fs.createReadStream(filePath);
+        const output = encoding === 'br'
+            ? stream.pipe(zlib.createBrotliCompress())
+            : encoding === 'gzip' ? stream.pipe(zlib.createGzip()) : stream;
+        output.on('error', () => res.destroy());
+        output.pipe(res);
+    };
+};
+
+module.exports = { createStaticHandler, negotiateEncoding };
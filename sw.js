@@ -0,0 +1,146 @@
+/**
+ * sw.js — service worker: offline pages and queued early-access signups.
+ *
+ *  - Precaches every page and the scripts/styles they need.
+ *  - Pages: network first, falling back to the cache when offline.
+ *  - Other same-origin GETs: served from cache, refreshed in the background.
+ *  - Background Sync (`cc-signups`): replays signups queued in IndexedDB and
+ *    reports the outcome to open pages.
+ *
+ * Bump CACHE_VERSION whenever PRECACHE changes.
+ */
+'use strict';
+
+importScripts('js/signup-queue.js');
+
+const CACHE_VERSION = 'v19';
+const CACHE_NAME = `cc-precache-${CACHE_VERSION}`;
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'platform.html',
+    'crafts.html',
+    'tools.html',
+    'roadmap.html',
+    'early-access.html',
+    'style.css',
+    'script.js',
+    'innovation.js',
+    'js/countries.js',
+    'js/languages.js',
+    'js/crafts.js',
+    'js/validation.js',
+    'js/fuzzy.js',
+    'js/command-palette.js',
+    'js/analytics.js',
+    'js/particles.js',
+    'js/particles-worker.js',
+    'search-index.json',
+    'js/combobox.js',
+    'js/signup-queue.js',
+    'js/router.js',
+    'js/util.js',
+    'js/preferences.js',
+    'js/i18n.js',
+    'js/language.js',
+    'locales/en.json',
+    'locales/es.json',
+    'locales/fr.json',
+    'locales/hi.json',
+    'locales/ar.json',
+    'locales/ur.json',
+    'js/tools-catalog.js',
+    'js/crafts-explorer.js',
+    'js/roadmap.js',
+    'js/fountain.js',
+    'js/screenplay-editor.js',
+    'js/csv.js',
+    'js/breakdown.js',
+    'js/script-breakdown.js',
+    'js/schedule.js',
+    'js/stripboard.js',
+    'js/sun.js',
+    'js/callsheet.js',
+    'js/call-sheet-generator.js',
+    'js/budget.js',
+    'js/budget-tracker.js',
+    'js/timecode.js',
+    'js/timecode-calculator.js',
+    'js/subtitles.js',
+    'js/subtitle-converter.js',
+    'js/shotlist.js',
+    'js/shot-list-builder.js',
+    'data/tools.json'
+];
+
+/** Requests the worker never answers from cache. */
+const BYPASS = /^\/(api\/|analytics$|admin$|__livereload)/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then((cache) => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys
+                .filter((key) => key.startsWith('cc-precache-') && key !== CACHE_NAME)
+                .map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+const networkFirst = async (request) => {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw err;
+    }
+};
+
+const staleWhileRevalidate = async (request, event) => {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    const refresh = fetch(request).then((response) => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || BYPASS.test(url.pathname)) return;
+
+    event.respondWith(request.mode === 'navigate'
+        ? networkFirst(request)
+        : staleWhileRevalidate(request, event));
+});
+
+const replaySignups = async () => {
+    const queue = self.CC.signupQueue;
+    const outcome = await queue.replay(queue.post);
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windows.forEach((client) => client.postMessage({ type: 'cc:signups-replayed', ...outcome }));
+    // Rejecting asks the browser to retry the sync later.
+    if (outcome.pending) throw new Error(`${outcome.pending} signups still queued`);
+};
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === self.CC.signupQueue.SYNC_TAG) event.waitUntil(replaySignups());
+});
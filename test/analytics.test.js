@@ -0,0 +1,61 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { summarize, cleanEvent } = require('../server/analytics');
+
+const AT = '2026-10-19T09:00:00.000Z';
+
+const event = (type, view, fields = {}) => ({ at: AT, type, path: '/early-access.html', view, ...fields });
+
+/** One visit to the signup form that gets as far as `until`. */
+const visit = (view, until) => {
+    const steps = [
+        event('pageview', view, { from: '/index.html' }),
+        event('form_view', view, { form: 'early-access', fields: '2' }),
+        event('form_start', view, { form: 'early-access' }),
+        event('form_field', view, { form: 'early-access', field: 'name' }),
+        event('form_field', view, { form: 'early-access', field: 'email' }),
+        event('form_submit', view, { form: 'early-access' }),
+        event('form_result', view, { form: 'early-access', result: 'accepted' })
+    ];
+    return steps.slice(0, steps.findIndex((e) => e.type === until) + 1);
+};
+
+test('cleanEvent keeps the known fields and drops malformed events', () => {
+    assert.deepEqual(cleanEvent({ type: 'tool_view', path: '/tools.html', view: 'lq2k9f3ab', tool: 'budget-tracker', ip: '10.0.0.1' }, AT),
+        { at: AT, type: 'tool_view', path: '/tools.html', view: 'lq2k9f3ab', tool: 'budget-tracker' });
+    assert.equal(cleanEvent({ type: 'hover', path: '/', view: 'lq2k9f3ab' }, AT), null);
+    assert.equal(cleanEvent({ type: 'pageview', path: 'index.html', view: 'lq2k9f3ab' }, AT), null);
+    assert.equal(cleanEvent({ type: 'pageview', path: '/', view: 'x' }, AT), null);
+});
+
+test('summarize follows each view through the form funnel', () => {
+    const events = [
+        ...visit('view000001', 'form_view'),
+        ...visit('view000002', 'form_field'),
+        ...visit('view000003', 'form_result'),
+        event('pageview', 'view000004', { from: '/tools.html' })
+    ];
+    const report = summarize(events);
+    assert.equal(report.pageViews, 4);
+    assert.deepEqual(report.formEntries, [{ key: '/index.html', count: 3 }]);
+    const [form] = report.forms;
+    assert.equal(form.form, 'early-access');
+    assert.deepEqual(form.steps.map((step) => step.count), [3, 2, 1, 1, 1]);
+    assert.deepEqual(form.results, [{ key: 'accepted', count: 1 }]);
+});
+
+test('summarize leaves out events before `since`', () => {
+    const events = [{ ...event('pageview', 'view000001'), at: '2026-10-01T00:00:00.000Z' }, event('pageview', 'view000002')];
+    assert.equal(summarize(events, { since: '2026-10-10T00:00:00.000Z' }).pageViews, 1);
+});
+
+test('summarize handles a log with more form views than fit on the call stack', () => {
+    const events = [];
+    for (let i = 0; i < 150000; i++) events.push(event('form_view', `view${String(i).padStart(6, '0')}`, { form: 'early-access', fields: '2' }));
+    const [form] = summarize(events).forms;
+    assert.equal(form.steps[0].count, 150000);
+    assert.equal(form.steps[2].count, 0);
+});
@@ -0,0 +1,302 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const budget = require('../js/budget');
+const csv = require('../js/csv');
+
+const RATES = { base: 'INR', rates: { USD: '83.25', EUR: '90.10' } };
+
+/* ============================
+   parseDecimal() / formatDecimal()
+   ============================ */
+
+test('parseDecimal: plain amounts to minor units', () => {
+    assert.equal(budget.parseDecimal('12'), 1200n);
+    assert.equal(budget.parseDecimal('12.5'), 1250n);
+    assert.equal(budget.parseDecimal('.5'), 50n);
+    assert.equal(budget.parseDecimal('5.'), 500n);
+    assert.equal(budget.parseDecimal('+7.25'), 725n);
+    assert.equal(budget.parseDecimal('-7.25'), -725n);
+    assert.equal(budget.parseDecimal('  0  '), 0n);
+});
+
+test('parseDecimal: thousands separators', () => {
+    assert.equal(budget.parseDecimal('12,345.67'), 1234567n);
+    assert.equal(budget.parseDecimal('1 234 567'), 123456700n);
+    assert.equal(budget.parseDecimal('1_000'), 100000n);
+    assert.equal(budget.parseDecimal("1'234.50"), 123450n);
+    assert.equal(budget.parseDecimal('1,00,000'), 10000000n);
+});
+
+test('parseDecimal: accounting negatives', () => {
+    assert.equal(budget.parseDecimal('(1,200.00)'), -120000n);
+    assert.equal(budget.parseDecimal('(0.5)'), -50n);
+    assert.equal(budget.parseDecimal('(-5)'), 500n);
+});
+
+test('parseDecimal: digits past the scale round half away from zero', () => {
+    assert.equal(budget.parseDecimal('12,345.678'), 1234568n);
+    assert.equal(budget.parseDecimal('0.004'), 0n);
+    assert.equal(budget.parseDecimal('0.005'), 1n);
+    assert.equal(budget.parseDecimal('-0.005'), -1n);
+    assert.equal(budget.parseDecimal('(0.005)'), -1n);
+    assert.equal(budget.parseDecimal('-0.004'), 0n);
+    assert.equal(budget.parseDecimal('9.995'), 1000n);
+    assert.equal(budget.parseDecimal('1.23499'), 123n);
+});
+
+test('parseDecimal: other scales', () => {
+    assert.equal(budget.parseDecimal('83.25', 6), 83250000n);
+    assert.equal(budget.parseDecimal('0.0000005', 6), 1n);
+    assert.equal(budget.parseDecimal('12.6', 0), 13n);
+});
+
+test('parseDecimal: null for anything that is not a number', () => {
+    for (const text of ['', '   ', '.', '-', '()', 'abc', '1.2.3', '12a', '1e3', '--1', null, undefined]) {
+        assert.equal(budget.parseDecimal(text), null, JSON.stringify(text));
+    }
+});
+
+test('formatDecimal: minor units back to a decimal string', () => {
+    assert.equal(budget.formatDecimal(1234568n), '12345.68');
+    assert.equal(budget.formatDecimal(5n), '0.05');
+    assert.equal(budget.formatDecimal(-5n), '-0.05');
+    assert.equal(budget.formatDecimal(0n), '0.00');
+    assert.equal(budget.formatDecimal(83250000n, 6), '83.250000');
+    assert.equal(budget.formatDecimal(123456789012345678901234567890n), '1234567890123456789012345678.90');
+});
+
+/* ============================
+   parseRates() / convert()
+   ============================ */
+
+test('parseRates: one "CODE = rate" per line, with comments and errors by line', () => {
+    const { rates, errors } = budget.parseRates('usd = 83.25\n# euro\nEUR 90.10\nGBP: 105\n\nJPY = zero\nCHF = -1');
+    assert.deepEqual(rates, { USD: '83.25', EUR: '90.10', GBP: '105' });
+    assert.deepEqual(errors.map((error) => error.line), [6, 7]);
+});
+
+test('convert: foreign minor units into base minor units', () => {
+    assert.equal(budget.convert(10000n, 'USD', RATES), 832500n);
+    assert.equal(budget.convert(1n, 'EUR', RATES), 90n);
+    assert.equal(budget.convert(-10000n, 'USD', RATES), -832500n);
+    assert.equal(budget.convert(12345n, 'INR', RATES), 12345n);
+    assert.equal(budget.convert(100n, 'USD', { base: 'INR', rates: { USD: 2000000n } }), 200n);
+});
+
+test('convert: rounds half away from zero', () => {
+    const half = { base: 'INR', rates: { USD: '0.5', EUR: '0.499999' } };
+    assert.equal(budget.convert(1n, 'USD', half), 1n);
+    assert.equal(budget.convert(-1n, 'USD', half), -1n);
+    assert.equal(budget.convert(3n, 'USD', half), 2n);
+    assert.equal(budget.convert(-3n, 'USD', half), -2n);
+    assert.equal(budget.convert(1n, 'EUR', half), 0n);
+    assert.equal(budget.convert(-1n, 'EUR', half), 0n);
+});
+
+test('convert: null without a usable rate', () => {
+    assert.equal(budget.convert(100n, 'GBP', RATES), null);
+    assert.equal(budget.convert(100n, 'USD', { base: 'INR', rates: { USD: '0' } }), null);
+    assert.equal(budget.convert(100n, 'USD', { base: 'INR', rates: { USD: 'n/a' } }), null);
+});
+
+/* ============================
+   topSheet()
+   ============================ */
+
+const LINES = [
+    { account: '1410', description: 'Lead cast', currency: 'INR', estimate: '5,00,000.00', actual: '4,80,000' },
+    { account: '1420', description: 'Supporting cast', currency: 'USD', estimate: '1,000', actual: '1,250.50' },
+    { account: '2410', description: 'Camera package', currency: 'EUR', estimate: '2,000', actual: '(150.00)' },
+    { account: '2420', description: 'Lenses', currency: 'USD', estimate: '0.01', actual: '0.01' },
+    { account: '3110', description: 'Editor', currency: 'INR', estimate: '1,20,000', actual: '' },
+    { account: '4910', description: 'Contingency', currency: 'INR', estimate: '50,000', actual: '0' }
+];
+
+const baseOf = (line, field) => budget.convert(budget.parseDecimal(line[field] || '0'), line.currency, RATES);
+const sum = (values) => values.reduce((a, b) => a + b, 0n);
+
+test('topSheet: the total equals the sum of each line converted on its own', () => {
+    const sheet = budget.topSheet(LINES, RATES);
+    assert.deepEqual(sheet.issues, []);
+    assert.equal(sheet.total.estimate, sum(LINES.map((line) => baseOf(line, 'estimate'))));
+    assert.equal(sheet.total.actual, sum(LINES.map((line) => baseOf(line, 'actual'))));
+    assert.equal(sheet.total.variance, sheet.total.estimate - sheet.total.actual);
+});
+
+test('topSheet: sections, accounts and ATL/BTL all add up to the total', () => {
+    const sheet = budget.topSheet(LINES, RATES);
+    for (const field of ['estimate', 'actual', 'variance']) {
+        assert.equal(sum(sheet.sections.map((section) => section[field])), sheet.total[field], field);
+        assert.equal(sheet.aboveTheLine[field] + sheet.belowTheLine[field], sheet.total[field], field);
+        sheet.sections.forEach((section) => {
+            assert.equal(sum(section.accounts.map((account) => account[field])), section[field], `${section.key} ${field}`);
+        });
+    }
+    assert.equal(sheet.aboveTheLine.estimate, sheet.sections[0].estimate);
+});
+
+test('topSheet: rounding each line keeps the sheet equal to its lines', () => {
+    // Three lines of 0.005 each round to 0.01; converting the sum first would give 0.02.
+    const table = { base: 'INR', rates: { USD: '0.5' } };
+    const lines = [1, 2, 3].map((n) => ({ account: `240${n}`, currency: 'USD', estimate: '0.01', actual: '' }));
+    const sheet = budget.topSheet(lines, table);
+    assert.equal(sheet.total.estimate, 3n);
+    assert.deepEqual(sheet.sections[1].accounts.map(({ code, lines: count, estimate }) => [code, count, estimate]), [['2400', 3, 3n]]);
+});
+
+test('topSheet: line items roll up to their hundred, sorted, with chart names', () => {
+    const sheet = budget.topSheet(LINES, RATES);
+    assert.deepEqual(sheet.sections.map((section) => section.accounts.map((account) => [account.code, account.name, account.lines])), [
+        [['1400', 'Cast', 2]],
+        [['2400', 'Camera', 2]],
+        [['3100', 'Editorial', 1]],
+        [['4900', 'Contingency', 1]]
+    ]);
+    assert.equal(sheet.sections[0].accounts[0].estimate, 50000000n + 8325000n);
+});
+
+test('topSheet: unreadable amounts and unknown currencies count as zero and are reported', () => {
+    const sheet = budget.topSheet([
+        { account: '2410', currency: 'GBP', estimate: '100', actual: '' },
+        { account: '2420', currency: 'INR', estimate: 'lots', actual: '10' },
+        { account: '', currency: 'INR', estimate: '5', actual: '' },
+        { account: '2430', currency: 'rupees', estimate: '5', actual: '' }
+    ], RATES);
+    assert.equal(sheet.total.estimate, 0n);
+    assert.equal(sheet.total.actual, 1000n);
+    assert.deepEqual(sheet.issues.map(({ line, field }) => [line, field]), [
+        [0, 'currency'],
+        [1, 'estimate'],
+        [2, 'account'],
+        [3, 'currency']
+    ]);
+    assert.equal(sheet.issues[0].message, 'Line 1 (2410): no exchange rate for GBP.');
+});
+
+/* ============================
+   forecast()
+   ============================ */
+
+const PERIOD = { start: '2026-11-01', end: '2026-11-30', asOf: '2026-11-10' };
+const spend = (estimate, actual) => [{ account: '2100', currency: 'INR', estimate, actual }];
+
+test('forecast: straight-line burn over the inclusive period', () => {
+    const result = budget.forecast(spend('3000', '500'), RATES, PERIOD);
+    assert.deepEqual(result, {
+        base: 'INR',
+        totalDays: 30,
+        elapsedDays: 10,
+        remainingDays: 20,
+        estimate: 300000n,
+        spent: 50000n,
+        dailyBurn: 5000n,
+        projected: 150000n,
+        variance: 150000n,
+        overrunDate: null,
+        status: 'on-track'
+    });
+});
+
+test('forecast: watch from 95% of the estimate', () => {
+    assert.equal(budget.forecast(spend('2000', '633.33'), RATES, PERIOD).status, 'on-track');
+    assert.equal(budget.forecast(spend('2000', '633.34'), RATES, PERIOD).status, 'watch');
+    const exact = budget.forecast(spend('3000', '1000'), RATES, PERIOD);
+    assert.equal(exact.projected, exact.estimate);
+    assert.equal(exact.status, 'watch');
+    assert.equal(exact.overrunDate, null);
+});
+
+test('forecast: over, with the day spend passes the estimate', () => {
+    const result = budget.forecast(spend('3000', '1200'), RATES, PERIOD);
+    assert.equal(result.status, 'over');
+    assert.equal(result.projected, 360000n);
+    assert.equal(result.variance, -60000n);
+    assert.equal(result.dailyBurn, 12000n);
+    assert.equal(result.overrunDate, '2026-11-25');
+
+    // 3000 / 130 a day is 23.08 days, so the 24th day.
+    assert.equal(budget.forecast(spend('3000', '1300'), RATES, PERIOD).overrunDate, '2026-11-24');
+});
+
+test('forecast: already over the estimate overruns on the as-of date', () => {
+    assert.equal(budget.forecast(spend('3000', '3500'), RATES, PERIOD).overrunDate, '2026-11-10');
+});
+
+test('forecast: as-of outside the period is clamped', () => {
+    const before = budget.forecast(spend('3000', '100'), RATES, { ...PERIOD, asOf: '2026-10-20' });
+    assert.equal(before.elapsedDays, 0);
+    assert.equal(before.projected, 10000n);
+    assert.equal(before.dailyBurn, 0n);
+
+    const after = budget.forecast(spend('3000', '3100'), RATES, { ...PERIOD, asOf: '2027-01-05' });
+    assert.equal(after.elapsedDays, 30);
+    assert.equal(after.remainingDays, 0);
+    assert.equal(after.projected, 310000n);
+    assert.equal(after.overrunDate, '2026-11-30');
+});
+
+test('forecast: null for missing or backwards dates', () => {
+    assert.equal(budget.forecast(spend('1', '1'), RATES, {}), null);
+    assert.equal(budget.forecast(spend('1', '1'), RATES, { ...PERIOD, end: '2026-10-01' }), null);
+    assert.equal(budget.forecast(spend('1', '1'), RATES, { ...PERIOD, asOf: 'soon' }), null);
+});
+
+/* ============================
+   CSV
+   ============================ */
+
+test('CSV: toCSV → fromCSV round-trips line items', () => {
+    const text = budget.toCSV(LINES, RATES);
+    const { lines, errors } = budget.fromCSV(text);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(lines.map(({ account, description, currency }) => ({ account, description, currency })),
+        LINES.map(({ account, description, currency }) => ({ account, description, currency })));
+    lines.forEach((line, i) => {
+        for (const field of ['estimate', 'actual']) {
+            assert.equal(budget.parseDecimal(line[field]), budget.parseDecimal(LINES[i][field] || '0'), `${i} ${field}`);
+        }
+    });
+    assert.deepEqual(budget.topSheet(lines, RATES), budget.topSheet(LINES, RATES));
+    assert.equal(budget.toCSV(lines, RATES), text);
+});
+
+test('CSV: toCSV adds base-currency columns', () => {
+    const [header, first, , , lenses] = csv.parse(budget.toCSV(LINES, RATES));
+    assert.deepEqual(header, ['Account', 'Description', 'Currency', 'Estimate', 'Actual', 'Estimate (INR)', 'Actual (INR)', 'Variance (INR)']);
+    assert.deepEqual(first, ['1410', 'Lead cast', 'INR', '500000.00', '480000.00', '500000.00', '480000.00', '20000.00']);
+    assert.deepEqual(lenses, ['2420', 'Lenses', 'USD', '0.01', '0.01', '0.83', '0.83', '0.00']);
+});
+
+test('CSV: fromCSV takes columns in any order and case, and skips blank rows', () => {
+    const { lines, errors } = budget.fromCSV('actual,CURRENCY,Account,estimate\n10,usd,2410,20\n,,,\n');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(lines, [{ account: '2410', description: '', currency: 'USD', estimate: '20', actual: '10' }]);
+});
+
+test('CSV: fromCSV reports an empty file or missing columns', () => {
+    assert.deepEqual(budget.fromCSV(''), { lines: [], errors: ['The file is empty.'] });
+    assert.deepEqual(budget.fromCSV('Account,Estimate\n1410,5'), { lines: [], errors: ['Missing columns: Currency, Actual.'] });
+    assert.deepEqual(budget.fromCSV('Account,Estimate,Actual\n1410,5,1'), { lines: [], errors: ['Missing column: Currency.'] });
+});
+
+test('CSV: topSheetToCSV lays out accounts, subtotals and totals', () => {
+    const rows = csv.parse(budget.topSheetToCSV(budget.topSheet(LINES, RATES)));
+    assert.deepEqual(rows.map((row) => row.slice(0, 2)), [
+        ['Account', 'Description'],
+        ['1400', 'Cast'],
+        ['', 'Total above the line'],
+        ['2400', 'Camera'],
+        ['', 'Subtotal production'],
+        ['3100', 'Editorial'],
+        ['', 'Subtotal post'],
+        ['4900', 'Contingency'],
+        ['', 'Subtotal other'],
+        ['', 'Total below the line'],
+        ['', 'Grand total']
+    ]);
+    const sheet = budget.topSheet(LINES, RATES);
+    assert.deepEqual(rows[rows.length - 1].slice(2), [sheet.total.estimate, sheet.total.actual, sheet.total.variance].map((n) => budget.formatDecimal(n)));
+});
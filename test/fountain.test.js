@@ -0,0 +1,311 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fountain = require('../js/fountain');
+
+/** Token types in order, for compact comparisons. */
+const types = (script) => script.tokens.map((token) => token.type);
+const ofType = (script, type) => script.tokens.filter((token) => token.type === type);
+
+// The samples below are taken from the Fountain syntax guide (https://fountain.io/syntax).
+
+test('title page: keys, indented multi-line values and the body after it', () => {
+    const script = fountain.parse([
+        'Title:',
+        '    _**BRICK & STEEL**_',
+        '    _**FULL RETIRED**_',
+        'Credit: Written by',
+        'Author: Stu Maschwitz',
+        'Source: Story by KTM',
+        'Draft date: 1/20/2012',
+        'Contact:',
+        '    Next Level Productions',
+        '    1588 Mission Dr.',
+        '    Solvang, CA 93463',
+        '',
+        'EXT. BRICK\'S PATIO - DAY',
+        '',
+        'A gorgeous day.'
+    ].join('\n'));
+
+    assert.deepEqual(script.titlePage, [
+        { key: 'Title', value: '_**BRICK & STEEL**_\n_**FULL RETIRED**_' },
+        { key: 'Credit', value: 'Written by' },
+        { key: 'Author', value: 'Stu Maschwitz' },
+        { key: 'Source', value: 'Story by KTM' },
+        { key: 'Draft date', value: '1/20/2012' },
+        { key: 'Contact', value: 'Next Level Productions\n1588 Mission Dr.\nSolvang, CA 93463' }
+    ]);
+    assert.deepEqual(types(script), ['scene_heading', 'action']);
+    assert.equal(script.tokens[0].text, 'EXT. BRICK\'S PATIO - DAY');
+});
+
+test('a script without a title page starts straight into the body', () => {
+    const script = fountain.parse('INT. HOUSE - DAY\n\nQuiet.');
+    assert.deepEqual(script.titlePage, []);
+    assert.deepEqual(types(script), ['scene_heading', 'action']);
+});
+
+test('scene headings: INT/EXT/EST/INT./EXT/I/E prefixes and scene numbers', () => {
+    const script = fountain.parse([
+        'EXT. BRICK\'S POOL - DAY',
+        '',
+        'INT. HOUSE - DAY #1#',
+        '',
+        'INT./EXT. CAR - NIGHT #1A#',
+        '',
+        'I/E HALLWAY - DAY',
+        '',
+        'EST. CITY SKYLINE - DUSK #I-1-A#'
+    ].join('\n'));
+
+    assert.deepEqual(ofType(script, 'scene_heading').map((t) => [t.text, t.sceneNumber]), [
+        ['EXT. BRICK\'S POOL - DAY', null],
+        ['INT. HOUSE - DAY', '1'],
+        ['INT./EXT. CAR - NIGHT', '1A'],
+        ['I/E HALLWAY - DAY', null],
+        ['EST. CITY SKYLINE - DUSK', 'I-1-A']
+    ]);
+});
+
+test('a scene heading needs a blank line before it', () => {
+    const script = fountain.parse('He walks in.\nINT. HOUSE - DAY');
+    assert.deepEqual(types(script), ['action']);
+});
+
+test('forced scene heading with "." but not "..."', () => {
+    const script = fountain.parse('.SNIPER SCOPE POV\n\n...and then silence.');
+    assert.equal(script.tokens[0].type, 'scene_heading');
+    assert.equal(script.tokens[0].text, 'SNIPER SCOPE POV');
+    assert.equal(script.tokens[1].type, 'action');
+    assert.equal(script.tokens[1].text, '...and then silence.');
+});
+
+test('forced action with "!" keeps an all-caps line out of character cues', () => {
+    const script = fountain.parse('!SCANNING THE AISLES...\nWhere is that pit boss?');
+    assert.deepEqual(types(script), ['action']);
+    assert.equal(script.tokens[0].text, 'SCANNING THE AISLES...\nWhere is that pit boss?');
+});
+
+test('forced character with "@" allows lower case names', () => {
+    const script = fountain.parse('@McCLANE\nYippie ki-yay! I got my lower-case C back!');
+    assert.deepEqual(types(script), ['dialogue_begin', 'character', 'dialogue', 'dialogue_end']);
+    assert.equal(script.tokens[1].name, 'McCLANE');
+});
+
+test('forced transition with ">" and centered text with "> <"', () => {
+    const script = fountain.parse('>Burn to White.\n\n>THE END<');
+    assert.deepEqual(script.tokens.map((t) => [t.type, t.text]), [
+        ['transition', 'Burn to White.'],
+        ['centered', 'THE END']
+    ]);
+});
+
+test('transitions in upper case ending in TO: stand between blank lines', () => {
+    const script = fountain.parse('Jack begins to cry.\n\nCUT TO:\n\nINT. GARAGE - DAY');
+    assert.deepEqual(types(script), ['action', 'transition', 'scene_heading']);
+    assert.equal(script.tokens[1].text, 'CUT TO:');
+});
+
+test('lyrics with "~"', () => {
+    const script = fountain.parse('~Willy Wonka! Willy Wonka! The amazing chocolatier!\n~Willy Wonka! Willy Wonka! Everybody give a cheer!');
+    assert.deepEqual(ofType(script, 'lyrics').map((t) => t.text), [
+        'Willy Wonka! Willy Wonka! The amazing chocolatier!',
+        'Willy Wonka! Willy Wonka! Everybody give a cheer!'
+    ]);
+});
+
+test('dialogue: cue with extension, parenthetical and a two-space line that keeps the speech going', () => {
+    const script = fountain.parse([
+        'STEEL (O.S.)',
+        '(starting the engine)',
+        'So much for retirement!',
+        '  ',
+        'Let\'s go.'
+    ].join('\n'));
+
+    assert.deepEqual(types(script), ['dialogue_begin', 'character', 'parenthetical', 'dialogue', 'dialogue', 'dialogue', 'dialogue_end']);
+    const cue = script.tokens[1];
+    assert.equal(cue.name, 'STEEL');
+    assert.equal(cue.extension, '(O.S.)');
+    assert.equal(script.tokens[2].text, '(starting the engine)');
+});
+
+test('an all-caps line followed by a blank line is action, not a cue', () => {
+    const script = fountain.parse('\nBOOM\n\nThe car explodes.');
+    assert.deepEqual(types(script), ['action', 'action']);
+});
+
+test('dual dialogue: "^" pairs a speech with the one before it', () => {
+    const script = fountain.parse([
+        'BRICK',
+        'Screw retirement.',
+        '',
+        'STEEL ^',
+        'Screw retirement.',
+        '',
+        'They look at each other.'
+    ].join('\n'));
+
+    assert.deepEqual(types(script), [
+        'dual_dialogue_begin',
+        'dialogue_begin', 'character', 'dialogue', 'dialogue_end',
+        'dialogue_begin', 'character', 'dialogue', 'dialogue_end',
+        'dual_dialogue_end',
+        'action'
+    ]);
+    assert.equal(script.tokens[1].dual, 'left');
+    assert.equal(script.tokens[5].dual, 'right');
+    assert.equal(script.tokens[6].name, 'STEEL');
+    assert.equal(script.tokens[6].dual, true);
+});
+
+test('"^" with no speech before it is an ordinary cue', () => {
+    const script = fountain.parse('STEEL ^\nScrew retirement.');
+    assert.deepEqual(types(script), ['dialogue_begin', 'character', 'dialogue', 'dialogue_end']);
+});
+
+test('notes: inline notes are lifted into `notes`, a note on its own line is a token', () => {
+    const script = fountain.parse([
+        'INT. TRAILER HOME - DAY',
+        '',
+        'This is the home of THE BOY BAND, AKA DAN and JACK[[Or did we think of actual names for these guys?]]. They too are drinking beer.',
+        '',
+        '[[This whole scene is temporary.]]'
+    ].join('\n'));
+
+    const action = ofType(script, 'action')[0];
+    assert.equal(action.text, 'This is the home of THE BOY BAND, AKA DAN and JACK. They too are drinking beer.');
+    assert.deepEqual(action.notes, ['Or did we think of actual names for these guys?']);
+    assert.deepEqual(ofType(script, 'note').map((t) => t.text), ['This whole scene is temporary.']);
+});
+
+test('notes may span lines', () => {
+    const script = fountain.parse('His hand is an inch from the receiver when the phone RINGS.  Scott pauses for a moment, suspicious for some reason.[[This section needs work.\nEither that, or I need coffee.\n  \nDefinitely coffee.]] He looks around.');
+    assert.deepEqual(ofType(script, 'action')[0].notes, ['This section needs work.\nEither that, or I need coffee.\n  \nDefinitely coffee.']);
+});
+
+test('boneyard: everything between /* and */ is dropped, across lines', () => {
+    const script = fountain.parse([
+        'COGNITO',
+        'Everyone\'s coming after you mate! Scorpio, The Boy Band, Sparrow, Point Blank Sniper...',
+        '',
+        '/*',
+        'As he rattles off the long list, Brick and Steel share a look. This is going to be BAD.',
+        '',
+        'CUT TO:',
+        '*/',
+        '',
+        'INT. GARAGE - DAY'
+    ].join('\n'));
+
+    assert.deepEqual(types(script), ['dialogue_begin', 'character', 'dialogue', 'dialogue_end', 'scene_heading']);
+    assert.ok(!JSON.stringify(script.tokens).includes('rattles'));
+});
+
+test('sections carry their depth and synopses their text', () => {
+    const script = fountain.parse([
+        '# ACT I',
+        '',
+        '= Set up the characters and the story.',
+        '',
+        '## Brick & Steel',
+        '',
+        '### Brick stands in his driveway',
+        '',
+        'EXT. BRICK\'S HOUSE - DAY',
+        '',
+        '= This scene sets up Brick & Steel\'s new life as retirees.'
+    ].join('\n'));
+
+    assert.deepEqual(ofType(script, 'section').map((t) => [t.depth, t.text]), [
+        [1, 'ACT I'],
+        [2, 'Brick & Steel'],
+        [3, 'Brick stands in his driveway']
+    ]);
+    assert.deepEqual(ofType(script, 'synopsis').map((t) => t.text), [
+        'Set up the characters and the story.',
+        'This scene sets up Brick & Steel\'s new life as retirees.'
+    ]);
+});
+
+test('page breaks are three or more "="', () => {
+    const script = fountain.parse('The End.\n\n===\n\nEXT. ROAD - DAY');
+    assert.deepEqual(types(script), ['action', 'page_break', 'scene_heading']);
+});
+
+test('inline emphasis becomes escaped HTML; escaped markers stay literal', () => {
+    assert.equal(fountain.inline('***bold italic*** and **bold** and *italic* and _underline_'),
+        '<strong><em>bold italic</em></strong> and <strong>bold</strong> and <em>italic</em> and <u>underline</u>');
+    assert.equal(fountain.inline('Steel enters the code: \\*9765\\*'), 'Steel enters the code: &#42;9765&#42;');
+    assert.equal(fountain.inline('<b> & "x"'), '&lt;b&gt; &amp; &quot;x&quot;');
+    assert.equal(fountain.inline('two\nlines'), 'two<br>lines');
+});
+
+test('CRLF line endings, a BOM and tabs parse like plain newlines', () => {
+    const script = fountain.parse('\uFEFFINT. HOUSE - DAY\r\n\r\nBRICK\r\n\tHello.');
+    assert.deepEqual(types(script), ['scene_heading', 'dialogue_begin', 'character', 'dialogue', 'dialogue_end']);
+});
+
+/* ============================
+   stats()
+   ============================ */
+
+test('formatEighths writes whole pages and eighths', () => {
+    assert.equal(fountain.formatEighths(0), '0');
+    assert.equal(fountain.formatEighths(3), '3/8');
+    assert.equal(fountain.formatEighths(8), '1');
+    assert.equal(fountain.formatEighths(11), '1 3/8');
+});
+
+test('stats: an empty script has no length', () => {
+    const stats = fountain.stats(fountain.parse(''));
+    assert.equal(stats.pages, 0);
+    assert.equal(stats.eighths, 0);
+    assert.equal(stats.length, '0');
+    assert.deepEqual(stats.scenes, []);
+});
+
+test('stats: a short scene is at least 1/8 page', () => {
+    const stats = fountain.stats(fountain.parse('INT. HOUSE - DAY\n\nQuiet.'));
+    assert.equal(stats.scenes.length, 1);
+    assert.equal(stats.scenes[0].eighths, 1);
+    assert.equal(stats.scenes[0].length, '1/8');
+    assert.equal(stats.scenes[0].number, '1');
+    assert.equal(stats.pages, 1);
+});
+
+test('stats: scene eighths follow the printed lines on a 55-line page', () => {
+    // Heading (1 line) + blank + 40 one-line action paragraphs, each after a blank: 1 + 40 * 2 = 81 lines.
+    const action = Array.from({ length: 40 }, (_, i) => `Beat ${i + 1}.`).join('\n\n');
+    const stats = fountain.stats(fountain.parse(`INT. HOUSE - DAY\n\n${action}\n\nEXT. ROAD - NIGHT #7#\n\nGone.`));
+
+    // …plus the two blank lines before the next heading: 83 / 55 pages → 13 eighths.
+    const [first, second] = stats.scenes;
+    assert.equal(first.eighths, 13);
+    assert.equal(first.length, '1 5/8');
+    assert.equal(first.page, 1);
+    assert.equal(second.number, '7');
+    assert.equal(second.page, 2);
+    assert.equal(second.eighths, 1);
+    assert.equal(stats.pages, 2);
+});
+
+test('stats: dialogue wraps at 35 columns and counts words per speaking part', () => {
+    const speech = 'word '.repeat(20).trim(); // 99 characters → 3 lines at 35 columns
+    const stats = fountain.stats(fountain.parse(`INT. HOUSE - DAY\n\nBRICK\n${speech}\n\nSTEEL\nNo.\n\nBRICK\nYes.`));
+
+    assert.deepEqual(stats.characters, [
+        { name: 'BRICK', speeches: 2, words: 21 },
+        { name: 'STEEL', speeches: 1, words: 1 }
+    ]);
+    assert.equal(stats.words, 4 + 22);
+});
+
+test('stats: a forced page break starts a new page', () => {
+    const stats = fountain.stats(fountain.parse('INT. HOUSE - DAY\n\nOne.\n\n===\n\nINT. ROAD - DAY\n\nTwo.'));
+    assert.equal(stats.scenes[1].page, 2);
+    assert.equal(stats.pages, 2);
+});
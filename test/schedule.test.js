@@ -0,0 +1,158 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const schedule = require('../js/schedule');
+const csv = require('../js/csv');
+
+const strip = (id, location, dayNight, cast, eighths = 8) => ({
+    id, number: id, heading: `INT. ${location} - ${dayNight.toUpperCase()}`, location, intExt: 'INT', dayNight, eighths, cast
+});
+
+const STRIPS = [
+    strip('1', 'KITCHEN', 'day', ['RAVI', 'LATA']),
+    strip('2', 'KITCHEN', 'day', ['RAVI']),
+    strip('3', 'ROOFTOP', 'night', ['LATA', 'ARJUN']),
+    strip('4', 'STREET', 'day', ['RAVI', 'ARJUN']),
+    strip('5', 'STREET', 'day', ['MEERA'], 4)
+];
+
+test('addDays counts calendar dates across month ends', () => {
+    assert.equal(schedule.addDays('2026-11-02', 0), '2026-11-02');
+    assert.equal(schedule.addDays('2026-11-29', 3), '2026-12-02');
+    assert.equal(schedule.addDays('2028-02-28', 1), '2028-02-29');
+});
+
+test('days: dates, page counts and a night wrap that runs past midnight', () => {
+    const [first, second] = schedule.days(STRIPS, { start: '2026-11-02', days: [['1', '2'], ['3']] });
+    assert.equal(first.date, '2026-11-02');
+    assert.equal(first.eighths, 16);
+    assert.equal(first.call, 7 * 60);
+    assert.equal(first.wrap, 19 * 60);
+    assert.deepEqual(first.cast, ['RAVI', 'LATA']);
+
+    assert.equal(second.date, '2026-11-03');
+    assert.equal(second.call, 17 * 60);
+    assert.equal(second.wrap, 29 * 60);
+    assert.equal(schedule.formatTime(second.wrap), '05:00');
+});
+
+/* ============================
+   conflicts()
+   ============================ */
+
+test('conflicts: a cast member scheduled on a day they are unavailable', () => {
+    const found = schedule.conflicts(STRIPS, { start: '2026-11-02', days: [['1'], ['2']] }, {
+        unavailable: { LATA: ['2026-11-02'], RAVI: ['2026-11-05'] }
+    });
+    assert.deepEqual(found.map(({ type, severity, day, strip: id, cast }) => ({ type, severity, day, strip: id, cast })), [
+        { type: 'cast_unavailable', severity: 'error', day: 0, strip: '1', cast: 'LATA' }
+    ]);
+    assert.match(found[0].message, /LATA is unavailable on 2026-11-02 \(scene 1\)/);
+});
+
+test('conflicts: unavailability needs dated shoot days', () => {
+    const found = schedule.conflicts(STRIPS, { days: [['1']] }, { unavailable: { LATA: ['2026-11-02'] } });
+    assert.deepEqual(found, []);
+});
+
+test('conflicts: two locations on one day is a company move', () => {
+    const found = schedule.conflicts(STRIPS, { start: '2026-11-02', days: [['1', '4']] });
+    assert.equal(found.length, 1);
+    assert.equal(found[0].type, 'location_change');
+    assert.equal(found[0].severity, 'warning');
+    assert.equal(found[0].message, 'Day 1: company move between KITCHEN → STREET.');
+});
+
+test('conflicts: turnaround after a night wrap, for cast working both days only', () => {
+    // Day 1 wraps at 05:00 on day 2; day 2 calls at 07:00 → 2h rest.
+    const found = schedule.conflicts(STRIPS, { start: '2026-11-02', days: [['3'], ['4']] });
+    assert.deepEqual(found.map(({ type, day, cast }) => ({ type, day, cast })), [
+        { type: 'turnaround', day: 1, cast: 'ARJUN' }
+    ]);
+    assert.equal(found[0].message, 'Day 2: ARJUN gets 2h turnaround; 12h needed.');
+});
+
+test('conflicts: day work to day work leaves the standard 12h', () => {
+    assert.deepEqual(schedule.conflicts(STRIPS, { start: '2026-11-02', days: [['1'], ['2']] }), []);
+});
+
+test('conflicts: the turnaround rule and shoot hours can be changed', () => {
+    const plan = { start: '2026-11-02', days: [['1'], ['2']] };
+    assert.equal(schedule.conflicts(STRIPS, plan, { turnaroundHours: 14 }).length, 1);
+    const late = schedule.conflicts(STRIPS, plan, { hours: { day: { call: '06:00', wrap: '20:00' } } });
+    assert.deepEqual(late.map((c) => [c.type, c.cast]), [['turnaround', 'RAVI']]);
+    assert.match(late[0].message, /10h turnaround/);
+});
+
+/* ============================
+   dayOutOfDays()
+   ============================ */
+
+const PLAN = { start: '2026-11-02', days: [['1'], ['5'], ['2'], ['3'], ['4']] };
+
+test('dayOutOfDays: SW / W / H / WF / SWF codes and blanks outside the run', () => {
+    const dood = schedule.dayOutOfDays(STRIPS, PLAN);
+    assert.deepEqual(dood.days.map((day) => day.date), ['2026-11-02', '2026-11-03', '2026-11-04', '2026-11-05', '2026-11-06']);
+
+    const byName = Object.fromEntries(dood.cast.map((member) => [member.name, member]));
+    assert.deepEqual(dood.cast.map((member) => [member.id, member.name]), [[1, 'RAVI'], [2, 'LATA'], [3, 'MEERA'], [4, 'ARJUN']]);
+    assert.deepEqual(byName.RAVI.codes, ['SW', 'H', 'W', 'H', 'WF']);
+    assert.deepEqual(byName.LATA.codes, ['SW', 'H', 'H', 'WF', '']);
+    assert.deepEqual(byName.MEERA.codes, ['', 'SWF', '', '', '']);
+    assert.deepEqual(byName.ARJUN.codes, ['', '', '', 'SW', 'WF']);
+});
+
+test('dayOutOfDays: work, hold and total days with start and finish dates', () => {
+    const dood = schedule.dayOutOfDays(STRIPS, PLAN);
+    const totals = dood.cast.map(({ name, work, hold, total, start, finish }) => ({ name, work, hold, total, start, finish }));
+    assert.deepEqual(totals, [
+        { name: 'RAVI', work: 3, hold: 2, total: 5, start: '2026-11-02', finish: '2026-11-06' },
+        { name: 'LATA', work: 2, hold: 2, total: 4, start: '2026-11-02', finish: '2026-11-05' },
+        { name: 'MEERA', work: 1, hold: 0, total: 1, start: '2026-11-03', finish: '2026-11-03' },
+        { name: 'ARJUN', work: 2, hold: 0, total: 2, start: '2026-11-05', finish: '2026-11-06' }
+    ]);
+});
+
+test('dayOutOfDays: strips left off the board are not counted', () => {
+    const dood = schedule.dayOutOfDays(STRIPS, { start: '2026-11-02', days: [['2']] });
+    assert.deepEqual(dood.cast.map((member) => member.name), ['RAVI']);
+});
+
+test('doodToCSV: header with dated days, one row per cast member', () => {
+    const text = schedule.doodToCSV(schedule.dayOutOfDays(STRIPS, { start: '2026-11-02', days: [['1'], ['2']] }));
+    assert.deepEqual(csv.parse(text), [
+        ['#', 'Cast', 'Day 1 (2026-11-02)', 'Day 2 (2026-11-03)', 'Work', 'Hold', 'Total', 'Start', 'Finish'],
+        ['1', 'RAVI', 'SW', 'WF', '2', '0', '2', '2026-11-02', '2026-11-03'],
+        ['2', 'LATA', 'SWF', '', '1', '0', '1', '2026-11-02', '2026-11-02']
+    ]);
+});
+
+test('doodToCSV: undated plans label days by number', () => {
+    const [header] = csv.parse(schedule.doodToCSV(schedule.dayOutOfDays(STRIPS, { days: [['1']] })));
+    assert.equal(header[2], 'Day 1');
+});
+
+/* ============================
+   autoSchedule()
+   ============================ */
+
+test('autoSchedule: groups by day/night and location, in scene order, within the page limit', () => {
+    assert.deepEqual(schedule.autoSchedule(STRIPS), [['1', '2', '4', '5'], ['3']]);
+    assert.deepEqual(schedule.autoSchedule(STRIPS, { maxEighths: 16 }), [['1', '2'], ['4', '5'], ['3']]);
+});
+
+test('autoSchedule: a strip longer than a day still gets a day of its own', () => {
+    assert.deepEqual(schedule.autoSchedule([strip('9', 'FIELD', 'day', [], 60)], { maxEighths: 40 }), [['9']]);
+});
+
+test('autoSchedule: every strip is placed exactly once', () => {
+    const ids = schedule.autoSchedule(STRIPS, { maxEighths: 8 }).flat().sort();
+    assert.deepEqual(ids, STRIPS.map((s) => s.id).sort());
+});
+
+test('fromBreakdown maps breakdown sheets to strips', () => {
+    const [s] = schedule.fromBreakdown([{ number: 4, heading: 'EXT. ROOF - NIGHT', location: 'ROOF', intExt: 'EXT', dayNight: 'night', eighths: 0, elements: { cast: ['LATA'] } }]);
+    assert.deepEqual(s, { id: '4', number: '4', heading: 'EXT. ROOF - NIGHT', location: 'ROOF', intExt: 'EXT', dayNight: 'night', eighths: 1, cast: ['LATA'] });
+});
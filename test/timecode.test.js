@@ -0,0 +1,201 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const timecode = require('../js/timecode');
+
+const DAY_SECONDS = 24 * 3600;
+
+/** The label after `label`, counted by hand: frames carry into seconds, minutes and hours, and drop-frame skips numbers. */
+const nextLabel = (label, rateKey) => {
+    const r = timecode.rate(rateKey);
+    let [hours, minutes, seconds, frames] = label.split(/[:;]/).map(Number);
+    frames++;
+    if (frames === r.base) {
+        frames = 0;
+        seconds++;
+    }
+    if (seconds === 60) {
+        seconds = 0;
+        minutes++;
+    }
+    if (minutes === 60) {
+        minutes = 0;
+        hours++;
+    }
+    if (r.drop && seconds === 0 && frames === 0 && minutes % 10 !== 0) frames = r.drop;
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${r.drop ? ';' : ':'}${pad(frames)}`;
+};
+
+/* ============================
+   Drop-frame
+   ============================ */
+
+for (const [rateKey, perDay] of [['29.97DF', 2589408], ['59.94DF', 5178816]]) {
+    test(`${rateKey}: every 7th frame across 24 hours round-trips and labels in sequence`, () => {
+        assert.equal(timecode.toFrames('24:00:00;00', rateKey), perDay);
+        for (let frame = 0; frame < perDay; frame += 7) {
+            const label = timecode.fromFrames(frame, rateKey);
+            if (timecode.toFrames(label, rateKey) !== frame) assert.fail(`${frame} → ${label} → ${timecode.toFrames(label, rateKey)}`);
+            const next = timecode.fromFrames(frame + 1, rateKey);
+            if (next !== nextLabel(label, rateKey)) assert.fail(`${frame + 1} is ${next}, expected ${nextLabel(label, rateKey)}`);
+        }
+        assert.equal(timecode.fromFrames(perDay, rateKey), '24:00:00;00');
+    });
+}
+
+test('29.97DF: ;00 and ;01 are rejected at the top of each minute except every tenth', () => {
+    for (let minute = 0; minute < 60; minute++) {
+        const mm = String(minute).padStart(2, '0');
+        for (const frames of ['00', '01']) {
+            assert.equal(timecode.isValid(`01:${mm}:00;${frames}`, '29.97DF'), minute % 10 === 0, `01:${mm}:00;${frames}`);
+        }
+        assert.ok(timecode.isValid(`01:${mm}:00;02`, '29.97DF'));
+        assert.ok(timecode.isValid(`01:${mm}:01;00`, '29.97DF'));
+    }
+    assert.throws(() => timecode.toFrames('00:01:00;00', '29.97DF'), /doesn't exist in drop-frame; the count jumps to frame 02/);
+});
+
+test('59.94DF: ;00 to ;03 are rejected at the top of each minute except every tenth', () => {
+    for (const frames of ['00', '01', '02', '03']) {
+        assert.equal(timecode.isValid(`00:01:00;${frames}`, '59.94DF'), false);
+        assert.equal(timecode.isValid(`00:10:00;${frames}`, '59.94DF'), true);
+        assert.equal(timecode.isValid(`00:20:00;${frames}`, '59.94DF'), true);
+    }
+    assert.ok(timecode.isValid('00:01:00;04', '59.94DF'));
+    assert.throws(() => timecode.toFrames('00:09:00;03', '59.94DF'), /jumps to frame 04/);
+});
+
+test('drop-frame: the minute after a skip and the ten-minute and hour marks', () => {
+    assert.equal(timecode.fromFrames(1799, '29.97DF'), '00:00:59;29');
+    assert.equal(timecode.fromFrames(1800, '29.97DF'), '00:01:00;02');
+    assert.equal(timecode.toFrames('00:10:00;00', '29.97DF'), 17982);
+    assert.equal(timecode.fromFrames(17982, '29.97DF'), '00:10:00;00');
+    assert.equal(timecode.toFrames('01:00:00;00', '29.97DF'), 107892);
+    assert.equal(timecode.toFrames('00:10:00;00', '59.94DF'), 35964);
+    assert.equal(timecode.fromFrames(3600, '59.94DF'), '00:01:00;04');
+});
+
+test('drop-frame: the same labels mean other frames in non-drop', () => {
+    assert.equal(timecode.toFrames('01:00:00:00', '29.97'), 108000);
+    assert.ok(timecode.isValid('00:01:00:00', '29.97'));
+    assert.equal(timecode.fromFrames(1800, '29.97'), '00:01:00:00');
+});
+
+/* ============================
+   Parsing and formatting
+   ============================ */
+
+test('toFrames: fields fill from the right and any separator is accepted', () => {
+    assert.equal(timecode.toFrames('5', '24'), 5);
+    assert.equal(timecode.toFrames('10:00', '24'), 240);
+    assert.equal(timecode.toFrames('1.00.00', '25'), 1500);
+    assert.equal(timecode.toFrames(' 01:00:00:00 ', '24'), 86400);
+    assert.equal(timecode.toFrames('-00:00:01:00', '25'), -25);
+    assert.equal(timecode.toFrames('25:00:00:00', '24'), 25 * 3600 * 24);
+});
+
+test('toFrames: out-of-range fields, junk and unknown rates throw', () => {
+    assert.throws(() => timecode.toFrames('00:00:00:24', '24'), /Frames must be below 24/);
+    assert.throws(() => timecode.toFrames('00:00:60:00', '24'), /below 60/);
+    assert.throws(() => timecode.toFrames('00:60:00:00', '24'), /below 60/);
+    assert.throws(() => timecode.toFrames('1:2:3:4:5', '24'), /Not a timecode/);
+    assert.throws(() => timecode.toFrames('ab', '24'), /Not a timecode/);
+    assert.throws(() => timecode.toFrames('1', '48'), /Unknown frame rate: 48/);
+});
+
+test('fromFrames: pads, keeps counting hours past 23 and signs negatives', () => {
+    assert.equal(timecode.fromFrames(0, '24'), '00:00:00:00');
+    assert.equal(timecode.fromFrames(86400 + 252, '24'), '01:00:10:12');
+    assert.equal(timecode.fromFrames(DAY_SECONDS * 25 + 25, '25'), '24:00:01:00');
+    assert.equal(timecode.fromFrames(-25, '25'), '-00:00:01:00');
+    assert.throws(() => timecode.fromFrames(1.5, '24'), /must be an integer/);
+});
+
+test('normalize re-labels in canonical form', () => {
+    assert.equal(timecode.normalize('1:2:3:4', '24'), '01:02:03:04');
+    assert.equal(timecode.normalize('00:00:10:00', '29.97DF'), '00:00:10;00');
+});
+
+/* ============================
+   Arithmetic
+   ============================ */
+
+test('add and subtract', () => {
+    assert.equal(timecode.add('01:00:00:00', '00:00:10:12', '24'), '01:00:10:12');
+    assert.equal(timecode.add('00:59:59:23', '1', '24'), '01:00:00:00');
+    assert.equal(timecode.subtract('01:00:10:12', '00:00:10:12', '24'), '01:00:00:00');
+    assert.equal(timecode.subtract('00:00:01:00', '00:00:02:00', '25'), '-00:00:01:00');
+});
+
+test('add and subtract step over dropped labels', () => {
+    assert.equal(timecode.add('00:00:59;29', '1', '29.97DF'), '00:01:00;02');
+    assert.equal(timecode.subtract('00:01:00;02', '1', '29.97DF'), '00:00:59;29');
+    assert.equal(timecode.add('00:09:59;29', '1', '29.97DF'), '00:10:00;00');
+    assert.equal(timecode.add('00:00:59;59', '1', '59.94DF'), '00:01:00;04');
+});
+
+test('calculate sums timecodes and frame counts left to right', () => {
+    assert.equal(timecode.calculate('01:00:00:00 + 00:00:10:12 - 48f', '24'), 86604);
+    assert.equal(timecode.calculate('-10f', '24'), -10);
+    assert.throws(() => timecode.calculate('', '24'), /Enter a timecode/);
+    assert.throws(() => timecode.calculate('01:00 + nope', '24'), /Not a timecode/);
+});
+
+test('duration: out point is the first frame not included', () => {
+    const result = timecode.duration('01:00:00:00', '01:00:10:12', '24');
+    assert.deepEqual(result, { frames: 252, timecode: '00:00:10:12', seconds: 10.5, realTime: '10.500s', feet: '15+12' });
+});
+
+test('toSeconds and formatSeconds', () => {
+    assert.equal(timecode.toSeconds(24, '24'), 1);
+    assert.equal(timecode.toSeconds(24000, '23.976'), 1001);
+    assert.equal(timecode.toSeconds(107892, '29.97DF'), 3599.9964);
+    assert.equal(timecode.formatSeconds(3723.5), '1h 02m 03.500s');
+    assert.equal(timecode.formatSeconds(65), '01m 05.000s');
+    assert.equal(timecode.formatSeconds(-2.25), '-2.250s');
+});
+
+/* ============================
+   Rate conversion
+   ============================ */
+
+test('convert by real time lands on the nearest frame', () => {
+    assert.equal(timecode.convert('01:00:00:00', '24', '25'), '01:00:00:00');
+    assert.equal(timecode.convert('01:00:00:00', '23.976', '24'), '01:00:03:14');
+    assert.equal(timecode.convert('01:00:00:00', '24', '23.976'), '00:59:56:10');
+    assert.equal(timecode.convert('01:00:00;00', '29.97DF', '29.97'), '00:59:56:12');
+    assert.equal(timecode.convert('00:59:56:12', '29.97', '29.97DF'), '01:00:00;00');
+    assert.equal(timecode.convert('00:10:00;00', '29.97DF', '59.94DF'), '00:10:00;00');
+});
+
+test('convert by frames keeps the count, so the running time changes', () => {
+    assert.equal(timecode.convert('01:00:00:00', '24', '25', 'frames'), '00:57:36:00');
+    assert.equal(timecode.convert('00:00:01:00', '25', '24', 'frames'), '00:00:01:01');
+});
+
+/* ============================
+   Feet + frames
+   ============================ */
+
+test('toFeet and fromFeet', () => {
+    assert.equal(timecode.toFeet(1000), '62+08');
+    assert.equal(timecode.toFeet(1000, '16mm'), '25+00');
+    assert.equal(timecode.toFeet(-17), '-1+01');
+    assert.equal(timecode.toFeet(0), '0+00');
+    assert.equal(timecode.fromFeet('62+08'), 1000);
+    assert.equal(timecode.fromFeet('62'), 992);
+    assert.equal(timecode.fromFeet('-1+01'), -17);
+    assert.equal(timecode.fromFeet('25+39', '16mm'), 1039);
+    assert.throws(() => timecode.fromFeet('1+16'), /Not feet\+frames/);
+    assert.throws(() => timecode.fromFeet('1 ft'), /Not feet\+frames/);
+});
+
+test('feet+frames round-trip', () => {
+    for (let frames = -100; frames <= 5000; frames += 13) {
+        assert.equal(timecode.fromFeet(timecode.toFeet(frames)), frames);
+        assert.equal(timecode.fromFeet(timecode.toFeet(frames, '16mm'), '16mm'), frames);
+    }
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const util = require('../js/util');
+
+/** A Storage stand-in; `broken` throws like Safari private mode or a full quota. */
+const fakeStorage = (entries = {}, { broken = false } = {}) => {
+    const data = new Map(Object.entries(entries));
+    const guard = () => {
+        if (broken) throw new Error('QuotaExceededError');
+    };
+    return {
+        data,
+        getItem: (key) => (guard(), data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => (guard(), data.set(key, String(value))),
+        removeItem: (key) => (guard(), data.delete(key))
+    };
+};
+
+const withStorage = (storage, fn) => {
+    const previous = Object.getOwnPropertyDescriptor(globalThis, 'localStorage');
+    Object.defineProperty(globalThis, 'localStorage', { value: storage, configurable: true });
+    try {
+        return fn();
+    } finally {
+        if (previous) Object.defineProperty(globalThis, 'localStorage', previous);
+        else delete globalThis.localStorage;
+    }
+};
+
+test('escapeHTML escapes markup and both quotes', () => {
+    assert.equal(util.escapeHTML('<b>"Ravi" & Lata</b>'), '&lt;b&gt;&quot;Ravi&quot; &amp; Lata&lt;/b&gt;');
+    assert.equal(util.escapeHTML("it's"), 'it&#39;s');
+    assert.equal(util.escapeHTML(null), '');
+    assert.equal(util.escapeHTML(undefined), '');
+    assert.equal(util.escapeHTML(0), '0');
+});
+
+test('readStored parses JSON and falls back on missing, broken or rejected values', () => {
+    const storage = fakeStorage({ list: '{"lines":[]}', junk: '{oops', other: '{"rows":[]}', off: 'null' });
+    withStorage(storage, () => {
+        const accept = (value) => Array.isArray(value.lines);
+        assert.deepEqual(util.readStored('list', { accept }), { lines: [] });
+        assert.equal(util.readStored('missing'), null);
+        assert.deepEqual(util.readStored('missing', { fallback: {} }), {});
+        assert.equal(util.readStored('junk', { accept }), null);
+        assert.equal(util.readStored('other', { accept }), null);
+        assert.deepEqual(util.readStored('off', { fallback: [] }), []);
+    });
+});
+
+test('readStored and writeStored with raw strings', () => {
+    const storage = fakeStorage();
+    withStorage(storage, () => {
+        util.writeStored('lang', 'hi', { raw: true });
+        assert.equal(storage.data.get('lang'), 'hi');
+        assert.equal(util.readStored('lang', { raw: true, accept: (value) => ['en', 'hi'].includes(value) }), 'hi');
+        assert.equal(util.readStored('lang', { raw: true, accept: (value) => value === 'en' }), null);
+    });
+});
+
+test('writeStored saves JSON and removes the entry for null', () => {
+    const storage = fakeStorage({ prefs: '{}' });
+    withStorage(storage, () => {
+        util.writeStored('list', { lines: [1] });
+        assert.equal(storage.data.get('list'), '{"lines":[1]}');
+        util.writeStored('prefs', null);
+        assert.equal(storage.data.has('prefs'), false);
+    });
+});
+
+test('storage that throws or is missing never reaches the caller', () => {
+    withStorage(fakeStorage({ list: '[]' }, { broken: true }), () => {
+        assert.deepEqual(util.readStored('list', { fallback: [] }), []);
+        assert.doesNotThrow(() => util.writeStored('list', [1]));
+        assert.doesNotThrow(() => util.writeStored('list', null));
+    });
+    assert.equal(util.readStored('list', { fallback: 'none' }), 'none');
+    assert.doesNotThrow(() => util.writeStored('list', [1]));
+});